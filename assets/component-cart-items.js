@@ -58,7 +58,7 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+    const lineItemRow = this.#rowForLine(line);
 
     if (!lineItemRow) return;
 
@@ -77,7 +77,7 @@ class CartItemsComponent extends Component {
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const cartItemRowToRemove = this.#rowForLine(line);
 
     if (!cartItemRowToRemove) return;
 
@@ -102,7 +102,31 @@ class CartItemsComponent extends Component {
   }
 
   /**
-   * Updates the quantity.
+   * Finds the row rendering a cart line. RX bundle rows (snippets/rx-cart-bundle.liquid)
+   * stand for two lines, so rows can't be looked up by position.
+   * @param {number} line - The 1-based line index.
+   * @returns {HTMLTableRowElement | undefined}
+   */
+  #rowForLine(line) {
+    const value = String(line);
+    return this.refs.cartItemRows.find(
+      (row) => row.dataset.line === value || row.dataset.bundleLines?.split(',').includes(value)
+    );
+  }
+
+  /**
+   * Gets the line item keys of the RX bundle a line belongs to.
+   * @param {number} line - The 1-based line index.
+   * @returns {string[] | null} The keys, or null when the line isn't part of a bundle.
+   */
+  #bundleKeysFor(line) {
+    const keys = this.#rowForLine(line)?.dataset.bundleKeys;
+    return keys ? keys.split(',') : null;
+  }
+
+  /**
+   * Updates the quantity. Lines of an RX bundle (lens + frame sharing `_bundleHash`) change
+   * together in one `/cart/update.js` call, so the cart never holds a lens without its frame.
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
@@ -124,16 +148,21 @@ class CartItemsComponent extends Component {
       }
     });
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
+    const bundleKeys = this.#bundleKeysFor(line);
+    const sections = {
       sections: Array.from(sectionsToUpdate).join(','),
       sections_url: window.location.pathname,
-    });
+    };
+    const body = JSON.stringify(
+      bundleKeys
+        ? { updates: Object.fromEntries(bundleKeys.map((key) => [key, quantity])), ...sections }
+        : { line: line, quantity: quantity, ...sections }
+    );
+    const url = bundleKeys ? Theme.routes.cart_update_url : Theme.routes.cart_change_url;
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
+    fetch(`${url}`, fetchConfig('json', { body }))
       .then((response) => {
         return response.text();
       })
@@ -142,8 +171,10 @@ class CartItemsComponent extends Component {
 
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
+        // /cart/update.js reports failures as {status, message, description}
+        const errors = parsedResponseText.errors ?? parsedResponseText.description;
+        if (errors) {
+          this.#handleCartError(line, { errors });
           return;
         }
 
@@ -195,10 +226,9 @@ class CartItemsComponent extends Component {
    * @param {string} parsedResponseText.errors - The errors.
    */
   #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
+    const quantityInput = this.#rowForLine(line)?.querySelector('[ref="quantitySelectors[]"] input');
 
-    if (!quantityInput) throw new Error('Quantity input not found');
+    if (!(quantityInput instanceof HTMLInputElement)) throw new Error('Quantity input not found');
 
     quantityInput.value = quantityInput.defaultValue;
 
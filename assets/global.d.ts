@@ -10,6 +10,7 @@ declare global {
     designMode: boolean;
     locale: string;
     shop: string;
+    theme?: { id: number; name: string; role: string };
     loadFeatures(features: ShopifyFeature[], callback?: LoadCallback): void;
     ModelViewerUI?: ModelViewer;
     visualPreviewMode: boolean;
@@ -41,6 +42,10 @@ declare global {
 
   interface Window {
     Shopify: Shopify;
+    rxStates?: import('./rx-core.js').RxStates;
+    rxState?: import('./rx-core.js').RxState;
+    __rxCollectionInit?: boolean;
+    __rxRecolorInit?: boolean;
     klaviyo?: { push: (arg: unknown) => void; [key: string]: unknown };
     _klOnsite?: unknown;
     KlaviyoSubscriptions?: { init?: () => void; [key: string]: unknown };
@@ -54,7 +59,7 @@ declare global {
   }
 
   declare const Shopify: Shopify;
-  declare const Theme: Theme;
+  declare var Theme: Theme;
 
   type LoadCallback = (error: Error | undefined) => void;
 
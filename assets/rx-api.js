@@ -5,11 +5,58 @@
  * the browser and under `node --test`.
  */
 
+// Development override: point the client at the mock App Proxy
+// (tests/rx/mock-proxy) — `RX_PROXY_BASE=http://localhost:8787` under node,
+// `?rx_proxy=http://localhost:8787` in the browser (kept for the tab's session;
+// `?rx_proxy=off` clears it). The browser takes it only in the theme editor or
+// on an unpublished/development theme, and only for loopback origins: a link
+// must never be able to send a customer's prescription to another server.
+const PROXY_OVERRIDE_KEY = 'rx:proxy-base';
+const PREVIEW_THEME_ROLES = ['development', 'unpublished'];
+
+/** @param {string} url */
+function isLoopback(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'http:' || protocol === 'https:') && ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+// The live theme never takes an override, whatever the URL says.
+function isThemePreview() {
+  const shopify = window.Shopify;
+  return Boolean(shopify?.designMode) || PREVIEW_THEME_ROLES.includes(shopify?.theme?.role ?? '');
+}
+
+function proxyOverride() {
+  if (typeof window === 'undefined') {
+    const env = /** @type {{process?: {env?: Record<string, string | undefined>}}} */ (globalThis).process?.env;
+    return env?.RX_PROXY_BASE || null;
+  }
+  try {
+    if (!isThemePreview()) {
+      sessionStorage.removeItem(PROXY_OVERRIDE_KEY);
+      return null;
+    }
+    const param = new URLSearchParams(location.search).get('rx_proxy');
+    if (param === 'off') sessionStorage.removeItem(PROXY_OVERRIDE_KEY);
+    else if (param && isLoopback(param)) sessionStorage.setItem(PROXY_OVERRIDE_KEY, param);
+    const stored = sessionStorage.getItem(PROXY_OVERRIDE_KEY);
+    return stored && isLoopback(stored) ? stored : null;
+  } catch {
+    return null; // storage blocked — no override
+  }
+}
+
 // App Proxy is mounted on the storefront domain only. The theme editor renders
 // the page on *.shopifypreview.com, where a relative path resolves to nothing,
 // so there we address the storefront directly — the proxy allows that origin.
 function proxyBase() {
   const path = '/apps/proxy';
+  const override = proxyOverride();
+  if (override) return `${override.replace(/\/$/, '')}${path}`;
   if (!globalThis.location?.hostname?.endsWith('.shopifypreview.com')) return path;
 
   let origin = '';
@@ -26,6 +73,10 @@ const PROXY_BASE = proxyBase();
 
 // Thrown on any non-2xx (or network-level) proxy failure; carries the status.
 export class RxApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - 0 when no response came back
+   */
   constructor(message, status) {
     super(message);
     this.name = 'RxApiError';
@@ -34,6 +85,7 @@ export class RxApiError extends Error {
 }
 
 // Extract a useful message from a failed response (JSON {message}/{error} or raw text).
+/** @param {Response} response */
 async function readError(response) {
   const text = await response.text().catch(() => '');
   if (text) {
@@ -47,36 +99,134 @@ async function readError(response) {
   return `Request failed (${response.status})`;
 }
 
-// Run a request and return parsed JSON; map any failure to RxApiError.
-async function request(url, options) {
-  let response;
+// --- Transport ----------------------------------------------------------------
+
+// Per-attempt timeout and retry policy; tune with configureRxApi(). Retries
+// back off exponentially (`backoff`, doubled each time, plus jitter so a
+// recovering backend isn't hit by every client in the same instant).
+// `deadline` caps a save or attach, retries included: the shopper is waiting
+// on it, and past that the outbox sends it instead.
+const transport = { timeout: 15000, retries: 2, backoff: 500, deadline: 8000 };
+
+/**
+ * Override the transport defaults, e.g. `configureRxApi({ timeout: 30000 })`.
+ * @param {{timeout?: number, retries?: number, backoff?: number, deadline?: number}} options
+ */
+export function configureRxApi(options = {}) {
+  for (const key of /** @type {(keyof typeof transport)[]} */ (Object.keys(transport))) {
+    const value = Number(options[key]);
+    if (options[key] != null && Number.isFinite(value) && value >= 0) transport[key] = value;
+  }
+}
+
+// Worth another try: no response at all (offline, timeout) or the server's
+// fault. Anything else in the 4xx range will fail the same way again.
+/** @param {unknown} error */
+export function isRetryable(error) {
+  return error instanceof RxApiError && (error.status === 0 || error.status === 408 || error.status === 429 || error.status >= 500);
+}
+
+// Sent as `Idempotency-Key` so the backend can drop a POST it has already
+// applied — a retry after a lost response must not save a prescription twice.
+export function createIdempotencyKey() {
+  return globalThis.crypto?.randomUUID?.() ?? `rx-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/** @param {number} ms */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// One fetch with a timeout. A caller's own signal still cancels, and then the
+// AbortError propagates untouched — cancelling is not a failure to retry.
+/**
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {number} timeout - ms; 0 for none
+ */
+async function attempt(url, options, timeout) {
+  const controller = new AbortController();
+  const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+  const cancel = () => controller.abort();
+  options.signal?.addEventListener('abort', cancel, { once: true });
+
   try {
-    response = await fetch(url, options);
-  } catch (err) {
-    throw new RxApiError(err?.message || 'Network request failed', 0);
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: controller.signal });
+    } catch (err) {
+      if (options.signal?.aborted) throw err;
+      const message = err instanceof Error ? err.message : '';
+      throw new RxApiError(controller.signal.aborted ? 'Request timed out' : message || 'Network request failed', 0);
+    }
+    if (!response.ok) {
+      throw new RxApiError(await readError(response), response.status);
+    }
+    return await response.json();
+  } finally {
+    if (timer) clearTimeout(timer);
+    options.signal?.removeEventListener('abort', cancel);
   }
-  if (!response.ok) {
-    throw new RxApiError(await readError(response), response.status);
+}
+
+/**
+ * Run a request and return parsed JSON; map any failure to RxApiError. GETs
+ * and keyed POSTs are retried on retryable failures — an unkeyed POST can't
+ * be repeated safely, so it gets one attempt. With a `deadline` (ms) the
+ * attempts and the waits between them share that budget.
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {{timeout?: number, retries?: number, deadline?: number, idempotencyKey?: string}} [policy]
+ */
+async function request(url, options, policy = {}) {
+  const { timeout = transport.timeout, retries = transport.retries, deadline = 0, idempotencyKey } = policy;
+  const init = idempotencyKey ? { ...options, headers: { ...options.headers, 'Idempotency-Key': idempotencyKey } } : options;
+  const repeatable = (options.method ?? 'GET') === 'GET' || Boolean(idempotencyKey);
+  const end = deadline ? Date.now() + deadline : Infinity;
+
+  for (let n = 0; ; n++) {
+    const budget = Math.min(timeout || Infinity, end - Date.now());
+    try {
+      return await attempt(url, init, Number.isFinite(budget) ? budget : 0);
+    } catch (error) {
+      const wait = transport.backoff * 2 ** n * (1 + Math.random());
+      if (!repeatable || n >= retries || !isRetryable(error) || Date.now() + wait >= end) throw error;
+      await sleep(wait);
+    }
   }
-  return response.json();
 }
 
 // Unwrap the backend's {success, data:{...}} envelope when present.
+/** @param {any} json */
 function unwrap(json) {
   return json && json.data != null ? json.data : json;
 }
 
-// POST JSON to an action; the action name is echoed in the body per backend contract.
-function postJson(action, payload = {}) {
-  return request(`${PROXY_BASE}/${action}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ action, ...payload }),
-  });
+// POST JSON to an action; the action name is echoed in the body per backend
+// contract. Every POST carries an idempotency key, so every POST may retry.
+/**
+ * @param {string} action
+ * @param {Object} [payload]
+ * @param {{timeout?: number, retries?: number, deadline?: number, idempotencyKey?: string}} [policy]
+ */
+function postJson(action, payload = {}, policy = {}) {
+  return request(
+    `${PROXY_BASE}/${action}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, ...payload }),
+    },
+    { ...policy, idempotencyKey: policy.idempotencyKey ?? createIdempotencyKey() }
+  );
 }
 
 // GET an action with query params (action is echoed as a param too). Relative
 // URL keeps this node-testable without a window.location origin.
+/**
+ * @param {string} action
+ * @param {Record<string, unknown>} [params]
+ */
 function getQuery(action, params = {}) {
   const search = new URLSearchParams({ action });
   for (const [key, value] of Object.entries(params)) {
@@ -89,17 +239,19 @@ function getQuery(action, params = {}) {
  * OCR a prescription image/PDF. Sends multipart FormData so the browser sets
  * the boundary — do not add a Content-Type header.
  * @param {Blob|File} file
- * @returns {Promise<{success, prescriptionData, uniqueId, analysis, rxUID}>}
+ * @returns {Promise<{success: boolean, prescriptionData: any, uniqueId: ?string, analysis: any, rxUID: ?string}>}
  */
 export async function analyzePrescription(file) {
   const formData = new FormData();
   formData.append('action', 'analyze-prescription');
   formData.append('prescription', file);
 
-  const result = await request(`${PROXY_BASE}/analyze-prescription`, {
-    method: 'POST',
-    body: formData,
-  });
+  // OCR on a phone photo can take a while; don't cut it off at the default.
+  const result = await request(
+    `${PROXY_BASE}/analyze-prescription`,
+    { method: 'POST', body: formData },
+    { timeout: 60000, idempotencyKey: createIdempotencyKey() }
+  );
   const data = result.data || result;
   return {
     success: result.success ?? data.success ?? true,
@@ -110,41 +262,488 @@ export async function analyzePrescription(file) {
   };
 }
 
-// Persist a prescription. Payload carries order/line-item ids and RX values.
-export async function savePrescription(payload) {
-  return unwrap(await postJson('save-prescription', payload));
+/**
+ * Persist a prescription. Payload carries order/line-item ids and RX values.
+ * If it can't get through (offline, backend down) it is queued in the outbox
+ * and resolves `{queued: true, idempotencyKey}` instead — pass `queue: false`
+ * to get the error.
+ * @param {Object} payload
+ * @param {{queue?: boolean}} [opts]
+ */
+export async function savePrescription(payload, opts = {}) {
+  return unwrap(await sendOrQueue('save-prescription', payload, opts));
 }
 
 // Fetch an order (params e.g. {orderId}) for the my-orders page.
+/** @param {Record<string, unknown>} params */
 export async function getOrder(params) {
   return unwrap(await getQuery('get-order', params));
 }
 
 // Resolve a stored prescription file to a viewable URL.
+/** @param {string} uniqueId */
 export async function getPrescriptionFile(uniqueId) {
   return unwrap(await getQuery('get-prescription-file', { uniqueId }));
 }
 
-// Write RX properties back onto an existing order line item. Caller includes subdomain.
-export async function updateLineItemProperties(payload) {
-  return unwrap(await postJson('update-line-item-properties', payload));
+// Write RX properties back onto an existing order line item. Caller includes
+// subdomain. Queues like savePrescription when the proxy can't be reached;
+// `afterSave` (a queued save's idempotency key) holds it in the outbox until
+// that save is through, then sends it with the save's rxUID.
+/**
+ * @param {Object} payload
+ * @param {{queue?: boolean, afterSave?: ?string}} [opts]
+ */
+export async function updateLineItemProperties(payload, opts = {}) {
+  return unwrap(await sendOrQueue('update-line-item-properties', payload, opts));
+}
+
+// --- Saved prescriptions ----------------------------------------------------
+//
+// Scoped to the signed-in customer: App Proxy appends the signed
+// `logged_in_customer_id` to every forwarded request, so no customer id is sent
+// from here and a logged-out visitor simply gets an empty list.
+
+/**
+ * @typedef {Object} SavedPrescription
+ * @property {string} rxUID
+ * @property {?string} uniqueId - set when the prescription came from an uploaded file
+ * @property {string} name
+ * @property {?string} createdAt
+ * @property {?string} prescriptionDate
+ * @property {?Object} prescriptionData - same shape save-prescription takes
+ */
+
+// The backend has answered in both camel and snake case over time.
+/**
+ * @param {any} entry
+ * @returns {SavedPrescription}
+ */
+function toSavedPrescription(entry) {
+  const data = entry?.data?.prescriptionData ?? entry?.prescriptionData ?? entry?.prescription_data ?? null;
+  return {
+    rxUID: entry?.rxUID ?? entry?.rx_uid ?? '',
+    uniqueId: entry?.uniqueId ?? entry?.unique_id ?? null,
+    name: entry?.name || '',
+    createdAt: entry?.createdAt ?? entry?.created_at ?? null,
+    prescriptionDate: data?.prescriptionDate ?? entry?.prescriptionDate ?? null,
+    prescriptionData: data,
+  };
+}
+
+/** @returns {Promise<SavedPrescription[]>} newest first, as the backend sorts them */
+export async function listPrescriptions() {
+  const data = unwrap(await getQuery('list-prescriptions'));
+  /** @type {any[]} */
+  const list = Array.isArray(data) ? data : data?.prescriptions ?? [];
+  return list.map(toSavedPrescription).filter((entry) => entry.rxUID);
+}
+
+/**
+ * @param {string} rxUID
+ * @returns {Promise<SavedPrescription>} one saved prescription with its values
+ */
+export async function getPrescription(rxUID) {
+  const data = unwrap(await getQuery('get-prescription', { rxUID }));
+  return toSavedPrescription(data?.prescription ?? data);
+}
+
+/**
+ * @param {string} rxUID
+ * @param {string} name
+ */
+export async function renamePrescription(rxUID, name) {
+  return unwrap(await postJson('rename-prescription', { rxUID, name }));
 }
 
+/** @param {string} rxUID */
+export async function deletePrescription(rxUID) {
+  return unwrap(await postJson('delete-prescription', { rxUID }));
+}
 
 /**
  * Recolor the frame's featured image for a lens color (lensgen service).
  * Unlike the path-based actions above, recolor POSTs to the proxy base with
  * the action in the body. Returns {url, cached, ...}.
+ * @param {string} imageUrl
+ * @param {string} color
  */
 export async function recolorLensImage(imageUrl, color) {
-  const json = await request(PROXY_BASE, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ action: 'recolor', image_url: imageUrl, color }),
+  const json = await request(
+    PROXY_BASE,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'recolor', image_url: imageUrl, color }),
+    },
     // Cold generations take seconds; a stalled backend must not hang the UI.
-    signal: typeof AbortSignal !== 'undefined' && AbortSignal.timeout ? AbortSignal.timeout(30000) : undefined,
-  });
+    // No retries: callers fall back to the original image and have their own queue.
+    { timeout: 30000, retries: 0 }
+  );
   const data = json && json.data != null ? json.data : json;
   if (!data || !data.url) throw new RxApiError((data && data.error) || 'Recolor failed', 200);
   return data;
 }
+
+// --- Recolor cache --------------------------------------------------------------
+//
+// A render only depends on the source photo and the colour, so its URL is kept
+// across page views and identical calls in flight share one request. Callers
+// pass the normalized image URL (size params stripped) and the colour slug;
+// together they are the key.
+
+const RECOLOR_DB = 'rx-recolor';
+const RECOLOR_STORE = 'renders';
+// Renders outlive this comfortably; the limit only bounds stale entries.
+const RECOLOR_TTL = 7 * 24 * 60 * 60 * 1000;
+/** @type {Map<string, Promise<{url: string, cached?: boolean}>>} */
+const recolorInflight = new Map();
+/** @type {Promise<RecolorStore> | null} */
+let recolorStore = null;
+
+/**
+ * @typedef {{key: string, url: string, at: number}} RecolorEntry
+ * @typedef {{get: (key: string) => Promise<RecolorEntry | undefined>, put: (entry: RecolorEntry) => Promise<unknown>,
+ *   delete: (key: string) => Promise<unknown>}} RecolorStore
+ */
+
+/** @returns {Promise<RecolorStore>} */
+async function openRecolorStore() {
+  /** @type {Map<string, RecolorEntry>} */
+  const memory = new Map();
+  /** @type {RecolorStore} */
+  const fallback = {
+    get: async (key) => memory.get(key),
+    put: async (entry) => void memory.set(entry.key, entry),
+    delete: async (key) => void memory.delete(key),
+  };
+  if (!globalThis.indexedDB) return fallback;
+
+  try {
+    const open = indexedDB.open(RECOLOR_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(RECOLOR_STORE, { keyPath: 'key' });
+    const db = await idbResult(open);
+    return {
+      get: (key) => idbTransact(db, RECOLOR_STORE, 'readonly', (store) => store.get(key)),
+      put: (entry) => idbTransact(db, RECOLOR_STORE, 'readwrite', (store) => store.put(entry)),
+      delete: (key) => idbTransact(db, RECOLOR_STORE, 'readwrite', (store) => store.delete(key)),
+    };
+  } catch (error) {
+    console.warn('rx: recolor cache unavailable, keeping it per page', error);
+    return fallback;
+  }
+}
+
+/**
+ * `recolorLensImage` through the cross-page cache. Resolves {url, cached};
+ * `cached` is true for a hit in either cache.
+ * @param {string} imageUrl - normalized source image URL
+ * @param {string} color - colour slug
+ */
+export function cachedRecolorLensImage(imageUrl, color) {
+  const key = `${imageUrl}|${color}`;
+  const inflight = recolorInflight.get(key);
+  if (inflight) return inflight;
+
+  const pending = (async () => {
+    const store = await (recolorStore ??= openRecolorStore());
+    const hit = await store.get(key).catch(() => null);
+    if (hit?.url && Date.now() - hit.at < RECOLOR_TTL) return { url: hit.url, cached: true };
+
+    const data = await recolorLensImage(imageUrl, color);
+    await store.put({ key, url: data.url, at: Date.now() }).catch(() => {});
+    return data;
+  })();
+  recolorInflight.set(key, pending);
+  const settle = () => recolorInflight.delete(key);
+  pending.then(settle, settle);
+  return pending;
+}
+
+/**
+ * Drop a cached render that no longer loads, so the next call regenerates it.
+ * @param {string} imageUrl
+ * @param {string} color
+ */
+export async function forgetRecoloredImage(imageUrl, color) {
+  const store = await (recolorStore ??= openRecolorStore());
+  await store.delete(`${imageUrl}|${color}`).catch(() => {});
+}
+
+// --- Outbox -------------------------------------------------------------------
+//
+// Saves and attaches that can't reach the proxy wait here and are replayed,
+// oldest first, once the connection is back — on the `online` event, on the
+// next page view, and on a backoff timer in between. Each entry keeps the
+// idempotency key of its first attempt, so a replay that races another tab
+// (or a response lost in transit) is applied once. Entries hold prescription
+// values: they are deleted as soon as the proxy accepts or rejects them, and
+// dropped unsent after OUTBOX_TTL.
+
+const OUTBOX_ACTIONS = new Set(['save-prescription', 'update-line-item-properties']);
+const OUTBOX_DB = 'rx-outbox';
+const OUTBOX_STORE = 'requests';
+const OUTBOX_RETRY_MIN = 15000;
+const OUTBOX_RETRY_MAX = 5 * 60 * 1000;
+const OUTBOX_TTL = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} RxOutboxEntry
+ * @property {string} id - the idempotency key, reused on every replay
+ * @property {string} action
+ * @property {Record<string, any>} payload
+ * @property {number} createdAt - epoch ms
+ * @property {number} attempts - replays that failed so far
+ * @property {?string} [afterSave] - id of a queued save whose rxUID this attach
+ *   waits for; it is written into `payload.properties` before the replay
+ * @property {Object} [link] - caller data carried to `rx:outbox-sent` (see RxOutbox#link)
+ */
+
+/**
+ * @param {string} action
+ * @param {Object} payload
+ * @param {{queue?: boolean, afterSave?: ?string}} [opts]
+ */
+async function sendOrQueue(action, payload, { queue = true, afterSave = null } = {}) {
+  const idempotencyKey = createIdempotencyKey();
+  // The save it depends on hasn't gone through yet, so neither can this.
+  if (afterSave && (await rxOutbox.entries()).some((entry) => entry.id === afterSave)) {
+    await rxOutbox.add({ id: idempotencyKey, action, payload, afterSave });
+    return { queued: true, idempotencyKey };
+  }
+  try {
+    return await postJson(action, payload, { idempotencyKey, deadline: queue ? transport.deadline : 0 });
+  } catch (error) {
+    if (!queue || !OUTBOX_ACTIONS.has(action) || !isRetryable(error)) throw error;
+    await rxOutbox.add({ id: idempotencyKey, action, payload });
+    return { queued: true, idempotencyKey };
+  }
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} req
+ * @returns {Promise<T>}
+ */
+function idbResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run one request in its own transaction and resolve with its result once the
+// transaction commits — a request's success fires before the write is durable.
+/**
+ * @template T
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} run
+ * @returns {Promise<T>}
+ */
+function idbTransact(db, storeName, mode, run) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const req = run(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(req.result);
+    transaction.onerror = () => reject(transaction.error ?? req.error);
+    transaction.onabort = () => reject(transaction.error ?? req.error);
+  });
+}
+
+// IndexedDB where the browser allows it; otherwise (node, some private modes)
+// a Map, which still replays within the page, just not across page views.
+/**
+ * @typedef {{all: () => Promise<RxOutboxEntry[]>, put: (entry: RxOutboxEntry) => Promise<unknown>,
+ *   delete: (id: string) => Promise<unknown>}} RxOutboxStore
+ */
+
+/** @returns {Promise<RxOutboxStore>} */
+async function openOutboxStore() {
+  /** @type {Map<string, RxOutboxEntry>} */
+  const memory = new Map();
+  /** @type {RxOutboxStore} */
+  const fallback = {
+    all: async () => [...memory.values()],
+    put: async (entry) => void memory.set(entry.id, entry),
+    delete: async (id) => void memory.delete(id),
+  };
+  if (!globalThis.indexedDB) return fallback;
+
+  try {
+    const open = indexedDB.open(OUTBOX_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+    const db = await idbResult(open);
+    return {
+      all: () => idbTransact(db, OUTBOX_STORE, 'readonly', (store) => store.getAll()),
+      put: (entry) => idbTransact(db, OUTBOX_STORE, 'readwrite', (store) => store.put(entry)),
+      delete: (id) => idbTransact(db, OUTBOX_STORE, 'readwrite', (store) => store.delete(id)),
+    };
+  } catch (error) {
+    console.warn('rx: outbox storage unavailable, keeping it in memory', error);
+    return fallback;
+  }
+}
+
+// A queued attach takes the rxUID its save came back with.
+/**
+ * @param {any} payload
+ * @param {string} rxUID
+ */
+function withRxUID(payload, rxUID) {
+  return { ...payload, properties: { ...payload.properties, 'Prescription RX UID': rxUID } };
+}
+
+/**
+ * The persistent queue behind `savePrescription` / `updateLineItemProperties`.
+ * Events (each `detail` also carries `outbox`):
+ * - `rx:outbox-queued` `{entry}` — a call failed and was stored
+ * - `rx:outbox-sent` `{entry, result}` — a replay went through
+ * - `rx:outbox-failed` `{entry, error}` — the proxy rejected it; dropped
+ * - `rx:outbox-expired` `{entry}` — still unsent after OUTBOX_TTL; dropped
+ * - `rx:outbox-change` `{pending}` — the number of waiting entries changed
+ */
+export class RxOutbox extends EventTarget {
+  /** @type {Promise<RxOutboxStore> | null} */
+  #store = null;
+  /** @type {Promise<void> | null} */
+  #flushing = null;
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  #timer = null;
+  #delay = OUTBOX_RETRY_MIN;
+
+  #open() {
+    return (this.#store ??= openOutboxStore());
+  }
+
+  /** @returns {Promise<RxOutboxEntry[]>} oldest first; expired entries are dropped on the way */
+  async entries() {
+    const store = await this.#open();
+    const live = [];
+    for (const entry of await store.all()) {
+      if (Date.now() - entry.createdAt < OUTBOX_TTL) {
+        live.push(entry);
+        continue;
+      }
+      await store.delete(entry.id);
+      console.warn('rx: queued request expired unsent', entry.action);
+      this.#emit('rx:outbox-expired', { entry });
+    }
+    return live.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /** @param {{id: string, action: string, payload: Object, afterSave?: ?string}} item */
+  async add({ id, action, payload, afterSave = null }) {
+    /** @type {RxOutboxEntry} */
+    const entry = { id, action, payload, createdAt: Date.now(), attempts: 0, afterSave };
+    await (await this.#open()).put(entry);
+    this.#emit('rx:outbox-queued', { entry });
+    await this.#changed();
+    this.#schedule();
+    return entry;
+  }
+
+  /**
+   * Attach caller data to a waiting entry; it comes back as `entry.link` on
+   * `rx:outbox-sent`. Resolves false when the entry has already gone.
+   * @param {string} id
+   * @param {Object} data
+   */
+  async link(id, data) {
+    const store = await this.#open();
+    const entry = (await this.entries()).find((candidate) => candidate.id === id);
+    if (!entry) return false;
+    await store.put({ ...entry, link: { ...entry.link, ...data } });
+    return true;
+  }
+
+  /** Replay everything waiting. Concurrent calls share one run. */
+  flush() {
+    return (this.#flushing ??= this.#drain().finally(() => {
+      this.#flushing = null;
+    }));
+  }
+
+  async #drain() {
+    if (this.#timer) clearTimeout(this.#timer);
+    this.#timer = null;
+    const store = await this.#open();
+    const entries = await this.entries();
+    if (!entries.length) return;
+
+    for (const queued of entries) {
+      // An attach behind a save replays once the save has an rxUID — set on
+      // the stored entry when the save went through, this run or an earlier one.
+      const entry = (await store.all()).find((candidate) => candidate.id === queued.id);
+      if (!entry) continue;
+      if (entry.afterSave) {
+        const failed = new RxApiError('The prescription this depends on was not saved', 422);
+        await store.delete(entry.id);
+        this.#emit('rx:outbox-failed', { entry, error: failed });
+        continue;
+      }
+
+      try {
+        // The retry policy is the outbox's own: one attempt per replay.
+        const result = unwrap(await postJson(entry.action, entry.payload, { idempotencyKey: entry.id, retries: 0 }));
+        // Re-read: a link() may have landed while the request was out.
+        const sent = (await store.all()).find((candidate) => candidate.id === entry.id) ?? entry;
+        await store.delete(entry.id);
+        if (result?.rxUID) await this.#resolveDependents(store, entry.id, result.rxUID);
+        this.#emit('rx:outbox-sent', { entry: sent, result });
+      } catch (error) {
+        if (isRetryable(error)) {
+          // Still unreachable: keep the order and come back later.
+          await store.put({ ...entry, attempts: entry.attempts + 1 });
+          await this.#changed();
+          this.#schedule();
+          return;
+        }
+        await store.delete(entry.id);
+        console.error('rx: queued request rejected', entry.action, error);
+        this.#emit('rx:outbox-failed', { entry, error });
+      }
+    }
+    this.#delay = OUTBOX_RETRY_MIN;
+    await this.#changed();
+  }
+
+  /**
+   * @param {{all: () => Promise<RxOutboxEntry[]>, put: (entry: RxOutboxEntry) => Promise<unknown>}} store
+   * @param {string} saveId
+   * @param {string} rxUID
+   */
+  async #resolveDependents(store, saveId, rxUID) {
+    for (const entry of await store.all()) {
+      if (entry.afterSave !== saveId) continue;
+      await store.put({ ...entry, afterSave: null, payload: withRxUID(entry.payload, rxUID) });
+    }
+  }
+
+  #schedule() {
+    if (this.#timer) return;
+    this.#timer = setTimeout(() => this.flush(), this.#delay);
+    this.#delay = Math.min(this.#delay * 2, OUTBOX_RETRY_MAX);
+  }
+
+  async #changed() {
+    this.#emit('rx:outbox-change', { pending: (await this.entries()).length });
+  }
+
+  /**
+   * @param {string} type
+   * @param {Object} detail
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail: { ...detail, outbox: this } }));
+  }
+}
+
+export const rxOutbox = new RxOutbox();
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => rxOutbox.flush());
+  // Anything a previous page view couldn't send.
+  setTimeout(() => rxOutbox.flush(), 0);
+}
@@ -7,11 +7,32 @@
  * keeps the top-level module node-safe.
  */
 
+/**
+ * @typedef {import('./rx-core.js').RxState} RxState
+ * @typedef {import('./rx-core.js').RxCartLine} RxCartLine
+ * @typedef {{item_count: number, items: RxCartLine[], sections?: Record<string, string>}} CartResponse
+ */
+
+/**
+ * A cart bundle being edited ("Edit lenses"): its line keys, and the variants
+ * and `_bundleHash` they held when the edit began.
+ * @typedef {Object} RxEditedBundle
+ * @property {string} lensKey
+ * @property {string} frameKey
+ * @property {string[]} [addonKeys]
+ * @property {number} [quantity]
+ * @property {string} [bundleHash]
+ * @property {number} [lensVariantId]
+ * @property {number} [frameVariantId]
+ * @property {number[]} [addonVariantIds]
+ */
 
 // Resolve shared RX modules via the versioned import map (see
 // snippets/rx-import-map.liquid) — unversioned relative imports would be
 // CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
 function rxImport(name) {
+  /** @type {Record<string, string>} */
   let map = {};
   if (typeof document !== 'undefined') {
     try {
@@ -23,37 +44,36 @@ function rxImport(name) {
   return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
 }
 
-const { buildLineItemProperties, RxState } = await rxImport('rx-core.js');
+const {
+  buildLineItemProperties,
+  snapshotFromCartLine,
+  listRxBundles,
+  countRxPairs,
+  mapOcrToValues,
+  evaluatePricing,
+  RxStates,
+} = await rxImport('rx-core.js');
 
 const CART_ADD_URL_FALLBACK = '/cart/add.js';
+const CART_UPDATE_URL_FALLBACK = '/cart/update.js';
+const CART_CHANGE_URL_FALLBACK = '/cart/change.js';
 
+// POST to the Ajax Cart API; a failure throws with Shopify's own message.
 /**
- * Add the lens + frame bundle to the cart in a single request. The lens carries
- * the full RX line-item contract; the frame carries the shared bundle hash and
- * SKUs. Section ids let Shopify re-render the cart drawer / icon in the response.
- *
- * @param {RxState} state
- * @param {{subdomain?: string, providerNumber?: string, healthFundNumbers?: string}} [config]
- * @param {string[]} [sectionIds]
- * @returns {Promise<Object>} the cart/add.js response (includes `sections`)
+ * @param {string} url
+ * @param {Object} body
+ * @param {string} fallbackMessage
+ * @returns {Promise<CartResponse>}
  */
-export async function addRxBundle(state, config = {}, sectionIds = []) {
-  const { lensProperties, frameProperties } = buildLineItemProperties(state, config);
-
-  const items = [
-    { id: state.lensProduct.variantId, quantity: 1, properties: lensProperties },
-    { id: state.frame.variantId, quantity: 1, properties: frameProperties },
-  ];
-
-  const url = globalThis.Theme?.routes?.cart_add_url ?? CART_ADD_URL_FALLBACK;
+async function postCart(url, body, fallbackMessage) {
   const response = await fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-    body: JSON.stringify({ items, sections: (sectionIds ?? []).join(',') }),
+    body: JSON.stringify(body),
   });
 
   if (!response.ok) {
-    let message = 'Could not add to cart. Please try again.';
+    let message = fallbackMessage;
     try {
       const data = await response.json();
       message = data?.description || data?.message || message;
@@ -66,12 +86,196 @@ export async function addRxBundle(state, config = {}, sectionIds = []) {
   return response.json();
 }
 
+/**
+ * Add the lens + frame bundle to the cart in a single request. The lens carries
+ * the full RX line-item contract; the frame and any add-on lines carry the
+ * shared bundle hash and SKUs. Section ids let Shopify re-render the cart
+ * drawer / icon in the response.
+ *
+ * Applied pricing rules are tagged on the lens line for display only; the
+ * discount itself is granted at checkout (see evaluatePricing).
+ *
+ * @param {RxState} state
+ * @param {{subdomain?: string, providerNumber?: string, healthFundNumbers?: string}} [config]
+ * @param {string[]} [sectionIds]
+ * @param {{quantity?: number, pricing?: Object | null}} [opts] - `pricing` is an evaluatePricing result
+ * @returns {Promise<CartResponse>} the cart/add.js response (includes `sections`)
+ */
+export async function addRxBundle(state, config = {}, sectionIds = [], { quantity = 1, pricing = null } = {}) {
+  const { lensProduct, frame } = state;
+  if (!lensProduct || !frame) throw new Error('Choose a frame and lenses before adding to cart.');
+  const { lensProperties, frameProperties, addonProperties } = buildLineItemProperties(state, config, pricing);
+
+  const items = [
+    { id: lensProduct.variantId, quantity, properties: lensProperties },
+    { id: frame.variantId, quantity, properties: frameProperties },
+    ...(state.addons ?? []).map((addon, index) => ({
+      id: addon.variantId,
+      quantity,
+      properties: addonProperties[index],
+    })),
+  ];
+
+  const url = globalThis.Theme?.routes?.cart_add_url ?? CART_ADD_URL_FALLBACK;
+  const response = await postCart(
+    url,
+    { items, sections: (sectionIds ?? []).join(',') },
+    'Could not add to cart. Please try again.'
+  );
+
+  await trackQueuedSave(state, lensProperties._bundleHash).catch((error) =>
+    console.warn('rx: could not track the queued prescription save', error)
+  );
+  return response;
+}
+
+/**
+ * A save still in the outbox: the lens line went in without an rxUID and
+ * picks it up once the save is through (see watchQueuedSaves).
+ * @param {RxState} state
+ * @param {string} bundleHash
+ */
+async function trackQueuedSave(state, bundleHash) {
+  const rx = state.prescription;
+  if (!rx?.saveKey || rx.rxUID) return;
+  const { rxOutbox } = await rxImport('rx-api.js');
+  if (await rxOutbox.link(state.prescription.saveKey, { bundleHash })) return;
+  // Sent while the bundle was being added; the drawer has its rxUID by now.
+  const rxUID = state.prescription?.rxUID;
+  if (rxUID) await linkQueuedSave(bundleHash, rxUID);
+}
+
+/**
+ * Write a prescription's rxUID onto the lens line of the bundle it was added
+ * with. A bundle added while its save waited in the outbox carries no
+ * prescription reference until then. Resolves null when the bundle has left
+ * the cart — or the order was placed first, in which case the prescription is
+ * attached from my-orders like any added later.
+ * @param {string} bundleHash
+ * @param {string} rxUID
+ * @returns {Promise<CartResponse | null>} the updated cart
+ */
+export async function linkQueuedSave(bundleHash, rxUID) {
+  const cartUrl = globalThis.Theme?.routes?.cart_url ?? '/cart';
+  const cart = await (await fetch(`${cartUrl}.js`, { headers: { Accept: 'application/json' } })).json();
+  /** @type {RxCartLine | undefined} */
+  const lens = listRxBundles(cart).find(
+    (/** @type {import('./rx-core.js').RxBundle} */ bundle) => bundle.lens.properties?._bundleHash === bundleHash
+  )?.lens;
+  if (!lens || lens.properties?.['Prescription RX UID']) return null;
+
+  const url = globalThis.Theme?.routes?.cart_change_url ?? CART_CHANGE_URL_FALLBACK;
+  return postCart(
+    url,
+    { id: lens.key, quantity: lens.quantity, properties: { ...lens.properties, 'Prescription RX UID': rxUID } },
+    'Could not update your cart.'
+  );
+}
+
+/**
+ * Swap a bundle already in the cart for the configured one ("Edit lenses").
+ *
+ * With the same lens, frame and add-ons (a prescription or PD edit) only the
+ * lens line's properties differ, so one `/cart/change.js` call rewrites it in
+ * place under the bundle's own `_bundleHash` — the frame and add-on lines
+ * carry nothing that changed.
+ *
+ * A new variant is a new line: the Ajax Cart API can't change a line's
+ * variant, and `/cart/update.js` can't add lines with properties, so the new
+ * pair is added first (under a fresh `_bundleHash`) and the old pair removed
+ * in one `/cart/update.js` call; if that removal fails the new pair is taken
+ * out again. That is two requests, not a transaction: a cart read in between
+ * (another tab) sees both pairs, and if the rollback fails as well both stay
+ * in the cart — the error is logged and the add's failure is thrown, so the
+ * shopper is told and sees the extra pair on the cart page.
+ *
+ * @param {RxState} state
+ * @param {RxEditedBundle} bundle - the lines being replaced
+ * @param {{subdomain?: string, providerNumber?: string, healthFundNumbers?: string}} [config]
+ * @param {string[]} [sectionIds]
+ * @param {{pricing?: Object | null}} [opts]
+ * @returns {Promise<CartResponse>} the cart/change.js or cart/update.js response (includes `sections`)
+ */
+export async function replaceRxBundle(state, bundle, config = {}, sectionIds = [], { pricing = null } = {}) {
+  const { lensKey, frameKey, addonKeys = [], quantity = 1, bundleHash } = bundle;
+  if (bundleHash && keepsVariants(state, bundle)) {
+    const { lensProperties } = buildLineItemProperties(state, config, pricing);
+    const url = globalThis.Theme?.routes?.cart_change_url ?? CART_CHANGE_URL_FALLBACK;
+    const cart = await postCart(
+      url,
+      {
+        id: lensKey,
+        quantity,
+        properties: { ...lensProperties, _bundleHash: bundleHash },
+        sections: (sectionIds ?? []).join(','),
+      },
+      'Could not update your cart. Please try again.'
+    );
+    await trackQueuedSave(state, bundleHash).catch((error) =>
+      console.warn('rx: could not track the queued prescription save', error)
+    );
+    return cart;
+  }
+
+  const added = await addRxBundle(state, config, [], { quantity, pricing });
+
+  const url = globalThis.Theme?.routes?.cart_update_url ?? CART_UPDATE_URL_FALLBACK;
+  const updates = Object.fromEntries([lensKey, frameKey, ...addonKeys].map((key) => [key, 0]));
+  try {
+    return await postCart(
+      url,
+      { updates, sections: (sectionIds ?? []).join(',') },
+      'Could not update your cart. Please try again.'
+    );
+  } catch (error) {
+    const keys = (added?.items ?? []).map((item) => item.key).filter(Boolean);
+    if (keys.length) {
+      await postCart(url, { updates: Object.fromEntries(keys.map((key) => [key, 0])) }, 'Rollback failed').catch(
+        (rollback) => console.error('rx: could not roll back bundle edit', rollback)
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether the configured bundle is the edited one's lens, frame and add-ons.
+ * @param {RxState} state
+ * @param {RxEditedBundle} bundle
+ */
+function keepsVariants(state, bundle) {
+  const ids = (/** @type {(number | undefined)[]} */ list) => list.map(String).sort().join(',');
+  return (
+    String(state.lensProduct?.variantId) === String(bundle.lensVariantId) &&
+    String(state.frame?.variantId) === String(bundle.frameVariantId) &&
+    ids((state.addons ?? []).map((addon) => addon.variantId)) === ids(bundle.addonVariantIds ?? [])
+  );
+}
+
+/**
+ * Find an RX bundle in a `/cart.js` cart by its lens line key.
+ * @param {{items?: RxCartLine[]}} cart
+ * @param {string} lensKey
+ * @returns {{lens: RxCartLine, frame: RxCartLine, addons: RxCartLine[]} | null}
+ */
+export function findRxBundle(cart, lensKey) {
+  /** @type {import('./rx-core.js').RxBundle | undefined} */
+  const bundle = listRxBundles(cart).find(
+    (/** @type {import('./rx-core.js').RxBundle} */ entry) => entry.lens.key === lensKey
+  );
+  if (!bundle?.frame) return null;
+  return { lens: bundle.lens, frame: bundle.frame, addons: bundle.addons };
+}
+
 // --- Browser-only component -------------------------------------------------
 
-// Shared singleton — the first RX component to initialize creates the state.
+// One state per frame (see RxStates in rx-core.js); the first RX component to
+// initialize creates the registry. `window.rxState` is this page's frame's.
+/** @returns {RxState} */
 function getRxState() {
-  window.rxState ??= new RxState();
-  return window.rxState;
+  const states = (window.rxStates ??= new RxStates());
+  const frameId = document.querySelector('[data-rx-product-data]')?.getAttribute('data-rx-frame-id');
+  return (window.rxState = states.forFrame(frameId));
 }
 
 // Product data JSON emitted once by the rx-lens-selector block.
@@ -119,10 +323,14 @@ function cartSectionIds() {
 }
 
 // Format cents with the shop money format string (e.g. "${{amount}}").
+/**
+ * @param {number | string} cents
+ * @param {string} [format]
+ */
 function formatMoney(cents, format) {
   const value = Number(cents) || 0;
   const pattern = format || '${{amount}}';
-  return pattern.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, token) => {
+  return pattern.replace(/\{\{\s*(\w+)\s*\}\}/g, (/** @type {string} */ _, /** @type {string} */ token) => {
     let precision = 2;
     let thousands = ',';
     let decimal = '.';
@@ -132,30 +340,47 @@ function formatMoney(cents, format) {
     else if (token === 'amount_with_space_separator') (thousands = ' '), (decimal = ',');
 
     const [whole, frac] = (value / 100).toFixed(precision).split('.');
-    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+    const grouped = (whole ?? '').replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
     return frac ? `${grouped}${decimal}${frac}` : grouped;
   });
 }
 
 async function defineRxPriceSummary() {
-  const [{ Component }, { CartAddEvent }] = await Promise.all([
+  const [{ Component }, { CartAddEvent, CartUpdateEvent, ThemeEvents }, { getPrescription }] = await Promise.all([
     import('@theme/component'),
     import('@theme/events'),
+    rxImport('rx-api.js'),
   ]);
 
   /**
-   * Price breakdown (Frame + Lenses = Total) and the RX add-to-cart button.
+   * Price breakdown (Frame + Lenses = Total, with any promotion savings) and
+   * the RX add-to-cart button.
    * The button stays disabled until the configurator is complete; on success it
    * dispatches the theme's CartAddEvent so the native cart drawer opens/updates.
+   *
+   * Opened from a cart bundle's "Edit lenses" link (`?rx_edit=<lens line key>`)
+   * it restores that bundle and the button replaces it instead of adding.
+   *
+   * With `data-after-add="stay"` (several pairs in one visit) an add keeps the
+   * shopper on the page and lists the RX bundles now in the cart instead.
    */
   class RxPriceSummary extends Component {
+    /** @type {RxState} */
     #state;
     #busy = false;
+    /** @type {RxEditedBundle | null} */
+    #editing = null;
+    #ctaLabel = '';
+    // RX bundles already in the cart, for second-pair rules.
+    #pairsInCart = 0;
+    /** @type {import('./rx-core.js').RxBundle[] | null} the cart's bundles after a "stay" add */
+    #bundles = null;
     #onChange = () => this.#render();
 
     // Reference-site flow: submitting the prescription drawer (or choosing
     // "add later") continues straight into the cart add. The PDP has exactly
     // one drawer; my-orders hosts its own but never renders a price summary.
+    /** @param {Event} event */
     #onPrescriptionSubmit = (event) => {
       if (event.target instanceof Element && event.target.matches('rx-prescription-drawer')) {
         this.addToCart({ fromDrawer: true });
@@ -167,16 +392,51 @@ async function defineRxPriceSummary() {
       this.#state = getRxState();
       this.#state.addEventListener('rx:change', this.#onChange);
       document.addEventListener('rx:prescription-submit', this.#onPrescriptionSubmit);
+      document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
       this.#render();
+      this.#loadCart();
     }
 
     disconnectedCallback() {
       super.disconnectedCallback();
       this.#state?.removeEventListener('rx:change', this.#onChange);
       document.removeEventListener('rx:prescription-submit', this.#onPrescriptionSubmit);
+      document.removeEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    }
+
+    // A pair added or removed anywhere (this button, the cart drawer) changes
+    // second-pair pricing, so every cart update recounts.
+    /** @param {Event} event */
+    #onCartUpdate = async (event) => {
+      if (!getRxProductData()?.pricingRules?.length) return;
+      let cart = /** @type {CustomEvent} */ (event).detail?.resource;
+      if (!Array.isArray(cart?.items)) {
+        try {
+          const cartUrl = window.Theme?.routes?.cart_url || '/cart';
+          cart = await (await fetch(`${cartUrl}.js`, { headers: { Accept: 'application/json' } })).json();
+        } catch (error) {
+          console.error('rx: could not read the cart', error);
+          return;
+        }
+      }
+      this.#countPairs(cart);
+      this.#render();
+    };
+
+    /**
+     * RX pairs in the cart, for second-pair rules. The bundle being edited is
+     * this pair, not an earlier one.
+     * @param {{items?: RxCartLine[]}} cart
+     * @param {string | null} [editingKey]
+     */
+    #countPairs(cart, editingKey = this.#editing?.lensKey ?? null) {
+      this.#pairsInCart = countRxPairs(cart, editingKey);
     }
 
-    /** Add the configured bundle to the cart. Bound via `on:click="/addToCart"`. */
+    /**
+     * Add the configured bundle to the cart. Bound via `on:click="/addToCart"`.
+     * @param {{fromDrawer?: boolean}} [opts]
+     */
     async addToCart(opts = {}) {
       const state = this.#state;
       if (this.#busy || !state?.lensProduct) return;
@@ -184,7 +444,10 @@ async function defineRxPriceSummary() {
       // No prescription yet: the button opens the drawer; the submit event
       // brings us back here with the prescription in place.
       if (!state.isComplete && !opts.fromDrawer) {
-        document.querySelector('rx-prescription-drawer')?.start?.();
+        const drawer = /** @type {(HTMLElement & {start?: () => void}) | null} */ (
+          document.querySelector('rx-prescription-drawer')
+        );
+        drawer?.start?.();
         return;
       }
       if (!state.isComplete) return;
@@ -194,19 +457,32 @@ async function defineRxPriceSummary() {
       this.#render();
 
       try {
-        const response = await addRxBundle(state, getRxConfig(), cartSectionIds());
-
-        this.dispatchEvent(
-          new CartAddEvent({}, this.id, {
-            source: 'rx-cart',
-            itemCount: 2,
-            productId: state.frame.productId,
-            sections: response.sections,
-          })
-        );
-
-        // This store runs without a cart drawer — take the customer to the cart.
-        window.location.assign(window.Theme?.routes?.cart_url || '/cart');
+        const pricing = this.#pricing();
+        if (this.#editing) {
+          const cart = await replaceRxBundle(state, this.#editing, getRxConfig(), cartSectionIds(), { pricing });
+          this.dispatchEvent(
+            new CartUpdateEvent({}, this.id, {
+              source: 'rx-cart',
+              itemCount: cart.item_count,
+              sections: cart.sections,
+            })
+          );
+        } else {
+          const response = await addRxBundle(state, getRxConfig(), cartSectionIds(), { pricing });
+          this.dispatchEvent(
+            new CartAddEvent({}, this.id, {
+              source: 'rx-cart',
+              itemCount: 2 + (state.addons?.length ?? 0),
+              productId: String(state.frame?.productId ?? ''),
+              sections: response.sections,
+            })
+          );
+        }
+
+        // This store runs without a cart drawer — take the customer to the cart,
+        // unless they're ordering several pairs. An edit always ends there.
+        if (this.dataset.afterAdd === 'stay' && !this.#editing) await this.#showBundles();
+        else window.location.assign(window.Theme?.routes?.cart_url || '/cart');
       } catch (error) {
         console.error('rx: add to cart failed', error);
         this.#setError(error?.message || 'Could not add to cart. Please try again.');
@@ -216,19 +492,201 @@ async function defineRxPriceSummary() {
       }
     }
 
+    #pricing() {
+      const data = getRxProductData();
+      return evaluatePricing(this.#state, data?.pricingRules ?? [], {
+        frameTags: data?.frame?.tags ?? [],
+        pairsInCart: this.#pairsInCart,
+        tierSphThreshold: data?.config?.tierSphThreshold ?? 2,
+      });
+    }
+
+    // The pair is in: list every RX bundle in the cart, and count this one
+    // towards second-pair pricing for the next.
+    async #showBundles() {
+      let cart;
+      try {
+        const cartUrl = window.Theme?.routes?.cart_url || '/cart';
+        cart = await (await fetch(`${cartUrl}.js`, { headers: { Accept: 'application/json' } })).json();
+      } catch (error) {
+        console.error('rx: could not read the cart', error);
+        window.location.assign(window.Theme?.routes?.cart_url || '/cart');
+        return;
+      }
+      this.#bundles = listRxBundles(cart);
+      this.#countPairs(cart);
+      this.#renderBundles();
+      this.querySelector('[data-rx-added]')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    #renderBundles() {
+      const panel = this.querySelector('[data-rx-added]');
+      if (!(panel instanceof HTMLElement)) return;
+      const bundles = this.#bundles ?? [];
+      panel.hidden = !bundles.length;
+
+      const format = this.#moneyFormat();
+      const count = bundles.reduce((sum, bundle) => sum + (bundle.lens.quantity || 0), 0);
+      this.#setText('[data-rx-added-count]', `${count} ${count === 1 ? 'pair' : 'pairs'} in your cart`);
+      const list = this.querySelector('[data-rx-bundles]');
+      list?.replaceChildren(
+        ...bundles.map((bundle) => {
+          const item = document.createElement('li');
+          item.className = 'rx-price-summary__bundle';
+          const label = document.createElement('span');
+          label.className = 'rx-price-summary__label';
+          label.textContent = bundle.frame?.product_title ?? bundle.lens.product_title ?? '';
+          const detail = document.createElement('span');
+          detail.className = 'rx-price-summary__detail';
+          detail.textContent = [bundle.lens.product_title, bundle.lens.quantity > 1 ? `× ${bundle.lens.quantity}` : '']
+            .filter(Boolean)
+            .join(' ');
+          label.append(detail);
+          const value = document.createElement('span');
+          value.className = 'rx-price-summary__value';
+          value.textContent = formatMoney(bundle.price, format);
+          item.append(label, value);
+          return item;
+        })
+      );
+    }
+
+    // The cart decides second-pair pricing and holds the bundle `?rx_edit`
+    // names; one read serves both.
+    async #loadCart() {
+      const lensKey = new URL(window.location.href).searchParams.get('rx_edit');
+      const rules = getRxProductData()?.pricingRules ?? [];
+      if (!lensKey && !rules.length) return;
+
+      let cart = null;
+      try {
+        const cartUrl = window.Theme?.routes?.cart_url || '/cart';
+        const response = await fetch(`${cartUrl}.js`, { headers: { Accept: 'application/json' } });
+        cart = await response.json();
+      } catch (error) {
+        console.error('rx: could not read the cart', error);
+        return;
+      }
+
+      this.#countPairs(cart, lensKey);
+
+      if (lensKey) await this.#startEdit(cart, lensKey);
+      this.#render();
+    }
+
+    // Reopen the configurator on the cart bundle named by `?rx_edit`. The cart
+    // only carries the prescription's references, so a signed-in customer's
+    // saved record is fetched for the values; otherwise the drawer opens on
+    // the PD alone and the lens keeps its tier.
+    /**
+     * @param {{items?: RxCartLine[]}} cart
+     * @param {string} lensKey
+     */
+    async #startEdit(cart, lensKey) {
+      if (this.#editing) return;
+
+      try {
+        const bundle = findRxBundle(cart, lensKey);
+        // A stale link (back button, another tab already changed the cart).
+        if (!bundle) return;
+
+        const state = this.#state;
+        const data = getRxProductData();
+        const snapshot = snapshotFromCartLine(bundle.lens, data?.lensCategories ?? [], {
+          frame: state.frame ?? {},
+          addons: data?.addons ?? [],
+          addonLines: bundle.addons,
+        });
+        if (!snapshot) return;
+
+        const rx = snapshot.prescription;
+        const drawer = document.querySelector('rx-prescription-drawer');
+        if (rx?.rxUID && drawer instanceof HTMLElement && drawer.dataset.customer === 'true') {
+          try {
+            const entry = await getPrescription(rx.rxUID);
+            snapshot.prescription = {
+              ...rx,
+              method: 'saved',
+              values: mapOcrToValues(entry.prescriptionData),
+              referenceOnly: false,
+            };
+          } catch (error) {
+            console.error('rx: could not load the prescription being edited', error);
+          }
+        }
+
+        this.#editing = {
+          lensKey,
+          frameKey: bundle.frame.key,
+          addonKeys: bundle.addons.map((item) => item.key),
+          quantity: bundle.lens.quantity,
+          bundleHash: bundle.lens.properties?._bundleHash,
+          lensVariantId: bundle.lens.variant_id,
+          frameVariantId: bundle.frame.variant_id,
+          addonVariantIds: bundle.addons.map((item) => item.variant_id),
+        };
+        state.restore(snapshot);
+      } catch (error) {
+        console.error('rx: could not open the cart bundle for editing', error);
+      }
+    }
+
+    // One line per applied rule, then the pre-saving total struck through. The
+    // cart itself shows full prices: the saving comes from the shop's discount
+    // function at checkout, and each line says so.
+    /**
+     * @param {import('./rx-core.js').RxPriceBreakdown} pricing
+     * @param {string | undefined} format
+     */
+    #renderSavings(pricing, format) {
+      const list = this.querySelector('[data-rx-savings]');
+      if (list instanceof HTMLElement) {
+        list.replaceChildren(
+          ...pricing.savings.map((entry) => {
+            const line = document.createElement('div');
+            line.className = 'rx-price-summary__line rx-price-summary__line--saving';
+            const label = document.createElement('span');
+            label.className = 'rx-price-summary__label';
+            label.textContent = entry.label;
+            const note = document.createElement('span');
+            note.className = 'rx-price-summary__detail';
+            note.textContent = this.dataset.savingsNote || 'Applied at checkout';
+            label.append(note);
+            const value = document.createElement('span');
+            value.className = 'rx-price-summary__value';
+            value.textContent = `−${formatMoney(entry.amount, format)}`;
+            line.append(label, value);
+            return line;
+          })
+        );
+        list.hidden = pricing.savings.length === 0;
+      }
+
+      const was = this.querySelector('[data-rx-subtotal-price]');
+      if (was instanceof HTMLElement) {
+        was.textContent = formatMoney(pricing.subtotal, format);
+        was.hidden = pricing.totalSavings === 0;
+      }
+    }
+
     #moneyFormat() {
       const tpl = this.querySelector('[data-rx-money-format]');
       return tpl instanceof HTMLTemplateElement ? tpl.content.textContent?.trim() : tpl?.textContent?.trim();
     }
 
+    /**
+     * @param {string} selector
+     * @param {string} text
+     */
     #setText(selector, text) {
       const el = this.querySelector(selector);
       if (el) el.textContent = text;
     }
 
+    /** @param {string} message */
     #setError(message) {
       const el = this.querySelector('[data-rx-error]');
-      if (!el) return;
+      if (!(el instanceof HTMLElement)) return;
       el.textContent = message;
       el.hidden = !message;
     }
@@ -245,16 +703,31 @@ async function defineRxPriceSummary() {
       const format = this.#moneyFormat();
       const lens = state.lensProduct;
       const lensPrice = lens?.price ?? 0;
+      const pricing = this.#pricing();
 
       this.#setText('[data-rx-frame-price]', formatMoney(frame.price ?? 0, format));
       this.#setText('[data-rx-lens-price]', formatMoney(lensPrice, format));
-      this.#setText('[data-rx-total-price]', formatMoney(state.totalPrice, format));
+      this.#setText('[data-rx-total-price]', formatMoney(pricing.total, format));
+      this.#renderSavings(pricing, format);
 
       const lensLine = this.querySelector('[data-rx-lens-line]');
-      if (lensLine) lensLine.hidden = !lens;
+      if (lensLine instanceof HTMLElement) lensLine.hidden = !lens;
+
+      const addons = state.addons ?? [];
+      this.#setText('[data-rx-addons-price]', formatMoney(state.addonsPrice, format));
+      this.#setText('[data-rx-addons-names]', addons.map((addon) => addon.title).join(', '));
+      const addonsLine = this.querySelector('[data-rx-addons-line]');
+      if (addonsLine instanceof HTMLElement) addonsLine.hidden = !lens || addons.length === 0;
 
       const button = this.querySelector('[data-rx-atc]');
-      if (button instanceof HTMLButtonElement) button.disabled = this.#busy || !state.lensProduct;
+      if (button instanceof HTMLButtonElement) {
+        button.disabled = this.#busy || !state.lensProduct;
+        this.#ctaLabel ||= button.textContent?.trim() ?? '';
+        button.textContent = this.#editing ? this.dataset.updateLabel || 'Update bundle' : this.#ctaLabel;
+      }
+
+      const editing = this.querySelector('[data-rx-editing]');
+      if (editing instanceof HTMLElement) editing.hidden = !this.#editing;
 
       this.classList.toggle('rx-price-summary--busy', this.#busy);
     }
@@ -265,7 +738,26 @@ async function defineRxPriceSummary() {
   }
 }
 
+// Catch up bundles added while their save was queued (linkQueuedSave). Any
+// page that loads this module replays the outbox, so any page can finish it.
+async function watchQueuedSaves() {
+  const [{ CartUpdateEvent }, { rxOutbox }] = await Promise.all([import('@theme/events'), rxImport('rx-api.js')]);
+  rxOutbox.addEventListener('rx:outbox-sent', async (/** @type {CustomEvent} */ event) => {
+    const { entry, result } = event.detail;
+    if (!entry.link?.bundleHash || !result?.rxUID) return;
+    try {
+      const cart = await linkQueuedSave(entry.link.bundleHash, result.rxUID);
+      // The line's key changed with its properties; refresh whatever lists it.
+      if (!cart) return;
+      document.dispatchEvent(new CartUpdateEvent(cart, 'rx-cart', { source: 'rx-cart', itemCount: cart.item_count }));
+    } catch (error) {
+      console.warn('rx: could not link the saved prescription to the cart', error);
+    }
+  });
+}
+
 // Define the component only in the browser; keeps this module node-testable.
 if (typeof customElements !== 'undefined') {
   defineRxPriceSummary().catch((error) => console.error('rx: price summary init failed', error));
+  watchQueuedSaves().catch((error) => console.error('rx: outbox watch failed', error));
 }
@@ -1,7 +1,11 @@
+import { ThemeEvents } from '@theme/events';
+
 // Resolve shared RX modules via the versioned import map (see
 // snippets/rx-import-map.liquid) — unversioned relative imports would be
 // CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
 function rxImport(name) {
+  /** @type {Record<string, string>} */
   let map = {};
   if (typeof document !== 'undefined') {
     try {
@@ -13,8 +17,6 @@ function rxImport(name) {
   return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
 }
 
-const { lensColorSlug, stripImageSizeParams } = await rxImport('rx-core.js');
-const { recolorLensImage } = await rxImport('rx-api.js');
 
 (function initRxCollection() {
   if (window.__rxCollectionInit) return;
@@ -23,6 +25,7 @@ const { recolorLensImage } = await rxImport('rx-api.js');
   const configEl = document.querySelector('[data-rx-collection]');
   if (!configEl) return;
 
+  /** @type {Record<string, any>} */
   let config;
   try {
     config = JSON.parse(configEl.textContent);
@@ -31,14 +34,15 @@ const { recolorLensImage } = await rxImport('rx-api.js');
   }
 
   const view = (config.view || '').trim();
-  // Coatings are invisible on a photo — all Clear options share one render.
-  const rawSlug = lensColorSlug(config.lensColor || '');
-  const slug = rawSlug.startsWith('clear') ? 'clear' : rawSlug;
+  const lensColor = (config.lensColor || '').trim();
+  // Loaded only when there is something to recolor; it watches the page itself.
+  if (lensColor) rxImport('rx-recolor-service.js');
 
   // Scoped so recommendations and other sections keep their default links and
   // photos. Defaults to the collection grid; pages that show a product-list
   // section point it at that container instead.
   const GRID = (config.scope || '').trim() || '.product-grid-container';
+  const QUICK_ADD = '#quick-add-modal-content, #quick-add-modal-content-cl';
 
   // --- Card links → alternate product view -----------------------------------
 
@@ -59,150 +63,318 @@ const { recolorLensImage } = await rxImport('rx-api.js');
   }
 
   // --- Card photos → recolored lens renders ----------------------------------
+  //
+  // The recolor service does the work: cards in scope, and the quick-add
+  // dialog opened from them, opt in with the configured color.
+
+  function optInCards() {
+    if (!lensColor) return;
+    for (const el of document.querySelectorAll(`${GRID} product-card, ${QUICK_ADD}`)) {
+      if (el.getAttribute('data-rx-recolor') !== lensColor) el.setAttribute('data-rx-recolor', lensColor);
+    }
+  }
+
+  // --- Fits my prescription -------------------------------------------------
+  //
+  // The storefront filters on the base-curve tags that can take the powers
+  // (fitFilterTags in rx-core.js), so results and counts are narrowed through
+  // the facets; each card is then judged from its tags (frameFitsPrescription)
+  // for what a tag filter can't ask. Only the powers are kept, in this tab's
+  // sessionStorage, so the filter follows the shopper through pagination and
+  // back from a product page.
 
-  function publicImageUrl(src) {
+  const FIT_KEY = 'rx:fit';
+  const fit = config.fit ?? null;
+  const fitRoot = document.querySelector('[data-rx-fit]');
+  const fitForm = /** @type {HTMLFormElement | null | undefined} */ (fitRoot?.querySelector('[data-rx-fit-form]'));
+  const FIT_FIELDS = ['sph_od', 'cyl_od', 'sph_os', 'cyl_os'];
+  const FIT_PARAM = String(fit?.filterParam || '').trim() || 'filter.p.tag';
+  /** @type {Record<string, string>} */
+  const FIT_BADGES = {
+    fits: 'Fits your prescription',
+    power: "Outside this frame's power range",
+    tier: 'No lenses for your prescription',
+  };
+  /** @type {typeof import('./rx-core.js') | null} */
+  let fitCore = null;
+  /** @type {NonNullable<Parameters<typeof import('./rx-core.js').frameFitsPrescription>[2]>} */
+  let fitRules = {};
+  /** @type {Record<string, string> | null} */
+  let fitValues = null;
+
+  function readFitValues() {
     try {
-      const u = new URL(src, location.href);
-      const shop = window.Shopify?.shop;
-      if (shop && u.pathname.startsWith('/cdn/')) return `https://${shop}${u.pathname}${u.search}`;
-      return u.href;
+      return JSON.parse(sessionStorage.getItem(FIT_KEY) ?? 'null');
     } catch {
-      return src;
+      return null;
     }
   }
 
-  function isShopImage(src) {
+  /** @param {Record<string, string> | null} values */
+  function writeFitValues(values) {
     try {
-      return new URL(src, location.href).pathname.startsWith('/cdn/');
+      if (values) sessionStorage.setItem(FIT_KEY, JSON.stringify(values));
+      else sessionStorage.removeItem(FIT_KEY);
     } catch {
-      return false;
+      // storage blocked — the filter lasts until the next page view
     }
   }
 
-  function preloadImage(url, timeoutMs = 15000) {
-    return new Promise((resolve) => {
-      const probe = new Image();
-      const timer = setTimeout(() => {
-        probe.src = '';
-        resolve(false);
-      }, timeoutMs);
-      probe.onload = () => {
-        clearTimeout(timer);
-        resolve(true);
-      };
-      probe.onerror = () => {
-        clearTimeout(timer);
-        resolve(false);
-      };
-      probe.src = url;
-    });
+  /** @param {string} text */
+  function setFitMessage(text) {
+    const message = fitRoot?.querySelector('[data-rx-fit-message]');
+    if (message) message.textContent = text;
+  }
+
+  // Cards are badged, never hidden: the grid only holds one page of results,
+  // so hiding would leave pages short and the collection's counts wrong — the
+  // filter params above do the narrowing. Only touch the DOM when a card's verdict changes: the observer below
+  // watches childList, and an unchanged pass must not schedule another one.
+  function markCards() {
+    if (!fitCore) return;
+    let total = 0;
+    let fitting = 0;
+    for (const card of document.querySelectorAll(`${GRID} product-card`)) {
+      const tags = (card.getAttribute('data-product-tags') || '').split(',').filter(Boolean);
+      const result = fitValues ? fitCore.frameFitsPrescription(tags, fitValues, fitRules) : null;
+      const verdict = !result ? '' : result.fits ? 'yes' : 'no';
+      if (result) {
+        total += 1;
+        if (result.fits) fitting += 1;
+      }
+
+      if ((card.getAttribute('data-rx-fit') ?? '') !== verdict) {
+        if (verdict) card.setAttribute('data-rx-fit', verdict);
+        else card.removeAttribute('data-rx-fit');
+      }
+      const label = result ? FIT_BADGES[result.fits ? 'fits' : (result.reason ?? '')] : '';
+      let badge = card.querySelector('.rx-fit-badge');
+      if (!label) {
+        badge?.remove();
+        continue;
+      }
+      if (!badge) {
+        badge = document.createElement('span');
+        card.querySelector('.product-card__content')?.append(badge);
+      }
+      const className = `rx-fit-badge rx-fit-badge--${result?.fits ? 'fits' : 'misfit'}`;
+      if (badge.className !== className) badge.className = className;
+      if (badge.textContent !== label) badge.textContent = label;
+    }
+
+    const status = fitRoot?.querySelector('[data-rx-fit-status]');
+    const text = fitValues ? `${fitting} of ${total} on this page fit` : '';
+    if (status && status.textContent !== text) status.textContent = text;
+    fitRoot?.querySelector('[data-rx-fit-clear]')?.toggleAttribute('hidden', !fitValues);
+  }
+
+  /** @param {Record<string, string> | null} values */
+  function fillFitForm(values) {
+    if (!fitForm) return;
+    for (const name of FIT_FIELDS) {
+      const input = fitForm.elements.namedItem(name);
+      if (input instanceof HTMLInputElement) input.value = values?.[name] ?? '';
+    }
   }
 
-  // Two request lanes keep the recolor service load modest on large grids.
-  const queue = [];
-  let active = 0;
-  function enqueue(job) {
-    queue.push(job);
-    pump();
-  }
-  function pump() {
-    while (active < 2 && queue.length) {
-      const job = queue.shift();
-      active++;
-      job().finally(() => {
-        active--;
-        pump();
-      });
+  /**
+   * The URL with the fit filter params for the current values, replacing any
+   * base-curve values of the param we set before; other filters are kept.
+   * @param {string} href
+   */
+  function fitFilterURL(href) {
+    const url = new URL(href);
+    const tags = fitValues && fitCore ? fitCore.fitFilterTags(fitValues, fitRules) : null;
+    const own = Object.keys(fitRules.baseCurves ?? {});
+    const kept = url.searchParams.getAll(FIT_PARAM).filter((value) => !own.includes(value));
+    url.searchParams.delete(FIT_PARAM);
+    for (const value of [...kept, ...(tags ?? [])]) url.searchParams.append(FIT_PARAM, value);
+    url.searchParams.delete('page');
+    return url;
+  }
+
+  // Goes through the facets form when the page has one, so the grid and the
+  // filter counts re-render in place like any other filter.
+  function filterByFit() {
+    const url = fitFilterURL(location.href);
+    if (url.search === new URL(location.href).search) return;
+    const facets = /** @type {(HTMLElement & {updateFiltersByURL?: (url: string) => void}) | null} */ (
+      document.querySelector('facets-form-component')
+    );
+    if (facets?.updateFiltersByURL) facets.updateFiltersByURL(url.toString());
+    else location.assign(url.toString());
+  }
+
+  /** @param {Record<string, string> | null} values */
+  function applyFit(values) {
+    fitValues = values;
+    writeFitValues(values);
+    const tags = values && fitCore ? fitCore.fitFilterTags(values, fitRules) : null;
+    setFitMessage(tags && !tags.length ? 'None of these frames can be glazed for that prescription.' : '');
+    markCards();
+    filterByFit();
+  }
+
+  /** @param {SubmitEvent} event */
+  function onFitSubmit(event) {
+    event.preventDefault();
+    if (!fitForm) return;
+    /** @type {Record<string, string>} */
+    const values = {};
+    for (const name of FIT_FIELDS) {
+      const input = fitForm.elements.namedItem(name);
+      const value = input instanceof HTMLInputElement ? input.value.trim() : '';
+      if (value !== '') values[name] = value;
     }
+    if (!Object.keys(values).length) return setFitMessage('Enter at least one SPH or CYL value.');
+    applyFit(values);
   }
 
-  // Normalized original url → loaded render url. Lets the hover swap-back
-  // (cards restore their stock src on mouseout) be re-recolored without a
-  // network round-trip.
-  const renders = new Map();
+  function onFitClear() {
+    fillFitForm(null);
+    applyFit(null);
+  }
 
-  async function recolorCard(img) {
-    const src = img.currentSrc || img.src;
-    if (!src || !isShopImage(src)) return;
-    const original = stripImageSizeParams(publicImageUrl(src));
+  // Saved prescriptions are only reachable signed in, and only fetched once
+  // the shopper asks for them; the list carries names, the values come per pick.
+  async function openSavedFit() {
+    const select = fitRoot?.querySelector('[data-rx-fit-saved-list]');
+    if (!(select instanceof HTMLSelectElement)) return;
+    setFitMessage('Loading your saved prescriptions…');
     try {
-      const data = await recolorLensImage(original, slug);
-      // Swap only once the render actually loaded — an unreachable CDN must
-      // never blank a card; the original photo simply stays.
-      if (!data?.url || !(await preloadImage(data.url))) return;
-      renders.set(original, data.url);
-      img.srcset = '';
-      img.removeAttribute('sizes');
-      img.src = data.url;
-    } catch {
-      // keep the original photo
+      const { listPrescriptions } = await rxImport('rx-api.js');
+      const saved = await listPrescriptions();
+      if (!saved.length) return setFitMessage('You have no saved prescriptions yet.');
+      const placeholder = new Option('Choose a prescription', '');
+      select.replaceChildren(
+        placeholder,
+        ...saved.map(
+          (/** @type {import('./rx-api.js').SavedPrescription} */ entry) =>
+            new Option(entry.name || entry.rxUID, entry.rxUID)
+        )
+      );
+      select.hidden = false;
+      select.focus();
+      setFitMessage('');
+    } catch (error) {
+      console.warn('rx: could not load saved prescriptions', error);
+      setFitMessage('We could not load your saved prescriptions. Enter the values instead.');
     }
   }
 
-  // Re-assert a known render when a card restores its stock photo (hover-out,
-  // grid morphs). Hover's secondary photos aren't in the map and stay as is.
-  function reassertRenders() {
-    if (!slug || renders.size === 0) return;
-    for (const img of document.querySelectorAll(`${GRID} img.product-media__image`)) {
-      const src = img.currentSrc || img.src;
-      if (!src || !isShopImage(src)) continue;
-      const render = renders.get(stripImageSizeParams(publicImageUrl(src)));
-      if (render && img.src !== render) {
-        img.srcset = '';
-        img.removeAttribute('sizes');
-        img.src = render;
+  /** @param {string} rxUID */
+  async function useSavedFit(rxUID) {
+    if (!rxUID || !fitCore) return;
+    setFitMessage('Loading prescription…');
+    try {
+      const { getPrescription } = await rxImport('rx-api.js');
+      const entry = await getPrescription(rxUID);
+      const mapped = fitCore.mapOcrToValues(entry.prescriptionData);
+      /** @type {Record<string, string>} */
+      const values = {};
+      for (const name of FIT_FIELDS) {
+        if (mapped[name] != null && mapped[name] !== '') values[name] = String(mapped[name]);
       }
+      fillFitForm(values);
+      applyFit(Object.keys(values).length ? values : null);
+    } catch (error) {
+      console.warn('rx: could not load the saved prescription', error);
+      setFitMessage('We could not load that prescription. Enter the values instead.');
     }
   }
 
-  const seen = new WeakSet();
-  const io = new IntersectionObserver(
-    (entries) => {
-      for (const entry of entries) {
-        if (!entry.isIntersecting) continue;
-        io.unobserve(entry.target);
-        enqueue(() => recolorCard(entry.target));
-      }
-    },
-    { rootMargin: '300px' }
-  );
+  async function initFit() {
+    if (!fit) return;
+    const core = (fitCore = await rxImport('rx-core.js'));
+    fitRules = {
+      lenses: Array.isArray(fit.lenses) ? fit.lenses : [],
+      altFrameTags: Array.isArray(fit.altFrameTags) ? fit.altFrameTags : undefined,
+      baseCurves: core.parseBaseCurveLimits(fit.baseCurves),
+      tierSphThreshold: Number(fit.tierSphThreshold) || 2,
+    };
 
-  // Lazy: only the first (featured) photo of each card, as it nears the viewport.
-  function observeCards() {
-    if (!slug) return;
-    for (const card of document.querySelectorAll(`${GRID} product-card`)) {
-      const img = card.querySelector('img.product-media__image');
-      if (!img || seen.has(img)) continue;
-      seen.add(img);
-      io.observe(img);
+    if (fitForm) {
+      fitForm.addEventListener('submit', onFitSubmit);
+      fitRoot?.querySelector('[data-rx-fit-clear]')?.addEventListener('click', onFitClear);
+      fitRoot?.querySelector('[data-rx-fit-saved]')?.addEventListener('click', openSavedFit);
+      fitRoot
+        ?.querySelector('[data-rx-fit-saved-list]')
+        ?.addEventListener('change', (event) => useSavedFit(/** @type {HTMLSelectElement} */ (event.target).value));
     }
+
+    fitValues = readFitValues();
+    fillFitForm(fitValues);
+    markCards();
+    filterByFit();
+  }
+
+  // --- Frame size -------------------------------------------------------------
+  //
+  // Measurements come from the frame fit tool (rx-frame-fit.js), which keeps
+  // them on this device; until there are some, cards are left alone.
+
+  /** @type {typeof import('./rx-frame-fit.js') | null} */
+  let frameFit = null;
+  /** @type {Object<string, number> | null} */
+  let sizeMeasurements = null;
+
+  function markSizes() {
+    if (frameFit && sizeMeasurements) frameFit.markFrameFit(GRID, sizeMeasurements);
+  }
+
+  async function initSizeBadges() {
+    if (!config.sizeBadge) return;
+    const module = (frameFit = await rxImport('rx-frame-fit.js'));
+    sizeMeasurements = module.readMeasurements();
+    markSizes();
   }
 
-  let debounceTimer = null;
-  let reassertRaf = 0;
+  // Facets announce a change after pushing the new URL and just before
+  // re-rendering the section from it. The form only knows its own inputs, so
+  // the fit params are put back into that URL first. The cards that arrive
+  // are marked at once rather than after the debounce, so they don't show up
+  // unbadged.
+  let filterPending = false;
+  document.addEventListener(ThemeEvents.FilterUpdate, () => {
+    filterPending = Boolean(fitValues);
+    if (!fitValues || !fitCore) return;
+    const url = fitFilterURL(location.href);
+    if (url.href !== location.href) history.replaceState(history.state, '', url);
+  });
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let debounceTimer;
   function refresh() {
     rewriteLinks();
-    observeCards();
+    optInCards();
+    markCards();
+    markSizes();
   }
 
   refresh();
+  initFit().catch((error) => console.warn('rx: prescription filter unavailable', error));
+  initSizeBadges().catch((error) => console.warn('rx: frame size badges unavailable', error));
 
-  // Pagination, filtering and sorting morph the grid (childList); the hover
-  // swap-back only touches src/srcset, and picking a swatch rewrites the card's
-  // href back to the plain product URL — all of them need a pass. Rewrites of
-  // our own skip links that already carry the view, so this cannot loop.
+  // Pagination, filtering and sorting morph the grid (childList), and picking
+  // a swatch rewrites the card's href back to the plain product URL — both
+  // need a pass. Rewrites of our own skip links that already carry the view,
+  // and cards (size badges too) are only re-marked when their verdict
+  // changes, so this cannot loop. The hover swap-back is the recolor
+  // service's concern.
   const main = document.querySelector('main');
   if (main) {
     new MutationObserver(() => {
       clearTimeout(debounceTimer);
+      if (filterPending && document.querySelector(`${GRID} product-card:not([data-rx-fit])`)) {
+        filterPending = false;
+        return refresh();
+      }
       debounceTimer = setTimeout(refresh, 150);
-      cancelAnimationFrame(reassertRaf);
-      reassertRaf = requestAnimationFrame(reassertRenders);
     }).observe(main, {
       childList: true,
       subtree: true,
       attributes: true,
-      attributeFilter: ['src', 'srcset', 'href'],
+      attributeFilter: ['href'],
     });
   }
 })();
@@ -8,14 +8,65 @@
 
 // --- State -----------------------------------------------------------------
 
+/**
+ * @typedef {Object} RxFrame
+ * @property {number} productId
+ * @property {number} variantId
+ * @property {string} sku
+ * @property {number} price  In cents.
+ * @property {string} title
+ * @property {string} frameTag
+ * @property {string} baseCurveTag
+ * @property {string[]} [tags]
+ */
+
+/**
+ * @typedef {Object} RxLensProduct
+ * @property {number} id
+ * @property {number} variantId
+ * @property {string} sku
+ * @property {number} price  In cents.
+ * @property {string} title
+ * @property {string} color
+ */
+
+/**
+ * @typedef {Object} RxPrescription
+ * @property {string | null} method  'manual' | 'upload' | 'saved' | 'later'
+ * @property {Object<string, string> | null} values
+ * @property {string | null} uniqueId
+ * @property {string | null} rxUID
+ * @property {boolean} expired
+ * @property {boolean} [remember]
+ * @property {boolean} [referenceOnly]
+ * @property {string | null} [saveKey]  Outbox id of a save still queued.
+ * @property {string | null} [tier]
+ * @property {RxPdMeasurement | null} [pdMeasurement]
+ */
+
+/** @typedef {{method: 'camera', pd: number, right: number, left: number, cameraDistanceMm: number}} RxPdMeasurement */
+
+/** @typedef {'frame' | 'lensCategory' | 'visionType' | 'lensProduct' | 'addons' | 'prescription'} RxStateKey */
+
 export class RxState extends EventTarget {
-  frame = null;          // {productId, variantId, sku, price, title, frameTag, baseCurveTag}
-  lensCategory = null;   // 'clear' | 'sunglasses' | 'photochromic'
-  visionType = null;     // 'single_vision' | 'progressive' | 'non_rx'
-  lensProduct = null;    // {id, variantId, sku, price, title, color}
+  /** @type {RxFrame | null} */
+  frame = null;
+  /** @type {string | null} 'clear' | 'sunglasses' | 'photochromic' */
+  lensCategory = null;
+  /** @type {string | null} 'single_vision' | 'progressive' | 'non_rx' */
+  visionType = null;
+  /** @type {RxLensProduct | null} */
+  lensProduct = null;
+  /** @type {RxAddonSelection[]} coatings, thinning… */
+  addons = [];
+  /** @type {RxPrescription} */
   prescription = { method: null, values: null, uniqueId: null, rxUID: null, expired: false };
 
-  // Assign a field and notify subscribers.
+  /**
+   * Assign a field and notify subscribers.
+   * @param {RxStateKey} key
+   * @param {any} value
+   */
   set(key, value) {
     this[key] = value;
     this.dispatchEvent(new CustomEvent('rx:change', { detail: { key, value, state: this } }));
@@ -29,9 +80,186 @@ export class RxState extends EventTarget {
     return Boolean(this.prescription && this.prescription.method);
   }
 
-  // Frame + lens, in cents.
+  // Frame + lens + add-ons, in cents.
   get totalPrice() {
-    return (this.frame?.price || 0) + (this.lensProduct?.price || 0);
+    return (this.frame?.price || 0) + (this.lensProduct?.price || 0) + this.addonsPrice;
+  }
+
+  get addonsPrice() {
+    return (this.addons || []).reduce((sum, addon) => sum + (addon.price || 0), 0);
+  }
+
+  /**
+   * Serializable copy of the shopper's choices. Prescription values are
+   * sensitive: they are only included when the customer ticked "remember"
+   * (`prescription.remember`). Without them a captured prescription can't be
+   * put back, so only the "add later" choice survives.
+   * @param {{now?: number}} [opts]
+   * @returns {RxSnapshot}
+   */
+  snapshot({ now = Date.now() } = {}) {
+    const rx = this.prescription || {};
+    const keepRx = rx.method === 'later' || (Boolean(rx.method) && rx.remember === true);
+
+    return {
+      version: RX_SNAPSHOT_VERSION,
+      savedAt: now,
+      frameProductId: this.frame?.productId ?? null,
+      frameTag: this.frame?.frameTag || '',
+      lensCategory: this.lensCategory,
+      visionType: this.visionType,
+      lensProduct: this.lensProduct ? { ...this.lensProduct } : null,
+      addons: (this.addons || []).map((addon) => ({ ...addon })),
+      prescription: keepRx ? { ...rx, values: rx.values ? { ...rx.values } : null } : null,
+    };
+  }
+
+  /**
+   * Put a snapshot back. Anything from another schema version or older than
+   * `maxAge` is ignored. Fires the usual `rx:change` per field, then a single
+   * `rx:restore` so components can reconcile the restored lens against the
+   * catalogue the page actually carries.
+   * @param {RxSnapshot | null} snapshot
+   * @param {{now?: number, maxAge?: number}} [opts]
+   * @returns {boolean} whether anything was restored
+   */
+  restore(snapshot, { now = Date.now(), maxAge = RX_SNAPSHOT_MAX_AGE } = {}) {
+    if (!isSnapshotUsable(snapshot, { now, maxAge })) return false;
+
+    this.set('lensCategory', snapshot.lensCategory ?? null);
+    this.set('visionType', snapshot.visionType ?? null);
+    this.set('lensProduct', snapshot.lensProduct ?? null);
+    this.set('addons', snapshot.addons ?? []);
+    if (snapshot.prescription) this.set('prescription', snapshot.prescription);
+
+    this.dispatchEvent(new CustomEvent('rx:restore', { detail: { snapshot, state: this } }));
+    return true;
+  }
+}
+
+/**
+ * The page's RX states, one per frame. A shopper ordering several pairs in one
+ * visit configures each frame in its own state, so a colourway switch (a new
+ * frame on the same page) neither carries the last pair's lens over nor loses
+ * it. Every state's `rx:change` is re-dispatched here, for listeners that
+ * outlive a frame switch.
+ */
+export class RxStates extends EventTarget {
+  /** @type {Map<string, RxState>} */
+  #states = new Map();
+
+  /**
+   * The state for a frame, created on first use. Pages without a frame
+   * (my-orders) share the one keyed ''.
+   * @param {number | string | null | undefined} productId
+   * @returns {RxState}
+   */
+  forFrame(productId) {
+    const key = productId ? String(productId) : '';
+    let state = this.#states.get(key);
+    if (!state) {
+      state = new RxState();
+      state.addEventListener('rx:change', (event) => {
+        this.dispatchEvent(new CustomEvent('rx:change', { detail: /** @type {CustomEvent} */ (event).detail }));
+      });
+      this.#states.set(key, state);
+    }
+    return state;
+  }
+
+  /** Every state created so far, in creation order. */
+  get all() {
+    return [...this.#states.values()];
+  }
+}
+
+// --- Session snapshots -----------------------------------------------------
+
+/**
+ * @typedef {Object} RxSnapshot
+ * @property {number} version - RX_SNAPSHOT_VERSION at the time of writing
+ * @property {number} savedAt - epoch ms
+ * @property {number | null} frameProductId
+ * @property {string} frameTag - `frame_*` tag shared by a frame's colourways
+ * @property {string | null} lensCategory
+ * @property {string | null} visionType
+ * @property {RxLensProduct | null} lensProduct
+ * @property {RxAddonSelection[]} [addons] - absent in snapshots taken before add-ons existed
+ * @property {RxPrescription | null} prescription
+ */
+
+// Bump when the snapshot shape changes; older snapshots are then dropped
+// rather than half-restored.
+export const RX_SNAPSHOT_VERSION = 1;
+
+// A configuration left for longer than this has most likely been abandoned.
+export const RX_SNAPSHOT_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {any} snapshot
+ * @param {{now?: number, maxAge?: number}} [opts]
+ * @returns {snapshot is RxSnapshot}
+ */
+export function isSnapshotUsable(snapshot, { now = Date.now(), maxAge = RX_SNAPSHOT_MAX_AGE } = {}) {
+  if (!snapshot || typeof snapshot !== 'object') return false;
+  if (snapshot.version !== RX_SNAPSHOT_VERSION) return false;
+  if (typeof snapshot.savedAt !== 'number' || now - snapshot.savedAt > maxAge) return false;
+  return Boolean(snapshot.lensCategory);
+}
+
+/**
+ * Read the snapshot to resume for a frame from a Storage-like object: the
+ * frame's own, else the most recent one when it was taken on a colourway of the
+ * same frame (same `frame_*` tag) — a combined-listing switch is a new product
+ * page, but the shopper is still configuring the same pair.
+ * @param {Pick<Storage, 'getItem'> | null | undefined} storage
+ * @param {{productId?: number | null, frameTag?: string}} frame
+ * @param {{now?: number, maxAge?: number}} [opts]
+ * @returns {RxSnapshot | null}
+ */
+export function readRxSnapshot(storage, frame, opts = {}) {
+  if (!storage || !frame?.productId) return null;
+
+  const own = parseSnapshot(storage, rxSnapshotKey(frame.productId));
+  if (isSnapshotUsable(own, opts)) return own;
+
+  const last = parseSnapshot(storage, rxSnapshotKey('last'));
+  if (!isSnapshotUsable(last, opts) || !frame.frameTag || last.frameTag !== frame.frameTag) return null;
+  return last;
+}
+
+/**
+ * Write a snapshot under its frame's key and as the most recent one.
+ * Storage can be full or disabled (Safari private mode) — persistence is a
+ * convenience, so a failed write is simply dropped.
+ * @param {Pick<Storage, 'setItem'> | null | undefined} storage
+ * @param {RxSnapshot} snapshot
+ */
+export function writeRxSnapshot(storage, snapshot) {
+  if (!storage || !snapshot?.frameProductId) return;
+  const json = JSON.stringify(snapshot);
+  try {
+    storage.setItem(rxSnapshotKey(snapshot.frameProductId), json);
+    storage.setItem(rxSnapshotKey('last'), json);
+  } catch {
+    // quota exceeded / storage disabled
+  }
+}
+
+/** @param {number | string} id - frame product id, or 'last' */
+export function rxSnapshotKey(id) {
+  return `rx:session:${id}`;
+}
+
+/**
+ * @param {Pick<Storage, 'getItem'>} storage
+ * @param {string} key
+ */
+function parseSnapshot(storage, key) {
+  try {
+    return JSON.parse(storage.getItem(key) ?? 'null');
+  } catch {
+    return null;
   }
 }
 
@@ -40,14 +268,20 @@ export class RxState extends EventTarget {
 const EXPIRY_MONTHS = 24;
 
 // Treat these placeholders as "no value entered".
+/** @param {unknown} value */
 function isBlank(value) {
   return value == null || value === '' || value === 'Select' || value === 'N/A';
 }
 
+/** @param {unknown} value */
 function toNumber(value) {
-  return isBlank(value) ? NaN : parseFloat(value);
+  return isBlank(value) ? NaN : parseFloat(String(value));
 }
 
+/**
+ * @param {unknown} value
+ * @param {{min?: number, max?: number} | undefined} limit
+ */
 function withinLimit(value, limit) {
   if (!limit) return true;
   const n = toNumber(value);
@@ -58,6 +292,7 @@ function withinLimit(value, limit) {
 }
 
 // Parse ISO (YYYY-MM-DD) and MM/DD/YYYY-style dates.
+/** @param {unknown} dateStr */
 function parseRxDate(dateStr) {
   if (isBlank(dateStr)) return null;
   const raw = String(dateStr).trim();
@@ -67,7 +302,7 @@ function parseRxDate(dateStr) {
 
   const parts = raw.split(/[/.\-]/).map(Number);
   if (parts.length === 3 && parts.every((n) => !Number.isNaN(n))) {
-    const [a, b, c] = parts;
+    const [a = 0, b = 0, c = 0] = parts;
     return a > 31 ? new Date(a, b - 1, c) : new Date(c, a - 1, b);
   }
 
@@ -76,6 +311,10 @@ function parseRxDate(dateStr) {
 }
 
 // True when the prescription date is older than EXPIRY_MONTHS.
+/**
+ * @param {unknown} dateStr
+ * @param {Date} [now]
+ */
 export function isPrescriptionExpired(dateStr, now = new Date()) {
   const date = parseRxDate(dateStr);
   if (!date) return false;
@@ -84,6 +323,7 @@ export function isPrescriptionExpired(dateStr, now = new Date()) {
   return date < threshold;
 }
 
+/** @type {[string, string][]} */
 const RANGE_FIELDS = [
   ['sph_od', 'sph'], ['sph_os', 'sph'],
   ['cyl_od', 'cyl'], ['cyl_os', 'cyl'],
@@ -93,11 +333,16 @@ const RANGE_FIELDS = [
 ];
 
 /**
- * Validate prescription values against numeric limits.
- * Expiry is reported separately — it warns but does not fail validation.
- * @returns {{valid: boolean, errors: Object, expired: boolean}}
+ * Validate prescription values against numeric limits, then the clinical
+ * plausibility rules (see `checkClinicalRules`). Rule errors fail validation;
+ * rule warnings are returned alongside and, like expiry, never block.
+ * @param {Object<string, string>} [values]
+ * @param {Object<string, {min?: number, max?: number}>} [limits]
+ * @param {{checkExpiration?: boolean, visionType?: ?string, rules?: RxRuleConfig}} [opts]
+ * @returns {{valid: boolean, errors: Object<string, string>, warnings: RxRuleIssue[], expired: boolean}}
  */
 export function validatePrescription(values = {}, limits = {}, opts = { checkExpiration: true }) {
+  /** @type {Object<string, string>} */
   const errors = {};
 
   for (const [field, limitKey] of RANGE_FIELDS) {
@@ -114,7 +359,7 @@ export function validatePrescription(values = {}, limits = {}, opts = { checkExp
   }
 
   // Cylinder and axis go together (cyl of 0 counts as no cylinder).
-  const hasCyl = (v) => !isBlank(v) && toNumber(v) !== 0;
+  const hasCyl = (/** @type {unknown} */ v) => !isBlank(v) && toNumber(v) !== 0;
   for (const eye of ['od', 'os']) {
     const cyl = values[`cyl_${eye}`];
     const axis = values[`axis_${eye}`];
@@ -122,19 +367,268 @@ export function validatePrescription(values = {}, limits = {}, opts = { checkExp
     if (!isBlank(axis) && !hasCyl(cyl)) errors[`cyl_${eye}`] = 'Cylinder is required when axis is set';
   }
 
+  // Plausibility rules only speak for fields the basic checks passed.
+  const clinical = checkClinicalRules(values, { visionType: opts?.visionType, rules: opts?.rules });
+  for (const issue of clinical.errors) errors[issue.field] ??= issue.message;
+
   const expired = opts && opts.checkExpiration === false ? false : isPrescriptionExpired(values.date);
 
-  return { valid: Object.keys(errors).length === 0, errors, expired };
+  return { valid: Object.keys(errors).length === 0, errors, warnings: clinical.warnings, expired };
+}
+
+// --- Clinical plausibility rules -------------------------------------------
+
+/**
+ * @typedef {'error' | 'warning' | 'off'} RxRuleSeverity
+ *
+ * @typedef {Object} RxRuleIssue
+ * @property {string} rule - rule id
+ * @property {string} field - form field the issue is shown against
+ * @property {Exclude<RxRuleSeverity, 'off'>} severity
+ * @property {string} message
+ *
+ * @typedef {Object<string, {severity?: RxRuleSeverity, [option: string]: any}>} RxRuleConfig
+ *   Per-rule overrides keyed by rule id, merged over RX_RULE_DEFAULTS.
+ */
+
+// What the lab accepts. Severity and thresholds are merchant-configurable on
+// the rx-prescription block; these are the values the lab gave us.
+/** @type {RxRuleConfig} */
+export const RX_RULE_DEFAULTS = {
+  anisometropia: { severity: 'warning', max: 3 },
+  add_single_vision: { severity: 'error' },
+  add_required: { severity: 'error' },
+  add_mismatch: { severity: 'warning', tolerance: 0.25 },
+  quarter_steps: { severity: 'error' },
+  axis_range: { severity: 'error' },
+  pd_range: { severity: 'warning', min: 54, max: 74, monoMin: 25, monoMax: 40 },
+};
+
+const QUARTER_FIELDS = ['sph_od', 'sph_os', 'cyl_od', 'cyl_os', 'add_od', 'add_os'];
+
+// Vision types a rule applies to; rules not listed here apply to every type.
+// Non-RX carries no prescription, so nothing is checked for it at all.
+/** @type {Object<string, string[]>} */
+const RULE_VISION_TYPES = {
+  add_single_vision: ['single_vision'],
+  add_required: ['progressive'],
+  add_mismatch: ['progressive'],
+};
+
+const hasValue = (/** @type {unknown} */ value) => !Number.isNaN(toNumber(value));
+
+// Spherical equivalent: the single power a sphero-cylinder lens averages to.
+/**
+ * @param {Object<string, string>} values
+ * @param {string} eye
+ */
+function sphericalEquivalent(values, eye) {
+  const sph = toNumber(values[`sph_${eye}`]);
+  const cyl = toNumber(values[`cyl_${eye}`]);
+  return (Number.isNaN(sph) ? 0 : sph) + (Number.isNaN(cyl) ? 0 : cyl / 2);
+}
+
+/**
+ * Each rule yields `[field, message]` pairs for what it finds; severity is
+ * applied by `checkClinicalRules`.
+ * @type {Object<string, (values: Object<string, string>, options: Object<string, any>) => [string, string][]>}
+ */
+const RULES = {
+  // Very different powers between the eyes are rarely what was meant.
+  anisometropia(values, { max }) {
+    if (!hasValue(values.sph_od) || !hasValue(values.sph_os)) return [];
+    const diff = Math.abs(sphericalEquivalent(values, 'od') - sphericalEquivalent(values, 'os'));
+    if (diff <= max + 1e-9) return [];
+    return [['sph_os', `The eyes differ by ${diff.toFixed(2)} D — please double-check both eyes`]];
+  },
+
+  add_single_vision(values) {
+    return ['add_od', 'add_os']
+      .filter((field) => hasValue(values[field]) && toNumber(values[field]) !== 0)
+      .map((field) => [field, 'Single vision lenses have no ADD — choose Progressive or clear this value']);
+  },
+
+  add_required(values) {
+    return ['add_od', 'add_os']
+      .filter((field) => !hasValue(values[field]) || toNumber(values[field]) === 0)
+      .map((field) => [field, 'Progressive lenses need an ADD value']);
+  },
+
+  add_mismatch(values, { tolerance }) {
+    if (!hasValue(values.add_od) || !hasValue(values.add_os)) return [];
+    const diff = Math.abs(toNumber(values.add_od) - toNumber(values.add_os));
+    if (diff <= tolerance + 1e-9) return [];
+    return [['add_os', 'ADD is usually the same for both eyes — please check it']];
+  },
+
+  quarter_steps(values) {
+    return QUARTER_FIELDS.filter((field) => {
+      if (!hasValue(values[field])) return false;
+      const quarters = toNumber(values[field]) * 4;
+      return Math.abs(quarters - Math.round(quarters)) > 1e-6;
+    }).map((field) => [field, 'Powers go in 0.25 steps']);
+  },
+
+  // Only checked where there is cylinder: an axis means nothing without it.
+  axis_range(values) {
+    /** @type {[string, string][]} */
+    const issues = [];
+    for (const eye of ['od', 'os']) {
+      const cyl = toNumber(values[`cyl_${eye}`]);
+      const axis = toNumber(values[`axis_${eye}`]);
+      if (Number.isNaN(cyl) || cyl === 0 || Number.isNaN(axis)) continue;
+      if (!Number.isInteger(axis) || axis < 1 || axis > 180) {
+        issues.push([`axis_${eye}`, 'Axis must be between 1 and 180 (an axis of 0 is written 180)']);
+      }
+    }
+    return issues;
+  },
+
+  pd_range(values, { min, max, monoMin, monoMax }) {
+    /** @type {[string, string][]} */
+    const issues = [];
+    /**
+     * @param {string | undefined} value
+     * @param {number} lo
+     * @param {number} hi
+     */
+    const outside = (value, lo, hi) => hasValue(value) && (toNumber(value) < lo || toNumber(value) > hi);
+    if (outside(values.pd, min, max)) issues.push(['pd', `Adult PD is usually between ${min} and ${max} mm`]);
+    for (const field of ['pd_right', 'pd_left']) {
+      if (outside(values[field], monoMin, monoMax)) {
+        issues.push(['pd', `A single-eye PD is usually between ${monoMin} and ${monoMax} mm`]);
+        break;
+      }
+    }
+    return issues;
+  },
+};
+
+/**
+ * Run the clinical plausibility rules that apply to a vision type.
+ * @param {Object<string, string>} [values] - flat form values
+ * @param {{visionType?: ?string, rules?: RxRuleConfig}} [opts]
+ * @returns {{errors: RxRuleIssue[], warnings: RxRuleIssue[]}}
+ */
+export function checkClinicalRules(values = {}, { visionType = null, rules = {} } = {}) {
+  /** @type {RxRuleIssue[]} */
+  const errors = [];
+  /** @type {RxRuleIssue[]} */
+  const warnings = [];
+  if (visionType === 'non_rx') return { errors, warnings };
+
+  for (const [id, check] of Object.entries(RULES)) {
+    // Blank theme settings arrive as null/'' and must not unset a default.
+    const options = { ...RX_RULE_DEFAULTS[id] };
+    for (const [key, value] of Object.entries(rules?.[id] ?? {})) {
+      if (value != null && value !== '') options[key] = value;
+    }
+    if (options.severity !== 'error' && options.severity !== 'warning') continue;
+
+    // A rule tied to vision types stays quiet while the type is unknown
+    // (e.g. attaching a prescription to an existing order).
+    const types = RULE_VISION_TYPES[id];
+    if (types && !types.includes(visionType ?? '')) continue;
+
+    for (const [field, message] of check(values, options)) {
+      (options.severity === 'error' ? errors : warnings).push({ rule: id, field, severity: options.severity, message });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// --- Cylinder notation -----------------------------------------------------
+
+// "+1.25" / "-0.50" / "0.00" — the same strings the form's pickers offer.
+/** @param {number} n */
+function formatPower(n) {
+  if (Math.abs(n) < 0.005) return '0.00';
+  return `${n < 0 ? '-' : '+'}${Math.abs(n).toFixed(2)}`;
+}
+
+/**
+ * Transpose one eye between plus- and minus-cylinder notation. Both describe
+ * the same lens: SPH becomes SPH + CYL, CYL changes sign and the axis turns by
+ * 90° (staying within 1–180). An eye without cylinder is returned unchanged.
+ * @param {{sph?: string, cyl?: string, axis?: string}} eye
+ * @returns {{sph?: string, cyl?: string, axis?: string}}
+ */
+export function transposeEye(eye) {
+  const cyl = toNumber(eye.cyl);
+  if (Number.isNaN(cyl) || cyl === 0) return { ...eye };
+
+  const sph = toNumber(eye.sph);
+  const axis = toNumber(eye.axis);
+  const turned = Number.isNaN(axis) ? NaN : axis > 90 ? axis - 90 : axis + 90;
+
+  return {
+    sph: formatPower((Number.isNaN(sph) ? 0 : sph) + cyl),
+    cyl: formatPower(-cyl),
+    axis: Number.isNaN(turned) ? eye.axis : padAxis(Math.round(turned)),
+  };
+}
+
+/**
+ * Which cylinder notation a prescription is written in: 'plus' or 'minus' when
+ * every eye with cylinder agrees, 'mixed' when they don't, null when there is
+ * no cylinder to tell by (then both notations read the same).
+ * @param {Object<string, string>} values - flat form values (cyl_od / cyl_os)
+ * @returns {'plus' | 'minus' | 'mixed' | null}
+ */
+export function detectCylinderConvention(values = {}) {
+  /** @type {Set<'plus' | 'minus'>} */
+  const signs = new Set();
+  for (const eye of ['od', 'os']) {
+    const cyl = toNumber(values[`cyl_${eye}`]);
+    if (!Number.isNaN(cyl) && cyl !== 0) signs.add(cyl > 0 ? 'plus' : 'minus');
+  }
+  if (signs.size === 0) return null;
+  return signs.size > 1 ? 'mixed' : ([...signs][0] ?? null);
+}
+
+/**
+ * Transpose every eye of a prescription (plus ⇄ minus). Pure: returns a copy.
+ * @param {Object<string, string>} values
+ * @param {{only?: 'plus' | 'minus'}} [opts] - only transpose eyes whose
+ *   cylinder currently has this sign
+ */
+export function transposePrescription(values = {}, { only } = {}) {
+  const next = { ...values };
+  for (const eye of ['od', 'os']) {
+    const cyl = toNumber(values[`cyl_${eye}`]);
+    if (Number.isNaN(cyl) || cyl === 0) continue;
+    if (only === 'plus' && cyl < 0) continue;
+    if (only === 'minus' && cyl > 0) continue;
+
+    const out = transposeEye({ sph: values[`sph_${eye}`], cyl: values[`cyl_${eye}`], axis: values[`axis_${eye}`] });
+    Object.assign(next, { [`sph_${eye}`]: out.sph, [`cyl_${eye}`]: out.cyl, [`axis_${eye}`]: out.axis });
+  }
+  return next;
+}
+
+/**
+ * Normalize to the minus-cylinder notation the lab works in. Eyes already in
+ * minus cylinder (or without cylinder) are left as entered.
+ * @param {Object<string, string>} values
+ * @returns {{values: Object<string, string>, transposed: boolean}}
+ */
+export function toMinusCylinder(values = {}) {
+  const convention = detectCylinderConvention(values);
+  if (convention !== 'plus' && convention !== 'mixed') return { values: { ...values }, transposed: false };
+  return { values: transposePrescription(values, { only: 'plus' }), transposed: true };
 }
 
 // --- OCR mapping -----------------------------------------------------------
 
 // Drop a trailing "mm" unit and surrounding whitespace from a PD value.
+/** @param {any} value */
 function stripUnit(value) {
   return value == null ? value : String(value).replace(/\s*mm$/i, '').trim();
 }
 
 // Left-pad an axis to three digits (keeps only the leading integer part).
+/** @param {string | number} value */
 function padAxis(value) {
   const digits = String(value).replace(/[^\d]/g, '');
   return digits === '' ? '' : digits.padStart(3, '0');
@@ -143,13 +637,15 @@ function padAxis(value) {
 /**
  * Map an OCR/ScriptAI `prescriptionData` payload onto the flat `values` shape
  * the manual form and validation use. OD = right eye, OS = left eye.
- * @param {Object} [prescriptionData]
- * @returns {Object} values (only the fields present in the input)
+ * @param {Object<string, any>} [prescriptionData]
+ * @returns {Object<string, string>} values (only the fields present in the input)
  */
 export function mapOcrToValues(prescriptionData) {
   const d = prescriptionData || {};
+  /** @type {Object<string, string>} */
   const values = {};
 
+  /** @type {[string, string][]} */
   const pairs = [
     ['sphRight', 'sph_od'], ['sphLeft', 'sph_os'],
     ['cylRight', 'cyl_od'], ['cylLeft', 'cyl_os'],
@@ -182,45 +678,156 @@ export function mapOcrToValues(prescriptionData) {
  * Normalize a date string to the ISO YYYY-MM-DD form that <input type="date">
  * accepts. Handles ISO passthrough and the US MM/DD/YYYY the OCR returns.
  * Unparseable input yields '' so the field is simply left blank.
+ * @param {unknown} str
  */
 export function normalizeDateToIso(str) {
   if (!str) return '';
   const s = String(str).trim();
   if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
   const us = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  if (us) return `${us[3]}-${String(us[1]).padStart(2, '0')}-${String(us[2]).padStart(2, '0')}`;
   return '';
 }
 
+// --- OCR review ------------------------------------------------------------
+
+// Form field ↔ `prescriptionData` key. Both PD spellings map onto `pd`; the
+// first is the one we send back.
+/** @type {Object<string, string[]>} */
+const OCR_FIELD_KEYS = {
+  sph_od: ['sphRight'], sph_os: ['sphLeft'],
+  cyl_od: ['cylRight'], cyl_os: ['cylLeft'],
+  axis_od: ['axisRight'], axis_os: ['axisLeft'],
+  add_od: ['addRight'], add_os: ['addLeft'],
+  pd: ['pdValue', 'pupillaryDistance'], pd_right: ['pdRight'], pd_left: ['pdLeft'],
+  date: ['prescriptionDate', 'date'],
+};
+
+// Below this the customer is asked to check a value against their photo.
+export const RX_OCR_CONFIDENCE_THRESHOLD = 0.8;
+
+// 0–1 from a 0–1 or 0–100 score; null when it isn't a number.
+/** @param {any} value */
+function toConfidence(value) {
+  const n = typeof value === 'object' && value ? Number(value.confidence) : Number(value);
+  if (value == null || Number.isNaN(n)) return null;
+  return Math.min(1, Math.max(0, n > 1 ? n / 100 : n));
+}
+
+/**
+ * Per-field OCR confidence (0–1) keyed by form field, from the `analysis`
+ * that `analyzePrescription` returns. Accepts a `fieldConfidence` /
+ * `confidence` map (on `analysis.consensus` or `analysis` itself), per-field
+ * `{value, confidence}` objects in `consensus.prescriptionData`, and a single
+ * overall score, which applies to every field. Fields with no score are
+ * simply absent.
+ * @param {Object<string, any>} [analysis]
+ * @returns {Object<string, number>}
+ */
+export function readOcrConfidence(analysis) {
+  const consensus = analysis?.consensus ?? {};
+  const sources = [consensus.fieldConfidence, consensus.confidence, analysis?.fieldConfidence, analysis?.confidence];
+  const map = sources.find((source) => source && typeof source === 'object') ?? {};
+  const overall = toConfidence(sources.find((source) => typeof source === 'number' || typeof source === 'string'));
+  // Only `{value, confidence}` entries carry a score; a bare value is just the reading.
+  const perField = consensus.prescriptionData ?? {};
+
+  /** @type {Object<string, number>} */
+  const result = {};
+  for (const [field, keys] of Object.entries(OCR_FIELD_KEYS)) {
+    const entries = keys.map((key) => perField[key]).filter((entry) => entry && typeof entry === 'object');
+    const score = [...keys.map((key) => map[key]), map[field], ...entries]
+      .map(toConfidence)
+      .find((n) => n != null);
+    if (score != null) result[field] = score;
+    else if (overall != null) result[field] = overall;
+  }
+  return result;
+}
+
+/**
+ * Fields the customer should look at after OCR: `'missing'` when the lab
+ * needs a value the scan didn't find, `'low'` when it found one it isn't sure
+ * of. SPH, PD and the date are always needed; an axis only with a cylinder;
+ * ADD only for progressives.
+ * @param {Object<string, string>} values   mapped OCR values (see mapOcrToValues)
+ * @param {Object<string, number>} confidence  see readOcrConfidence
+ * @param {{visionType?: string|null, threshold?: number}} [opts]
+ * @returns {Object<string, 'low'|'missing'>}
+ */
+export function reviewOcrFields(values = {}, confidence = {}, opts = {}) {
+  const { visionType = null, threshold = RX_OCR_CONFIDENCE_THRESHOLD } = opts;
+  /** @type {Object<string, 'low'|'missing'>} */
+  const review = {};
+
+  const needed = ['sph_od', 'sph_os', 'date'];
+  for (const eye of ['od', 'os']) {
+    if (toNumber(values[`cyl_${eye}`])) needed.push(`axis_${eye}`);
+    if (visionType === 'progressive') needed.push(`add_${eye}`);
+  }
+  needed.push(...(isBlank(values.pd_right) && isBlank(values.pd_left) ? ['pd'] : ['pd_right', 'pd_left']));
+  for (const field of needed) {
+    if (isBlank(values[field])) review[field] = 'missing';
+  }
+
+  for (const [field, score] of Object.entries(confidence)) {
+    if (!review[field] && !isBlank(values[field]) && score < threshold) review[field] = 'low';
+  }
+  return review;
+}
+
+/**
+ * The `prescriptionData` key a form field is saved under.
+ * @param {string} field
+ */
+export function ocrFieldKey(field) {
+  return OCR_FIELD_KEYS[field]?.[0] ?? field;
+}
+
 // --- Line-item properties --------------------------------------------------
 
 // Human-facing labels shown in the cart.
+/** @type {Record<string, string>} */
 const LENS_STYLE_LABELS = { clear: 'Clear', sunglasses: 'Sunglasses', photochromic: 'Photochromic' };
+/** @type {Record<string, string>} */
 const RX_STYLE_LABELS = { single_vision: 'SV', progressive: 'Progressive', non_rx: 'Non-RX' };
 
 /**
- * Build cart line-item properties for the lens + frame bundle.
+ * Build cart line-item properties for the lens + frame bundle. Each add-on is
+ * its own line (it has its own price) tied in by the same `_bundleHash`;
+ * `addonProperties` lines up with `state.addons`.
+ *
+ * Promotions from evaluatePricing ride on the lens line: `_rx_promo` (rule ids)
+ * for reporting and `Promotion` for the shopper and the lab. The browser
+ * writes both, so neither may grant a discount on its own word.
  * @param {RxState} state
- * @param {{subdomain?: string, providerNumber?: string, healthFundNumbers?: string}} config
- * @returns {{bundleHash: string, lensProperties: Object, frameProperties: Object}}
+ * @param {{subdomain?: string, providerNumber?: string, healthFundNumbers?: string, tierSphThreshold?: number}} config
+ * @param {RxPriceBreakdown | null} [pricing]
+ * @returns {{bundleHash: string, lensProperties: Object, frameProperties: Object, addonProperties: Object[]}}
  */
-export function buildLineItemProperties(state, config = {}) {
+export function buildLineItemProperties(state, config = {}, pricing = null) {
+  /** @type {Partial<RxFrame>} */
   const frame = state.frame || {};
+  /** @type {Partial<RxLensProduct>} */
   const lens = state.lensProduct || {};
+  /** @type {Partial<RxPrescription>} */
   const rx = state.prescription || {};
   const values = rx.values || {};
 
   const bundleHash = `bundle-hash-${Date.now()}-${lens.variantId}-${frame.variantId}`;
 
   // A uniqueId means an uploaded/scanned file; otherwise manual or a deferred RX.
-  const prescriptionType = rx.uniqueId ? 'file' : (rx.method === 'manual' ? 'manual' : 'pending');
+  // A saved prescription without a file was typed in when it was first saved.
+  const typed = rx.method === 'manual' || rx.method === 'saved';
+  const prescriptionType = rx.uniqueId ? 'file' : (typed ? 'manual' : 'pending');
 
+  /** @type {Object<string, any>} */
   const lensProperties = {
     _bundleHash: bundleHash,
     rxOrder: 'true',
     _prescription_type: prescriptionType,
-    'RX Style': RX_STYLE_LABELS[state.visionType] || 'SV',
-    'Lens Style': LENS_STYLE_LABELS[state.lensCategory] || 'Clear',
+    'RX Style': RX_STYLE_LABELS[state.visionType ?? ''] || 'SV',
+    'Lens Style': LENS_STYLE_LABELS[state.lensCategory ?? ''] || 'Clear',
     'Provider number': config.providerNumber || '',
     'Health Fund Item Numbers': config.healthFundNumbers || '',
     'Frame SKU': frame.sku || '',
@@ -229,6 +836,8 @@ export function buildLineItemProperties(state, config = {}) {
   };
 
   if (rx.uniqueId) lensProperties.uniqueId = rx.uniqueId;
+  // A save still queued offline has no rxUID yet; rx-cart.js writes it onto
+  // the line once the outbox sends it (linkQueuedSave).
   if (rx.rxUID) lensProperties['Prescription RX UID'] = rx.rxUID;
 
   // PD: a left/right pair takes precedence over a single value.
@@ -240,6 +849,21 @@ export function buildLineItemProperties(state, config = {}) {
   }
 
   if (rx.expired) lensProperties.expiredRX = 'true';
+  // The tier the lens was priced in, so the prescription can be reused for
+  // another frame without its powers (see prescriptionFromCartLine).
+  if (state.visionType !== 'non_rx' && rx.method && rx.method !== 'later') {
+    lensProperties._rx_tier = prescriptionTier(rx, config.tierSphThreshold ?? 2);
+  }
+
+  // The lab reads the add-ons off the lens line; the add-on lines carry the price.
+  const addons = state.addons || [];
+  if (addons.length) lensProperties['Lens Add-ons'] = addons.map((addon) => addon.title).join(', ');
+
+  const promos = pricing?.savings ?? [];
+  if (promos.length) {
+    lensProperties._rx_promo = [...new Set(promos.map((entry) => entry.ruleId))].join(',');
+    lensProperties.Promotion = [...new Set(promos.map((entry) => entry.label))].join(', ');
+  }
 
   const frameProperties = {
     _bundleHash: bundleHash,
@@ -247,34 +871,248 @@ export function buildLineItemProperties(state, config = {}) {
     'Lens SKU': lens.sku || '',
   };
 
-  return { bundleHash, lensProperties, frameProperties };
+  const addonProperties = addons.map((addon) => ({
+    _bundleHash: bundleHash,
+    _rx_addon: addon.key,
+    'Lens SKU': lens.sku || '',
+  }));
+
+  return { bundleHash, lensProperties, frameProperties, addonProperties };
+}
+
+/**
+ * The reverse of buildLineItemProperties: a snapshot that reopens the
+ * configurator on a lens line already in the cart ("Edit lenses"). The lens is
+ * looked up in this page's catalogue; a line it doesn't carry yields null.
+ *
+ * Powers never reach the order, so the prescription comes back with its
+ * references and PD only, plus the tier the lens was bought in — see
+ * prescriptionTier.
+ * @param {{variant_id: number, properties?: Object<string, string>}} line - a `/cart.js` line item
+ * @param {RxLensCategory[]} categories - product data `lensCategories`
+ * @param {{frame?: {productId?: number, frameTag?: string}, addons?: RxAddon[], addonLines?: RxCartLine[], now?: number}} [opts]
+ *   `addons` is the product data catalogue, `addonLines` the bundle's add-on lines
+ * @returns {RxSnapshot | null}
+ */
+export function snapshotFromCartLine(
+  line,
+  categories = [],
+  { frame = {}, addons = [], addonLines = [], now = Date.now() } = {}
+) {
+  const props = line?.properties || {};
+  if (props.rxOrder !== 'true') return null;
+
+  /** @type {RxLensCategory | null} */
+  let category = null;
+  /** @type {RxLensEntry | null} */
+  let product = null;
+  for (const entry of categories) {
+    product = (entry.products || []).find((p) => String(p.variantId) === String(line.variant_id)) ?? null;
+    if (product) {
+      category = entry;
+      break;
+    }
+  }
+  if (!product) return null;
+
+  const visionType = props['RX Style'] === RX_STYLE_LABELS.non_rx ? 'non_rx' : product.visionType;
+  const prescription = visionType === 'non_rx' ? null : prescriptionFromCartLine(line, product);
+
+  return {
+    version: RX_SNAPSHOT_VERSION,
+    savedAt: now,
+    frameProductId: frame.productId ?? null,
+    frameTag: frame.frameTag || '',
+    lensCategory: category?.key ?? null,
+    visionType: visionType ?? null,
+    lensProduct: {
+      id: product.id,
+      variantId: product.variantId,
+      sku: product.sku,
+      price: product.price,
+      title: product.title,
+      color: product.color ?? '',
+    },
+    addons: addons
+      .filter((addon) => addonLines.some((item) => String(item.variant_id) === String(addon.variantId)))
+      .map(toAddonSelection),
+    prescription,
+  };
+}
+
+/**
+ * The prescription a cart lens line was bought with: its references, PD and
+ * expiry, plus the tier its lens was priced in (`_rx_tier`, else the tier of
+ * `product`, the line's lens in the page catalogue). Null for a line that
+ * isn't an RX lens or was bought without a prescription (non-RX).
+ * `referenceOnly` marks one whose powers stay with the referenced record.
+ * @param {{properties?: Object<string, string>}} line - a `/cart.js` line item
+ * @param {{tier?: string} | null} [product]
+ * @returns {RxPrescription | null}
+ */
+export function prescriptionFromCartLine(line, product = null) {
+  const props = line?.properties || {};
+  if (props.rxOrder !== 'true' || props['RX Style'] === RX_STYLE_LABELS.non_rx) return null;
+  if (props._prescription_type === 'pending') {
+    return { method: 'later', values: null, uniqueId: null, rxUID: null, expired: false };
+  }
+
+  /** @type {Object<string, string>} */
+  const values = {};
+  const mm = (/** @type {string} */ value) => String(value).replace(/\s*mm$/i, '');
+  if (!isBlank(props['Pupillary Distance'])) values.pd = mm(props['Pupillary Distance']);
+  if (!isBlank(props['Pupillary Distance Left'])) values.pd_left = mm(props['Pupillary Distance Left']);
+  if (!isBlank(props['Pupillary Distance Right'])) values.pd_right = mm(props['Pupillary Distance Right']);
+
+  const tier = props._rx_tier || product?.tier;
+  return {
+    method: props.uniqueId ? 'upload' : props['Prescription RX UID'] ? 'saved' : 'manual',
+    values,
+    uniqueId: props.uniqueId || null,
+    rxUID: props['Prescription RX UID'] || null,
+    referenceOnly: Boolean(props.uniqueId || props['Prescription RX UID']),
+    expired: props.expiredRX === 'true',
+    tier: tier === 'high' || tier === 'standard' ? tier : null,
+  };
+}
+
+/**
+ * A `/cart.js` line item, as far as the RX code reads it.
+ * @typedef {Object} RxCartLine
+ * @property {string} key
+ * @property {number} variant_id
+ * @property {number} quantity
+ * @property {string} [product_title]
+ * @property {number} [final_line_price]
+ * @property {Record<string, string>} [properties]
+ */
+
+/** @typedef {{lens: RxCartLine, frame: RxCartLine | null, addons: RxCartLine[], price: number}} RxBundle */
+
+/**
+ * The RX bundles in a `/cart.js` cart, in cart order: each lens line with the
+ * frame and add-on lines sharing its `_bundleHash`, and the bundle's total
+ * (cents, after line discounts). `frame` is null if its line has gone.
+ * @param {{items?: RxCartLine[]}} cart
+ * @returns {RxBundle[]}
+ */
+export function listRxBundles(cart) {
+  const items = cart?.items ?? [];
+  return items
+    .filter((item) => item.properties?.rxOrder === 'true')
+    .map((lens) => {
+      const hash = lens.properties?._bundleHash;
+      const siblings = hash
+        ? items.filter((item) => item.properties?._bundleHash === hash && item.properties?.rxOrder !== 'true')
+        : [];
+      const frame = siblings.find((item) => !item.properties?._rx_addon) ?? null;
+      const addons = siblings.filter((item) => item.properties?._rx_addon);
+      const price = [lens, frame, ...addons].reduce((sum, item) => sum + (item?.final_line_price ?? 0), 0);
+      return { lens, frame, addons, price };
+    });
+}
+
+/**
+ * RX pairs in a `/cart.js` cart, for second-pair pricing rules. A lens line
+ * being edited is this pair, not an earlier one, so it can be left out.
+ * @param {{items?: RxCartLine[]}} cart
+ * @param {string | null} [excludeKey] - lens line key to leave out
+ * @returns {number}
+ */
+export function countRxPairs(cart, excludeKey = null) {
+  return (cart?.items ?? [])
+    .filter((item) => item.properties?.rxOrder === 'true' && item.key !== excludeKey)
+    .reduce((sum, item) => sum + (item.quantity || 0), 0);
+}
+
+/**
+ * Prescriptions already in the cart that another frame can reuse — a family
+ * ordering several pairs enters each prescription once. Only ones the backend
+ * can find again qualify (an uploaded file or a saved record — a save still in
+ * the outbox isn't on the line yet) and whose tier is known; each appears
+ * once, with the frame it was first bought for.
+ * @param {{items?: RxCartLine[]}} cart
+ * @returns {{lensKey: string, frameTitle: string, prescription: RxPrescription}[]}
+ */
+export function reusablePrescriptions(cart) {
+  const seen = new Set();
+  const out = [];
+  for (const { lens, frame } of listRxBundles(cart)) {
+    const prescription = prescriptionFromCartLine(lens);
+    if (!prescription?.tier || !(prescription.uniqueId || prescription.rxUID)) continue;
+    const ref = [prescription.uniqueId, prescription.rxUID].join('|');
+    if (seen.has(ref)) continue;
+    seen.add(ref);
+    out.push({ lensKey: lens.key, frameTitle: frame?.product_title ?? '', prescription });
+  }
+  return out;
 }
 
 /**
  * Power tier for a prescription: 'high' when either eye's sphere exceeds the
  * threshold (exclusive), else 'standard'. Lenses are priced per tier.
- * @param {object|null} values - prescription values (sph_od/sph_os as strings)
+ * @param {Object<string, string> | null | undefined} values - prescription values (sph_od/sph_os as strings)
  * @param {number} threshold - absolute SPH bound of the standard range
  */
 export function pickTier(values, threshold = 2) {
   if (!values) return 'standard';
   const powers = [values.sph_od, values.sph_os]
-    .map((v) => Math.abs(parseFloat(v)))
+    .map((v) => Math.abs(parseFloat(v ?? '')))
     .filter((v) => !Number.isNaN(v));
   return powers.some((v) => v > threshold) ? 'high' : 'standard';
 }
 
+/**
+ * Power tier for the prescription held in state. One reopened from the cart
+ * has no powers to read (see snapshotFromCartLine) — keep the tier its lens
+ * was bought in rather than reading the missing SPH as 'standard'.
+ * @param {{values?: Object<string, string> | null, tier?: string | null} | null} prescription
+ * @param {number} threshold
+ */
+export function prescriptionTier(prescription, threshold = 2) {
+  const values = prescription?.values;
+  const hasPowers = !!values && [values.sph_od, values.sph_os].some((v) => !isBlank(v));
+  if (!hasPowers && prescription?.tier) return prescription.tier;
+  return pickTier(values, threshold);
+}
+
+/**
+ * A lens in the catalogue: an entry of `rx-product-data`'s
+ * `lensCategories[].products`.
+ * @typedef {Object} RxLensEntry
+ * @property {number} id
+ * @property {number} variantId
+ * @property {string} sku
+ * @property {number} price        In cents.
+ * @property {string} title
+ * @property {string | null} [color]
+ * @property {string} [visionType]  'single_vision' | 'progressive'
+ * @property {string} [tier]        'standard' | 'high' | 'any'
+ * @property {boolean} [available]
+ * @property {Object<string, any>} [specs]  Lens product metafields (`rx-lens-specs`).
+ */
+
+/** @typedef {{key: string, label?: string, products?: RxLensEntry[]}} RxLensCategory */
+
 // Sold-out entries stay selectable only when nothing else fits; among the rest
 // the cheapest wins, which makes plain Clear the natural default.
+/**
+ * @param {RxLensEntry[]} entries
+ * @returns {RxLensEntry | null}
+ */
 function bestOf(entries) {
   if (!entries.length) return null;
   const sellable = entries.filter((p) => p.available !== false);
   const pool = sellable.length ? sellable : entries;
-  return pool.reduce((best, p) => ((p.price ?? Infinity) < (best.price ?? Infinity) ? p : best), pool[0]);
+  return pool.reduce((best, p) => ((p.price ?? Infinity) < (best.price ?? Infinity) ? p : best));
 }
 
 // "Clear + AR" and "Clear + Ar" are the same lens: the catalogue and the
 // theme's colour blocks disagree on case.
+/**
+ * @param {string | null | undefined} a
+ * @param {string} b
+ */
 function colorsMatch(a, b) {
   return lensColorSlug(a) === lensColorSlug(b);
 }
@@ -287,6 +1125,9 @@ function colorsMatch(a, b) {
  *
  * With `anyColor` the color filter is dropped, which is how a category's
  * default lens is chosen before the shopper has picked a color.
+ * @param {RxLensEntry[]} [products]
+ * @param {{visionType?: string | null, color?: string | null, tier?: string, anyColor?: boolean, exactTier?: boolean}} [opts]
+ * @returns {RxLensEntry | null}
  */
 export function resolveLensProduct(
   products = [],
@@ -314,11 +1155,14 @@ export function resolveLensProduct(
  * fits the current tier. Colors the catalogue does not carry simply do not
  * appear.
  *
- * @returns {object[]} one catalog entry per color
+ * @param {RxLensEntry[]} [products]
+ * @param {{visionType?: string | null, tier?: string}} [opts]
+ * @returns {RxLensEntry[]} one catalog entry per color
  */
 export function lensColorOptions(products = [], { visionType, tier = 'standard' } = {}) {
   const vision = visionType === 'non_rx' ? 'single_vision' : visionType;
   const seen = new Set();
+  /** @type {string[]} */
   const colors = [];
 
   for (const product of products) {
@@ -331,7 +1175,428 @@ export function lensColorOptions(products = [], { visionType, tier = 'standard'
 
   return colors
     .map((color) => resolveLensProduct(products, { visionType, color, tier }))
-    .filter(Boolean);
+    .filter((entry) => entry !== null);
+}
+
+/**
+ * Tier, family and category encoded in a lens SKU ("S46CRPGYMB" → standard,
+ * 46CR, sunglasses) — the same reading `snippets/rx-lens-matrix.liquid` makes,
+ * for pages that only have the SKUs. Null when the SKU doesn't follow it.
+ * @param {string} sku
+ * @returns {{tier: string, family: string, category: string} | null}
+ */
+export function parseLensSku(sku) {
+  const match = /^(EH|S)(46CR|6PC)(.*)$/.exec(String(sku || '').trim().toUpperCase());
+  if (!match) return null;
+  const [, head, family = '', colour = ''] = match;
+  const category = colour.startsWith('CL')
+    ? 'clear'
+    : colour.startsWith('TN')
+      ? 'photochromic'
+      : colour.startsWith('P')
+        ? 'sunglasses'
+        : null;
+  if (!category) return null;
+  return { tier: head === 'EH' ? 'high' : 'standard', family, category };
+}
+
+/**
+ * Power range each base curve can be glazed in, from one line per tag:
+ * `basecurve_8: -4 to +4, cyl 2`. The cylinder bound is optional; lines that
+ * don't parse are skipped.
+ * @param {string} text
+ * @returns {Object<string, {sphMin: number, sphMax: number, cylMax: number | null}>}
+ */
+export function parseBaseCurveLimits(text) {
+  /** @type {Object<string, {sphMin: number, sphMax: number, cylMax: number | null}>} */
+  const limits = {};
+  const number = '([-+]?\\d*\\.?\\d+)';
+  const line = new RegExp(`^([^:]+):\\s*${number}\\s*to\\s*${number}(?:\\s*,\\s*cyl\\s*${number})?\\s*$`, 'i');
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const match = line.exec(raw.trim());
+    if (!match) continue;
+    const [, tag = '', a = '', b = '', cyl] = match;
+    limits[tag.trim()] = {
+      sphMin: Math.min(parseFloat(a), parseFloat(b)),
+      sphMax: Math.max(parseFloat(a), parseFloat(b)),
+      cylMax: cyl == null ? null : Math.abs(parseFloat(cyl)),
+    };
+  }
+  return limits;
+}
+
+/**
+ * Whether a frame can be glazed for a prescription, judged from its tags the
+ * way the RX PDP resolves lenses: the `basecurve_*` tag bounds the powers, the
+ * alternate-family tags pick 46CR or 6PC, and the prescription's tier must be
+ * on offer in that family. A standard prescription can take a high-tier lens
+ * (see resolveLensProduct); a high one can't take a standard lens.
+ *
+ * `lensTypes` lists the categories (clear, sunglasses, photochromic) the frame
+ * offers at that tier, or is null when no catalogue was given to check against.
+ *
+ * @param {string[]} frameTags
+ * @param {{sph_od?: string, cyl_od?: string, sph_os?: string, cyl_os?: string}} values
+ * @param {{lenses?: {sku: string, available?: boolean}[], altFrameTags?: string[],
+ *   baseCurves?: Object<string, {sphMin: number, sphMax: number, cylMax: number | null}>,
+ *   tierSphThreshold?: number}} [rules]
+ * @returns {{fits: boolean, reason: 'power' | 'tier' | null, tier: string, baseCurve: string, lensTypes: string[] | null}}
+ */
+export function frameFitsPrescription(frameTags = [], values = {}, rules = {}) {
+  const { lenses = [], altFrameTags = ['base_6'], baseCurves = {}, tierSphThreshold = 2 } = rules;
+  const tags = frameTags.map((tag) => String(tag).trim());
+  const tier = pickTier(values, tierSphThreshold);
+  // Last one wins, as in rx-product-data.
+  const baseCurve = tags.filter((tag) => tag.includes('basecurve_')).pop() ?? 'DEFAULT';
+
+  // The strongest meridian is sphere plus cylinder, so both have to fit.
+  const limits = baseCurves[baseCurve];
+  const inRange = (/** @type {string | undefined} */ sph, /** @type {string | undefined} */ cyl) => {
+    if (!limits || (isBlank(sph) && isBlank(cyl))) return true;
+    const s = parseFloat(sph ?? '') || 0;
+    const c = parseFloat(cyl ?? '') || 0;
+    if (limits.cylMax != null && Math.abs(c) > limits.cylMax) return false;
+    return [s, s + c].every((p) => p >= limits.sphMin && p <= limits.sphMax);
+  };
+  if (!inRange(values.sph_od, values.cyl_od) || !inRange(values.sph_os, values.cyl_os)) {
+    return { fits: false, reason: 'power', tier, baseCurve, lensTypes: null };
+  }
+
+  if (!lenses.length) return { fits: true, reason: null, tier, baseCurve, lensTypes: null };
+
+  const family = altFrameTags.some((tag) => tag.trim() && tags.includes(tag.trim())) ? '6PC' : '46CR';
+  /** @type {string[]} */
+  const lensTypes = [];
+  for (const lens of lenses) {
+    const parsed = parseLensSku(lens.sku);
+    if (!parsed || parsed.family !== family || lens.available === false) continue;
+    if (tier === 'high' && parsed.tier !== 'high') continue;
+    if (!lensTypes.includes(parsed.category)) lensTypes.push(parsed.category);
+  }
+  return { fits: lensTypes.length > 0, reason: lensTypes.length ? null : 'tier', tier, baseCurve, lensTypes };
+}
+
+/**
+ * The `basecurve_*` tags a collection can be filtered on for a prescription,
+ * so the storefront narrows results and counts instead of the grid hiding
+ * cards. A tag is kept when a frame carrying it fits in either lens family —
+ * a tag filter can't also ask for the family, so the card badges still sort
+ * out the rest.
+ *
+ * Null when the tags can't express the answer: no base curves are set, or
+ * frames without a listed tag (`DEFAULT`) fit too, and a tag filter would
+ * leave them out.
+ *
+ * @param {Parameters<typeof frameFitsPrescription>[1]} values
+ * @param {Parameters<typeof frameFitsPrescription>[2]} [rules]
+ * @returns {string[] | null}
+ */
+export function fitFilterTags(values = {}, rules = {}) {
+  const { altFrameTags = ['base_6'], baseCurves = {} } = rules;
+  const tags = Object.keys(baseCurves).filter((tag) => tag.includes('basecurve_'));
+  const altTag = altFrameTags.map((tag) => tag.trim()).find(Boolean);
+  const fitsWith = (/** @type {string[]} */ frameTags) =>
+    frameFitsPrescription(frameTags, values, rules).fits ||
+    (altTag != null && frameFitsPrescription([...frameTags, altTag], values, rules).fits);
+  if (!tags.length || fitsWith([])) return null;
+  return tags.filter((tag) => fitsWith([tag]));
+}
+
+// --- Lens comparison ---------------------------------------------------------
+
+/** @type {Record<string, string>} */
+const TIER_LABELS = { standard: 'Standard', high: 'High index', any: 'All powers', progressive: 'Progressive' };
+const NO_VALUE = '—';
+
+/**
+ * A lens a comparison column can show (see lensCompareOptions).
+ * @typedef {{id: string, category: string, categoryLabel: string, color: string, tier: string, entry: RxLensEntry}} RxLensCompareOption
+ */
+
+/**
+ * Lens categories in the `rx-product-data` shape, from a flat list of lens
+ * entries — for pages without a frame, where nothing has sorted them yet.
+ * Category and tier come from each SKU (parseLensSku); entries whose SKU
+ * doesn't follow it are left out.
+ * @param {RxLensEntry[]} entries - `rx-product-data` lens entries
+ * @returns {{key: string, label: string, products: RxLensEntry[]}[]}
+ */
+export function lensCategoriesFromEntries(entries = []) {
+  /** @type {Map<string, {key: string, label: string, products: RxLensEntry[]}>} */
+  const categories = new Map();
+  for (const entry of entries) {
+    const parsed = parseLensSku(entry?.sku);
+    if (!parsed) continue;
+    let category = categories.get(parsed.category);
+    if (!category) {
+      category = { key: parsed.category, label: LENS_STYLE_LABELS[parsed.category] ?? parsed.category, products: [] };
+      categories.set(parsed.category, category);
+    }
+    category.products.push({ visionType: 'single_vision', ...entry, tier: parsed.tier });
+  }
+  return [...categories.values()];
+}
+
+/**
+ * Every lens a comparison can offer, one per catalogue entry, with the
+ * category it sits in. `id` is the variant id, as a string; `tier` is the
+ * entry's Rx tier, or `progressive` for progressive lenses.
+ * @param {RxLensCategory[]} categories
+ * @returns {RxLensCompareOption[]}
+ */
+export function lensCompareOptions(categories = []) {
+  return categories.flatMap((category) =>
+    (category.products ?? []).map((entry) => ({
+      id: String(entry.variantId),
+      category: category.key,
+      categoryLabel: category.label || LENS_STYLE_LABELS[category.key] || category.key,
+      color: entry.color || '',
+      tier: entry.visionType === 'progressive' ? 'progressive' : entry.tier || 'any',
+      entry,
+    }))
+  );
+}
+
+/** @param {string} tier - a lensCompareOptions tier */
+export function lensTierLabel(tier) {
+  return TIER_LABELS[tier] ?? TIER_LABELS.any;
+}
+
+/**
+ * The attribute rows of a lens comparison, one value per compared lens (type,
+ * colour and tier are what the shopper picks them by). Specs come from each
+ * entry's `specs` (the lens product's metafields); a sunglasses lens without
+ * a polarization value reads as polarized, as its SKU's P colour code says.
+ * Rows with nothing to show for any lens are dropped.
+ *
+ * Prices are compared with `current` (the lens chosen in the configurator)
+ * or, without one, with the first lens in the comparison.
+ *
+ * @param {RxLensCompareOption[]} options
+ * @param {{current?: {variantId: number|string, price: number} | null, currency?: string}} [context]
+ * @returns {{key: string, label: string, values: string[]}[]}
+ */
+export function lensCompareRows(options = [], { current = null, currency } = {}) {
+  /** @type {(option: RxLensCompareOption, key: string) => any} */
+  const spec = (option, key) => option.entry.specs?.[key];
+  /** @param {unknown} value */
+  const text = (value) => (value == null || String(value).trim() === '' ? NO_VALUE : String(value).trim());
+  const base = current ?? options[0]?.entry ?? null;
+
+  const rows = [
+    { key: 'material', label: 'Material', values: options.map((option) => text(spec(option, 'material'))) },
+    { key: 'uv', label: 'UV protection', values: options.map((option) => text(spec(option, 'uv'))) },
+    {
+      key: 'polarized',
+      label: 'Polarized',
+      values: options.map((option) => {
+        const polarized = spec(option, 'polarized') ?? (option.category === 'sunglasses' ? true : null);
+        return polarized == null ? NO_VALUE : polarized ? 'Yes' : 'No';
+      }),
+    },
+    { key: 'price', label: 'Price', values: options.map((option) => formatCents(option.entry.price || 0, currency)) },
+    {
+      key: 'delta',
+      label: current ? 'Against your lens' : 'Against the first lens',
+      values: options.map((option) => {
+        if (!base) return NO_VALUE;
+        if (String(option.entry.variantId) === String(base.variantId)) return current ? 'Your lens' : NO_VALUE;
+        const delta = (option.entry.price || 0) - (base.price || 0);
+        if (!delta) return 'Same price';
+        return `${delta > 0 ? '+' : '−'}${formatCents(Math.abs(delta), currency)}`;
+      }),
+    },
+  ];
+  return rows.filter((row) => row.key === 'delta' || row.values.some((value) => value !== NO_VALUE));
+}
+
+/**
+ * Frame size as printed inside the temple arm — lens width, bridge, temple
+ * length in mm ("52-18-140", "52□18 140"). Missing parts are null.
+ * @param {string | null | undefined} text
+ * @returns {{lensWidth: number | null, bridge: number | null, temple: number | null}}
+ */
+export function parseFrameSize(text) {
+  // A missing part leaves an empty one between separators ("52--140").
+  const parts = String(text || '')
+    .trim()
+    .split(/[^\d.]/)
+    .map((part) => parseFloat(part));
+  const at = (/** @type {number} */ i) => {
+    const part = parts[i] ?? NaN;
+    return part > 0 ? part : null;
+  };
+  return { lensWidth: at(0), bridge: at(1), temple: at(2) };
+}
+
+// Endpieces and rims either side of the lenses, for frames without a
+// measured width: 2 × lens + bridge + this is close to the front's width.
+const FRAME_RIM_MM = 6;
+
+// [full marks within, nothing beyond] in mm, and how much each counts.
+/** @type {Object<string, {tolerance: [number, number], weight: number}>} */
+const SIZE_CRITERIA = {
+  width: { tolerance: [3, 10], weight: 3 },
+  bridge: { tolerance: [1, 4], weight: 2 },
+  pd: { tolerance: [3, 8], weight: 2 },
+  temple: { tolerance: [5, 15], weight: 1 },
+};
+
+export const GOOD_FIT_SCORE = 75;
+
+/**
+ * @param {number} difference - mm
+ * @param {[number, number]} tolerance
+ */
+function sizeMatch(difference, [full, none]) {
+  const off = Math.abs(difference);
+  if (off <= full) return 1;
+  if (off >= none) return 0;
+  return 1 - (off - full) / (none - full);
+}
+
+/**
+ * How well a frame's size suits a shopper, 0–100, from whatever both sides
+ * give: the measurements of glasses that already fit them (lens width,
+ * bridge, temple), their PD and their face width. Each criterion present on
+ * both sides is scored and the rest are left out of the weighting, so a
+ * frame with only a width is still comparable.
+ *
+ * - width: the frame's front against the face width, or else the current
+ *   glasses' front (estimated from lens + bridge when not measured)
+ * - bridge and temple: against the current glasses
+ * - pd: the optical centres' spacing (lens + bridge) against the PD, as the
+ *   lab decentres lenses that are far off it
+ *
+ * @param {{lensWidth?: number|null, bridge?: number|null, temple?: number|null, frameWidth?: number|null}} frame
+ * @param {{lensWidth?: number|null, bridge?: number|null, temple?: number|null, pd?: number|null, faceWidth?: number|null}} reference
+ * @returns {{score: number, label: 'good' | 'ok' | 'poor', criteria: Object<string, number>} | null}
+ *   null when nothing could be compared
+ */
+export function scoreFrameFit(frame = {}, reference = {}) {
+  const num = (/** @type {unknown} */ value) => {
+    const n = toNumber(value);
+    return n > 0 ? n : null;
+  };
+  const front = (/** @type {{lensWidth?: number|null, bridge?: number|null, frameWidth?: number|null}} */ size) => {
+    const lens = num(size.lensWidth);
+    const bridge = num(size.bridge);
+    return num(size.frameWidth) ?? (lens && bridge ? 2 * lens + bridge + FRAME_RIM_MM : null);
+  };
+
+  const frameFront = front(frame);
+  const frameLens = num(frame.lensWidth);
+  const frameBridge = num(frame.bridge);
+  /** @type {Object<string, number | null>} */
+  const wanted = {
+    width: num(reference.faceWidth) ?? front(reference),
+    bridge: num(reference.bridge),
+    temple: num(reference.temple),
+    pd: num(reference.pd),
+  };
+  /** @type {Object<string, number | null>} */
+  const offered = {
+    width: frameFront,
+    bridge: frameBridge,
+    temple: num(frame.temple),
+    // Each lens is decentred by half the difference.
+    pd: frameLens && frameBridge ? frameLens + frameBridge : null,
+  };
+
+  /** @type {Object<string, number>} */
+  const criteria = {};
+  let total = 0;
+  let weights = 0;
+  for (const [name, { tolerance, weight }] of Object.entries(SIZE_CRITERIA)) {
+    const want = wanted[name];
+    const offer = offered[name];
+    if (want == null || offer == null) continue;
+    const match = sizeMatch(name === 'pd' ? (offer - want) / 2 : offer - want, tolerance);
+    criteria[name] = match;
+    total += match * weight;
+    weights += weight;
+  }
+  if (!weights) return null;
+
+  const score = Math.round((total / weights) * 100);
+  const label = score >= GOOD_FIT_SCORE ? 'good' : score >= 50 ? 'ok' : 'poor';
+  return { score, label, criteria };
+}
+
+/**
+ * Weighted preferences from a frame-quiz answer's settings: comma- or
+ * line-separated entries, each optionally ending in `:weight` (default 1).
+ * A tag is plain (`round:3`); a metafield names its key and value
+ * (`custom.frame_shape=Round:2`).
+ * @param {string} text
+ * @returns {{key: string | null, value: string, weight: number}[]} key is null for a tag
+ */
+export function parseQuizWeights(text) {
+  /** @type {{key: string | null, value: string, weight: number}[]} */
+  const entries = [];
+  for (const raw of String(text || '').split(/[,\n]/)) {
+    const match = /^(.*?)(?::\s*(\d*\.?\d+))?$/.exec(raw.trim());
+    const entry = match?.[1]?.trim();
+    if (!match || !entry) continue;
+    const weight = match[2] == null ? 1 : parseFloat(match[2]);
+    const equals = entry.indexOf('=');
+    if (equals < 0) {
+      entries.push({ key: null, value: entry, weight });
+      continue;
+    }
+    // A metafield with no key or no value could never match; skip it rather
+    // than let it dilute every score.
+    const key = entry.slice(0, equals).trim();
+    const value = entry.slice(equals + 1).trim();
+    if (key && value) entries.push({ key, value, weight });
+  }
+  return entries;
+}
+
+/**
+ * How well a product matches the quiz answers, 0–100: the share of the
+ * answers' weight it carries. Tags compare case-insensitively; a metafield
+ * matches when any of its values (lists come comma-separated) is the wanted
+ * one. Null when the answers weigh nothing, so products keep their order.
+ * @param {{tags?: string[], facts?: Object<string, string>}} product - facts by
+ *   metafield key (`custom.frame_shape`)
+ * @param {{key: string | null, value: string, weight: number}[]} weights
+ * @returns {number | null}
+ */
+export function scoreQuizMatch(product = {}, weights = []) {
+  const normalise = (/** @type {unknown} */ value) => String(value ?? '').trim().toLowerCase();
+  const tags = new Set((product.tags ?? []).map(normalise));
+  const facts = new Map(
+    Object.entries(product.facts ?? {}).map(([key, value]) => [normalise(key), String(value ?? '').split(',').map(normalise)])
+  );
+
+  let total = 0;
+  let matched = 0;
+  for (const { key, value, weight } of weights) {
+    if (!(weight > 0)) continue;
+    total += weight;
+    const hit = key == null ? tags.has(normalise(value)) : (facts.get(normalise(key)) ?? []).includes(normalise(value));
+    if (hit) matched += weight;
+  }
+  return total ? Math.round((matched / total) * 100) : null;
+}
+
+/**
+ * Collection filter parameters for a set of answers, each answer's given as
+ * a query string (`filter.p.m.custom.frame_shape=Round`). Values for the same
+ * parameter sit side by side, which the storefront reads as either-or;
+ * anything that isn't a `filter.` parameter is dropped.
+ * @param {string[]} filters
+ * @returns {URLSearchParams}
+ */
+export function quizFilterParams(filters = []) {
+  const params = new URLSearchParams();
+  for (const filter of filters) {
+    for (const [key, value] of new URLSearchParams(String(filter || '').trim().replace(/^\?/, ''))) {
+      if (key.startsWith('filter.') && !params.getAll(key).includes(value)) params.append(key, value);
+    }
+  }
+  return params;
 }
 
 
@@ -341,7 +1606,8 @@ export function lensColorOptions(products = [], { visionType, tier = 'standard'
  * @param {string} [currency]
  */
 export function formatCents(cents, currency) {
-  const active = currency || globalThis.Shopify?.currency?.active || 'USD';
+  const shopify = /** @type {{Shopify?: Shopify}} */ (globalThis).Shopify;
+  const active = currency || shopify?.currency?.active || 'USD';
   try {
     return new Intl.NumberFormat(undefined, { style: 'currency', currency: active }).format((cents || 0) / 100);
   } catch {
@@ -352,6 +1618,7 @@ export function formatCents(cents, currency) {
 /**
  * Lens color name → lensgen color slug ("Grey Polar Mirror Blue" →
  * "grey-polar-mirror-blue", "Clear + AR" → "clear-ar").
+ * @param {string | null | undefined} name
  */
 export function lensColorSlug(name) {
   return String(name || '')
@@ -360,9 +1627,54 @@ export function lensColorSlug(name) {
     .replace(/^-+|-+$/g, '');
 }
 
+// Recognizable lens tints, in muted "lens-like" shades rather than raw CSS colors.
+/** @type {Record<string, string>} */
+const TINTS = {
+  grey: '#8d8d8f',
+  gray: '#8d8d8f',
+  brown: '#5f4432',
+  green: '#4e5c50',
+  blue: '#3d6da6',
+  gold: '#d0b24a',
+  yellow: '#d8c04f',
+  silver: '#b9bcc0',
+  red: '#a2453e',
+  rose: '#c98a97',
+  amber: '#c58f3d',
+};
+
+/**
+ * CSS background for a lens color name: known tint words become muted solids,
+ * two tints (mirror finishes) a diagonal gradient, "gradient" a top-down fade,
+ * clear coatings a light neutral.
+ * @param {string | null | undefined} name
+ */
+export function lensSwatchFill(name) {
+  const lower = String(name || '').toLowerCase();
+  const tints = lower.split(/[^a-z]+/).map((w) => TINTS[w]).filter(Boolean);
+
+  if (lower.includes('blocking')) return '#ece5c8';
+  if (tints.length === 0) return lower.includes('clear') ? '#efefef' : '#cccccc';
+  if (lower.includes('gradient')) return `linear-gradient(180deg, ${tints[0]} 20%, #d9cfc2 95%)`;
+  if (tints.length > 1) return `linear-gradient(135deg, ${tints[0]} 45%, ${tints[1]} 55%)`;
+  return tints[0];
+}
+
+/**
+ * Slug sent to the recolor service. Coatings are invisible on a photo, so every
+ * Clear option shares one 'clear' render instead of paying for identical
+ * generations.
+ * @param {string} color
+ */
+export function recolorSlug(color) {
+  const slug = lensColorSlug(color);
+  return slug.startsWith('clear') ? 'clear' : slug;
+}
+
 /**
  * Stable image URL for recolor caching: strip responsive size params (width,
  * height) so the same product+color always hits the same cache key.
+ * @param {string | null | undefined} url
  */
 export function stripImageSizeParams(url) {
   if (!url) return '';
@@ -377,8 +1689,380 @@ export function stripImageSizeParams(url) {
   }
 }
 
+// --- Lens add-ons ------------------------------------------------------------
+
+/**
+ * A catalogue add-on, as `rx-product-data` emits it. The lists narrow where it
+ * is offered; an empty list means any value.
+ * @typedef {Object} RxAddon
+ * @property {string} key           Product handle.
+ * @property {number} variantId
+ * @property {string} sku
+ * @property {number} price         In cents.
+ * @property {string} title
+ * @property {string} [description]
+ * @property {boolean} [available]
+ * @property {string[]} [categories]
+ * @property {string[]} [visionTypes]
+ * @property {string[]} [tiers]
+ * @property {string | null} [group]
+ */
+
+/**
+ * The part of an add-on kept on `state.addons` (and carted).
+ * @typedef {Pick<RxAddon, 'key' | 'variantId' | 'sku' | 'price' | 'title'> & {group: string | null}} RxAddonSelection
+ */
+
+/**
+ * Add-ons on offer for the lens being configured. Each catalogue entry may be
+ * limited to some categories, vision types or tiers (an empty list means any):
+ * a thinning upgrade only makes sense on high-power lenses, a blue-light
+ * filter not on sunglasses.
+ * @param {RxAddon[]} addons - product data `addons`
+ * @param {{lensCategory?: string|null, visionType?: string|null, tier?: string}} opts
+ * @returns {RxAddon[]}
+ */
+export function applicableAddons(addons = [], { lensCategory = null, visionType = null, tier = 'standard' } = {}) {
+  if (!lensCategory || !visionType) return [];
+  const vision = visionType === 'non_rx' ? 'single_vision' : visionType;
+  /** @type {(list: string[] | undefined, value: string) => boolean} */
+  const fits = (list, value) => !list?.length || list.includes(value);
+  return addons.filter(
+    (addon) => fits(addon.categories, lensCategory) && fits(addon.visionTypes, vision) && fits(addon.tiers, tier)
+  );
+}
+
+/**
+ * Select or deselect an add-on. Add-ons sharing a `group` are alternatives
+ * (1.67 vs 1.74 thinning), so picking one drops the other.
+ * @param {RxAddonSelection[]} selected - `state.addons`
+ * @param {RxAddon} addon - catalogue entry
+ * @returns {RxAddonSelection[]} the new selection
+ */
+export function toggleAddon(selected = [], addon) {
+  if (selected.some((entry) => entry.key === addon.key)) {
+    return selected.filter((entry) => entry.key !== addon.key);
+  }
+  const rest = addon.group ? selected.filter((entry) => entry.group !== addon.group) : selected;
+  return [...rest, toAddonSelection(addon)];
+}
+
+/**
+ * The part of a catalogue add-on that goes on the state (and the cart).
+ * @param {RxAddon} addon
+ * @returns {RxAddonSelection}
+ */
+export function toAddonSelection(addon) {
+  return {
+    key: addon.key,
+    variantId: addon.variantId,
+    sku: addon.sku,
+    price: addon.price,
+    title: addon.title,
+    group: addon.group || null,
+  };
+}
+
+// --- Pricing rules -----------------------------------------------------------
+
+/** @typedef {'frame' | 'lens' | 'addons' | 'bundle'} RxPricingTarget */
+
+/**
+ * @typedef {Object} RxPricingRule
+ * @property {string} id - stable id; travels to the cart as `_rx_promo`
+ * @property {string} label - shopper-facing, e.g. "$50 off lenses with any acetate frame"
+ * @property {{frameTags?: string[], lensCategories?: string[], visionTypes?: string[],
+ *   tiers?: string[], minPairsInCart?: number}} [when] - all given conditions must hold;
+ *   a list matches when any of its values does
+ * @property {{target: RxPricingTarget, type: 'fixed'|'percent'|'price', value: number}} discount
+ *   `fixed` takes `value` cents off, `percent` takes `value`% off, `price` sets the target to `value` cents
+ * @property {boolean} [stack] - also applies on top of another rule for the same target
+ * @property {string} [startsAt] - ISO date; inactive before
+ * @property {string} [endsAt] - ISO date; inactive from
+ */
+
+/**
+ * @typedef {Object} RxPriceBreakdown
+ * @property {{key: string, label: string, price: number}[]} items - frame, lens, then add-ons
+ * @property {{ruleId: string, label: string, target: string, amount: number}[]} savings
+ * @property {number} subtotal - before savings, in cents
+ * @property {number} totalSavings
+ * @property {number} total
+ */
+
+/** @type {RxPricingTarget[]} */
+const PRICING_TARGETS = ['frame', 'lens', 'addons', 'bundle'];
+
+/**
+ * @param {RxPricingRule} rule
+ * @param {number} now - epoch ms
+ */
+function ruleIsActive(rule, now) {
+  const starts = rule.startsAt ? Date.parse(rule.startsAt) : NaN;
+  const ends = rule.endsAt ? Date.parse(rule.endsAt) : NaN;
+  if (!Number.isNaN(starts) && now < starts) return false;
+  if (!Number.isNaN(ends) && now >= ends) return false;
+  return true;
+}
+
+/**
+ * @param {RxPricingRule} rule
+ * @param {{frameTags: string[], lensCategory: string | null, visionType: string | null, tier: string,
+ *   pairsInCart: number}} facts
+ */
+function ruleMatches(rule, { frameTags, lensCategory, visionType, tier, pairsInCart }) {
+  const when = rule.when || {};
+  const any = (/** @type {string[] | undefined} */ list, /** @type {(string | null)[]} */ values) =>
+    !list?.length || list.some((value) => values.includes(value));
+  return (
+    any(when.frameTags, frameTags) &&
+    any(when.lensCategories, [lensCategory]) &&
+    any(when.visionTypes, [visionType]) &&
+    any(when.tiers, [tier]) &&
+    pairsInCart >= (Number(when.minPairsInCart) || 0)
+  );
+}
+
+/**
+ * @param {RxPricingRule['discount']} discount
+ * @param {number} price - cents
+ */
+function discountAmount(discount, price) {
+  const value = Number(discount.value) || 0;
+  let amount = 0;
+  if (discount.type === 'percent') amount = Math.round((price * value) / 100);
+  else if (discount.type === 'price') amount = price - value;
+  else amount = value;
+  return Math.max(0, Math.min(price, amount));
+}
+
+/**
+ * Price the configured bundle against the merchant's pricing rules. Per target
+ * the single best rule wins; rules marked `stack` are added on top. A target
+ * never goes below zero. The result is for display and for tagging the cart;
+ * the saving itself comes from a Shopify discount function that checks the
+ * rule's conditions against the cart at checkout.
+ * @param {Pick<RxState, 'frame' | 'lensProduct' | 'addons' | 'lensCategory' | 'visionType' | 'prescription'>} state
+ * @param {RxPricingRule[]} rules - product data `pricingRules`
+ * @param {{frameTags?: string[], pairsInCart?: number, tierSphThreshold?: number, now?: number}} [context]
+ *   `pairsInCart` counts RX bundles already in the cart (second-pair offers)
+ * @returns {RxPriceBreakdown}
+ */
+export function evaluatePricing(state, rules = [], context = {}) {
+  const { frameTags = [], pairsInCart = 0, tierSphThreshold = 2, now = Date.now() } = context;
+  const addons = state.addons || [];
+
+  const items = [];
+  if (state.frame) items.push({ key: 'frame', label: state.frame.title || 'Frame', price: state.frame.price || 0 });
+  if (state.lensProduct) {
+    items.push({ key: 'lens', label: state.lensProduct.title || 'Lenses', price: state.lensProduct.price || 0 });
+  }
+  for (const addon of addons) items.push({ key: `addon:${addon.key}`, label: addon.title, price: addon.price || 0 });
+
+  const frame = state.frame?.price || 0;
+  const lens = state.lensProduct?.price || 0;
+  const addonsPrice = addons.reduce((sum, addon) => sum + (addon.price || 0), 0);
+  /** @type {Record<RxPricingTarget, number>} */
+  const prices = { frame, lens, addons: addonsPrice, bundle: frame + lens + addonsPrice };
+  const subtotal = prices.bundle;
+
+  const facts = {
+    frameTags,
+    lensCategory: state.lensCategory,
+    visionType: state.visionType,
+    tier: prescriptionTier(state.prescription, tierSphThreshold),
+    pairsInCart,
+  };
+  // Nothing to price until there is a lens to put in the frame.
+  const candidates = state.lensProduct
+    ? (rules || []).filter(
+        (rule) =>
+          rule?.id &&
+          PRICING_TARGETS.includes(rule.discount?.target) &&
+          ruleIsActive(rule, now) &&
+          ruleMatches(rule, facts)
+      )
+    : [];
+
+  /** @type {RxPriceBreakdown['savings']} */
+  const savings = [];
+  let remaining = { ...prices };
+  for (const target of PRICING_TARGETS) {
+    const forTarget = candidates.filter((rule) => rule.discount.target === target);
+    const scored = (/** @type {RxPricingRule} */ rule) => discountAmount(rule.discount, remaining[target]);
+    const best = forTarget
+      .filter((rule) => !rule.stack)
+      .reduce(
+        (winner, rule) => (!winner || scored(rule) > scored(winner) ? rule : winner),
+        /** @type {RxPricingRule | null} */ (null)
+      );
+
+    for (const rule of [best, ...forTarget.filter((entry) => entry.stack)]) {
+      if (!rule) continue;
+      const amount = discountAmount(rule.discount, remaining[target]);
+      if (amount <= 0) continue;
+      remaining = { ...remaining, [target]: remaining[target] - amount };
+      // A saving on a part also comes off the bundle, so a bundle-wide rule
+      // (evaluated last) can't discount money that's already gone.
+      if (target !== 'bundle') remaining.bundle -= amount;
+      savings.push({ ruleId: rule.id, label: rule.label || rule.id, target, amount });
+    }
+  }
+
+  const totalSavings = Math.min(
+    subtotal,
+    savings.reduce((sum, entry) => sum + entry.amount, 0)
+  );
+
+  return { items, savings, subtotal, totalSavings, total: subtotal - totalSavings };
+}
+
+// --- Order timeline ------------------------------------------------------------
+
+/** Lab stages in order. Several backend statuses can mean the same stage. */
+export const LAB_STAGES = [
+  { key: 'placed', label: 'Order placed' },
+  { key: 'rx_received', label: 'Prescription received' },
+  { key: 'sent_to_lab', label: 'Sent to lab' },
+  { key: 'in_production', label: 'Lenses in production' },
+  { key: 'shipped', label: 'Shipped' },
+  { key: 'delivered', label: 'Delivered' },
+];
+
+/** @type {Record<string, string>} */
+const STAGE_OF_STATUS = {
+  rx_needed: 'placed',
+  rx_received: 'rx_received',
+  sent: 'sent_to_lab',
+  sent_to_lab: 'sent_to_lab',
+  in_progress: 'in_production',
+  manufacturing: 'in_production',
+  shipped: 'shipped',
+  delivered: 'delivered',
+  completed: 'delivered',
+};
+
+/**
+ * Typical days each stage takes after the one before. The prescription stage
+ * waits on the customer, so it has no estimate.
+ * @type {Object<string, number | null>}
+ */
+export const DEFAULT_STAGE_DAYS = { rx_received: null, sent_to_lab: 1, in_production: 1, shipped: 5, delivered: 4 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Position of a lab status in `LAB_STAGES`; unknown statuses count as just placed.
+ * @param {string | null | undefined} status
+ */
+export function labStageIndex(status) {
+  const key = STAGE_OF_STATUS[status ?? ''] ?? 'placed';
+  return LAB_STAGES.findIndex((stage) => stage.key === key);
+}
+
+/**
+ * Whether the backend status is one of the lab statuses above. Anything else
+ * (cancelled, on hold…) has no stage, whatever labStageIndex makes of it.
+ * @param {string | null | undefined} status
+ */
+export function isLabStatus(status) {
+  return status != null && Object.prototype.hasOwnProperty.call(STAGE_OF_STATUS, status);
+}
+
+/**
+ * The further along of two lab statuses (a stale page vs. a live answer).
+ * @param {string | null | undefined} a
+ * @param {string | null | undefined} b
+ */
+export function furthestLabStatus(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return labStageIndex(b) > labStageIndex(a) ? b : a;
+}
+
+/**
+ * Every lab stage of an order with when it happened or, for the ones ahead,
+ * when it should. Reached stages are `done`; the next one is `current`.
+ * Estimates chain from the last reached stage and never fall in the past — a
+ * late stage is expected from today.
+ * @param {{status: string, history?: {status: string, at: string|number}[], placedAt?: string|number|null,
+ *   stageDays?: Object<string, number|null>, now?: number}} order
+ * @returns {{key: string, label: string, state: 'done'|'current'|'upcoming', at: number|null, expected: number|null}[]}
+ */
+export function buildOrderTimeline({ status, history = [], placedAt = null, stageDays = {}, now = Date.now() }) {
+  const days = { ...DEFAULT_STAGE_DAYS, ...stageDays };
+  const reached = labStageIndex(status);
+
+  /** @type {Object<string, number>} */
+  const firstAt = {};
+  const placed = placedAt == null ? NaN : new Date(placedAt).getTime();
+  if (!Number.isNaN(placed)) firstAt.placed = placed;
+  for (const entry of history ?? []) {
+    const key = STAGE_OF_STATUS[entry?.status ?? ''];
+    const at = new Date(entry?.at ?? NaN).getTime();
+    if (!key || Number.isNaN(at)) continue;
+    if (firstAt[key] == null || at < firstAt[key]) firstAt[key] = at;
+  }
+
+  let clock = firstAt[LAB_STAGES[reached]?.key ?? 'placed'] ?? now;
+  return LAB_STAGES.map((stage, index) => {
+    if (index <= reached) {
+      return { ...stage, state: 'done', at: firstAt[stage.key] ?? null, expected: null };
+    }
+    const span = days[stage.key];
+    clock = Math.max(span == null ? clock : clock + Number(span) * DAY_MS, now);
+    return {
+      ...stage,
+      state: index === reached + 1 ? 'current' : 'upcoming',
+      at: null,
+      expected: span == null ? null : clock,
+    };
+  });
+}
+
+/**
+ * Carrier tracking page for a tracking number. A URL from the backend wins;
+ * otherwise the carrier is named or guessed from the number's format.
+ * @param {string} number
+ * @param {{carrier?: string|null, url?: string|null}} [known]
+ * @returns {string|null}
+ */
+export function trackingUrl(number, { carrier = null, url = null } = {}) {
+  if (url) return url;
+  const value = String(number || '').replace(/\s+/g, '').toUpperCase();
+  if (!value) return null;
+
+  const name = String(carrier || '').toLowerCase();
+  const guess =
+    (name.includes('ups') && 'ups') ||
+    (name.includes('usps') && 'usps') ||
+    (name.includes('fedex') && 'fedex') ||
+    (name.includes('dhl') && 'dhl') ||
+    (/^1Z[0-9A-Z]{16}$/.test(value) && 'ups') ||
+    (/^(94|93|92|95)\d{18,20}$/.test(value) && 'usps') ||
+    (/^(\d{12}|\d{15})$/.test(value) && 'fedex') ||
+    (/^\d{10}$/.test(value) && 'dhl') ||
+    null;
+
+  const encoded = encodeURIComponent(value);
+  switch (guess) {
+    case 'ups':
+      return `https://www.ups.com/track?tracknum=${encoded}`;
+    case 'usps':
+      return `https://tools.usps.com/go/TrackConfirmAction?tLabels=${encoded}`;
+    case 'fedex':
+      return `https://www.fedex.com/fedextrack/?trknbr=${encoded}`;
+    case 'dhl':
+      return `https://www.dhl.com/us-en/home/tracking/tracking-express.html?tracking-id=${encoded}`;
+    default:
+      return null;
+  }
+}
+
 // --- prescription form value picker ----------------------------------------
 
+/** @typedef {string | [string, string]} RxLensOption - a value, or a [value, label] pair */
+
 /**
  * Lay values out in two columns for the prescription pickers.
  *
@@ -391,15 +2075,17 @@ export function stripImageSizeParams(url) {
  *
  * Anything else is simply cut in half, first part left.
  *
- * @param {(string | [string, string])[]} options
+ * @param {RxLensOption[]} options
  * @param {{anchor?: number | null, leftGoes?: 'up' | 'down', split?: 'anchor' | 'halves'}} config
- * @returns {{head: string[], left: (string | [string, string])[], right: (string | [string, string])[]}}
+ * @returns {{head: RxLensOption[], left: RxLensOption[], right: RxLensOption[]}}
  */
 export function splitIntoColumns(options, { anchor = null, leftGoes = 'up', split = 'anchor' } = {}) {
-  const numberOf = (option) => parseFloat(lensOptionPair(option)[0]);
+  const numberOf = (/** @type {RxLensOption} */ option) => parseFloat(lensOptionPair(option)[0]);
 
   if (split === 'halves') {
+    /** @type {RxLensOption[]} */
     const left = [];
+    /** @type {RxLensOption[]} */
     const right = [];
     for (const option of options) {
       const n = numberOf(option);
@@ -414,8 +2100,11 @@ export function splitIntoColumns(options, { anchor = null, leftGoes = 'up', spli
     return { head: [], left: options.slice(0, half), right: options.slice(half) };
   }
 
+  /** @type {RxLensOption[]} */
   const head = [];
+  /** @type {RxLensOption[]} */
   const above = [];
+  /** @type {RxLensOption[]} */
   const below = [];
   for (const option of options) {
     const n = numberOf(option);
@@ -439,6 +2128,50 @@ export function splitIntoColumns(options, { anchor = null, leftGoes = 'up', spli
   return leftGoes === 'up' ? { head, left: above, right: below } : { head, left: below, right: above };
 }
 
+/**
+ * @param {RxLensOption} option
+ * @returns {[string, string]} value and label
+ */
 export function lensOptionPair(option) {
   return Array.isArray(option) ? [String(option[0]), String(option[1])] : [String(option), String(option)];
 }
+
+/**
+ * A picker value as it should be read aloud. Screen readers skip a leading "+"
+ * and read "-" as "dash" or not at all, and on a prescription the sign is the
+ * part that matters.
+ * @param {string} label
+ */
+export function spokenLensValue(label) {
+  const text = String(label ?? '');
+  if (/^\+\d/.test(text)) return `plus ${text.slice(1)}`;
+  if (/^-\d/.test(text)) return `minus ${text.slice(1)}`;
+  return text;
+}
+
+/**
+ * Type-to-jump for the pickers: the first label that starts with what was
+ * typed, so "-2.2" reaches -2.25. Typed without a sign it matches either side,
+ * skipping leading zeros ("90" finds axis 090), and prefers the side of
+ * `prefer` — the option the shopper is on.
+ * @param {string[]} labels - in the order the picker shows them
+ * @param {string} query
+ * @param {{prefer?: string}} [options]
+ * @returns {number} index into `labels`, or -1
+ */
+export function typeaheadIndex(labels, query, { prefer = '' } = {}) {
+  const typed = String(query ?? '').trim().toLowerCase();
+  if (!typed) return -1;
+  const signOf = (/** @type {string} */ text) => (/^[+-]/.test(text) ? text[0] : '');
+  const bare = (/** @type {string} */ text) => text.replace(/^[+-]/, '').replace(/^0+(?=\d)/, '');
+  const signed = signOf(typed) !== '';
+
+  let fallback = -1;
+  for (let i = 0; i < labels.length; i++) {
+    const text = String(labels[i]).toLowerCase();
+    if (!(signed ? text.startsWith(typed) : bare(text).startsWith(bare(typed)))) continue;
+    if (signed || signOf(text) === signOf(String(prefer))) return i;
+    if (fallback < 0) fallback = i;
+  }
+  return fallback;
+}
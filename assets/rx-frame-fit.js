@@ -0,0 +1,228 @@
+/**
+ * RX frame fit: scores frames by size against the shopper's measurements —
+ * the numbers printed on glasses that already fit them, their PD, their face
+ * width — and marks the product cards on the page.
+ *
+ * - `<rx-frame-fit>` (sections/rx-frame-fit.liquid) is the tool: it takes the
+ *   measurements, keeps them on this device and ranks a product list by fit.
+ * - rx-collection.js loads this module on collection pages to put a
+ *   "Good fit" badge on cards once measurements have been given.
+ *
+ * Card sizes come from `data-frame-size` ("52-18-140") and `data-frame-width`
+ * on `<product-card>`, filled from the product's size metafields. Scoring is
+ * scoreFrameFit in rx-core.js.
+ */
+
+import { Component } from '@theme/component';
+
+// Resolve shared RX modules via the versioned import map (see
+// snippets/rx-import-map.liquid) — unversioned relative imports would be
+// CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
+function rxImport(name) {
+  /** @type {Record<string, string>} */
+  let map = {};
+  if (typeof document !== 'undefined') {
+    try {
+      map = JSON.parse(document.querySelector('script[data-rx-imports]')?.textContent ?? '{}');
+    } catch {
+      map = {};
+    }
+  }
+  return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
+}
+
+const { parseFrameSize, scoreFrameFit } = await rxImport('rx-core.js');
+
+// localStorage rather than the session: a face doesn't change between visits,
+// and the badges should still be there when the shopper comes back.
+const STORAGE_KEY = 'rx:frame-fit';
+const FIELDS = ['lensWidth', 'bridge', 'temple', 'pd', 'faceWidth'];
+const ITEM = '.resource-list__item, .product-grid__item';
+
+// --- Measurements ----------------------------------------------------------------
+
+/** @returns {Object<string, number> | null} */
+export function readMeasurements() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+    return saved && typeof saved === 'object' ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+/** @param {Object<string, number> | null} measurements */
+export function saveMeasurements(measurements) {
+  try {
+    if (measurements) localStorage.setItem(STORAGE_KEY, JSON.stringify(measurements));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // storage blocked — the measurements last until the next page view
+  }
+}
+
+// --- Cards ----------------------------------------------------------------------
+
+/**
+ * @param {Element} card
+ * @returns {{lensWidth: number|null, bridge: number|null, temple: number|null, frameWidth: number|null}}
+ */
+export function frameSizeOf(card) {
+  const width = parseFloat(card.getAttribute('data-frame-width') ?? '');
+  return { ...parseFrameSize(card.getAttribute('data-frame-size')), frameWidth: width > 0 ? width : null };
+}
+
+/**
+ * Score every card under `scope` and badge the good fits. With `rank`, list
+ * items are also reordered best first; frames without sizes go last, in their
+ * original order. The DOM is only touched when a card's verdict changes, so
+ * callers can run this from a MutationObserver.
+ *
+ * @param {string} scope - selector for the containers holding the cards
+ * @param {Object<string, number> | null} measurements - null clears the marks
+ * @param {{rank?: boolean, badge?: string}} [options]
+ * @returns {{scored: number, good: number}}
+ */
+export function markFrameFit(scope, measurements, { rank = false, badge: badgeText = 'Good fit' } = {}) {
+  let scored = 0;
+  let good = 0;
+  const scores = new Map();
+
+  for (const card of document.querySelectorAll(`:is(${scope}) product-card`)) {
+    const result = measurements ? scoreFrameFit(frameSizeOf(card), measurements) : null;
+    if (result) {
+      scored += 1;
+      if (result.label === 'good') good += 1;
+    }
+    const item = card.closest(ITEM);
+    if (item) scores.set(item, result?.score ?? -1);
+
+    const verdict = result?.label ?? '';
+    if ((card.getAttribute('data-rx-size-fit') ?? '') !== verdict) {
+      if (verdict) card.setAttribute('data-rx-size-fit', verdict);
+      else card.removeAttribute('data-rx-size-fit');
+    }
+
+    let badge = card.querySelector('.rx-size-badge');
+    if (verdict !== 'good') {
+      badge?.remove();
+      continue;
+    }
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'rx-size-badge';
+      card.querySelector('.product-card__content')?.append(badge);
+    }
+    if (badge.textContent !== badgeText) badge.textContent = badgeText;
+  }
+
+  if (rank) rankItems(scores);
+  return { scored, good };
+}
+
+/** @param {Map<Element, number>} scores */
+function rankItems(scores) {
+  /** @type {Map<Element, Element[]>} */
+  const groups = new Map();
+  for (const item of scores.keys()) {
+    if (!item.parentElement) continue;
+    // Remember where the server put it, to fall back to when cleared.
+    if (!item.hasAttribute('data-rx-size-index')) {
+      item.setAttribute('data-rx-size-index', String([...item.parentElement.children].indexOf(item)));
+    }
+    const siblings = groups.get(item.parentElement) ?? [];
+    siblings.push(item);
+    groups.set(item.parentElement, siblings);
+  }
+
+  /** @param {Element} item */
+  const index = (item) => Number(item.getAttribute('data-rx-size-index'));
+  for (const [parent, items] of groups) {
+    const sorted = [...items].sort((a, b) => (scores.get(b) ?? 0) - (scores.get(a) ?? 0) || index(a) - index(b));
+    if (sorted.every((item, i) => item === items[i])) continue;
+    parent.append(...sorted);
+  }
+}
+
+// --- The tool ------------------------------------------------------------------
+
+/**
+ * Fit tool for `sections/rx-frame-fit.liquid`. The form's fields are named
+ * after the measurements; each is optional, but one of them has to be given.
+ *
+ * @extends {Component<{form: HTMLFormElement, status: HTMLElement, clear: HTMLButtonElement}>}
+ */
+class RxFrameFit extends Component {
+  requiredRefs = ['form', 'status'];
+
+  connectedCallback() {
+    super.connectedCallback();
+    const measurements = readMeasurements();
+    this.#fill(measurements);
+    this.#apply(measurements);
+  }
+
+  /** @param {SubmitEvent} event */
+  submit(event) {
+    event.preventDefault();
+    /** @type {Object<string, number>} */
+    const measurements = {};
+    for (const name of FIELDS) {
+      const input = this.refs.form.elements.namedItem(name);
+      const value = input instanceof HTMLInputElement ? parseFloat(input.value) : NaN;
+      if (value > 0) measurements[name] = value;
+    }
+    if (!Object.keys(measurements).length) {
+      this.#setStatus('Enter at least one measurement.');
+      return;
+    }
+    saveMeasurements(measurements);
+    this.#apply(measurements);
+  }
+
+  clear() {
+    saveMeasurements(null);
+    this.#fill(null);
+    this.#apply(null);
+  }
+
+  get #scope() {
+    return this.dataset.scope || '.section-resource-list';
+  }
+
+  /** @param {Object<string, number> | null} measurements */
+  #apply(measurements) {
+    const rank = this.dataset.rank !== 'false';
+    const { scored, good } = markFrameFit(this.#scope, measurements, {
+      rank,
+      badge: this.dataset.badge || undefined,
+    });
+    this.refs.clear?.toggleAttribute('hidden', !measurements);
+    if (!measurements) return this.#setStatus('');
+    if (!scored) return this.#setStatus("We couldn't compare these frames with your measurements.");
+    const order = rank ? ' Best fits are shown first.' : '';
+    this.#setStatus(
+      good
+        ? `${good} of ${scored} frames are a good fit.${order}`
+        : `None of these ${scored} frames is a close fit.${order}`
+    );
+  }
+
+  /** @param {Object<string, number> | null} measurements */
+  #fill(measurements) {
+    for (const name of FIELDS) {
+      const input = this.refs.form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement) input.value = measurements?.[name] != null ? String(measurements[name]) : '';
+    }
+  }
+
+  /** @param {string} text */
+  #setStatus(text) {
+    this.refs.status.textContent = text;
+  }
+}
+
+if (!customElements.get('rx-frame-fit')) {
+  customElements.define('rx-frame-fit', RxFrameFit);
+}
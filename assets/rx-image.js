@@ -0,0 +1,414 @@
+/**
+ * RX image preparation: turns a phone photo of a prescription into the image
+ * the OCR endpoint reads best — upright, cropped to the paper, no larger than
+ * it needs to be, with the contrast stretched. No @theme imports; the byte
+ * parsers and the maths are pure (importable under `node --test`), the canvas
+ * steps need a browser.
+ */
+
+// Long edge of the uploaded image. Past this OCR accuracy stops improving and
+// the upload just gets slower on mobile data.
+export const RX_IMAGE_MAX_EDGE = 2400;
+
+// Long edge of the on-screen crop preview.
+const PREVIEW_MAX_EDGE = 1200;
+
+// --- Byte parsers ------------------------------------------------------------
+
+/**
+ * EXIF orientation (1–8) of a JPEG, or 1 when absent / not a JPEG. Only walks
+ * the APP1 segment's IFD0 — that's where cameras write tag 0x0112.
+ * @param {ArrayBuffer} buffer
+ */
+export function readExifOrientation(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xff00) !== 0xff00) return 1;
+    const size = view.getUint16(offset + 2);
+    // "Exif\0\0" after the APP1 marker and length.
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      return readTiffOrientation(view, offset + 10);
+    }
+    // Start of scan: image data follows, no more metadata segments.
+    if (marker === 0xffda) return 1;
+    offset += 2 + size;
+  }
+  return 1;
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} tiff Offset of the TIFF header.
+ */
+function readTiffOrientation(view, tiff) {
+  if (tiff + 8 > view.byteLength) return 1;
+  const little = view.getUint16(tiff) === 0x4949;
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  if (ifd + 2 > view.byteLength) return 1;
+
+  const count = view.getUint16(ifd, little);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > view.byteLength) return 1;
+    if (view.getUint16(entry, little) === 0x0112) {
+      const value = view.getUint16(entry + 8, little);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Page count of a PDF without rendering it: the largest `/Count` on a
+ * `/Type /Pages` node (the root's), else the number of `/Type /Page` objects.
+ * Null when it can't tell — the page tree sits in a compressed object stream
+ * (`/Type /ObjStm`), or nothing matched at all.
+ * @param {ArrayBuffer} buffer
+ * @returns {number | null}
+ */
+export function countPdfPages(buffer) {
+  const text = new TextDecoder('latin1').decode(buffer);
+  let count = 0;
+  for (const match of text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)) {
+    count = Math.max(count, Number(match[1] ?? match[2]));
+  }
+  if (count) return count;
+  // Pages packed into object streams don't show up below; a count from what
+  // does show would be too low.
+  if (/\/Type\s*\/ObjStm\b/.test(text)) return null;
+  return text.match(/\/Type\s*\/Page\b(?!s)/g)?.length || null;
+}
+
+// --- Geometry ----------------------------------------------------------------
+
+/**
+ * Scale `width × height` down (never up) so the long edge fits `maxEdge`.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxEdge
+ */
+export function fitWithin(width, height, maxEdge) {
+  const scale = Math.min(1, maxEdge / Math.max(width, height, 1));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/**
+ * A crop rectangle in fractions of the image (0–1), clamped so it stays inside
+ * the image and never collapses below `min` on either side.
+ * @param {{x: number, y: number, w: number, h: number}} crop
+ */
+export function clampCrop(crop, min = 0.1) {
+  const w = Math.min(1, Math.max(min, crop.w));
+  const h = Math.min(1, Math.max(min, crop.h));
+  return {
+    x: Math.min(1 - w, Math.max(0, crop.x)),
+    y: Math.min(1 - h, Math.max(0, crop.y)),
+    w,
+    h,
+  };
+}
+
+export const FULL_CROP = Object.freeze({ x: 0, y: 0, w: 1, h: 1 });
+
+/**
+ * Drag a crop by `dx`/`dy` (fractions): `handle` 'move' shifts the whole box,
+ * a compass corner ('nw', 'ne', 'sw', 'se') moves just those two edges.
+ * @param {{x: number, y: number, w: number, h: number}} crop
+ * @param {string} handle
+ * @param {number} dx
+ * @param {number} dy
+ */
+export function resizeCrop(crop, handle, dx, dy, min = 0.1) {
+  if (handle === 'move') return clampCrop({ ...crop, x: crop.x + dx, y: crop.y + dy }, min);
+
+  let left = crop.x;
+  let top = crop.y;
+  let right = crop.x + crop.w;
+  let bottom = crop.y + crop.h;
+  if (handle.includes('w')) left = Math.min(Math.max(0, left + dx), right - min);
+  if (handle.includes('e')) right = Math.max(Math.min(1, right + dx), left + min);
+  if (handle.includes('n')) top = Math.min(Math.max(0, top + dy), bottom - min);
+  if (handle.includes('s')) bottom = Math.max(Math.min(1, bottom + dy), top + min);
+  return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+/**
+ * Black and white points for a contrast stretch: the luminance values below
+ * and above which `clip` of the pixels fall. Clipping the tails keeps a glare
+ * spot or a dark thumb from pinning the range.
+ * @param {ArrayLike<number>} histogram 256 luminance buckets
+ */
+export function contrastLevels(histogram, clip = 0.01) {
+  let total = 0;
+  for (let i = 0; i < 256; i++) total += histogram[i] ?? 0;
+  const cut = total * clip;
+
+  let low = 0;
+  for (let seen = 0; low < 255 && (seen += histogram[low] ?? 0) <= cut; ) low++;
+  let high = 255;
+  for (let seen = 0; high > 0 && (seen += histogram[high] ?? 0) <= cut; ) high--;
+  return high > low ? { low, high } : { low: 0, high: 255 };
+}
+
+// --- Browser pipeline --------------------------------------------------------
+
+/**
+ * @typedef {Object} RxDecodedImage
+ * @property {CanvasImageSource} source
+ * @property {number} width        Stored (pre-orientation) width.
+ * @property {number} height
+ * @property {number} orientation  EXIF orientation still to apply; 1 when the
+ *   browser already applied it while decoding.
+ */
+
+// Browsers that honour `image-orientation: from-image` also apply EXIF
+// orientation when decoding, so correcting it again would double-rotate.
+function browserAppliesOrientation() {
+  return globalThis.CSS?.supports?.('image-orientation', 'from-image') ?? false;
+}
+
+/**
+ * Decode an image file for the canvas. Resolves null when the browser can't
+ * decode the format (HEIC outside Safari) — upload the original then.
+ * @param {Blob} file
+ * @returns {Promise<RxDecodedImage | null>}
+ */
+export async function decodeImage(file) {
+  const orientation = browserAppliesOrientation() ? 1 : readExifOrientation(await file.arrayBuffer());
+
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file);
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, orientation };
+    } catch {
+      // fall through to <img>, which decodes a few more formats in some browsers
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return { source: image, width: image.naturalWidth, height: image.naturalHeight, orientation };
+  } catch {
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Width/height after EXIF orientation and a quarter-turn `rotation`.
+ * @param {RxDecodedImage} decoded
+ */
+export function orientedSize(decoded, rotation = 0) {
+  const swap = (decoded.orientation >= 5) !== (rotation % 180 !== 0);
+  return swap ? { width: decoded.height, height: decoded.width } : { width: decoded.width, height: decoded.height };
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) throw new Error('Canvas is not available');
+  return { canvas, context };
+}
+
+/**
+ * Draw the image upright — EXIF orientation, then the customer's quarter-turn
+ * `rotation` (0, 90, 180, 270, clockwise) — scaled by `scale`.
+ * @param {RxDecodedImage} decoded
+ * @param {number} rotation
+ * @param {number} scale
+ */
+function drawUpright(decoded, rotation, scale) {
+  const w = Math.max(1, Math.round(decoded.width * scale));
+  const h = Math.max(1, Math.round(decoded.height * scale));
+  const size = orientedSize(decoded, rotation);
+  const { canvas, context } = createCanvas(
+    Math.max(1, Math.round(size.width * scale)),
+    Math.max(1, Math.round(size.height * scale))
+  );
+
+  // Quarter-turn first (it's applied to the already-oriented picture, so it
+  // goes outermost in the transform), then EXIF's own transform.
+  const ow = decoded.orientation >= 5 ? h : w;
+  const oh = decoded.orientation >= 5 ? w : h;
+  if (rotation === 90) context.transform(0, 1, -1, 0, oh, 0);
+  else if (rotation === 180) context.transform(-1, 0, 0, -1, ow, oh);
+  else if (rotation === 270) context.transform(0, -1, 1, 0, 0, ow);
+
+  switch (decoded.orientation) {
+    case 2: context.transform(-1, 0, 0, 1, w, 0); break;
+    case 3: context.transform(-1, 0, 0, -1, w, h); break;
+    case 4: context.transform(1, 0, 0, -1, 0, h); break;
+    case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: context.transform(0, 1, -1, 0, h, 0); break;
+    case 7: context.transform(0, -1, -1, 0, h, w); break;
+    case 8: context.transform(0, -1, 1, 0, 0, w); break;
+  }
+  context.drawImage(decoded.source, 0, 0, w, h);
+  return canvas;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type
+ * @param {number} quality
+ * @returns {Promise<Blob>}
+ */
+function toBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality);
+  });
+}
+
+// Let the loader repaint between the heavy canvas steps.
+function nextFrame() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Stretch luminance to the full range in place; skipped when already wide.
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} width
+ * @param {number} height
+ */
+function normalizeContrast(context, width, height) {
+  const image = context.getImageData(0, 0, width, height);
+  const data = image.data;
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = ((data[i] ?? 0) * 77 + (data[i + 1] ?? 0) * 150 + (data[i + 2] ?? 0) * 29) >> 8;
+    histogram[luma] = (histogram[luma] ?? 0) + 1;
+  }
+
+  const { low, high } = contrastLevels(histogram);
+  // A well-lit scan already spans the range; stretching it only adds noise.
+  if (high - low > 230) return;
+
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) lut[v] = ((v - low) * 255) / (high - low);
+  for (let i = 0; i < data.length; i += 4) {
+    // Alpha (every fourth byte) is left alone.
+    for (let c = i; c < i + 3; c++) data[c] = lut[data[c] ?? 0] ?? 0;
+  }
+  context.putImageData(image, 0, 0);
+}
+
+/**
+ * Upright, screen-sized object URL for the crop step. Revoke it when done.
+ * @param {RxDecodedImage} decoded
+ */
+export async function previewImageUrl(decoded, rotation = 0) {
+  const size = orientedSize(decoded, rotation);
+  const scale = fitWithin(size.width, size.height, PREVIEW_MAX_EDGE).width / size.width;
+  return URL.createObjectURL(await toBlob(drawUpright(decoded, rotation, scale), 'image/jpeg', 0.85));
+}
+
+/**
+ * The full pipeline: orient → crop → downscale → normalize contrast → JPEG.
+ * `onProgress(stage, ratio)` reports each step so the drawer can show it.
+ * @param {RxDecodedImage} decoded
+ * @param {{rotation?: number, crop?: {x: number, y: number, w: number, h: number},
+ *   maxEdge?: number, onProgress?: (stage: string, ratio: number) => void}} [opts]
+ * @returns {Promise<Blob>}
+ */
+export async function prepareImage(decoded, opts = {}) {
+  const { rotation = 0, maxEdge = RX_IMAGE_MAX_EDGE, onProgress = () => {} } = opts;
+  const crop = clampCrop(opts.crop ?? FULL_CROP);
+
+  // Scale so the *cropped* region fits maxEdge — a tight crop keeps detail.
+  onProgress('orient', 0.2);
+  await nextFrame();
+  const size = orientedSize(decoded, rotation);
+  const cropped = fitWithin(size.width * crop.w, size.height * crop.h, maxEdge);
+  const scale = cropped.width / (size.width * crop.w);
+  const upright = drawUpright(decoded, rotation, scale);
+
+  onProgress('crop', 0.4);
+  await nextFrame();
+  const { canvas, context } = createCanvas(cropped.width, cropped.height);
+  context.drawImage(
+    upright,
+    Math.round(crop.x * upright.width),
+    Math.round(crop.y * upright.height),
+    cropped.width,
+    cropped.height,
+    0,
+    0,
+    cropped.width,
+    cropped.height
+  );
+
+  onProgress('enhance', 0.6);
+  await nextFrame();
+  normalizeContrast(context, cropped.width, cropped.height);
+
+  onProgress('encode', 0.8);
+  await nextFrame();
+  return toBlob(canvas, 'image/jpeg', 0.9);
+}
+
+// --- PDF pages ---------------------------------------------------------------
+//
+// Browsers can't draw a PDF onto a canvas themselves, so the page picker
+// renders pages with pdf.js, imported from the merchant's configured URL on
+// first use. Its worker is expected beside it, as pdfjs-dist ships them.
+
+/**
+ * @typedef {Object} RxPdfDocument
+ * @property {number} pages
+ * @property {(page: number) => Promise<string>} previewUrl  Screen-sized object URL of a page; revoke it when done.
+ * @property {(page: number, maxEdge?: number) => Promise<Blob>} render  A page as a PNG for the photo pipeline.
+ * @property {() => void} close  Frees the pdf.js worker.
+ */
+
+/**
+ * Open a PDF for page rendering.
+ * @param {ArrayBuffer} buffer
+ * @param {string} src - URL of pdf.js's ES module build (`build/pdf.min.mjs`)
+ * @returns {Promise<RxPdfDocument>}
+ */
+export async function openPdf(buffer, src) {
+  /** @type {any} */
+  const pdfjs = await import(src);
+  if (!pdfjs.GlobalWorkerOptions.workerSrc) {
+    pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdf.worker.min.mjs', src).href;
+  }
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(buffer) }).promise;
+
+  /**
+   * @param {number} number
+   * @param {number} maxEdge
+   */
+  const draw = async (number, maxEdge) => {
+    const page = await doc.getPage(number);
+    const natural = page.getViewport({ scale: 1 });
+    // Pages are sized in points, well under the OCR's resolution — scale up too.
+    const viewport = page.getViewport({ scale: maxEdge / Math.max(natural.width, natural.height, 1) });
+    const { canvas, context } = createCanvas(Math.round(viewport.width), Math.round(viewport.height));
+    // Unpainted areas are transparent; the OCR expects paper.
+    await page.render({ canvasContext: context, viewport, background: '#ffffff' }).promise;
+    page.cleanup();
+    return canvas;
+  };
+
+  return {
+    pages: doc.numPages,
+    previewUrl: async (number) =>
+      URL.createObjectURL(await toBlob(await draw(number, PREVIEW_MAX_EDGE), 'image/jpeg', 0.85)),
+    render: async (number, maxEdge = RX_IMAGE_MAX_EDGE) => toBlob(await draw(number, maxEdge), 'image/png', 1),
+    close: () => doc.destroy(),
+  };
+}
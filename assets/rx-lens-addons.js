@@ -0,0 +1,185 @@
+import { Component } from '@theme/component';
+
+// Resolve shared RX modules via the versioned import map (see
+// snippets/rx-import-map.liquid) — unversioned relative imports would be
+// CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
+function rxImport(name) {
+  /** @type {Record<string, string>} */
+  let map = {};
+  if (typeof document !== 'undefined') {
+    try {
+      map = JSON.parse(document.querySelector('script[data-rx-imports]')?.textContent ?? '{}');
+    } catch {
+      map = {};
+    }
+  }
+  return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
+}
+
+const { RxStates, formatCents, prescriptionTier, applicableAddons, toggleAddon, toAddonSelection } =
+  await rxImport('rx-core.js');
+
+// One state per frame (see RxStates in rx-core.js); the first RX component to
+// initialize creates the registry. `window.rxState` is this page's frame's.
+/** @returns {import('./rx-core.js').RxState} */
+function getRxState() {
+  const states = (window.rxStates ??= new RxStates());
+  const frameId = document.querySelector('[data-rx-product-data]')?.getAttribute('data-rx-frame-id');
+  return (window.rxState = states.forFrame(frameId));
+}
+
+// Product data JSON emitted once by the rx-lens-selector block.
+/** @type {{el: Element, data: any} | null} */
+let productDataCache = null; // { el, data } — re-parsed when a morph swaps the node
+function getRxProductData() {
+  const el = document.querySelector('[data-rx-product-data]');
+  if (!el) return productDataCache?.data ?? null;
+  if (productDataCache?.el === el) return productDataCache.data;
+  try {
+    productDataCache = { el, data: JSON.parse(el.textContent) };
+  } catch (error) {
+    console.error('rx: invalid product data', error);
+    return null;
+  }
+  return productDataCache.data;
+}
+
+/** @type {Record<string, string>} */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** @param {unknown} value */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char] ?? char);
+}
+
+/**
+ * Lens add-ons (coatings, thinning). Hidden until a lens is chosen and the
+ * catalogue offers something for it; each add-on toggles on `rxState.addons`
+ * and is priced on its own line in the summary and the cart.
+ *
+ * @extends {Component<{list: HTMLElement}>}
+ */
+class RxLensAddons extends Component {
+  /** @type {import('./rx-core.js').RxState} */
+  #state;
+  /** @type {import('./rx-core.js').RxAddon[]} */
+  #offered = [];
+  /** @param {Event} event */
+  #onChange = (event) => {
+    if (/** @type {CustomEvent} */ (event).detail?.key !== 'addons') this.#reconcile();
+    this.#render();
+  };
+  #onRestore = () => this.#reconcile();
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#state = getRxState();
+    this.#state.addEventListener('rx:change', this.#onChange);
+    this.#state.addEventListener('rx:restore', this.#onRestore);
+    // The session can be restored before this element upgrades.
+    this.#reconcile();
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#state?.removeEventListener('rx:change', this.#onChange);
+    this.#state?.removeEventListener('rx:restore', this.#onRestore);
+  }
+
+  /** @param {{key: string}} data */
+  toggleAddon(data) {
+    const addon = this.#offered.find((entry) => entry.key === data?.key);
+    if (!addon || addon.available === false) return;
+    this.#state.set('addons', toggleAddon(this.#state.addons, addon));
+  }
+
+  /** @returns {import('./rx-core.js').RxAddon[]} */
+  #applicable() {
+    const state = this.#state;
+    const threshold = getRxProductData()?.config?.tierSphThreshold ?? 2;
+    return applicableAddons(getRxProductData()?.addons ?? [], {
+      lensCategory: state.lensCategory,
+      visionType: state.lensProduct ? state.visionType : null,
+      tier: prescriptionTier(state.prescription, threshold),
+    });
+  }
+
+  // A new category, vision type or tier can rule a chosen add-on out, and a
+  // restored session carries the prices of the page it was saved on. Keep
+  // what still applies, at this page's price.
+  #reconcile() {
+    const state = this.#state;
+    /** @type {import('./rx-core.js').RxAddonSelection[]} */
+    const selected = state.addons ?? [];
+    if (!selected.length) return;
+
+    const offered = this.#applicable();
+    const next = selected
+      .map((entry) => offered.find((addon) => addon.key === entry.key && addon.available !== false))
+      .filter((addon) => addon !== undefined)
+      .map(toAddonSelection);
+
+    const same =
+      next.length === selected.length &&
+      next.every(
+        (entry, index) => entry.variantId === selected[index]?.variantId && entry.price === selected[index]?.price
+      );
+    if (!same) state.set('addons', next);
+  }
+
+  /**
+   * @param {import('./rx-core.js').RxAddon} addon
+   * @param {boolean} selected
+   */
+  #itemHtml(addon, selected) {
+    const soldOut = addon.available === false;
+    const itemClass = [
+      'rx-lens-addons__item',
+      selected ? 'rx-lens-addons__item--selected' : '',
+      soldOut ? 'rx-lens-addons__item--unavailable' : '',
+    ]
+      .filter(Boolean)
+      .join(' ');
+    return `
+      <button
+        type="button"
+        class="${itemClass}"
+        role="checkbox"
+        aria-checked="${selected ? 'true' : 'false'}"
+        ${soldOut ? 'disabled' : ''}
+        on:click="/toggleAddon?key=${encodeURIComponent(addon.key)}"
+      >
+        <span class="rx-lens-addons__check" aria-hidden="true"></span>
+        <span class="rx-lens-addons__text">
+          <span class="rx-lens-addons__name">${escapeHtml(addon.title)}</span>
+          ${addon.description ? `<span class="rx-lens-addons__desc">${escapeHtml(addon.description)}</span>` : ''}
+        </span>
+        <span class="rx-lens-addons__price">${soldOut ? 'Unavailable' : `+${formatCents(addon.price || 0)}`}</span>
+      </button>
+    `;
+  }
+
+  #render() {
+    const list = this.refs.list ?? this.querySelector('.rx-lens-addons__list');
+    if (!list) return;
+
+    const offered = this.#applicable();
+    this.#offered = offered;
+    this.hidden = offered.length === 0;
+    if (!offered.length) {
+      list.replaceChildren();
+      return;
+    }
+
+    const chosen = new Set(
+      (this.#state.addons ?? []).map((/** @type {import('./rx-core.js').RxAddonSelection} */ entry) => entry.key)
+    );
+    list.innerHTML = offered.map((addon) => this.#itemHtml(addon, chosen.has(addon.key))).join('');
+  }
+}
+
+if (!customElements.get('rx-lens-addons')) {
+  customElements.define('rx-lens-addons', RxLensAddons);
+}
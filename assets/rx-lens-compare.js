@@ -0,0 +1,364 @@
+import { Component } from '@theme/component';
+
+// Resolve shared RX modules via the versioned import map (see
+// snippets/rx-import-map.liquid) — unversioned relative imports would be
+// CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
+function rxImport(name) {
+  /** @type {Record<string, string>} */
+  let map = {};
+  if (typeof document !== 'undefined') {
+    try {
+      map = JSON.parse(document.querySelector('script[data-rx-imports]')?.textContent ?? '{}');
+    } catch {
+      map = {};
+    }
+  }
+  return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
+}
+
+const {
+  RxStates,
+  prescriptionTier,
+  resolveLensProduct,
+  lensCategoriesFromEntries,
+  lensCompareOptions,
+  lensCompareRows,
+  lensTierLabel,
+} = await rxImport('rx-core.js');
+
+// One state per frame (see RxStates in rx-core.js); the first RX component to
+// initialize creates the registry. `window.rxState` is this page's frame's.
+/** @returns {import('./rx-core.js').RxState} */
+function getRxState() {
+  const states = (window.rxStates ??= new RxStates());
+  const frameId = document.querySelector('[data-rx-product-data]')?.getAttribute('data-rx-frame-id');
+  return (window.rxState = states.forFrame(frameId));
+}
+
+/** @param {Element | null | undefined} el */
+function readJson(el) {
+  if (!el) return null;
+  try {
+    return JSON.parse(el.textContent ?? '');
+  } catch (error) {
+    console.warn('rx: invalid lens comparison data', error);
+    return null;
+  }
+}
+
+/** @type {Record<string, string>} */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** @param {unknown} value */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char] ?? char);
+}
+
+/** @param {string[]} values */
+function unique(values) {
+  return [...new Set(values)];
+}
+
+const MIN_COLUMNS = 2;
+const MAX_COLUMNS = 4;
+
+/**
+ * Lens comparison for `sections/rx-lens-compare.liquid`: 2–4 columns, each
+ * picking a lens by type, colour and prescription range, with rows built from
+ * the catalogue (lensCompareRows in rx-core.js).
+ *
+ * On an RX product page the catalogue is the configurator's own
+ * (`[data-rx-product-data]`), prices are compared with the lens already
+ * chosen, and "Choose this lens" puts a column's lens into the configurator.
+ * Elsewhere the section's own lens list is compared on its own.
+ *
+ * @extends {Component<{table: HTMLElement, add: HTMLButtonElement, status: HTMLElement}>}
+ */
+class RxLensCompare extends Component {
+  requiredRefs = ['table'];
+
+  /** @type {import('./rx-core.js').RxLensCompareOption[]} */
+  #options = [];
+  /** @type {import('./rx-core.js').RxLensCategory[]} */
+  #categories = [];
+  /** @type {string[]} variant ids, one per column */
+  #columns = [];
+  /** @type {any} */
+  #productData = null;
+  /** @type {import('./rx-core.js').RxState | null} */
+  #state = null;
+  #onChange = () => this.#render();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#productData = readJson(document.querySelector('[data-rx-product-data]'));
+    this.#categories = this.#productData?.lensCategories?.length
+      ? this.#productData.lensCategories
+      : lensCategoriesFromEntries(readJson(this.querySelector('[data-rx-compare-lenses]')) ?? []);
+    this.#options = lensCompareOptions(this.#categories);
+
+    if (this.#productData) {
+      this.#state = getRxState();
+      this.#state.addEventListener('rx:change', this.#onChange);
+    }
+
+    this.#columns = this.#initialColumns(Number(this.dataset.columns) || MIN_COLUMNS);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#state?.removeEventListener('rx:change', this.#onChange);
+  }
+
+  /**
+   * A select in a column's header changed: keep what the other two selects
+   * say where the catalogue allows it.
+   * @param {Event} event
+   */
+  pick(event) {
+    const select = /** @type {HTMLSelectElement} */ (event.target);
+    const index = Number(select.dataset.column);
+    const field = select.dataset.field;
+    const current = this.#option(this.#columns[index]);
+    if (!current || !field) return;
+
+    const wanted = { category: current.category, color: current.color, tier: current.tier, [field]: select.value };
+    const inCategory = this.#options.filter((option) => option.category === wanted.category);
+    const match =
+      inCategory.find((option) => option.color === wanted.color && option.tier === wanted.tier) ??
+      inCategory.find((option) => option.color === wanted.color) ??
+      inCategory.find((option) => option.tier === wanted.tier) ??
+      inCategory[0];
+    if (!match) return;
+
+    this.#columns[index] = match.id;
+    this.#render({ focus: { column: index, field } });
+  }
+
+  addColumn() {
+    if (this.#columns.length >= MAX_COLUMNS) return;
+    const next = this.#options.find((option) => !this.#columns.includes(option.id)) ?? this.#options[0];
+    if (!next) return;
+    this.#columns.push(next.id);
+    this.#render({ focus: { column: this.#columns.length - 1, field: 'category' } });
+  }
+
+  /** @param {Event} event */
+  removeColumn(event) {
+    if (this.#columns.length <= MIN_COLUMNS) return;
+    const index = Number(/** @type {HTMLElement} */ (event.target).dataset.column);
+    this.#columns.splice(index, 1);
+    this.#render();
+    this.refs.add?.focus();
+  }
+
+  /**
+   * Hands a column's lens to the configurator, in the order the selectors
+   * write it: category, then vision type, then the lens.
+   * @param {Event} event
+   */
+  choose(event) {
+    const state = this.#state;
+    const option = this.#option(/** @type {HTMLElement} */ (event.target).dataset.variantId);
+    if (!state || !option) return;
+
+    // A standard lens can't be glazed to a high prescription; take this
+    // colour's lens in the tier the prescription needs when there is one.
+    /** @type {import('./rx-core.js').RxLensEntry} */
+    let entry = option.entry;
+    const tier = prescriptionTier(state.prescription, this.#productData?.config?.tierSphThreshold ?? 2);
+    if (state.prescription && entry.tier === 'standard' && tier === 'high') {
+      const category = this.#categories.find((candidate) => candidate.key === option.category);
+      entry =
+        resolveLensProduct(category?.products, {
+          visionType: entry.visionType,
+          color: entry.color ?? null,
+          tier,
+          exactTier: true,
+        }) ?? entry;
+    }
+
+    // Non-RX ships a single vision lens, so it stays Non-RX.
+    const visionType =
+      state.visionType === 'non_rx' && entry.visionType === 'single_vision' ? 'non_rx' : entry.visionType;
+
+    state.set('lensCategory', option.category);
+    state.set('visionType', visionType);
+    state.set('lensProduct', {
+      id: entry.id,
+      variantId: entry.variantId,
+      sku: entry.sku,
+      price: entry.price,
+      title: entry.title,
+      color: entry.color,
+    });
+
+    const label = [option.categoryLabel, entry.color].filter(Boolean).join(' · ');
+    this.#setStatus(
+      entry === option.entry ? `${label} chosen.` : `${label} chosen, in the high-index lens your prescription needs.`
+    );
+  }
+
+  /**
+   * The lens already chosen, then one lens from each category not yet shown,
+   * then whatever is left.
+   * @param {number} count
+   */
+  #initialColumns(count) {
+    const columns = [];
+    const current = this.#state?.lensProduct;
+    if (current && this.#option(String(current.variantId))) columns.push(String(current.variantId));
+
+    for (const category of unique(this.#options.map((option) => option.category))) {
+      if (columns.some((id) => this.#option(id)?.category === category)) continue;
+      const first = this.#options.find((option) => option.category === category);
+      if (first) columns.push(first.id);
+    }
+    for (const option of this.#options) {
+      if (!columns.includes(option.id)) columns.push(option.id);
+    }
+
+    return columns.slice(0, Math.max(MIN_COLUMNS, Math.min(count, MAX_COLUMNS)));
+  }
+
+  /** @param {string | undefined} id */
+  #option(id) {
+    return this.#options.find((option) => option.id === id) ?? null;
+  }
+
+  /** @param {{focus?: {column: number, field: string}}} [options] */
+  #render({ focus } = {}) {
+    const columns = this.#columns.map((id) => this.#option(id)).filter((option) => option !== null);
+    if (!columns.length) {
+      this.refs.table.replaceChildren();
+      this.#setStatus('No lenses to compare.');
+      if (this.refs.add) this.refs.add.hidden = true;
+      return;
+    }
+
+    const current = this.#state?.lensProduct ?? null;
+    /** @type {{key: string, label: string, values: string[]}[]} */
+    const rows = lensCompareRows(columns, { current });
+    const removable = columns.length > MIN_COLUMNS;
+
+    this.refs.table.innerHTML = `
+      <caption class="visually-hidden">${escapeHtml(this.dataset.label || 'Lens comparison')}</caption>
+      <thead>
+        <tr>
+          <td></td>
+          ${columns.map((option, index) => `<th scope="col">${this.#pickers(option, index, removable)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (row) => `
+              <tr class="rx-lens-compare__row rx-lens-compare__row--${escapeHtml(row.key)}">
+                <th scope="row">${escapeHtml(row.label)}</th>
+                ${row.values.map((value) => `<td>${escapeHtml(value)}</td>`).join('')}
+              </tr>`
+          )
+          .join('')}
+      </tbody>
+      ${this.#state ? this.#actions(columns, current) : ''}`;
+
+    if (this.refs.add) this.refs.add.hidden = columns.length >= MAX_COLUMNS || this.#options.length <= columns.length;
+    if (focus) {
+      const select = this.refs.table.querySelector(
+        `select[data-column="${focus.column}"][data-field="${focus.field}"]`
+      );
+      if (select instanceof HTMLSelectElement) select.focus();
+    }
+  }
+
+  /**
+   * @param {import('./rx-core.js').RxLensCompareOption} option
+   * @param {number} index
+   * @param {boolean} removable
+   */
+  #pickers(option, index, removable) {
+    const inCategory = this.#options.filter((candidate) => candidate.category === option.category);
+    /** @type {{field: 'category' | 'color' | 'tier', label: string, values: {value: string, text: string}[]}[]} */
+    const fields = [
+      {
+        field: 'category',
+        label: 'Lens type',
+        values: unique(this.#options.map((candidate) => candidate.category)).map((category) => ({
+          value: category,
+          text: this.#options.find((candidate) => candidate.category === category)?.categoryLabel ?? category,
+        })),
+      },
+      {
+        field: 'color',
+        label: 'Colour',
+        values: unique(inCategory.map((candidate) => candidate.color)).map((color) => ({
+          value: color,
+          text: color || 'Standard',
+        })),
+      },
+      {
+        field: 'tier',
+        label: 'Prescription range',
+        values: unique(
+          inCategory.filter((candidate) => candidate.color === option.color).map((candidate) => candidate.tier)
+        ).map((tier) => ({ value: tier, text: lensTierLabel(tier) })),
+      },
+    ];
+
+    const selects = fields
+      .map(
+        ({ field, label, values }) => `
+          <label class="rx-lens-compare__picker">
+            <span>${escapeHtml(label)}</span>
+            <select data-column="${index}" data-field="${field}" on:change="/pick"${values.length < 2 ? ' disabled' : ''}>
+              ${values
+                .map(
+                  ({ value, text }) =>
+                    `<option value="${escapeHtml(value)}"${value === option[field] ? ' selected' : ''}>${escapeHtml(text)}</option>`
+                )
+                .join('')}
+            </select>
+          </label>`
+      )
+      .join('');
+
+    const remove = removable
+      ? `<button type="button" class="rx-lens-compare__remove" data-column="${index}" on:click="/removeColumn">
+          Remove<span class="visually-hidden"> lens ${index + 1}</span>
+        </button>`
+      : '';
+
+    return `<div class="rx-lens-compare__column-head"><span class="visually-hidden">Lens ${index + 1}</span>${selects}${remove}</div>`;
+  }
+
+  /**
+   * @param {import('./rx-core.js').RxLensCompareOption[]} columns
+   * @param {{variantId: number|string} | null} current
+   */
+  #actions(columns, current) {
+    const cells = columns.map((option) => {
+      if (current && String(current.variantId) === option.id) {
+        return '<td><span class="rx-lens-compare__chosen">Your lens</span></td>';
+      }
+      const soldOut = option.entry.available === false;
+      return `<td>
+        <button type="button" class="button button-secondary" data-variant-id="${escapeHtml(option.id)}" on:click="/choose"${soldOut ? ' disabled' : ''}>
+          ${soldOut ? 'Sold out' : 'Choose this lens'}
+        </button>
+      </td>`;
+    });
+    return `<tfoot><tr><td></td>${cells.join('')}</tr></tfoot>`;
+  }
+
+  /** @param {string} text */
+  #setStatus(text) {
+    if (this.refs.status) this.refs.status.textContent = text;
+  }
+}
+
+if (!customElements.get('rx-lens-compare')) {
+  customElements.define('rx-lens-compare', RxLensCompare);
+}
@@ -3,7 +3,9 @@ import { Component } from '@theme/component';
 // Resolve shared RX modules via the versioned import map (see
 // snippets/rx-import-map.liquid) — unversioned relative imports would be
 // CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
 function rxImport(name) {
+  /** @type {Record<string, string>} */
   let map = {};
   if (typeof document !== 'undefined') {
     try {
@@ -15,12 +17,22 @@ function rxImport(name) {
   return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
 }
 
-const { RxState, formatCents, pickTier, lensColorOptions, lensColorSlug } = await rxImport('rx-core.js');
+const { RxStates, formatCents, prescriptionTier, lensColorOptions, lensColorSlug, lensSwatchFill, recolorSlug } =
+  await rxImport('rx-core.js');
+const { requestRender } = await rxImport('rx-recolor-service.js');
 
-// Shared singleton — the first RX component to initialize creates the state.
+/**
+ * @typedef {import('./rx-core.js').RxLensEntry & {colorDescription?: string}} LensColor
+ * @typedef {{name: string, color?: string, color2?: string, description?: string}} ColorDef - an rx-color block
+ */
+
+// One state per frame (see RxStates in rx-core.js); the first RX component to
+// initialize creates the registry. `window.rxState` is this page's frame's.
+/** @returns {import('./rx-core.js').RxState} */
 function getRxState() {
-  window.rxState ??= new RxState();
-  return window.rxState;
+  const states = (window.rxStates ??= new RxStates());
+  const frameId = document.querySelector('[data-rx-product-data]')?.getAttribute('data-rx-frame-id');
+  return (window.rxState = states.forFrame(frameId));
 }
 
 // Product data JSON emitted once by the rx-lens-selector block. Cached on first
@@ -40,30 +52,17 @@ function getRxProductData() {
   return productDataCache.data;
 }
 
+/** @type {Record<string, string>} */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** @param {unknown} value */
 function escapeHtml(value) {
-  return String(value ?? '').replace(
-    /[&<>"']/g,
-    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char])
-  );
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char] ?? char);
 }
 
-// Recognizable lens tints, in muted "lens-like" shades rather than raw CSS colors.
-const TINTS = {
-  grey: '#8d8d8f',
-  gray: '#8d8d8f',
-  brown: '#5f4432',
-  green: '#4e5c50',
-  blue: '#3d6da6',
-  gold: '#d0b24a',
-  yellow: '#d8c04f',
-  silver: '#b9bcc0',
-  red: '#a2453e',
-  rose: '#c98a97',
-  amber: '#c58f3d',
-};
-
 // Fallback copy per lens color/coating when the variant metafield
 // custom.short_lens_color_description is empty. Keys are lowercase colors.
+/** @type {Record<string, string>} */
 const FALLBACK_DESCRIPTIONS = {
   'grey polar': 'Neutral grey polarized lens that cuts glare and keeps colors true',
   'green polar': 'Classic green polarized lens with crisp contrast in bright light',
@@ -77,58 +76,71 @@ const FALLBACK_DESCRIPTIONS = {
   'clear blue blocking + ar': 'Clear lens with blue-light filtering and anti-reflective coating',
 };
 
-/**
- * CSS background for a lens color name: known tint words become muted solids,
- * two tints (mirror finishes) a diagonal gradient, "gradient" a top-down fade,
- * clear coatings a light neutral.
- */
-function swatchFill(name) {
-  const lower = String(name || '').toLowerCase();
-  const tints = lower.split(/[^a-z]+/).map((w) => TINTS[w]).filter(Boolean);
-
-  if (lower.includes('blocking')) return '#ece5c8';
-  if (tints.length === 0) return lower.includes('clear') ? '#efefef' : '#cccccc';
-  if (lower.includes('gradient')) return `linear-gradient(180deg, ${tints[0]} 20%, #d9cfc2 95%)`;
-  if (tints.length > 1) return `linear-gradient(135deg, ${tints[0]} 45%, ${tints[1]} 55%)`;
-  return tints[0];
-}
-
 /**
  * Lens color options. Hidden until a category + vision type are chosen; shows
  * color swatches only for the configured color categories (default sunglasses /
  * photochromic) when the selected lens product offers more than one color.
  * Picking a color writes the matching variant to `rxState.lensProduct`.
+ *
+ * When the block renders its preview strip (`ref="preview"`), the frame's hero
+ * photo is shown in every offered color. Renders are fetched as their tiles scroll into view;
+ * until then a tile shows the photo under a tint of the swatch color.
+ *
+ * @extends {Component<{swatches?: HTMLElement, info?: HTMLElement, preview?: HTMLElement}>}
  */
 class RxLensOptions extends Component {
+  /** @type {import('./rx-core.js').RxState} */
   #state;
+  /** @type {LensColor[]} */
   #colors = [];
+  /** @type {Record<string, ColorDef> | null} */
   #defs = null;
+  // Preview strip: the hero photo it renders from (published by rx-recolor.js),
+  // loaded render urls by recolor slug, and the requests still out.
+  /** @type {string | null} */
+  #previewSource = null;
+  /** @type {Map<string, string>} */
+  #previews = new Map();
+  /** @type {Map<string, AbortController>} */
+  #fetching = new Map();
+  /** @type {IntersectionObserver | null} */
+  #observer = null;
   #onChange = () => this.#render();
+  #onRestore = () => this.#resume();
+  /** @param {Event} event */
+  #onSource = (event) => {
+    this.#previewSource = /** @type {CustomEvent} */ (event).detail?.src ?? null;
+    this.#previews.clear();
+    this.#render();
+  };
 
   // Merchant-defined color overrides from nested rx-color blocks, keyed by
   // lowercase color name.
   #colorDefs() {
     if (this.#defs) return this.#defs;
-    this.#defs = {};
+    /** @type {Record<string, ColorDef>} */
+    const defs = {};
     for (const node of this.querySelectorAll('[data-rx-color-def]')) {
       try {
-        const def = JSON.parse(node.textContent);
-        if (def?.name) this.#defs[def.name.toLowerCase()] = def;
+        const def = JSON.parse(node.textContent ?? '');
+        if (def?.name) defs[def.name.toLowerCase()] = def;
       } catch {
         // ignore malformed block data
       }
     }
-    return this.#defs;
+    return (this.#defs = defs);
   }
 
+  /** @param {string | null | undefined} color */
   #fillFor(color) {
     const def = this.#colorDefs()[String(color || '').toLowerCase()];
     if (def?.color) {
       return def.color2 ? `linear-gradient(135deg, ${def.color} 45%, ${def.color2} 55%)` : def.color;
     }
-    return swatchFill(color);
+    return lensSwatchFill(color);
   }
 
+  /** @param {LensColor} variant */
   #descriptionFor(variant) {
     const def = this.#colorDefs()[String(variant.color || '').toLowerCase()];
     return (
@@ -143,12 +155,22 @@ class RxLensOptions extends Component {
     super.connectedCallback();
     this.#state = getRxState();
     this.#state.addEventListener('rx:change', this.#onChange);
+    this.#state.addEventListener('rx:restore', this.#onRestore);
+    document.addEventListener('rx:recolor-source', this.#onSource);
+    // rx-recolor.js may have announced the photo before this element upgraded.
+    this.#previewSource = document.querySelector('[data-rx-original]')?.getAttribute('data-rx-original') ?? null;
+    this.#resume();
     this.#render();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#state?.removeEventListener('rx:change', this.#onChange);
+    this.#state?.removeEventListener('rx:restore', this.#onRestore);
+    document.removeEventListener('rx:recolor-source', this.#onSource);
+    this.#observer?.disconnect();
+    this.#observer = null;
+    for (const controller of this.#fetching.values()) controller.abort();
   }
 
   // Category keys that show a color picker; empty means "any category".
@@ -159,14 +181,20 @@ class RxLensOptions extends Component {
       .filter(Boolean);
   }
 
+  /** @returns {import('./rx-core.js').RxLensCategory | null} */
   #activeCategory() {
     const data = getRxProductData();
-    return (data?.lensCategories ?? []).find((category) => category.key === this.#state.lensCategory) ?? null;
+    return (
+      (data?.lensCategories ?? []).find(
+        (/** @type {import('./rx-core.js').RxLensCategory} */ category) => category.key === this.#state.lensCategory
+      ) ?? null
+    );
   }
 
   // Colors offered by the active category. Each color is its own product now
   // (one SKU, one product), so they are gathered across the category rather
   // than from the variants of the selected one.
+  /** @returns {LensColor[]} */
   #colorVariants() {
     const category = this.#activeCategory();
     if (!category || !this.#state.visionType) return [];
@@ -174,14 +202,35 @@ class RxLensOptions extends Component {
     const threshold = getRxProductData()?.config?.tierSphThreshold ?? 2;
     return lensColorOptions(category.products, {
       visionType: this.#state.visionType,
-      tier: pickTier(this.#state.prescription?.values, threshold),
+      tier: prescriptionTier(this.#state.prescription, threshold),
     });
   }
 
+  // A colour from a restored session may have sold out since it was saved:
+  // move to the first one that still sells rather than leave an unbuyable lens
+  // selected. Runs on connect as well — the session can be restored before
+  // this element upgrades.
+  #resume() {
+    const lens = this.#state.lensProduct;
+    if (!lens?.color) return;
+
+    const colors = this.#colorVariants();
+    const slug = lensColorSlug(lens.color);
+    const saved = colors.find((variant) => lensColorSlug(variant.color) === slug);
+    if (!saved || saved.available !== false) return;
+
+    const fallback = colors.find((variant) => variant.available !== false);
+    if (fallback) this.#select(fallback);
+  }
+
   /** @param {{index: number}} data */
   selectColor(data) {
     const variant = this.#colors[data?.index];
-    if (!variant) return;
+    if (variant) this.#select(variant);
+  }
+
+  /** @param {LensColor} variant */
+  #select(variant) {
     this.#state.set('lensProduct', {
       id: variant.id,
       variantId: variant.variantId,
@@ -192,6 +241,11 @@ class RxLensOptions extends Component {
     });
   }
 
+  /**
+   * @param {LensColor} variant
+   * @param {number} index
+   * @param {boolean} selected
+   */
   #swatchHtml(variant, index, selected) {
     const label = variant.color || '';
     const soldOut = variant.available === false;
@@ -218,6 +272,10 @@ class RxLensOptions extends Component {
   }
 
   // Selected option details under the swatches: NAME +$delta and a description.
+  /**
+   * @param {LensColor | null} variant
+   * @param {number} basePrice
+   */
   #infoHtml(variant, basePrice) {
     if (!variant) return '';
     const delta = (variant.price || 0) - basePrice;
@@ -231,13 +289,107 @@ class RxLensOptions extends Component {
     `;
   }
 
+  /**
+   * @param {LensColor} variant
+   * @param {number} index
+   * @param {boolean} selected
+   */
+  #previewHtml(variant, index, selected) {
+    const label = variant.color || '';
+    const slug = recolorSlug(variant.color);
+    const soldOut = variant.available === false;
+    const render = this.#previews.get(slug);
+    const itemClass = [
+      'rx-lens-options__preview-item',
+      selected ? 'rx-lens-options__preview-item--selected' : '',
+      render ? 'rx-lens-options__preview-item--ready' : '',
+    ]
+      .filter(Boolean)
+      .join(' ');
+    return `
+      <button
+        type="button"
+        class="${itemClass}"
+        aria-pressed="${selected ? 'true' : 'false'}"
+        ${soldOut ? 'disabled' : ''}
+        data-rx-preview="${escapeHtml(slug)}"
+        on:click="/selectColor?index=${index}"
+      >
+        <span class="rx-lens-options__preview-frame" style="--rx-tint: ${this.#fillFor(variant.color)};">
+          <img src="${escapeHtml(render ?? this.#previewSource)}" alt="" loading="lazy" decoding="async">
+        </span>
+        <span class="rx-lens-options__preview-name">${escapeHtml(label)}</span>
+      </button>
+    `;
+  }
+
+  /**
+   * @param {LensColor[]} colors
+   * @param {(variant: LensColor) => boolean} isSelected
+   */
+  #renderPreview(colors, isSelected) {
+    const strip = this.refs.preview;
+    if (!strip) return;
+
+    this.#observer?.disconnect();
+    if (!this.#previewSource || colors.length < 2) {
+      strip.hidden = true;
+      strip.replaceChildren();
+      return;
+    }
+
+    strip.hidden = false;
+    strip.innerHTML = colors.map((variant, index) => this.#previewHtml(variant, index, isSelected(variant))).join('');
+
+    this.#observer ??= new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          const slug = entry.target.getAttribute('data-rx-preview') ?? '';
+          if (entry.isIntersecting) this.#prefetch(slug);
+          // Scrolled past before its turn in the queue: let it go.
+          else this.#fetching.get(slug)?.abort();
+        }
+      },
+      { root: strip, rootMargin: '0px 50%' }
+    );
+    for (const tile of strip.querySelectorAll('[data-rx-preview]')) {
+      if (!tile.classList.contains('rx-lens-options__preview-item--ready')) this.#observer?.observe(tile);
+    }
+  }
+
+  // Background fetch for a visible tile. Goes through the recolor service, so
+  // the hero swap and the next page view reuse the render.
+  /** @param {string} slug */
+  async #prefetch(slug) {
+    const source = this.#previewSource;
+    if (!slug || !source || this.#previews.has(slug) || this.#fetching.has(slug)) return;
+    const controller = new AbortController();
+    this.#fetching.set(slug, controller);
+    try {
+      const url = await requestRender(source, slug, { priority: 'visible', signal: controller.signal });
+      if (source !== this.#previewSource) return;
+      this.#previews.set(slug, url);
+      for (const tile of this.refs.preview?.querySelectorAll(`[data-rx-preview="${CSS.escape(slug)}"]`) ?? []) {
+        const img = tile.querySelector('img');
+        img?.addEventListener('load', () => tile.classList.add('rx-lens-options__preview-item--ready'), { once: true });
+        if (img) img.src = url;
+        this.#observer?.unobserve(tile);
+      }
+    } catch (error) {
+      // The tinted photo stays; the tile is retried on the next render.
+      if (!(error instanceof Error && error.name === 'AbortError')) console.warn('rx: lens preview failed', error);
+    } finally {
+      this.#fetching.delete(slug);
+    }
+  }
+
   #render() {
     const container = this.refs.swatches ?? this.querySelector('.rx-lens-options__swatches');
     const info = this.refs.info ?? this.querySelector('.rx-lens-options__info');
     if (!container) return;
 
     const categories = this.#colorCategories;
-    const eligible = categories.length === 0 || categories.includes(this.#state.lensCategory);
+    const eligible = categories.length === 0 || categories.includes(this.#state.lensCategory ?? '');
     const colors = eligible ? this.#colorVariants() : [];
 
     // Nothing to choose between → stay hidden.
@@ -246,6 +398,7 @@ class RxLensOptions extends Component {
       this.hidden = true;
       container.replaceChildren();
       info?.replaceChildren();
+      this.#renderPreview([], () => false);
       return;
     }
 
@@ -255,12 +408,14 @@ class RxLensOptions extends Component {
     // Matched on colour, not variant id: entering a prescription can swap the
     // selected lens to the other tier, which is a different product entirely.
     const selectedColor = lensColorSlug(this.#state.lensProduct?.color ?? '');
+    /** @param {LensColor} variant */
     const isSelected = (variant) => selectedColor !== '' && lensColorSlug(variant.color) === selectedColor;
     const selected = colors.find(isSelected) ?? null;
     const basePrice = Math.min(...colors.map((variant) => variant.price || 0));
 
     container.innerHTML = colors.map((variant, index) => this.#swatchHtml(variant, index, isSelected(variant))).join('');
     if (info) info.innerHTML = this.#infoHtml(selected, basePrice);
+    this.#renderPreview(colors, isSelected);
   }
 }
 
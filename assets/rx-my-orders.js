@@ -2,10 +2,16 @@
  * Need RX page controller.
  *
  * `<rx-my-orders>` hosts the order cards and the shared prescription drawer
- * (rx-prescription.js). Each `<rx-order-card>` shows its live lab status and,
- * when a prescription is still needed, opens the drawer. When the drawer reports
+ * (rx-prescription.js). Each `<rx-order-card>` shows its live lab status as a
+ * timeline of lab stages and, when a prescription is still needed, opens the
+ * drawer. Cards re-check the order while the page is open. When the drawer reports
  * a submitted prescription (`rx:prescription-submit`), the card's ids are written
- * back to the order line item via the App Proxy.
+ * back to the order line item via the App Proxy. Until the order is sent to the
+ * lab the customer can replace it: the drawer reopens pre-filled and the new one
+ * is written as the next version, keeping the earlier ids for audit. An attach
+ * the proxy turns down stays on the card with the reason and a support contact.
+ * One that failed for want of an answer also gets a retry, and is kept on this
+ * device (for up to 30 days) to be tried again on the next visit.
  *
  * Browser-only: imports `@theme/component`, so it is never loaded under node.
  */
@@ -15,7 +21,9 @@ import { Component } from '@theme/component';
 // Resolve shared RX modules via the versioned import map (see
 // snippets/rx-import-map.liquid) — unversioned relative imports would be
 // CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
 function rxImport(name) {
+  /** @type {Record<string, string>} */
   let map = {};
   if (typeof document !== 'undefined') {
     try {
@@ -27,10 +35,35 @@ function rxImport(name) {
   return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
 }
 
-const { getOrder, getPrescriptionFile, updateLineItemProperties } = await rxImport('rx-api.js');
+const {
+  getOrder,
+  getPrescription,
+  getPrescriptionFile,
+  updateLineItemProperties,
+  rxOutbox,
+  RxApiError,
+  isRetryable,
+} = await rxImport('rx-api.js');
+const { buildOrderTimeline, furthestLabStatus, isLabStatus, labStageIndex, mapOcrToValues, trackingUrl } =
+  await rxImport('rx-core.js');
+
+/**
+ * @typedef {{subdomain: string, orderId: string, lineItemId: string, version: number,
+ *   properties: Record<string, string>}} AttachPayload
+ * @typedef {'not_found' | 'rejected' | 'unavailable'} FailureKind
+ * @typedef {{status: string, at: string}} LabHistoryEntry
+ * @typedef {{labStatus: string, history: LabHistoryEntry[], uniqueId: string | null, rxUID: string | null,
+ *   version: number, previousIds: string[], pendingReview: boolean}} CardSnapshot
+ */
+
+// Live refresh: poll while the tab is visible, and re-check on return to a tab
+// that has been away for a while. Delivered orders stop.
+const REFRESH_INTERVAL = 2 * 60 * 1000;
+const REFRESH_ON_RETURN_AFTER = 30 * 1000;
 
 // Lab status → badge label + tone. `rx_needed` is the only state that still
 // offers the "Add prescription" action; everything else reads as submitted.
+/** @type {Record<string, {label: string, tone: string}>} */
 const STATUS = {
   rx_needed: { label: 'Prescription needed', tone: 'pending' },
   rx_received: { label: 'Prescription received', tone: 'info' },
@@ -43,15 +76,111 @@ const STATUS = {
   completed: { label: 'Completed', tone: 'success' },
 };
 
+// What the card says when an attach or a status check fails, by failureKind().
+/** @type {Record<FailureKind, string>} */
+const ATTACH_ERRORS = {
+  not_found: "We couldn't find this order with our lab, so your prescription wasn't added.",
+  rejected: "Our lab couldn't accept this prescription.",
+  unavailable: "We couldn't save your prescription just now.",
+};
+const STATUS_UNAVAILABLE = "We can't reach our lab right now, so this status may be out of date.";
+
+// Attaches that failed without an answer and couldn't be queued, by order id,
+// so the next visit tries again. The outbox (rx-api.js) normally keeps those;
+// a refused one would only be refused again. They hold prescription ids, so
+// they are dropped after PENDING_ATTACH_TTL.
+const PENDING_ATTACH_KEY = 'rx-pending-attach';
+const PENDING_ATTACH_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/** @type {Record<string, string>} */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** @param {unknown} value */
 function escapeHtml(value) {
-  return String(value ?? '').replace(
-    /[&<>"']/g,
-    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char])
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char] ?? char);
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {any} fallback
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * @param {string | number} time
+ * @param {boolean} [withTime]
+ */
+function formatDate(time, withTime = false) {
+  /** @type {Intl.DateTimeFormatOptions} */
+  const options = withTime
+    ? { dateStyle: 'medium', timeStyle: 'short' }
+    : { month: 'short', day: 'numeric' };
+  return new Intl.DateTimeFormat(document.documentElement.lang || undefined, options).format(new Date(time));
+}
+
+// 404 means the backend has no such order (yet); other 4xx mean it refused the
+// request; anything else — offline, timeouts, 5xx — that it couldn't answer.
+/**
+ * @param {any} error
+ * @returns {FailureKind}
+ */
+function failureKind(error) {
+  if (!(error instanceof RxApiError)) return 'unavailable';
+  if (error.status === 404) return 'not_found';
+  return isRetryable(error) ? 'unavailable' : 'rejected';
+}
+
+/** @returns {Record<string, {payload: AttachPayload, failedAt: number}>} */
+function readPendingAttaches() {
+  /** @type {Record<string, {payload: AttachPayload, failedAt: number}>} */
+  let pending = {};
+  try {
+    pending = JSON.parse(localStorage.getItem(PENDING_ATTACH_KEY) ?? '{}') || {};
+  } catch {
+    return {};
+  }
+  const live = Object.fromEntries(
+    Object.entries(pending).filter(([, entry]) => Date.now() - Number(entry?.failedAt) < PENDING_ATTACH_TTL)
   );
+  if (Object.keys(live).length !== Object.keys(pending).length) storePendingAttaches(live);
+  return live;
+}
+
+/**
+ * @param {string} orderId
+ * @param {AttachPayload | null} payload
+ */
+function writePendingAttach(orderId, payload) {
+  const pending = readPendingAttaches();
+  if (payload) pending[orderId] = { payload, failedAt: Date.now() };
+  else delete pending[orderId];
+  storePendingAttaches(pending);
+}
+
+/** @param {Record<string, {payload: AttachPayload, failedAt: number}>} pending */
+function storePendingAttaches(pending) {
+  try {
+    if (Object.keys(pending).length) localStorage.setItem(PENDING_ATTACH_KEY, JSON.stringify(pending));
+    else localStorage.removeItem(PENDING_ATTACH_KEY);
+  } catch (error) {
+    console.warn('rx: could not keep the failed attach for later', error);
+  }
 }
 
 // Pull a named line-item property out of the backend order shape (array of
 // {name, value} pairs, per the App Proxy contract).
+/**
+ * @param {any} order
+ * @param {string} name
+ * @returns {string | null}
+ */
 function findProperty(order, name) {
   for (const item of order?.line_items ?? []) {
     for (const prop of item?.properties ?? []) {
@@ -66,12 +195,16 @@ function findProperty(order, name) {
  * card that opened it.
  */
 class RxMyOrders extends Component {
+  /** @type {(Element & {start: () => void, edit: () => void}) | null} */
   #drawer = null;
+  /** @type {RxOrderCard | null} */
   #activeCard = null;
 
   connectedCallback() {
     super.connectedCallback();
-    this.#drawer = this.querySelector('rx-prescription-drawer');
+    this.#drawer = /** @type {(Element & {start: () => void, edit: () => void}) | null} */ (
+      this.querySelector('rx-prescription-drawer')
+    );
     this.addEventListener('rx:prescription-submit', this.#onSubmit);
   }
 
@@ -87,20 +220,43 @@ class RxMyOrders extends Component {
     };
   }
 
-  // Open the shared drawer for a specific card. Clears any prescription left in
-  // the shared state so the drawer starts empty for each order.
-  openFor(card) {
+  /** Merchant estimates of days per lab stage (section settings). */
+  get stageDays() {
+    return parseJson(this.dataset.stageDays, {});
+  }
+
+  /** Where the cards send customers when something can't be fixed here. */
+  get supportEmail() {
+    return this.dataset.supportEmail || '';
+  }
+
+  // Open the shared drawer for a specific card. Replaces any prescription left
+  // in the shared state, so the drawer starts empty for each order — or, when
+  // correcting one, from the given prescription's values.
+  /**
+   * @param {RxOrderCard} card
+   * @param {import('./rx-core.js').RxPrescription | null} [prescription]
+   */
+  openFor(card, prescription = null) {
     this.#activeCard = card;
     if (window.rxState) {
-      window.rxState.prescription = { method: null, values: null, uniqueId: null, rxUID: null, expired: false };
+      window.rxState.prescription = prescription ?? {
+        method: null,
+        values: null,
+        uniqueId: null,
+        rxUID: null,
+        expired: false,
+      };
     }
-    this.#drawer?.start();
+    if (prescription?.values) this.#drawer?.edit();
+    else this.#drawer?.start();
   }
 
+  /** @param {Event} event */
   #onSubmit = (event) => {
     const card = this.#activeCard;
     if (!card) return;
-    const rx = event.detail;
+    const rx = /** @type {CustomEvent} */ (event).detail;
     // "Add later" is a no-op here — the order already exists, nothing to attach.
     if (!rx || rx.method === 'later') return;
     card.attach(rx, this.config);
@@ -108,13 +264,48 @@ class RxMyOrders extends Component {
 }
 
 /**
- * Per-order card: fetches live status on connect, renders the status badge and
- * the appropriate action, and attaches a submitted prescription to the order.
+ * Per-order card: fetches live status on connect, renders the status badge, the
+ * lab timeline and the appropriate action, and attaches a submitted
+ * prescription to the order. Keeps polling until the order is delivered.
  */
 class RxOrderCard extends Component {
   #labStatus = 'rx_needed';
+  // Status changes as `{status, at}`: the order metafield's plus any made on
+  // this page, and the proxy's latest answer.
+  /** @type {LabHistoryEntry[]} */
+  #history = [];
+  /** @type {LabHistoryEntry[]} */
+  #liveHistory = [];
+  /** @type {{number: string | null, url: string | null, carrier: string | null}} */
+  #tracking = { number: null, url: null, carrier: null };
+  /** @type {string | null} */
   #uniqueId = null;
+  /** @type {string | null} */
+  #rxUID = null;
+  // Replacements: each one bumps the version and keeps the ids it replaced.
+  #version = 1;
+  /** @type {string[]} */
+  #previousIds = [];
+  #pendingReview = false;
+  /** @type {string | null} */
   #previewUrl = null;
+  // Idempotency key of an attach waiting in the outbox (see rx-api.js), and
+  // for a queued replacement, the prescription it would replace.
+  /** @type {string | null} */
+  #queuedKey = null;
+  /** @type {CardSnapshot | null} */
+  #queuedPrior = null;
+  // `{kind, message, payload}` of an attach the proxy turned down, and the
+  // failureKind() of the last status check that failed.
+  /** @type {{kind: FailureKind, detail: string, payload: AttachPayload} | null} */
+  #attachError = null;
+  /** @type {FailureKind | null} */
+  #loadError = null;
+  #loadedAt = 0;
+  #loading = false;
+  #attaching = false;
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #timer;
 
   get #statusEl() {
     return this.querySelector('[data-rx-status]');
@@ -125,62 +316,170 @@ class RxOrderCard extends Component {
   }
 
   get orderId() {
-    return this.dataset.orderId;
+    return this.dataset.orderId ?? '';
   }
 
   get lineItemId() {
-    return this.dataset.lineItemId;
+    return this.dataset.lineItemId ?? '';
+  }
+
+  get #host() {
+    return /** @type {RxMyOrders | null} */ (this.closest('rx-my-orders'));
+  }
+
+  // Replacing is allowed until the lab has the prescription. A status we don't
+  // know (cancelled, on hold…) says nothing about where the order is, so it
+  // doesn't qualify.
+  get #replaceable() {
+    const status = this.#labStatus;
+    return isLabStatus(status) && status !== 'rx_needed' && labStageIndex(status) < labStageIndex('sent_to_lab');
   }
 
-  get #trackingNumber() {
-    return this.dataset.trackingNumber || null;
+  get #delivered() {
+    const timeline = this.#timeline();
+    return timeline[timeline.length - 1]?.state === 'done';
   }
 
   connectedCallback() {
     super.connectedCallback();
     this.#labStatus = this.dataset.labStatus || 'rx_needed';
+    this.#history = parseJson(this.dataset.labHistory, []);
+    this.#tracking = {
+      number: this.dataset.trackingNumber || null,
+      url: this.dataset.trackingUrl || null,
+      carrier: this.dataset.trackingCarrier || null,
+    };
     this.addEventListener('click', this.#onClick);
-    this.#load();
+    rxOutbox.addEventListener('rx:outbox-sent', this.#onOutbox);
+    rxOutbox.addEventListener('rx:outbox-failed', this.#onOutbox);
+    document.addEventListener('visibilitychange', this.#onVisibility);
+    this.#load()
+      .then(() => this.#resume())
+      .then(() => this.#schedule());
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('click', this.#onClick);
+    rxOutbox.removeEventListener('rx:outbox-sent', this.#onOutbox);
+    rxOutbox.removeEventListener('rx:outbox-failed', this.#onOutbox);
+    document.removeEventListener('visibilitychange', this.#onVisibility);
+    clearTimeout(this.#timer);
+  }
+
+  // Polling pauses in a hidden tab; coming back catches up at once.
+  #onVisibility = () => {
+    if (document.visibilityState !== 'visible') return;
+    if (Date.now() - this.#loadedAt > REFRESH_ON_RETURN_AFTER) this.#refresh();
+  };
+
+  #schedule() {
+    clearTimeout(this.#timer);
+    if (this.#delivered || !this.isConnected) return;
+    this.#timer = setTimeout(() => this.#refresh(), REFRESH_INTERVAL);
+  }
+
+  async #refresh() {
+    if (document.visibilityState === 'visible' && !this.#attaching) await this.#load({ quiet: true });
+    this.#schedule();
   }
 
+  // A queued attach finished: sent, or rejected — then it needs adding again.
+  /** @param {Event} event */
+  #onOutbox = (event) => {
+    const { entry, error } = /** @type {CustomEvent} */ (event).detail;
+    if (!this.#queuedKey || entry.id !== this.#queuedKey) return;
+    this.#queuedKey = null;
+    if (event.type === 'rx:outbox-failed') {
+      if (this.#queuedPrior) this.#restore(this.#queuedPrior);
+      this.#failAttach(entry.payload, error);
+    }
+    this.#queuedPrior = null;
+    this.#renderStatus();
+    this.#renderActions();
+  };
+
+  /** @param {Event} event */
   #onClick = (event) => {
     const target = event.target;
     if (!(target instanceof Element)) return;
 
+    const replace = target.closest('[data-rx-replace]');
+    const copy = target.closest('[data-rx-copy]');
     if (target.closest('[data-rx-add]')) return void this.#openDrawer();
+    if (replace instanceof HTMLButtonElement) return void this.#openReplace(replace);
     if (target.closest('[data-rx-view]') && this.#previewUrl) {
       return void window.open(this.#previewUrl, '_blank', 'noopener');
     }
-    if (target.closest('[data-rx-copy]')) return void this.#copyTracking(target.closest('[data-rx-copy]'));
+    if (copy) return void this.#copyTracking(copy);
+    if (target.closest('[data-rx-retry]') && this.#attachError) return void this.#send(this.#attachError.payload);
+    if (target.closest('[data-rx-reload]')) {
+      this.#setStatusLoading('Checking…');
+      return void this.#load();
+    }
   };
 
-  // Fetch the live order, letting the metafield lab status win, then render.
-  async #load() {
+  // Fetch the live order and render. The metafield status (from Liquid) and
+  // the proxy's can disagree while the lab integration catches up; the one
+  // further along wins, so a page left open doesn't stick on its first answer.
+  // A quiet (background) load keeps what the card shows when the proxy fails;
+  // otherwise an unreachable proxy says so, while an unknown order is simply
+  // one the backend hasn't seen a prescription for.
+  async #load({ quiet = false } = {}) {
+    if (this.#loading) return;
+    this.#loading = true;
     try {
       const data = await getOrder({ orderId: this.orderId });
       const order = data?.order || data || {};
-      let status = data?.labStatus || order.labStatus || 'rx_needed';
-      // Metafield status (from Liquid) is authoritative when present.
-      if (this.dataset.labStatus) status = this.dataset.labStatus;
-      this.#labStatus = status;
-
-      this.#uniqueId = findProperty(order, 'uniqueId');
-      if (this.#uniqueId) await this.#loadPreview();
+      const live = data?.labStatus || order.labStatus || 'rx_needed';
+      this.#labStatus = furthestLabStatus(this.#labStatus, live);
+      this.#loadError = null;
+      this.#liveHistory = data?.history ?? order.labHistory ?? [];
+
+      const number = data?.trackingNumber || order.trackingNumber;
+      if (number) {
+        this.#tracking = {
+          number,
+          url: data?.trackingUrl || order.trackingUrl || null,
+          carrier: data?.trackingCompany || order.trackingCompany || null,
+        };
+      }
+
+      this.#uniqueId = findProperty(order, 'uniqueId') || this.#uniqueId;
+      this.#rxUID = findProperty(order, 'Prescription RX UID') || this.#rxUID;
+      const version = Number(findProperty(order, '_rx_version'));
+      if (version >= this.#version) {
+        this.#version = version;
+        this.#previousIds = (findProperty(order, '_rx_previous_uniqueIds') || '').split(',').filter(Boolean);
+        this.#pendingReview = findProperty(order, '_rx_review') === 'pending';
+      }
+      if (this.#uniqueId && !this.#previewUrl) await this.#loadPreview();
     } catch (error) {
-      // Order missing from the proxy = prescription not submitted yet.
-      console.warn('rx: order status unavailable, treating as needed', this.orderId, error);
-      this.#labStatus = this.dataset.labStatus || 'rx_needed';
+      if (quiet) return;
+      const kind = failureKind(error);
+      console.warn('rx: order status unavailable', kind, this.orderId, error);
+      this.#loadError = kind === 'not_found' ? null : kind;
+      // What Liquid knew from the order metafield; attaches made here are newer.
+      this.#labStatus = furthestLabStatus(this.dataset.labStatus || 'rx_needed', this.#labStatus);
+    } finally {
+      this.#loading = false;
+      this.#loadedAt = Date.now();
     }
 
     this.#renderStatus();
     this.#renderActions();
   }
 
+  /** @returns {ReturnType<typeof import('./rx-core.js').buildOrderTimeline>} */
+  #timeline() {
+    return buildOrderTimeline({
+      status: this.#labStatus,
+      history: [...this.#history, ...this.#liveHistory],
+      placedAt: this.dataset.createdAt || null,
+      stageDays: this.#host?.stageDays ?? {},
+    });
+  }
+
   async #loadPreview() {
     try {
       const file = await getPrescriptionFile(this.#uniqueId);
@@ -191,42 +490,193 @@ class RxOrderCard extends Component {
   }
 
   #openDrawer() {
-    this.closest('rx-my-orders')?.openFor(this);
+    this.#host?.openFor(this);
+  }
+
+  // Reopen the drawer on the stored prescription. Only a saved record can be
+  // read back; a file-only one starts empty, and so does a failed fetch.
+  /** @param {HTMLButtonElement} button */
+  async #openReplace(button) {
+    /** @type {import('./rx-core.js').RxPrescription | null} */
+    let prescription = null;
+    if (this.#rxUID) {
+      button.disabled = true;
+      try {
+        const entry = await getPrescription(this.#rxUID);
+        prescription = {
+          method: 'manual',
+          values: mapOcrToValues(entry.prescriptionData),
+          uniqueId: null,
+          rxUID: null,
+          expired: false,
+        };
+      } catch (error) {
+        console.warn('rx: could not load the prescription to replace', error);
+      } finally {
+        button.disabled = false;
+      }
+    }
+    this.#host?.openFor(this, prescription);
   }
 
   /**
-   * Attach a submitted prescription to this order's line item. Updates the card
-   * optimistically so the customer sees the result even if the proxy lags.
-   * @param {{method: string, uniqueId: ?string, rxUID: ?string}} rx
+   * Attach a submitted prescription to this order's line item, or replace the
+   * one already attached.
+   * @param {{method: string, uniqueId: ?string, rxUID: ?string, saveKey?: ?string}} rx
    * @param {{subdomain: string}} config
    */
   async attach(rx, config) {
-    this.#setStatusLoading('Saving…');
-    if (this.#actionsEl) this.#actionsEl.innerHTML = '';
+    const replacing = this.#labStatus !== 'rx_needed';
+    // The lab may have picked the order up while the drawer was open.
+    if (replacing && !this.#replaceable) {
+      this.#renderActions();
+      return;
+    }
 
+    /** @type {Record<string, string>} */
     const properties = { rx_method: rx.uniqueId ? 'file' : 'manual' };
     if (rx.rxUID) properties['Prescription RX UID'] = rx.rxUID;
     if (rx.uniqueId) properties.uniqueId = rx.uniqueId;
 
+    const version = replacing ? this.#version + 1 : this.#version;
+    if (replacing) {
+      // Blank values clear what the earlier version set; the ids it replaced
+      // stay listed for audit, and the lab reviews the change before making.
+      const previousIds = this.#uniqueId ? [...this.#previousIds, this.#uniqueId] : this.#previousIds;
+      properties.uniqueId = rx.uniqueId || '';
+      properties['Prescription RX UID'] = rx.rxUID || '';
+      properties._rx_version = String(version);
+      properties._rx_previous_uniqueIds = previousIds.join(',');
+      if (this.#rxUID) properties._rx_previous_rxUID = this.#rxUID;
+      properties._rx_review = 'pending';
+    }
+
+    // A save still in the outbox has no rxUID yet: the attach waits behind it.
+    await this.#send(
+      { subdomain: config.subdomain, orderId: this.orderId, lineItemId: this.lineItemId, version, properties },
+      { afterSave: rx.rxUID ? null : rx.saveKey ?? null }
+    );
+  }
+
+  // Send an attach — new, retried, or left over from an earlier visit. Once the
+  // proxy has it or the outbox holds it, the card shows it ahead of the proxy;
+  // a refused one leaves the card as it was, with the reason and a retry.
+  /**
+   * @param {AttachPayload} payload
+   * @param {{afterSave?: string | null}} [opts]
+   */
+  async #send(payload, { afterSave = null } = {}) {
+    // A background refresh would overwrite the saving state.
+    this.#attaching = true;
+    this.#attachError = null;
+    this.#setStatusLoading('Saving…');
+    if (this.#actionsEl) this.#actionsEl.innerHTML = '';
+
+    const prior = this.#snapshot();
     try {
-      await updateLineItemProperties({
-        subdomain: config.subdomain,
-        orderId: this.orderId,
-        lineItemId: this.lineItemId,
-        properties,
-      });
+      const result = await updateLineItemProperties(payload, { afterSave });
+      this.#queuedKey = result?.queued ? result.idempotencyKey : null;
+      this.#queuedPrior = this.#queuedKey ? prior : null;
+      writePendingAttach(this.orderId, null);
+      this.#applyAttach(payload);
+      if (this.#uniqueId && !this.#previewUrl) await this.#loadPreview();
     } catch (error) {
       console.error('rx: could not attach prescription', error);
+      this.#failAttach(payload, error);
+    } finally {
+      this.#attaching = false;
     }
 
-    this.#uniqueId = rx.uniqueId || this.#uniqueId;
-    if (this.#labStatus === 'rx_needed') this.#labStatus = 'rx_received';
-    if (this.#uniqueId && !this.#previewUrl) await this.#loadPreview();
-
     this.#renderStatus();
     this.#renderActions();
   }
 
+  /**
+   * @param {AttachPayload} payload
+   * @param {unknown} error
+   */
+  #failAttach(payload, error) {
+    const kind = failureKind(error);
+    // The backend's own reason says more than ours for a refused request.
+    const detail = kind === 'rejected' && error instanceof Error ? error.message : '';
+    this.#attachError = { kind, detail, payload };
+    // Only a failure to get an answer is worth sending again; a refused one
+    // goes to support instead.
+    writePendingAttach(this.orderId, kind === 'unavailable' ? payload : null);
+  }
+
+  // Mirror an attach's properties on the card.
+  /** @param {AttachPayload} payload */
+  #applyAttach({ version, properties }) {
+    if (properties.uniqueId !== undefined) this.#uniqueId = properties.uniqueId || null;
+    if (properties['Prescription RX UID'] !== undefined) this.#rxUID = properties['Prescription RX UID'] || null;
+    if (properties._rx_version) {
+      this.#version = version;
+      this.#previousIds = (properties._rx_previous_uniqueIds ?? '').split(',').filter(Boolean);
+      this.#pendingReview = properties._rx_review === 'pending';
+      this.#previewUrl = null;
+    }
+    if (this.#labStatus === 'rx_needed') {
+      this.#labStatus = 'rx_received';
+      this.#history = [...this.#history, { status: 'rx_received', at: new Date().toISOString() }];
+    }
+  }
+
+  // Pick up an attach from an earlier visit: one still in the outbox (which
+  // replays it itself) shows as saved; one the proxy turned down is sent again
+  // once, unless the order has moved past needing it.
+  async #resume() {
+    const entries = await rxOutbox.entries().catch(() => []);
+    const queued = entries.findLast(
+      (/** @type {import('./rx-api.js').RxOutboxEntry} */ entry) =>
+        entry.action === 'update-line-item-properties' && String(entry.payload?.orderId) === String(this.orderId)
+    );
+    if (queued && !this.#queuedKey) {
+      this.#queuedKey = queued.id;
+      this.#queuedPrior = this.#snapshot();
+      this.#applyAttach(queued.payload);
+      this.#renderStatus();
+      this.#renderActions();
+      return;
+    }
+
+    const pending = readPendingAttaches()[this.orderId];
+    if (!pending) return;
+    const replacing = Boolean(pending.payload?.properties?._rx_version);
+    const stillNeeded = replacing
+      ? this.#replaceable && Number(pending.payload.version) > this.#version
+      : this.#labStatus === 'rx_needed';
+    if (stillNeeded) await this.#send(pending.payload);
+    else writePendingAttach(this.orderId, null);
+  }
+
+  /** @returns {CardSnapshot} */
+  #snapshot() {
+    return {
+      labStatus: this.#labStatus,
+      history: this.#history,
+      uniqueId: this.#uniqueId,
+      rxUID: this.#rxUID,
+      version: this.#version,
+      previousIds: this.#previousIds,
+      pendingReview: this.#pendingReview,
+    };
+  }
+
+  /** @param {CardSnapshot} prior */
+  #restore(prior) {
+    this.#labStatus = prior.labStatus;
+    this.#history = prior.history;
+    this.#uniqueId = prior.uniqueId;
+    this.#rxUID = prior.rxUID;
+    this.#version = prior.version;
+    this.#previousIds = prior.previousIds;
+    this.#pendingReview = prior.pendingReview;
+    this.#previewUrl = null;
+    if (this.#uniqueId) this.#loadPreview().then(() => this.#renderActions());
+  }
+
+  /** @param {string} text */
   #setStatusLoading(text) {
     const el = this.#statusEl;
     if (!el) return;
@@ -244,14 +694,31 @@ class RxOrderCard extends Component {
 
     const info = STATUS[this.#labStatus] || { label: this.#labStatus || 'Unknown', tone: 'pending' };
     let html = `<span class="rx-order-card__badge rx-order-card__badge--${info.tone}">${escapeHtml(info.label)}</span>`;
+    html += this.#timelineHtml();
 
-    if (this.#trackingNumber) {
+    if (this.#loadError) {
+      html += `
+        <div class="rx-order-card__notice" role="status">
+          <p>${escapeHtml(STATUS_UNAVAILABLE)}</p>
+          <button type="button" class="button button-unstyled rx-order-card__link" data-rx-reload>Check again</button>
+        </div>
+      `;
+    }
+
+    const { number } = this.#tracking;
+    if (number) {
+      const url = trackingUrl(number, this.#tracking);
       html += `
         <div class="rx-order-card__tracking">
           <span class="rx-order-card__tracking-label">Tracking</span>
           <button type="button" class="button button-unstyled rx-order-card__tracking-value" data-rx-copy title="Copy tracking number">
-            ${escapeHtml(this.#trackingNumber)}
+            ${escapeHtml(number)}
           </button>
+          ${
+            url
+              ? `<a class="rx-order-card__tracking-link" href="${escapeHtml(url)}" target="_blank" rel="noopener">Track package</a>`
+              : ''
+          }
         </div>
       `;
     }
@@ -259,31 +726,98 @@ class RxOrderCard extends Component {
     el.innerHTML = html;
   }
 
+  #timelineHtml() {
+    const stages = this.#timeline().map((stage) => {
+      const time = stage.at ?? stage.expected;
+      const date = time
+        ? `<time class="rx-order-card__stage-date" datetime="${new Date(time).toISOString()}" title="${escapeHtml(
+            formatDate(time, Boolean(stage.at))
+          )}">${stage.at ? '' : 'Est. '}${escapeHtml(formatDate(time))}</time>`
+        : '';
+      return `
+        <li class="rx-order-card__stage rx-order-card__stage--${stage.state}"${
+          stage.state === 'current' ? ' aria-current="step"' : ''
+        }>
+          <span class="rx-order-card__stage-dot" aria-hidden="true"></span>
+          <span class="rx-order-card__stage-label">${escapeHtml(stage.label)}</span>
+          ${date}
+        </li>
+      `;
+    });
+    return `<ol class="rx-order-card__timeline" aria-label="Order progress">${stages.join('')}</ol>`;
+  }
+
   #renderActions() {
     const el = this.#actionsEl;
     if (!el) return;
 
+    const error = this.#errorHtml();
     if (this.#labStatus === 'rx_needed') {
       el.innerHTML = `
+        ${error}
         <button type="button" class="button rx-order-card__add" data-rx-add>Add prescription</button>
       `;
       return;
     }
 
-    let html = `
+    let html = error;
+    html += this.#pendingReview
+      ? `
+      <p class="rx-order-card__submitted rx-order-card__submitted--review">
+        <span class="rx-order-card__check" aria-hidden="true">✓</span>
+        Updated prescription — pending review
+      </p>
+    `
+      : `
       <p class="rx-order-card__submitted">
         <span class="rx-order-card__check" aria-hidden="true">✓</span>
         Prescription submitted
       </p>
     `;
+    if (this.#queuedKey) {
+      html += `<p class="rx-order-card__queued">We couldn't reach our lab just now — it's saved on this device and will be sent automatically.</p>`;
+    }
     if (this.#previewUrl) {
       html += `<button type="button" class="button button-secondary rx-order-card__view" data-rx-view>View prescription</button>`;
     }
+    if (this.#replaceable && !this.#queuedKey) {
+      html += `<button type="button" class="button button-secondary rx-order-card__replace" data-rx-replace>Replace prescription</button>`;
+    }
     el.innerHTML = html;
   }
 
+  // A failed attach: what happened and who to ask. Only one that got no answer
+  // offers a retry — an order the lab doesn't know, or a prescription it
+  // refuses, would fail the same way again.
+  #errorHtml() {
+    const error = this.#attachError;
+    if (!error) return '';
+    const retryable = error.kind === 'unavailable';
+    const email = this.#host?.supportEmail;
+    const subject = `Prescription for order ${this.dataset.orderName || this.orderId}`;
+    const contact = email
+      ? `<a href="mailto:${escapeHtml(email)}?subject=${encodeURIComponent(subject)}">Contact us</a>`
+      : 'Contact us';
+    return `
+      <div class="rx-order-card__error" role="alert">
+        <p class="rx-order-card__error-text">${escapeHtml(ATTACH_ERRORS[error.kind])}</p>
+        ${error.detail ? `<p class="rx-order-card__error-detail">${escapeHtml(error.detail)}</p>` : ''}
+        ${
+          retryable
+            ? '<button type="button" class="button button-secondary rx-order-card__retry" data-rx-retry>Try again</button>'
+            : ''
+        }
+        <p class="rx-order-card__support">
+          ${retryable ? 'Still not working?' : 'Please send us your prescription instead.'} ${contact} and we'll
+          add it for you.
+        </p>
+      </div>
+    `;
+  }
+
+  /** @param {Element} button */
   async #copyTracking(button) {
-    const value = this.#trackingNumber;
+    const value = this.#tracking.number;
     if (!value || !navigator.clipboard) return;
     try {
       await navigator.clipboard.writeText(value);
@@ -0,0 +1,325 @@
+/**
+ * RX pupillary distance from a webcam photo. The customer holds a card the
+ * size of a bank card (ISO/IEC 7810 ID-1, 85.60 mm wide) flat against the
+ * forehead and looks into the camera: the card's width in pixels gives the
+ * scale, the pupils give the distance. Everything runs in the browser — the
+ * photo never leaves the device.
+ *
+ * Detection is a first guess that the customer confirms by dragging the
+ * markers, so it favours being close over being clever. No @theme imports; the
+ * maths is pure (importable under `node --test`), the camera and canvas steps
+ * need a browser. Positions are fractions of the photo (0–1), like the crop in
+ * rx-image.js, so they survive any display size.
+ */
+
+export const CARD_WIDTH_MM = 85.6;
+
+// Horizontal field of view assumed for laptop and phone front cameras. Only
+// used to estimate how far away the card is, for the two corrections below;
+// being 10° out moves the PD by about a tenth of a millimetre.
+const CAMERA_FOV_DEG = 65;
+// The pupils sit behind the forehead the card rests on, so they look smaller
+// than the card's scale says.
+const EYES_BEHIND_CARD_MM = 12;
+// Looking at a camera at arm's length turns the eyes in. Each pupil sits this
+// far in front of the eye's centre of rotation, so it moves nasally by about
+// this × monocular PD / distance — added back to give the distance PD glasses
+// are made to.
+const EYE_ROTATION_RADIUS_MM = 13;
+
+// Detection runs on a copy this wide: enough for a pupil a few pixels across,
+// small enough to scan in a frame or two.
+const DETECT_WIDTH = 640;
+
+// What a real adult measurement falls within; outside it, the markers are
+// probably on the wrong thing.
+export const PD_PLAUSIBLE = Object.freeze({ min: 50, max: 80 });
+
+// --- Maths ---------------------------------------------------------------------
+
+/**
+ * Luminance of RGBA pixels (Rec. 601 weights), one byte per pixel.
+ * @param {Uint8ClampedArray} rgba
+ */
+export function toGrayscale(rgba) {
+  const gray = new Uint8ClampedArray(rgba.length / 4);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = ((rgba[i] ?? 0) * 77 + (rgba[i + 1] ?? 0) * 150 + (rgba[i + 2] ?? 0) * 29) >> 8;
+  }
+  return gray;
+}
+
+// Summed-area table, (width + 1) × (height + 1), so any box mean is four reads.
+/**
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ */
+function integralImage(gray, width, height) {
+  const sums = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += gray[y * width + x] ?? 0;
+      sums[(y + 1) * (width + 1) + x + 1] = (sums[y * (width + 1) + x + 1] ?? 0) + row;
+    }
+  }
+  return sums;
+}
+
+/**
+ * Mean of the box [x0, x1) × [y0, y1), clipped to the image.
+ * @param {Float64Array} sums - integralImage()
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ */
+function boxMean(sums, width, height, x0, y0, x1, y1) {
+  const left = Math.max(0, Math.min(width, x0));
+  const right = Math.max(0, Math.min(width, x1));
+  const top = Math.max(0, Math.min(height, y0));
+  const bottom = Math.max(0, Math.min(height, y1));
+  const area = (right - left) * (bottom - top);
+  if (!area) return 0;
+  /** @type {(x: number, y: number) => number} */
+  const at = (x, y) => sums[y * (width + 1) + x] ?? 0;
+  return (at(right, bottom) - at(right, top) - at(left, bottom) + at(left, top)) / area;
+}
+
+/**
+ * Best guess at the two pupils: small blobs darker than their surroundings,
+ * side by side in the middle of the frame, at a plausible distance apart.
+ * Eyebrows and nostrils are dark too, but a bar scores lower than a blob and a
+ * pair has to be level and similar.
+ *
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ * @returns {{right: {x: number, y: number}, left: {x: number, y: number}} | null}
+ *   As seen in the (mirrored) photo: `right` is the customer's right eye, on the
+ *   right of the image. Fractions of the photo.
+ */
+export function detectPupils(gray, width, height) {
+  const sums = integralImage(gray, width, height);
+  const r = Math.max(2, Math.round(width * 0.008));
+  const step = Math.max(1, r >> 1);
+
+  /** @type {{x: number, y: number, score: number}[]} */
+  const candidates = [];
+  for (let y = Math.round(height * 0.25); y < height * 0.75; y += step) {
+    for (let x = Math.round(width * 0.15); x < width * 0.85; x += step) {
+      const inner = boxMean(sums, width, height, x - r, y - r, x + r + 1, y + r + 1);
+      const outer = boxMean(sums, width, height, x - 3 * r, y - 3 * r, x + 3 * r + 1, y + 3 * r + 1);
+      const score = outer - inner;
+      if (score > 8) candidates.push({ x, y, score });
+    }
+  }
+
+  // Strongest first, nothing within a couple of radii of a stronger one.
+  candidates.sort((a, b) => b.score - a.score);
+  /** @type {typeof candidates} */
+  const peaks = [];
+  for (const candidate of candidates) {
+    if (peaks.some((peak) => Math.hypot(peak.x - candidate.x, peak.y - candidate.y) < 4 * r)) continue;
+    peaks.push(candidate);
+    if (peaks.length === 12) break;
+  }
+
+  /** @type {{a: (typeof peaks)[number], b: (typeof peaks)[number], score: number} | null} */
+  let best = null;
+  for (const [i, p] of peaks.entries()) {
+    for (const q of peaks.slice(i + 1)) {
+      const [a, b] = p.x < q.x ? [p, q] : [q, p];
+      const dx = b.x - a.x;
+      if (dx < width * 0.08 || dx > width * 0.45 || Math.abs(b.y - a.y) > dx * 0.25) continue;
+      const score = a.score + b.score - Math.abs(a.score - b.score);
+      if (!best || score > best.score) best = { a, b, score };
+    }
+  }
+  if (!best) return null;
+
+  /** @param {{x: number, y: number}} peak */
+  const point = (peak) => {
+    const { x, y } = refinePupil(gray, width, height, peak, r);
+    return { x: x / width, y: y / height };
+  };
+  return { left: point(best.a), right: point(best.b) };
+}
+
+// The centroid of the darkest pixels around a peak: sub-pixel, and centred on
+// the pupil rather than on the grid point that found it.
+/**
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ * @param {{x: number, y: number}} peak
+ * @param {number} r - pupil radius in pixels
+ */
+function refinePupil(gray, width, height, peak, r) {
+  const reach = 2 * r;
+  /** @type {{x: number, y: number, value: number}[]} */
+  const pixels = [];
+  for (let y = Math.max(0, peak.y - reach); y <= Math.min(height - 1, peak.y + reach); y++) {
+    for (let x = Math.max(0, peak.x - reach); x <= Math.min(width - 1, peak.x + reach); x++) {
+      pixels.push({ x, y, value: gray[y * width + x] ?? 0 });
+    }
+  }
+  pixels.sort((a, b) => a.value - b.value);
+  const darkest = pixels.slice(0, Math.max(1, Math.round(pixels.length * 0.15)));
+  return {
+    x: darkest.reduce((sum, pixel) => sum + pixel.x, 0) / darkest.length + 0.5,
+    y: darkest.reduce((sum, pixel) => sum + pixel.y, 0) / darkest.length + 0.5,
+  };
+}
+
+/**
+ * Best guess at the card's left and right edges: the pair of strong vertical
+ * edges across the forehead, above the eyes, about as far apart as a card is
+ * wider than a PD (85.6 mm against 50–80 mm, a little more at the card's
+ * distance) and centred on the face.
+ *
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ * @param {{right: {x: number, y: number}, left: {x: number, y: number}}} pupils
+ * @returns {{left: number, right: number, y: number} | null} fractions of the photo
+ */
+export function detectCardEdges(gray, width, height, pupils) {
+  const ax = pupils.left.x * width;
+  const bx = pupils.right.x * width;
+  const eyeY = ((pupils.left.y + pupils.right.y) / 2) * height;
+  const d = Math.abs(bx - ax);
+  if (!d) return null;
+
+  const top = Math.max(0, Math.round(eyeY - 2 * d));
+  const bottom = Math.max(0, Math.round(eyeY - 0.25 * d));
+  if (bottom - top < 4) return null;
+
+  // Horizontal gradient summed down each column of the band, lightly smoothed.
+  /** @param {number} i */
+  const pixel = (i) => gray[i] ?? 0;
+  const raw = new Float64Array(width);
+  for (let y = top; y < bottom; y++) {
+    const row = y * width;
+    for (let x = 1; x < width - 1; x++) raw[x] = (raw[x] ?? 0) + Math.abs(pixel(row + x + 1) - pixel(row + x - 1));
+  }
+  const smoothed = raw.map((value, x) => (raw[x - 1] ?? 0) / 4 + value / 2 + (raw[x + 1] ?? 0) / 4);
+  /** @param {number} x */
+  const profile = (x) => smoothed[x] ?? 0;
+
+  /** @type {number[]} */
+  const peaks = [];
+  for (let x = 1; x < width - 1; x++) {
+    if (profile(x) > 0 && profile(x) >= profile(x - 1) && profile(x) > profile(x + 1)) peaks.push(x);
+  }
+
+  const mid = (ax + bx) / 2;
+  /** @type {{a: number, b: number, score: number} | null} */
+  let best = null;
+  for (const [i, a] of peaks.entries()) {
+    for (const b of peaks.slice(i + 1)) {
+      const span = b - a;
+      if (span < 1.1 * d) continue;
+      if (span > 1.9 * d) break;
+      const off = Math.abs((a + b) / 2 - mid) / (0.3 * d);
+      if (off > 1) continue;
+      // Both edges of the one card are about as strong; a card edge paired with
+      // the side of the face is not, and sits off-centre.
+      const score = 2 * Math.min(profile(a), profile(b)) * (1 - off);
+      if (!best || score > best.score) best = { a, b, score };
+    }
+  }
+  if (!best) return null;
+  return { left: best.a / width, right: best.b / width, y: (top + bottom) / 2 / height };
+}
+
+/**
+ * PD in millimetres from marker positions in pixels of the photo. Binocular is
+ * pupil to pupil; the monocular pair splits it at the bridge of the nose.
+ *
+ * @param {{cardLeft: number, cardRight: number, right: {x: number, y: number},
+ *   left: {x: number, y: number}, nose: number, imageWidth: number}} markers
+ * @returns {{pd: number, right: number, left: number, distance: number} | null}
+ *   `distance` is the estimated camera-to-card distance in mm.
+ */
+export function computePd({ cardLeft, cardRight, right, left, nose, imageWidth }) {
+  const cardPx = Math.abs(cardRight - cardLeft);
+  if (!cardPx || !imageWidth) return null;
+
+  const focalPx = imageWidth / (2 * Math.tan(((CAMERA_FOV_DEG / 2) * Math.PI) / 180));
+  const distance = (CARD_WIDTH_MM * focalPx) / cardPx;
+  const eyeDistance = distance + EYES_BEHIND_CARD_MM;
+  const mmPerPx = (CARD_WIDTH_MM / cardPx) * (eyeDistance / distance) * (1 + EYE_ROTATION_RADIUS_MM / eyeDistance);
+
+  const pd = Math.hypot(right.x - left.x, right.y - left.y) * mmPerPx;
+  const rightPx = Math.abs(right.x - nose);
+  const leftPx = Math.abs(nose - left.x);
+  const share = rightPx + leftPx ? rightPx / (rightPx + leftPx) : 0.5;
+  return { pd, right: pd * share, left: pd * (1 - share), distance };
+}
+
+// --- Browser -------------------------------------------------------------------
+
+/** Whether this browser can open a camera at all (it needs a secure context). */
+export function cameraSupported() {
+  return Boolean(globalThis.navigator?.mediaDevices?.getUserMedia) && globalThis.isSecureContext !== false;
+}
+
+/**
+ * Open the front camera. Rejects with the browser's DOMException —
+ * `NotAllowedError` when refused, `NotFoundError` when there is none.
+ * @returns {Promise<MediaStream>}
+ */
+export function openCamera() {
+  return navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 720 } },
+  });
+}
+
+/** @param {MediaStream | null | undefined} stream */
+export function closeCamera(stream) {
+  for (const track of stream?.getTracks() ?? []) track.stop();
+}
+
+/**
+ * Freeze the current video frame, mirrored like the live preview so the
+ * customer's right eye is on the right. Returns an object URL of the still for
+ * the markers step, its size, and the detector's first guess.
+ *
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<{url: string, width: number, height: number,
+ *   pupils: ReturnType<typeof detectPupils>, card: ReturnType<typeof detectCardEdges>}>}
+ */
+export async function captureFrame(video) {
+  const width = video.videoWidth;
+  const height = video.videoHeight;
+  if (!width || !height) throw new Error('Camera has no picture yet');
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d', { willReadFrequently: true }));
+  context.translate(width, 0);
+  context.scale(-1, 1);
+  context.drawImage(video, 0, 0, width, height);
+
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob((result) => (result ? resolve(result) : reject(new Error('Could not capture photo'))), 'image/jpeg', 0.92)
+  );
+
+  const scale = Math.min(1, DETECT_WIDTH / width);
+  const small = document.createElement('canvas');
+  small.width = Math.round(width * scale);
+  small.height = Math.round(height * scale);
+  const smallContext = /** @type {CanvasRenderingContext2D} */ (small.getContext('2d', { willReadFrequently: true }));
+  smallContext.drawImage(canvas, 0, 0, small.width, small.height);
+  const gray = toGrayscale(smallContext.getImageData(0, 0, small.width, small.height).data);
+
+  const pupils = detectPupils(gray, small.width, small.height);
+  const card = pupils ? detectCardEdges(gray, small.width, small.height, pupils) : null;
+  return { url: URL.createObjectURL(blob), width, height, pupils, card };
+}
@@ -1,9 +1,11 @@
 import { Component } from '@theme/component';
-import { DialogComponent } from '@theme/dialog';
+import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
 // Resolve shared RX modules via the versioned import map (see
 // snippets/rx-import-map.liquid) — unversioned relative imports would be
 // CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
 function rxImport(name) {
+  /** @type {Record<string, string>} */
   let map = {};
   if (typeof document !== 'undefined') {
     try {
@@ -16,33 +18,136 @@ function rxImport(name) {
 }
 
 const {
-  RxState,
+  RxStates,
   validatePrescription,
+  checkClinicalRules,
   mapOcrToValues,
+  readOcrConfidence,
+  reviewOcrFields,
+  ocrFieldKey,
   isPrescriptionExpired,
   normalizeDateToIso,
+  detectCylinderConvention,
+  transposePrescription,
+  toMinusCylinder,
   pickTier,
   resolveLensProduct,
+  reusablePrescriptions,
+  countRxPairs,
+  evaluatePricing,
   formatCents,
 } = await rxImport('rx-core.js');
-const { analyzePrescription, savePrescription } = await rxImport('rx-api.js');
+const {
+  analyzePrescription,
+  savePrescription,
+  listPrescriptions,
+  getPrescription,
+  renamePrescription,
+  deletePrescription,
+  rxOutbox,
+} = await rxImport('rx-api.js');
+const { decodeImage, previewImageUrl, prepareImage, countPdfPages, openPdf, resizeCrop, FULL_CROP } =
+  await rxImport('rx-image.js');
+
+/** @typedef {import('./rx-core.js').RxState} RxState */
+/** @typedef {import('./rx-core.js').RxPdMeasurement} RxPdMeasurement */
+/** @typedef {import('./rx-core.js').RxLensCategory} RxLensCategory */
+/** @typedef {import('./rx-core.js').RxRuleIssue} RxRuleIssue */
+/** @typedef {{x: number, y: number, w: number, h: number}} CropBox */
+/** @typedef {{x: number, y: number}} PdPoint */
+/** @typedef {{lensKey: string, frameTitle: string, prescription: import('./rx-core.js').RxPrescription}} ReusableEntry */
+/** @typedef {{half?: boolean, prefix?: string, pad?: number}} OptionOpts */
+/**
+ * @typedef {{file: File, decoded: import('./rx-image.js').RxDecodedImage, rotation: number, crop: CropBox,
+ *   previewUrl: string}} PrepState
+ * @typedef {{file: File, doc: import('./rx-image.js').RxPdfDocument, page: number, previewUrl: string | null}} PdfState
+ * @typedef {{stage: 'intro'|'camera'|'adjust'|'guide', error: string | null, stream: MediaStream | null,
+ *   shot: {url: string, width: number, height: number} | null, markers: Object<string, PdPoint> | null,
+ *   found: boolean}} PdTool
+ */
 
-// Shared singleton — the first RX component to initialize creates the state.
+// One state per frame (see RxStates in rx-core.js); the first RX component to
+// initialize creates the registry. `window.rxState` is this page's frame's.
+/** @returns {RxState} */
 function getRxState() {
-  window.rxState ??= new RxState();
-  return window.rxState;
+  const states = (window.rxStates ??= new RxStates());
+  const frameId = document.querySelector('[data-rx-product-data]')?.getAttribute('data-rx-frame-id');
+  return (window.rxState = states.forFrame(frameId));
 }
 
 const ALLOWED_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'heic', 'pdf'];
+// Which page of a PDF holds the prescription isn't something the OCR service
+// can be told, so a long PDF that goes up whole (no page renderer set, or it
+// failed) may not be read; a photo of the page always can.
+const PDF_PAGES_HINT =
+  "We couldn't find a prescription in that PDF. If it has several pages, upload a photo or screenshot of the page with your prescription, or enter it below.";
 const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
 
+// Loader copy for each step of the upload pipeline (see rx-image.js).
+/** @type {Record<string, string> & {upload: string}} */
+const PROGRESS_TEXT = {
+  pdf: 'Opening your PDF…',
+  decode: 'Opening your photo…',
+  orient: 'Straightening…',
+  crop: 'Cropping…',
+  enhance: 'Improving contrast…',
+  encode: 'Compressing…',
+  upload: 'Reading your prescription…',
+};
+
+// Keyboard nudge for the crop box, as a fraction of the image.
+const CROP_STEP = 0.02;
+/** @type {Record<string, [number, number]>} */
+const ARROW_STEPS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+/** @type {Record<string, string>} */
+const CROP_HANDLES = { nw: 'top-left', ne: 'top-right', sw: 'bottom-left', se: 'bottom-right' };
+// PD markers move by a fraction of the photo per arrow key (×5 with Shift) —
+// a pixel or so, since a pixel is about a fifth of a millimetre.
+const PD_STEP = 0.002;
+/** @type {Record<string, string>} */
+const PD_MARKERS = {
+  cardLeft: 'Card edge on the left',
+  cardRight: 'Card edge on the right',
+  right: 'Centre of your right pupil',
+  left: 'Centre of your left pupil',
+  nose: 'Bridge of your nose',
+};
+
+/** @type {Record<string, string>} */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** @param {unknown} value */
 function escapeHtml(value) {
-  return String(value ?? '').replace(
-    /[&<>"']/g,
-    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char])
-  );
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char] ?? char);
 }
 
+// Screen-reader names for the picker fields, e.g. sph_od → "Sphere (SPH), right eye".
+/** @type {Record<string, string>} */
+const FIELD_NAMES = {
+  sph: 'Sphere (SPH)',
+  cyl: 'Cylinder (CYL)',
+  axis: 'Axis',
+  add: 'Addition (ADD)',
+  pd: 'Pupillary distance (PD)',
+  prism_v: 'Vertical prism',
+  prism_h: 'Horizontal prism',
+  prism_vdir: 'Vertical prism base',
+  prism_hdir: 'Horizontal prism base',
+};
+/** @type {Record<string, string>} */
+const EYE_NAMES = { od: 'right eye', os: 'left eye', right: 'right eye', left: 'left eye' };
+
+/** @param {string} field */
+function fieldName(field) {
+  const [, base = '', eye] = /^(.*?)(?:_(od|os|right|left))?$/.exec(field) ?? [];
+  const name = FIELD_NAMES[base] ?? field;
+  return eye ? `${name}, ${EYE_NAMES[eye]}` : name;
+}
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {value is string}
+ */
 function isFilled(value) {
   return value != null && value !== '' && value !== 'Select';
 }
@@ -54,62 +159,200 @@ function isFilled(value) {
  */
 export class RxPrescriptionSubmitEvent extends CustomEvent {
   static eventName = 'rx:prescription-submit';
+  /** @param {import('./rx-core.js').RxPrescription} detail */
   constructor(detail) {
     super(RxPrescriptionSubmitEvent.eventName, { bubbles: true, detail });
   }
 }
 
+// "12 Mar 2025" — the saved list shows dates, not timestamps.
+/** @param {unknown} value */
+function formatDate(value) {
+  const iso = normalizeDateToIso(value) || String(value ?? '').slice(0, 10);
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(iso) ? new Date(`${iso}T00:00:00`) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
 /**
  * Prescription drawer: an over-the-page `<dialog>` with three paths — upload a
  * file (OCR → pre-filled form), enter values manually, or defer ("add later").
+ * Signed-in customers get a fourth: reuse a prescription saved on an earlier
+ * order, which links the new order to the stored record instead of a new one.
  * On submit it validates, best-effort saves to the App Proxy, then writes the
  * result to the shared RX state and emits `rx:prescription-submit`.
  */
 class RxPrescriptionDrawer extends DialogComponent {
+  /** @type {RxState} */
   #state;
+  /** @type {Object<string, {min?: number, max?: number, step?: number}>} */
   #limits = {};
-  #config = {};
+  /** @type {import('./rx-core.js').RxRuleConfig} */
+  #rules = {};
+  /** @type {{subdomain: string, providerNumber: string, checkExpiration: boolean, healthFundNumbers: string,
+   *   tierSphThreshold: number, customer: boolean, pdCamera: boolean, pdfRenderer: string}} */
+  #config = {
+    subdomain: '',
+    providerNumber: '',
+    checkExpiration: true,
+    healthFundNumbers: '',
+    tierSphThreshold: 2,
+    customer: false,
+    pdCamera: true,
+    pdfRenderer: '',
+  };
 
-  #step = 'INITIAL'; // 'INITIAL' | 'MANUAL'
+  #step = 'INITIAL'; // 'INITIAL' | 'SAVED' | 'CROP' | 'PDF_PAGE' | 'MANUAL' | 'HI_INDEX' | 'PD'
   #analyzing = false;
   #submitting = false;
-  #method = null; // 'upload' | 'manual'
+  /** @type {string | null} */
+  #method = null; // 'upload' | 'manual' | 'saved'
+  /** @type {Object<string, string>} */
   #values = {};
+  /** @type {string | null} */
   #uniqueId = null;
+  /** @type {string | null} */
   #rxUID = null;
+  // A prescription reopened from a cart line comes back as its references and
+  // PD only (prescriptionFromCartLine). Unless the customer enters powers, it
+  // is submitted with these references again and not re-saved.
+  /** @type {{method: string, uniqueId: ?string, rxUID: ?string} | null} */
+  #reference = null;
+  /** @type {string | null} */
   #fileName = null;
+  /** @type {string | null} */
   #fileUrl = null;
   #fileIsPdf = false;
+  // Pages in an uploaded PDF; null when countPdfPages can't tell.
+  /** @type {number | null} */
+  #pdfPages = null;
   #fileError = false;
+  // Upload pipeline. `#prep` is the decoded photo being cropped, `#pdf` the
+  // multi-page PDF waiting for a page pick; `#progress` drives the loader.
+  /** @type {PrepState | null} */
+  #prep = null;
+  /** @type {PdfState | null} */
+  #pdf = null;
+  #progress = { stage: 'upload', ratio: 0 };
+  /** @type {{handle: string, x: number, y: number, crop: CropBox, rect: DOMRect}
+   *   | {marker: string, rect: DOMRect} | null} */
+  #drag = null;
+  // PD tool (rx-pd.js, loaded on first use). `#pd` is the open tool: its stage,
+  // the camera stream, the still and the marker positions (fractions of the
+  // still). `#pdMeasured` is the accepted camera result, until a PD is changed.
+  /** @type {PdTool | null} */
+  #pd = null;
+  /** @type {RxPdMeasurement | null} */
+  #pdMeasured = null;
+  /** @type {typeof import('./rx-pd.js') | null} */
+  #pdModule = null;
   #hiIndexConsent = false;
+  /** @type {{delta: number, newLensPrice: number, newTotal: number} | null} */
   #pendingUpgrade = null;
+  // Prescriptions on other pairs in the cart, and the one being reused while
+  // the High Index step asks for consent.
+  /** @type {ReusableEntry[]} */
+  #reusable = [];
+  /** @type {ReusableEntry | null} */
+  #pendingReuse = null;
+  // RX pairs already in the cart, so the High Index total prices second-pair
+  // rules the way the price summary does.
+  #pairsInCart = 0;
+  /** @type {string | null} */
   #apiError = null;
   #dualPd = false;
   #showPrism = false;
+  #remember = false;
+  // Which cylinder notation the form is showing, and whether the values were
+  // converted from plus to minus cylinder on the way to the lab.
+  #plusCyl = false;
+  #transposed = false;
+  /** @type {Object<string, string>} */
   #errors = {};
+  // OCR review: the fields the scan filled, those flagged for the customer to
+  // check ('low' | 'missing'), every field they changed afterwards, and those
+  // the plus-to-minus conversion changed after they confirmed them.
+  /** @type {string[]} */
+  #scanned = [];
+  /** @type {Object<string, 'low'|'missing'>} */
+  #review = {};
+  /** @type {Set<string>} */
+  #edited = new Set();
+  /** @type {Set<string>} */
+  #transposedFields = new Set();
+
+  // Saved-prescription wallet. null until first opened, then cached for the
+  // page view; `#savedBusy` is the rxUID an action is running for.
+  /** @type {import('./rx-api.js').SavedPrescription[] | null} */
+  #saved = null;
+  #savedLoading = false;
+  /** @type {string | null} */
+  #savedError = null;
+  /** @type {string | null} */
+  #savedBusy = null;
+  /** @type {string | null} */
+  #renaming = null;
+  /** @type {string | null} */
+  #confirmDelete = null;
 
   connectedCallback() {
     super.connectedCallback();
     this.#state = getRxState();
     this.#limits = this.#parseJson(this.dataset.limits) || {};
+    this.#rules = this.#parseJson(this.dataset.rules) || {};
     this.#config = {
       subdomain: this.dataset.subdomain || '',
       providerNumber: this.dataset.providerNumber || '',
       checkExpiration: this.dataset.checkExpiration !== 'false',
       healthFundNumbers: this.dataset.healthFundNumbers || '',
       tierSphThreshold: Number(this.dataset.tierSphThreshold) || 2,
+      customer: this.dataset.customer === 'true',
+      pdCamera: this.dataset.pdCamera !== 'false',
+      pdfRenderer: (this.dataset.pdfRenderer || '').trim(),
     };
 
     this.addEventListener('click', this.#onClick);
     this.addEventListener('change', this.#onChange);
+    this.addEventListener('pointerdown', this.#onPointerDown);
+    this.addEventListener('pointermove', this.#onPointerMove);
+    this.addEventListener('pointerup', this.#onPointerUp);
+    this.addEventListener('pointercancel', this.#onPointerUp);
+    this.addEventListener('keydown', this.#onKeydown);
+    rxOutbox.addEventListener('rx:outbox-sent', this.#onOutboxSent);
+    // However the dialog closes (Escape, backdrop, close button), the camera
+    // light goes off with it.
+    this.addEventListener(DialogCloseEvent.eventName, this.#onDialogClose);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('click', this.#onClick);
     this.removeEventListener('change', this.#onChange);
+    this.removeEventListener('pointerdown', this.#onPointerDown);
+    this.removeEventListener('pointermove', this.#onPointerMove);
+    this.removeEventListener('pointerup', this.#onPointerUp);
+    this.removeEventListener('pointercancel', this.#onPointerUp);
+    this.removeEventListener('keydown', this.#onKeydown);
+    rxOutbox.removeEventListener('rx:outbox-sent', this.#onOutboxSent);
+    this.removeEventListener(DialogCloseEvent.eventName, this.#onDialogClose);
+    this.#discardPrep();
+    this.#discardPd();
   }
 
+  #onDialogClose = () => this.#discardPd();
+
+  // A save that waited in the outbox links up once it's replayed. Until the
+  // bundle is in the cart, the line item can still carry the real rxUID.
+  /** @param {Event} event */
+  #onOutboxSent = (event) => {
+    const { entry, result } = /** @type {CustomEvent} */ (event).detail;
+    const rx = this.#state?.prescription;
+    if (!rx?.saveKey || entry.id !== rx.saveKey || !result?.rxUID) return;
+    this.#rxUID = result.rxUID;
+    this.#state.set('prescription', { ...rx, rxUID: result.rxUID, saveKey: null });
+  };
+
+  /** @param {string | undefined} str */
   #parseJson(str) {
     try {
       return str ? JSON.parse(str) : null;
@@ -118,8 +361,9 @@ class RxPrescriptionDrawer extends DialogComponent {
     }
   }
 
+  /** @returns {HTMLElement | null} */
   get #body() {
-    return this.refs.body ?? this.querySelector('[data-rx-body]');
+    return /** @type {HTMLElement | null} */ (this.refs.body ?? this.querySelector('[data-rx-body]'));
   }
 
   // --- Public entry point (called from a trigger via on:click) ---------------
@@ -128,10 +372,21 @@ class RxPrescriptionDrawer extends DialogComponent {
     this.#reset();
     this.#render();
     this.showDialog();
+    this.#loadReusable();
+  }
+
+  // Straight to the form, pre-filled from the prescription in the shared state
+  // — how my-orders reopens a submitted prescription for correction.
+  edit() {
+    this.#reset();
+    if (Object.values(this.#values).some(isFilled)) this.#step = 'MANUAL';
+    this.#render();
+    this.showDialog();
   }
 
   #reset() {
     this.#step = 'INITIAL';
+    this.#discardPrep();
     this.#analyzing = false;
     this.#submitting = false;
     this.#fileError = false;
@@ -139,6 +394,15 @@ class RxPrescriptionDrawer extends DialogComponent {
     this.#errors = {};
     this.#hiIndexConsent = false;
     this.#pendingUpgrade = null;
+    this.#pendingReuse = null;
+    this.#savedError = null;
+    this.#renaming = null;
+    this.#confirmDelete = null;
+    // Captured values were normalized to minus cylinder on submit.
+    this.#plusCyl = false;
+    this.#transposed = false;
+    this.#transposedFields.clear();
+    this.#discardPd();
     // Preserve a prescription already captured this session so the user can edit it.
     const existing = this.#state?.prescription;
     if (existing && existing.method && existing.method !== 'later') {
@@ -146,24 +410,40 @@ class RxPrescriptionDrawer extends DialogComponent {
       this.#values = { ...(existing.values || {}) };
       this.#uniqueId = existing.uniqueId ?? null;
       this.#rxUID = existing.rxUID ?? null;
+      this.#reference = existing.referenceOnly
+        ? { method: existing.method, uniqueId: this.#uniqueId, rxUID: this.#rxUID }
+        : null;
       this.#dualPd = isFilled(this.#values.pd_left) || isFilled(this.#values.pd_right);
       this.#showPrism = Object.keys(this.#values).some((key) => key.startsWith('prism_'));
+      this.#remember = existing.remember === true;
+      this.#pdMeasured = existing.pdMeasurement ?? null;
     } else {
       this.#method = null;
       this.#values = {};
       this.#uniqueId = null;
       this.#rxUID = null;
+      this.#reference = null;
       this.#fileName = null;
       if (this.#fileUrl) URL.revokeObjectURL(this.#fileUrl);
       this.#fileUrl = null;
       this.#fileIsPdf = false;
+      this.#pdfPages = null;
+      this.#scanned = [];
+      this.#review = {};
+      this.#edited.clear();
       this.#dualPd = false;
       this.#showPrism = false;
+      this.#remember = false;
+      this.#pdMeasured = null;
     }
   }
 
   goBack = () => {
-    this.#step = this.#step === 'HI_INDEX' ? 'MANUAL' : 'INITIAL';
+    const fromForm = (this.#step === 'HI_INDEX' && !this.#pendingReuse) || this.#step === 'PD';
+    this.#step = fromForm ? 'MANUAL' : 'INITIAL';
+    this.#pendingReuse = null;
+    this.#discardPrep();
+    this.#discardPd();
     this.#errors = {};
     this.#apiError = null;
     this.#render();
@@ -184,13 +464,19 @@ class RxPrescriptionDrawer extends DialogComponent {
    * When the entered prescription lands in the high power tier and the matching
    * High Index product costs more than the current lens, returns the upgrade
    * offer; otherwise null (already high-tier, no counterpart, or no upcharge).
+   * A reused prescription brings its tier instead of powers. `newTotal` is the
+   * bundle total the price summary will show with the upgraded lens.
+   * @param {string | null} [tier]
+   * @param {Object<string, string>} [values]
    */
-  #hiIndexUpgrade() {
+  #hiIndexUpgrade(tier = pickTier(this.#values, this.#config.tierSphThreshold), values = this.#values) {
     const state = this.#state;
     if (!state?.lensProduct || !state.lensCategory) return null;
-    if (pickTier(this.#values, this.#config.tierSphThreshold) !== 'high') return null;
+    if (tier !== 'high') return null;
 
-    const category = this.#productData()?.lensCategories?.find((c) => c.key === state.lensCategory);
+    const category = this.#productData()?.lensCategories?.find(
+      (/** @type {RxLensCategory} */ c) => c.key === state.lensCategory
+    );
     if (!category) return null;
 
     const high = resolveLensProduct(category.products, {
@@ -203,34 +489,66 @@ class RxPrescriptionDrawer extends DialogComponent {
     const delta = (high.price || 0) - (state.lensProduct.price || 0);
     if (delta <= 0) return null;
 
-    return { delta, newLensPrice: high.price, newTotal: (state.frame?.price || 0) + (high.price || 0) };
+    // The total the price summary will show with this lens: add-ons and
+    // promotions included, priced for the prescription being entered.
+    const upgraded = {
+      frame: state.frame,
+      lensCategory: state.lensCategory,
+      visionType: state.visionType,
+      addons: state.addons,
+      lensProduct: {
+        id: high.id,
+        variantId: high.variantId,
+        sku: high.sku,
+        price: high.price,
+        title: high.title,
+        color: high.color ?? '',
+      },
+      prescription: { ...state.prescription, values, tier },
+    };
+    const data = this.#productData();
+    const { total } = evaluatePricing(upgraded, data?.pricingRules ?? [], {
+      frameTags: data?.frame?.tags ?? [],
+      pairsInCart: this.#pairsInCart,
+      tierSphThreshold: this.#config.tierSphThreshold,
+    });
+    return { delta, newLensPrice: high.price, newTotal: total };
   }
 
   // --- Event delegation ------------------------------------------------------
 
+  /** @param {Event} event */
   #onClick = (event) => {
     const target = event.target;
     if (!(target instanceof Element)) return;
 
-    const action = target.closest('[data-rx-close]')
-      ? this.closeDialog
-      : target.closest('[data-rx-back]')
-        ? this.goBack
-        : target.closest('[data-rx-upload]')
-          ? () => this.querySelector('[data-rx-file]')?.click()
-          : target.closest('[data-rx-manual]')
-            ? () => this.#openManual()
-            : target.closest('[data-rx-later]')
-              ? () => this.#addLater()
-              : target.closest('[data-rx-hi-agree]')
-                ? () => {
-                    this.#hiIndexConsent = true;
-                    this.#step = 'MANUAL';
-                    this.#submit();
-                  }
-                : target.closest('[data-rx-submit]')
-                  ? () => this.#submit()
-                  : null;
+    const control = target.closest('[data-rx-action]');
+    const action =
+      control instanceof HTMLElement
+        ? this.#action(control)
+        : target.closest('[data-rx-close]')
+          ? this.closeDialog
+          : target.closest('[data-rx-back]')
+            ? this.goBack
+            : target.closest('[data-rx-upload]')
+              ? () => /** @type {HTMLInputElement | null} */ (this.querySelector('[data-rx-file]'))?.click()
+              : target.closest('[data-rx-manual]')
+                ? () => this.#openManual()
+                : target.closest('[data-rx-later]')
+                  ? () => this.#addLater()
+                  : target.closest('[data-rx-hi-agree]')
+                    ? () => {
+                        this.#hiIndexConsent = true;
+                        if (this.#pendingReuse) {
+                          this.#applyReuse(this.#pendingReuse);
+                          return;
+                        }
+                        this.#step = 'MANUAL';
+                        this.#submit();
+                      }
+                    : target.closest('[data-rx-submit]')
+                      ? () => this.#submit()
+                      : null;
     if (!action) return;
 
     // Deferred: DialogComponent's outside-click check runs on this same event,
@@ -240,6 +558,49 @@ class RxPrescriptionDrawer extends DialogComponent {
     setTimeout(action, 0);
   };
 
+  /**
+   * The drawer's own steps (saved prescriptions, photo and PDF preparation,
+   * PD measurement, reuse) name their buttons with `data-rx-action`.
+   * @param {HTMLElement} control
+   * @returns {(() => void) | null}
+   */
+  #action(control) {
+    switch (control.dataset.rxAction) {
+      case 'saved':
+        return () => this.#openSaved();
+      case 'saved-item':
+        return () => this.#onSavedAction(control.dataset.rxSavedAction, control.dataset.rxUid ?? '');
+      case 'rotate':
+        return () => this.#rotate();
+      case 'crop-reset':
+        return () => this.#setCrop(FULL_CROP);
+      case 'crop-done':
+        return () => this.#finishCrop();
+      case 'page':
+        return () => this.#turnPage(Number(control.dataset.rxPage));
+      case 'page-done':
+        return () => this.#finishPdf();
+      case 'pd-measure':
+        return () => this.#openPd('intro');
+      case 'pd-guide':
+        return () => this.#openPd('guide');
+      case 'pd-camera':
+      case 'pd-retake':
+        return () => this.#startPdCamera();
+      case 'pd-capture':
+        return () => this.#capturePd();
+      case 'pd-use':
+        return () => this.#usePd();
+      case 'pd-done':
+        return () => this.#closePd();
+      case 'reuse':
+        return () => this.#reuse(Number(control.dataset.rxReuse));
+      default:
+        return null;
+    }
+  }
+
+  /** @param {Event} event */
   #onChange = (event) => {
     const target = event.target;
     if (!(target instanceof HTMLElement)) return;
@@ -252,6 +613,22 @@ class RxPrescriptionDrawer extends DialogComponent {
     if (target.matches('[data-rx-dual-pd]')) {
       this.#collect();
       this.#dualPd = /** @type {HTMLInputElement} */ (target).checked;
+      // A camera measurement has both forms: switch it over with the fields.
+      if (this.#pdMeasured) this.#fillPd(this.#pdMeasured);
+      this.#render();
+      return;
+    }
+    if (target.matches('[data-rx-remember]')) {
+      this.#remember = /** @type {HTMLInputElement} */ (target).checked;
+      return;
+    }
+    if (target.matches('[data-rx-plus-cyl]')) {
+      this.#collect();
+      const plus = /** @type {HTMLInputElement} */ (target).checked;
+      // The toggle says which notation the form shows: flipping it rewrites
+      // whatever is entered into the other one — same lens, other notation.
+      this.#values = transposePrescription(this.#values, { only: plus ? 'minus' : 'plus' });
+      this.#plusCyl = plus;
       this.#render();
       return;
     }
@@ -262,17 +639,47 @@ class RxPrescriptionDrawer extends DialogComponent {
       return;
     }
     if (target.matches('[data-rx-field]')) {
-      const field = target.dataset.rxField;
+      const field = target.dataset.rxField ?? '';
       this.#values[field] = /** @type {HTMLInputElement|HTMLSelectElement} */ (target).value;
-      // The date drives the expiry warning — refresh it live.
-      if (field === 'date') this.#renderExpiryWarning();
+      if (this.#method === 'upload') this.#markEdited(field, target);
+      // A PD picked by hand is no longer the camera's.
+      if (field.startsWith('pd')) this.#pdMeasured = null;
+      // The date drives the expiry warning, the powers the plausibility
+      // warnings — refresh them live.
+      this.#renderWarnings();
+      // Edited values are no longer the stored record: save them as a new one.
+      // The file they came from (uniqueId) still stands.
+      if (this.#method === 'saved') {
+        this.#method = 'manual';
+        this.#rxUID = null;
+      }
     }
   };
 
+  // The customer has now checked this value: record it for the lab and drop
+  // its highlight in place (a re-render would close the open picker).
+  /**
+   * @param {string} field
+   * @param {HTMLElement} target
+   */
+  #markEdited(field, target) {
+    this.#edited.add(field);
+    if (!this.#review[field]) return;
+    delete this.#review[field];
+    const wrapper = target.closest('.rx-prescription__field, .rx-prescription__field-group');
+    wrapper?.querySelector(`[data-rx-review-hint="${field}"]`)?.remove();
+    // The PD group holds two fields; keep the highlight while one is unchecked.
+    if (!wrapper?.querySelector('[data-rx-review-hint]')) {
+      wrapper?.classList.remove('rx-prescription__field--review', 'rx-prescription__field--missing');
+    }
+    const notice = this.#body?.querySelector('[data-rx-review]');
+    if (notice) notice.outerHTML = this.#reviewNoticeHtml();
+  }
+
   // Read all current field values back into #values (before a re-render).
   #collect() {
     for (const el of this.querySelectorAll('[data-rx-field]')) {
-      this.#values[el.dataset.rxField] = /** @type {HTMLInputElement} */ (el).value;
+      this.#values[el.getAttribute('data-rx-field') ?? ''] = /** @type {HTMLInputElement} */ (el).value;
     }
   }
 
@@ -284,18 +691,210 @@ class RxPrescriptionDrawer extends DialogComponent {
     this.#render();
   }
 
+  // --- Saved prescriptions ---------------------------------------------------
+
+  async #openSaved() {
+    this.#step = 'SAVED';
+    this.#savedError = null;
+    if (this.#saved) return this.#render();
+
+    this.#savedLoading = true;
+    this.#render();
+    try {
+      this.#saved = await listPrescriptions();
+    } catch (error) {
+      console.error('rx: could not load saved prescriptions', error);
+      this.#savedError = 'We could not load your saved prescriptions. Please try again or add a new one.';
+    } finally {
+      this.#savedLoading = false;
+      this.#render();
+    }
+  }
+
+  /**
+   * @param {string | undefined} action - 'use' | 'rename' | 'rename-save' | 'rename-cancel' | 'delete' | 'delete-confirm' | 'delete-cancel'
+   * @param {string} rxUID
+   */
+  #onSavedAction(action, rxUID) {
+    if (this.#savedBusy) return;
+    switch (action) {
+      case 'use':
+        return void this.#useSaved(rxUID);
+      case 'rename':
+        this.#renaming = rxUID;
+        this.#confirmDelete = null;
+        break;
+      case 'rename-save':
+        return void this.#renameSaved(rxUID);
+      case 'delete':
+        this.#confirmDelete = rxUID;
+        this.#renaming = null;
+        break;
+      case 'delete-confirm':
+        return void this.#deleteSaved(rxUID);
+      default:
+        this.#renaming = null;
+        this.#confirmDelete = null;
+    }
+    this.#render();
+  }
+
+  // Fetch the full record (the list only has to carry a summary) and open it in
+  // the form, so the customer sees what goes to the lab before saving. The
+  // submit runs it through the same checks as a typed prescription: limits may
+  // have changed since it was saved, and a high-power one still needs the High
+  // Index consent.
+  /** @param {string} rxUID */
+  async #useSaved(rxUID) {
+    this.#savedBusy = rxUID;
+    this.#savedError = null;
+    this.#render();
+
+    try {
+      const entry = await getPrescription(rxUID);
+      this.#values = mapOcrToValues(entry.prescriptionData);
+      this.#uniqueId = entry.uniqueId;
+      this.#rxUID = entry.rxUID || rxUID;
+      this.#method = 'saved';
+      this.#reference = null;
+      this.#fileName = null;
+      this.#dualPd = isFilled(this.#values.pd_left) || isFilled(this.#values.pd_right);
+      this.#showPrism = false;
+    } catch (error) {
+      console.error('rx: could not load saved prescription', error);
+      this.#savedError = 'We could not open that prescription. Please try again.';
+      this.#render();
+      return;
+    } finally {
+      this.#savedBusy = null;
+    }
+
+    this.#step = 'MANUAL';
+    this.#render();
+  }
+
+  /** @param {string} rxUID */
+  async #renameSaved(rxUID) {
+    const input = this.#body?.querySelector('[data-rx-saved-name]');
+    const name = input instanceof HTMLInputElement ? input.value.trim() : '';
+    const entry = this.#saved?.find((item) => item.rxUID === rxUID);
+    if (!entry || !name || name === entry.name) return this.#onSavedAction('rename-cancel', rxUID);
+
+    this.#savedBusy = rxUID;
+    this.#render();
+    try {
+      await renamePrescription(rxUID, name);
+      entry.name = name;
+      this.#renaming = null;
+    } catch (error) {
+      console.error('rx: could not rename prescription', error);
+      this.#savedError = 'We could not rename that prescription. Please try again.';
+    } finally {
+      this.#savedBusy = null;
+      this.#render();
+    }
+  }
+
+  /** @param {string} rxUID */
+  async #deleteSaved(rxUID) {
+    this.#savedBusy = rxUID;
+    this.#render();
+    try {
+      await deletePrescription(rxUID);
+      this.#saved = (this.#saved ?? []).filter((item) => item.rxUID !== rxUID);
+      this.#confirmDelete = null;
+    } catch (error) {
+      console.error('rx: could not delete prescription', error);
+      this.#savedError = 'We could not delete that prescription. Please try again.';
+    } finally {
+      this.#savedBusy = null;
+      this.#render();
+    }
+  }
+
+  // --- Reuse a prescription from the cart ---------------------------------------
+
+  // Other pairs in the cart (a family order) offer their prescription for this
+  // frame too. Product pages only: elsewhere there's no frame to add it to.
+  async #loadReusable() {
+    if (!this.#productData()) return;
+    let reusable = [];
+    try {
+      const cartUrl = window.Theme?.routes?.cart_url || '/cart';
+      const cart = await (await fetch(`${cartUrl}.js`, { headers: { Accept: 'application/json' } })).json();
+      reusable = reusablePrescriptions(cart);
+      // Reopened from the cart's "Edit lenses", that bundle is this pair.
+      this.#pairsInCart = countRxPairs(cart, new URLSearchParams(window.location.search).get('rx_edit'));
+    } catch (error) {
+      console.warn('rx: could not read the cart for prescriptions to reuse', error);
+    }
+    this.#reusable = reusable;
+    if (this.#step === 'INITIAL' && !this.#analyzing && reusable.length) this.#render();
+  }
+
+  // Same record, same PD, same tier: nothing to check or save again, so it goes
+  // straight through — past the High Index consent if this lens needs it.
+  /** @param {number} index */
+  #reuse(index) {
+    const entry = this.#reusable[index];
+    if (!entry) return;
+    const upgrade = this.#hiIndexUpgrade(entry.prescription.tier, entry.prescription.values ?? {});
+    if (upgrade && !this.#hiIndexConsent) {
+      this.#pendingReuse = entry;
+      this.#pendingUpgrade = upgrade;
+      this.#step = 'HI_INDEX';
+      this.#render();
+      return;
+    }
+    this.#applyReuse(entry);
+  }
+
+  /** @param {ReusableEntry} entry */
+  #applyReuse(entry) {
+    const prescription = { ...entry.prescription, values: { ...entry.prescription.values }, remember: false };
+    this.#pendingReuse = null;
+    this.#state.set('prescription', prescription);
+    this.dispatchEvent(new RxPrescriptionSubmitEvent(prescription));
+    this.closeDialog();
+  }
+
+  #reuseHtml() {
+    if (!this.#reusable.length) return '';
+    const items = this.#reusable
+      .map((entry, index) => {
+        const values = entry.prescription.values ?? {};
+        const pd = values.pd ? `PD ${values.pd} mm` : values.pd_right ? `PD ${values.pd_right} / ${values.pd_left} mm` : '';
+        return `
+          <button type="button" class="button button-secondary rx-prescription__reuse-btn" data-rx-action="reuse" data-rx-reuse="${index}">
+            <span>Same as ${escapeHtml(entry.frameTitle || 'your other pair')}</span>
+            ${pd ? `<small>${escapeHtml(pd)}</small>` : ''}
+          </button>
+        `;
+      })
+      .join('');
+    return `
+      <div class="rx-prescription__reuse">
+        <p class="rx-prescription__subtitle">Or use a prescription from your cart:</p>
+        ${items}
+      </div>
+    `;
+  }
+
   #addLater() {
+    /** @type {import('./rx-core.js').RxPrescription} */
     const prescription = { method: 'later', values: null, uniqueId: null, rxUID: null, expired: false };
     this.#state.set('prescription', prescription);
     this.dispatchEvent(new RxPrescriptionSubmitEvent(prescription));
     this.closeDialog();
   }
 
+  /** @param {File} file */
   #validFile(file) {
     const ext = file.name.split('.').pop()?.toLowerCase() ?? '';
     return ALLOWED_TYPES.includes(file.type) || ALLOWED_EXTENSIONS.includes(ext);
   }
 
+  /** @param {File} file */
   async #handleFile(file) {
     this.#fileError = false;
     if (!this.#validFile(file)) {
@@ -304,17 +903,539 @@ class RxPrescriptionDrawer extends DialogComponent {
       return;
     }
 
+    this.#discardPrep();
     this.#method = 'upload';
+    this.#reference = null;
     this.#fileName = file.name;
-    if (this.#fileUrl) URL.revokeObjectURL(this.#fileUrl);
-    this.#fileUrl = URL.createObjectURL(file);
+    this.#scanned = [];
+    this.#review = {};
+    this.#edited.clear();
+    this.#transposedFields.clear();
     this.#fileIsPdf = file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
-    this.#analyzing = true;
     this.#apiError = null;
+
+    // A one-page PDF goes up whole: the OCR service reads it as it is. Longer
+    // ones, or ones whose pages can't be counted, get the page picker when a
+    // renderer is set.
+    if (this.#fileIsPdf) {
+      let buffer = null;
+      try {
+        buffer = await file.arrayBuffer();
+        this.#pdfPages = countPdfPages(buffer);
+      } catch (error) {
+        console.error('rx: could not count PDF pages', error);
+        this.#pdfPages = null;
+      }
+      if (!buffer || this.#pdfPages === 1 || !this.#config.pdfRenderer) return this.#analyze(file);
+      return this.#openPdf(file, buffer);
+    }
+    this.#pdfPages = null;
+    return this.#startPrep(file);
+  }
+
+  /**
+   * Decode a photo — or a page rendered from a PDF — for the crop step.
+   * @param {File} file
+   */
+  async #startPrep(file) {
+    this.#analyzing = true;
+    this.#render();
+    this.#setProgress('decode', 0.1);
+    let decoded = null;
+    try {
+      decoded = await decodeImage(file);
+    } catch (error) {
+      console.error('rx: could not decode prescription image', error);
+    }
+    // Formats the browser can't draw (HEIC outside Safari) go up untouched —
+    // the OCR service decodes them itself.
+    if (!decoded) return this.#analyze(file);
+
+    try {
+      this.#prep = { file, decoded, rotation: 0, crop: { ...FULL_CROP }, previewUrl: await previewImageUrl(decoded) };
+    } catch (error) {
+      console.error('rx: could not preview prescription image', error);
+      return this.#analyze(file);
+    }
+    this.#analyzing = false;
+    this.#step = 'CROP';
+    this.#render();
+  }
+
+  // --- Crop step ---------------------------------------------------------------
+
+  async #rotate() {
+    const prep = this.#prep;
+    if (!prep) return;
+    prep.rotation = (prep.rotation + 90) % 360;
+    // A crop drawn on the old orientation no longer frames the same area.
+    prep.crop = { ...FULL_CROP };
+    try {
+      const url = await previewImageUrl(prep.decoded, prep.rotation);
+      URL.revokeObjectURL(prep.previewUrl);
+      prep.previewUrl = url;
+    } catch (error) {
+      console.error('rx: could not rotate prescription image', error);
+    }
+    this.#render();
+  }
+
+  /** @param {CropBox} crop */
+  #setCrop(crop) {
+    if (!this.#prep) return;
+    this.#prep.crop = { ...crop };
+    // Drags call this per pointermove — restyle the box, don't re-render.
+    const box = this.#body?.querySelector('[data-rx-crop-box]');
+    if (box instanceof HTMLElement) Object.assign(box.style, this.#cropStyle(crop));
+  }
+
+  /** @param {CropBox} crop */
+  #cropStyle(crop) {
+    const pct = (/** @type {number} */ n) => `${(n * 100).toFixed(2)}%`;
+    return { left: pct(crop.x), top: pct(crop.y), width: pct(crop.w), height: pct(crop.h) };
+  }
+
+  async #finishCrop() {
+    const prep = this.#prep;
+    if (!prep) return;
+    this.#analyzing = true;
+    this.#render();
+
+    let blob = prep.file;
+    try {
+      blob = await prepareImage(prep.decoded, {
+        rotation: prep.rotation,
+        crop: prep.crop,
+        onProgress: (/** @type {string} */ stage, /** @type {number} */ ratio) => this.#setProgress(stage, ratio),
+      });
+    } catch (error) {
+      // Still worth a try: the service copes with an unprocessed photo.
+      console.error('rx: could not prepare prescription image', error);
+    }
+    this.#discardPrep();
+    this.#analyze(blob);
+  }
+
+  /** @param {PointerEvent} event */
+  #onPointerDown = (event) => {
+    const target = event.target;
+    if (!(target instanceof Element)) return;
+    const marker = target.closest('[data-rx-pd-marker]');
+    const photo = this.#body?.querySelector('[data-rx-pd-photo]');
+    if (marker instanceof HTMLElement && photo && this.#pd?.markers) {
+      event.preventDefault();
+      marker.setPointerCapture(event.pointerId);
+      marker.focus();
+      this.#drag = { marker: marker.dataset.rxPdMarker ?? '', rect: photo.getBoundingClientRect() };
+      return;
+    }
+    if (!this.#prep) return;
+    const grip = target.closest('[data-rx-crop-handle], [data-rx-crop-box]');
+    const frame = this.#body?.querySelector('[data-rx-crop]');
+    if (!(grip instanceof HTMLElement) || !frame) return;
+
+    event.preventDefault();
+    grip.setPointerCapture(event.pointerId);
+    this.#drag = {
+      handle: grip.dataset.rxCropHandle || 'move',
+      x: event.clientX,
+      y: event.clientY,
+      crop: { ...this.#prep.crop },
+      rect: frame.getBoundingClientRect(),
+    };
+  };
+
+  /** @param {PointerEvent} event */
+  #onPointerMove = (event) => {
+    const drag = this.#drag;
+    if (!drag) return;
+    if ('marker' in drag) {
+      const x = (event.clientX - drag.rect.left) / drag.rect.width;
+      const y = (event.clientY - drag.rect.top) / drag.rect.height;
+      this.#setPdMarker(drag.marker, x, y);
+      return;
+    }
+    const dx = (event.clientX - drag.x) / drag.rect.width;
+    const dy = (event.clientY - drag.y) / drag.rect.height;
+    this.#setCrop(resizeCrop(drag.crop, drag.handle, dx, dy));
+  };
+
+  #onPointerUp = () => {
+    this.#drag = null;
+  };
+
+  // Arrow keys for the crop box and handles, and for the PD markers.
+  /** @param {KeyboardEvent} event */
+  #onKeydown = (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement)) return;
+    const [dx, dy] = ARROW_STEPS[event.key] ?? [];
+    if (dx === undefined || dy === undefined) return;
+
+    const marker = target.closest('[data-rx-pd-marker]');
+    const markers = this.#pd?.markers;
+    if (marker instanceof HTMLElement && markers) {
+      const key = marker.dataset.rxPdMarker ?? '';
+      const point = markers[key];
+      const step = event.shiftKey ? PD_STEP * 5 : PD_STEP;
+      event.preventDefault();
+      if (point) this.#setPdMarker(key, point.x + dx * step, point.y + dy * step);
+      return;
+    }
+
+    const grip = target.closest('[data-rx-crop-handle], [data-rx-crop-box]');
+    if (!(grip instanceof HTMLElement) || !this.#prep) return;
+    event.preventDefault();
+    this.#setCrop(resizeCrop(this.#prep.crop, grip.dataset.rxCropHandle || 'move', dx * CROP_STEP, dy * CROP_STEP));
+  };
+
+  // --- PDF page step -----------------------------------------------------------
+
+  /**
+   * Open the PDF with pdf.js for the page picker. Should pdf.js fail to load
+   * or to read the file, the PDF goes up whole instead.
+   * @param {File} file
+   * @param {ArrayBuffer} buffer
+   */
+  async #openPdf(file, buffer) {
+    this.#analyzing = true;
+    this.#render();
+    this.#setProgress('pdf', 0.1);
+    /** @type {import('./rx-image.js').RxPdfDocument | null} */
+    let doc = null;
+    try {
+      doc = await openPdf(buffer, this.#config.pdfRenderer);
+    } catch (error) {
+      console.error('rx: could not open PDF', error);
+    }
+    if (!doc) return this.#analyze(file);
+    this.#pdfPages = doc.pages;
+    if (doc.pages < 2) {
+      doc.close();
+      return this.#analyze(file);
+    }
+
+    this.#pdf = { file, doc, page: 1, previewUrl: null };
+    await this.#showPdfPage();
+    this.#analyzing = false;
+    this.#step = 'PDF_PAGE';
+    this.#render();
+  }
+
+  /** @param {number} delta */
+  async #turnPage(delta) {
+    const pdf = this.#pdf;
+    if (!pdf || !delta) return;
+    pdf.page = Math.min(pdf.doc.pages, Math.max(1, pdf.page + delta));
+    await this.#showPdfPage();
+    if (this.#pdf === pdf) this.#render();
+  }
+
+  async #showPdfPage() {
+    const pdf = this.#pdf;
+    if (!pdf) return;
+    try {
+      const url = await pdf.doc.previewUrl(pdf.page);
+      if (pdf.previewUrl) URL.revokeObjectURL(pdf.previewUrl);
+      pdf.previewUrl = url;
+    } catch (error) {
+      console.error('rx: could not preview PDF page', error);
+      if (pdf.previewUrl) URL.revokeObjectURL(pdf.previewUrl);
+      pdf.previewUrl = null;
+    }
+  }
+
+  // The chosen page continues as a photo would: crop, then prepareImage.
+  async #finishPdf() {
+    const pdf = this.#pdf;
+    if (!pdf) return;
+    this.#analyzing = true;
+    this.#render();
+    this.#setProgress('pdf', 0.1);
+    let page = null;
+    try {
+      const name = `${pdf.file.name.replace(/\.pdf$/i, '')}-page-${pdf.page}.png`;
+      page = new File([await pdf.doc.render(pdf.page)], name, { type: 'image/png' });
+    } catch (error) {
+      console.error('rx: could not render PDF page', error);
+    }
+    this.#discardPrep();
+    if (!page) return this.#analyze(pdf.file);
+    this.#fileIsPdf = false;
+    return this.#startPrep(page);
+  }
+
+  // --- PD measurement ------------------------------------------------------------
+
+  // Offered where the merchant allows it and the browser can open a camera at
+  // all (getUserMedia needs a secure context); otherwise the guide stands alone.
+  get #canMeasurePd() {
+    return this.#config.pdCamera && Boolean(navigator.mediaDevices?.getUserMedia) && window.isSecureContext;
+  }
+
+  async #loadPd() {
+    return (this.#pdModule ??= await rxImport('rx-pd.js'));
+  }
+
+  /** @param {PdTool['stage']} stage */
+  #openPd(stage) {
+    this.#collect();
+    this.#discardPd();
+    this.#step = 'PD';
+    this.#pd = {
+      stage: stage === 'intro' && !this.#canMeasurePd ? 'guide' : stage,
+      error: null,
+      stream: null,
+      shot: null,
+      markers: null,
+      found: false,
+    };
     this.#render();
+  }
 
+  async #startPdCamera() {
+    const pd = this.#pd;
+    if (!pd) return;
+    if (pd.shot) URL.revokeObjectURL(pd.shot.url);
+    pd.shot = null;
+    pd.markers = null;
+    pd.error = null;
     try {
-      const result = await analyzePrescription(file);
+      const { openCamera, closeCamera } = await this.#loadPd();
+      const stream = await openCamera();
+      // Closed while the permission prompt was up.
+      if (this.#pd !== pd) {
+        closeCamera(stream);
+        return;
+      }
+      pd.stream = stream;
+      pd.stage = 'camera';
+    } catch (error) {
+      console.warn('rx: could not open the camera', error);
+      pd.stage = 'guide';
+      pd.error =
+        error?.name === 'NotAllowedError'
+          ? "We weren't allowed to use your camera. You can allow it in your browser's settings, or measure with a ruler below."
+          : error?.name === 'NotFoundError'
+            ? "We couldn't find a camera on this device. You can measure with a ruler below."
+            : "Your camera didn't start. You can measure with a ruler below.";
+    }
+    if (this.#pd === pd) this.#render();
+  }
+
+  // The video element is rebuilt with every render; hand it the stream again.
+  #mountPdCamera() {
+    const video = this.#body?.querySelector('[data-rx-pd-video]');
+    const stream = this.#pd?.stream;
+    if (!(video instanceof HTMLVideoElement) || !stream) return;
+    video.srcObject = stream;
+    video.play().catch((error) => console.warn('rx: camera preview did not start', error));
+  }
+
+  async #capturePd() {
+    const pd = this.#pd;
+    const video = this.#body?.querySelector('[data-rx-pd-video]');
+    const module = this.#pdModule;
+    if (!pd?.stream || !(video instanceof HTMLVideoElement) || !module) return;
+
+    let shot;
+    try {
+      shot = await module.captureFrame(video);
+    } catch (error) {
+      console.warn('rx: could not capture PD photo', error);
+      pd.error = "The camera isn't ready yet. Give it a moment and try again.";
+      this.#render();
+      return;
+    }
+    if (this.#pd !== pd) {
+      URL.revokeObjectURL(shot.url);
+      return;
+    }
+    module.closeCamera(pd.stream);
+    pd.stream = null;
+    pd.error = null;
+    pd.shot = { url: shot.url, width: shot.width, height: shot.height };
+    pd.found = Boolean(shot.pupils && shot.card);
+    pd.markers = this.#pdStartMarkers(shot.pupils, shot.card);
+    pd.stage = 'adjust';
+    this.#render();
+  }
+
+  // The detector's guess, filled in where it found nothing: pupils either side
+  // of the middle, the card a card's width (about 1.4 PDs) across them, the
+  // nose halfway. Card edges and the nose only move sideways.
+  /**
+   * @param {ReturnType<typeof import('./rx-pd.js').detectPupils>} pupils
+   * @param {ReturnType<typeof import('./rx-pd.js').detectCardEdges>} card
+   * @returns {Object<string, PdPoint>}
+   */
+  #pdStartMarkers(pupils, card) {
+    const right = pupils?.right ?? { x: 0.56, y: 0.5 };
+    const left = pupils?.left ?? { x: 0.44, y: 0.5 };
+    const mid = (right.x + left.x) / 2;
+    const half = (right.x - left.x) * 0.7;
+    const eyeY = (right.y + left.y) / 2;
+    const cardY = card?.y ?? Math.max(0, eyeY - half);
+    return {
+      cardLeft: { x: card?.left ?? Math.max(0, mid - half), y: cardY },
+      cardRight: { x: card?.right ?? Math.min(1, mid + half), y: cardY },
+      right: { ...right },
+      left: { ...left },
+      nose: { x: mid, y: eyeY },
+    };
+  }
+
+  // Updates the marker and the result in place: a re-render would drop the
+  // pointer capture mid-drag.
+  /**
+   * @param {string} key
+   * @param {number} x
+   * @param {number} y
+   */
+  #setPdMarker(key, x, y) {
+    const markers = this.#pd?.markers;
+    const point = markers?.[key];
+    if (!markers || !point) return;
+    const clamp = (/** @type {number} */ n) => Math.min(1, Math.max(0, n));
+    const free = key === 'right' || key === 'left';
+    const next = (markers[key] = { x: clamp(x), y: free ? clamp(y) : point.y });
+
+    const marker = this.#body?.querySelector(`[data-rx-pd-marker="${key}"]`);
+    if (marker instanceof HTMLElement) marker.setAttribute('style', this.#pdMarkerStyle(key, next));
+    const result = this.#body?.querySelector('[data-rx-pd-result]');
+    if (result) result.innerHTML = this.#pdResultHtml();
+  }
+
+  #pdResult() {
+    const pd = this.#pd;
+    if (!pd?.shot || !pd.markers || !this.#pdModule) return null;
+    const { width, height } = pd.shot;
+    const { cardLeft, cardRight, right, left, nose } = pd.markers;
+    if (!cardLeft || !cardRight || !right || !left || !nose) return null;
+    return this.#pdModule.computePd({
+      cardLeft: cardLeft.x * width,
+      cardRight: cardRight.x * width,
+      right: { x: right.x * width, y: right.y * height },
+      left: { x: left.x * width, y: left.y * height },
+      nose: nose.x * width,
+      imageWidth: width,
+    });
+  }
+
+  #usePd() {
+    const result = this.#pdResult();
+    if (!result) return;
+    const round = (/** @type {number} */ mm) => Math.round(mm * 10) / 10;
+    this.#pdMeasured = {
+      method: 'camera',
+      pd: round(result.pd),
+      right: round(result.right),
+      left: round(result.left),
+      cameraDistanceMm: Math.round(result.distance),
+    };
+    const fields = this.#fillPd(this.#pdMeasured);
+    // Same as changing the fields by hand: a saved record becomes a new one,
+    // and a scanned PD counts as checked.
+    if (this.#method === 'saved') {
+      this.#method = 'manual';
+      this.#rxUID = null;
+    }
+    if (this.#method === 'upload') {
+      for (const field of fields) {
+        this.#edited.add(field);
+        delete this.#review[field];
+      }
+    }
+    this.#closePd();
+  }
+
+  // A measurement into whichever PD fields the form shows, snapped to the
+  // nearest value their pickers offer. Returns the fields it set.
+  /**
+   * @param {RxPdMeasurement} measured
+   * @returns {string[]}
+   */
+  #fillPd(measured) {
+    /** @type {Object<string, number>} */
+    const fields = this.#dualPd ? { pd_right: measured.right, pd_left: measured.left } : { pd: measured.pd };
+    for (const [field, mm] of Object.entries(fields)) {
+      const options = this.#options('pd', false, { half: this.#dualPd });
+      this.#values[field] = options.length
+        ? options.reduce((best, option) => (Math.abs(Number(option) - mm) < Math.abs(Number(best) - mm) ? option : best))
+        : mm.toFixed(2);
+    }
+    return Object.keys(fields);
+  }
+
+  #closePd() {
+    this.#discardPd();
+    this.#step = 'MANUAL';
+    this.#render();
+  }
+
+  #discardPd() {
+    const pd = this.#pd;
+    if (pd) {
+      this.#pdModule?.closeCamera(pd.stream);
+      if (pd.shot) URL.revokeObjectURL(pd.shot.url);
+    }
+    this.#pd = null;
+    if (this.#drag && 'marker' in this.#drag) this.#drag = null;
+  }
+
+  // --- Upload ------------------------------------------------------------------
+
+  /** @param {Blob} blob */
+  #setFileUrl(blob) {
+    if (this.#fileUrl) URL.revokeObjectURL(this.#fileUrl);
+    this.#fileUrl = URL.createObjectURL(blob);
+  }
+
+  #discardPrep() {
+    const prep = this.#prep;
+    if (prep) {
+      URL.revokeObjectURL(prep.previewUrl);
+      if ('close' in prep.decoded.source) prep.decoded.source.close();
+    }
+    const pdf = this.#pdf;
+    if (pdf) {
+      if (pdf.previewUrl) URL.revokeObjectURL(pdf.previewUrl);
+      pdf.doc.close();
+    }
+    this.#prep = null;
+    this.#pdf = null;
+    this.#drag = null;
+  }
+
+  // Updates the loader in place — a full render per stage would restart the
+  // spinner and re-announce the whole status region.
+  /**
+   * @param {string} stage
+   * @param {number} ratio
+   */
+  #setProgress(stage, ratio) {
+    this.#progress = { stage, ratio };
+    const bar = this.#body?.querySelector('[data-rx-progress]');
+    if (bar instanceof HTMLProgressElement) bar.value = Math.round(ratio * 100);
+    const text = this.#body?.querySelector('[data-rx-progress-text]');
+    if (text) text.textContent = PROGRESS_TEXT[stage] ?? PROGRESS_TEXT.upload;
+  }
+
+  /**
+   * OCR the prepared image — or the original file, for PDFs and formats the
+   * browser can't decode — and pre-fill the form.
+   * @param {Blob} blob
+   */
+  async #analyze(blob) {
+    // The confirm step previews exactly what was sent.
+    this.#setFileUrl(blob);
+    this.#analyzing = true;
+    this.#render();
+    // fetch can't report upload progress; park the bar near the end.
+    this.#setProgress('upload', 0.9);
+
+    try {
+      const result = await analyzePrescription(blob);
       this.#uniqueId = result.uniqueId || null;
       this.#rxUID = result.rxUID || null;
 
@@ -325,11 +1446,21 @@ class RxPrescriptionDrawer extends DialogComponent {
 
       this.#values = { ...this.#values, ...mapped };
       if (isFilled(mapped.pd_left) || isFilled(mapped.pd_right)) this.#dualPd = true;
+      this.#scanned = Object.keys(mapped);
+      if (!this.#scanned.length && this.#fileIsPdf && this.#pdfPages !== 1) this.#apiError = PDF_PAGES_HINT;
+      this.#review = reviewOcrFields(this.#values, readOcrConfidence(result.analysis), {
+        visionType: this.#state.visionType,
+      });
+      // Show the values in the notation they were written in; submit converts.
+      this.#plusCyl = detectCylinderConvention(this.#values) === 'plus';
     } catch (error) {
       // OCR failed — fall back to manual entry with a friendly notice.
       console.error('rx: prescription analysis failed', error);
       this.#method = 'manual';
-      this.#apiError = 'We could not read that file automatically. Please enter your prescription below.';
+      this.#apiError =
+        this.#fileIsPdf && this.#pdfPages !== 1
+          ? PDF_PAGES_HINT
+          : 'We could not read that file automatically. Please enter your prescription below.';
     } finally {
       this.#analyzing = false;
       this.#step = 'MANUAL';
@@ -339,8 +1470,28 @@ class RxPrescriptionDrawer extends DialogComponent {
 
   async #submit() {
     this.#collect();
+
+    // The lab works in minus cylinder. Convert before validating so any error
+    // shows against the values that will actually be sent.
+    const normalized = toMinusCylinder(this.#values);
+    if (normalized.transposed) {
+      for (const [field, value] of Object.entries(normalized.values)) {
+        if (value !== this.#values[field]) this.#transposedFields.add(field);
+      }
+      this.#values = normalized.values;
+      this.#transposed = true;
+      // The stored record holds the plus-cylinder values: save the converted copy.
+      if (this.#method === 'saved') {
+        this.#method = 'manual';
+        this.#rxUID = null;
+      }
+    }
+    this.#plusCyl = false;
+
     const result = validatePrescription(this.#values, this.#limits, {
       checkExpiration: this.#config.checkExpiration,
+      visionType: this.#state.visionType,
+      rules: this.#rules,
     });
     this.#errors = result.errors;
 
@@ -364,22 +1515,43 @@ class RxPrescriptionDrawer extends DialogComponent {
     this.#submitting = true;
     this.#render();
 
+    // No powers entered over a prescription reopened from the cart: the one
+    // on file still stands. Saving would replace it with blank powers.
+    const keep = this.#reference && !this.#hasPowers() ? this.#reference : null;
+    if (keep) {
+      this.#method = keep.method;
+      this.#uniqueId = keep.uniqueId;
+      this.#rxUID = keep.rxUID;
+    }
+
+    // A saved prescription already lives on the backend under its rxUID.
     let rxUID = this.#rxUID;
-    try {
-      const saved = await savePrescription(this.#buildSavePayload());
-      if (saved?.rxUID) rxUID = saved.rxUID;
-    } catch (error) {
-      // A save failure must not block checkout — the RX can be attached later.
-      console.error('rx: save prescription failed', error);
+    /** @type {string | null} */
+    let saveKey = null;
+    if (this.#method !== 'saved' && !keep) {
+      try {
+        const saved = await savePrescription(this.#buildSavePayload());
+        if (saved?.rxUID) rxUID = saved.rxUID;
+        // Offline: the outbox sends it later; see #onOutboxSent.
+        if (saved?.queued) saveKey = saved.idempotencyKey;
+      } catch (error) {
+        // A save failure must not block checkout — the RX can be attached later.
+        console.error('rx: save prescription failed', error);
+      }
     }
     this.#rxUID = rxUID;
 
+    /** @type {import('./rx-core.js').RxPrescription} */
     const prescription = {
       method: this.#method || 'manual',
       values: { ...this.#values },
       uniqueId: this.#uniqueId,
       rxUID,
+      saveKey,
+      referenceOnly: Boolean(keep),
       expired: result.expired,
+      remember: this.#remember,
+      pdMeasurement: this.#pdMeasured,
     };
     this.#state.set('prescription', prescription);
     this.dispatchEvent(new RxPrescriptionSubmitEvent(prescription));
@@ -388,11 +1560,18 @@ class RxPrescriptionDrawer extends DialogComponent {
     this.closeDialog();
   }
 
+  // Any value besides the PD and the date: what a reopened cart line lacks.
+  #hasPowers() {
+    return Object.entries(this.#values).some(([field, value]) => !/^(pd|date)/.test(field) && isFilled(value));
+  }
+
   // Shape the save-prescription payload per the backend contract.
   #buildSavePayload() {
     const v = this.#values;
-    const num = (value, fallback) => (isFilled(value) ? String(value) : fallback);
+    const num = (/** @type {string | undefined} */ value, /** @type {string} */ fallback) =>
+      isFilled(value) ? String(value) : fallback;
 
+    /** @type {Object<string, unknown>} */
     const prescriptionData = {
       sphRight: num(v.sph_od, '0.00'),
       sphLeft: num(v.sph_os, '0.00'),
@@ -403,7 +1582,9 @@ class RxPrescriptionDrawer extends DialogComponent {
       addRight: num(v.add_od, '0.00'),
       addLeft: num(v.add_os, '0.00'),
       isMonocularPd: this.#dualPd,
+      cylinderNotation: 'minus',
     };
+    if (this.#transposed) prescriptionData.transposedFromPlusCylinder = true;
 
     if (this.#dualPd) {
       prescriptionData.pdRight = `${num(v.pd_right, '0')}mm`;
@@ -412,12 +1593,21 @@ class RxPrescriptionDrawer extends DialogComponent {
       prescriptionData.pdValue = `${num(v.pd, '0')}mm`;
     }
     if (isFilled(v.date)) prescriptionData.prescriptionDate = v.date;
+    // A camera PD is a measurement the customer took, not one off the
+    // prescription — the lab may want to confirm it.
+    if (this.#pdMeasured) prescriptionData.pdMeasured = true;
 
     if (this.#showPrism) {
+      /** @type {Object<string, string>} */
       const base = { U: 'Up', D: 'Down', I: 'In', O: 'Out' };
+      /**
+       * @param {string} side
+       * @param {string} hDefault
+       * @param {string} vDefault
+       */
       const eye = (side, hDefault, vDefault) => ({
-        horizontal: { value: num(v[`prism_h_${side}`], '0.00'), base: base[v[`prism_hdir_${side}`]] || hDefault },
-        vertical: { value: num(v[`prism_v_${side}`], '0.00'), base: base[v[`prism_vdir_${side}`]] || vDefault },
+        horizontal: { value: num(v[`prism_h_${side}`], '0.00'), base: base[v[`prism_hdir_${side}`] ?? ''] || hDefault },
+        vertical: { value: num(v[`prism_v_${side}`], '0.00'), base: base[v[`prism_vdir_${side}`] ?? ''] || vDefault },
       });
       const hasPrism = ['prism_h_od', 'prism_v_od', 'prism_h_os', 'prism_v_os'].some((key) => isFilled(v[key]));
       if (hasPrism) {
@@ -427,11 +1617,29 @@ class RxPrescriptionDrawer extends DialogComponent {
       }
     }
 
+    /** @type {Object<string, unknown>} */
+    const data = { prescriptionData };
+    if (this.#pdMeasured) data.pdMeasurement = { ...this.#pdMeasured };
+    // Tell the lab which values came off the scan untouched and which the
+    // customer confirmed by changing them. A value the minus-cylinder
+    // conversion rewrote is neither: the customer confirmed it in the other
+    // notation, so it is listed on its own.
+    if (this.#method === 'upload') {
+      const transposed = [...this.#transposedFields].filter((field) => !this.#edited.has(field));
+      const untouched = (/** @type {string} */ field) => !this.#edited.has(field) && !transposed.includes(field);
+      data.ocrReview = {
+        editedFields: [...this.#edited].map(ocrFieldKey),
+        machineReadFields: this.#scanned.filter(untouched).map(ocrFieldKey),
+        flaggedUnchangedFields: Object.keys(this.#review).filter(untouched).map(ocrFieldKey),
+        transposedFields: transposed.map(ocrFieldKey),
+      };
+    }
+
     return {
       order_id: `cart-temp-${Date.now()}`,
       line_item_id: `prescription-${Date.now()}`,
       subdomain: this.#config.subdomain,
-      data: { prescriptionData },
+      data,
     };
   }
 
@@ -465,14 +1673,29 @@ class RxPrescriptionDrawer extends DialogComponent {
         ? this.#hiIndexHtml()
         : this.#step === 'MANUAL'
           ? this.#manualHtml()
-          : this.#initialHtml();
+          : this.#step === 'SAVED'
+            ? this.#savedHtml()
+            : this.#step === 'PD' && this.#pd
+              ? this.#pdStepHtml()
+              : this.#step === 'CROP' && this.#prep
+                ? this.#cropHtml()
+                : this.#step === 'PDF_PAGE' && this.#pdf
+                  ? this.#pdfPageHtml()
+                  : this.#initialHtml();
+    if (this.#step === 'PD') this.#mountPdCamera();
   }
 
   // Sits in the drawer header, so each step states its own job once.
   #headline() {
     if (this.#analyzing) return 'Reading your prescription';
     if (this.#step === 'HI_INDEX') return 'High Index lenses required';
+    if (this.#step === 'SAVED') return 'Saved prescriptions';
+    if (this.#step === 'CROP') return 'Crop your prescription';
+    if (this.#step === 'PDF_PAGE') return 'Choose a page';
+    if (this.#step === 'PD') return this.#pd?.stage === 'guide' ? 'Find your PD' : 'Measure your PD';
     if (this.#step !== 'MANUAL') return 'Add prescription';
+    if (this.#method === 'upload' && Object.keys(this.#review).length) return 'Check your prescription';
+    if (this.#method === 'saved') return 'Check your saved prescription';
     return this.#method === 'upload' && Object.keys(this.#values).length ? 'Confirm your prescription' : 'Enter your prescription';
   }
 
@@ -505,15 +1728,275 @@ class RxPrescriptionDrawer extends DialogComponent {
     `;
   }
 
+  #savedHtml() {
+    if (this.#savedLoading) {
+      return `
+        <div class="rx-prescription__loader" role="status" aria-live="polite">
+          <span class="rx-prescription__spinner" aria-hidden="true"></span>
+          <p class="rx-prescription__loader-text">Loading your prescriptions…</p>
+        </div>
+      `;
+    }
+
+    const list = this.#saved ?? [];
+    const items = list.map((entry) => this.#savedItemHtml(entry)).join('');
+    return `
+      <div class="rx-prescription__step rx-prescription__step--saved">
+        ${this.#savedError ? `<p class="rx-prescription__notice" role="alert">${escapeHtml(this.#savedError)}</p>` : ''}
+        ${
+          list.length
+            ? `<ul class="rx-prescription__saved-list" role="list">${items}</ul>`
+            : this.#savedError
+              ? ''
+              : '<p class="rx-prescription__subtitle">You have no saved prescriptions yet. Ones you add are kept here for next time.</p>'
+        }
+        <button type="button" class="button button-secondary rx-prescription__action" data-rx-manual>Enter a new prescription</button>
+      </div>
+    `;
+  }
+
+  /** @param {import('./rx-api.js').SavedPrescription} entry */
+  #savedItemHtml(entry) {
+    const uid = escapeHtml(entry.rxUID);
+    const busy = this.#savedBusy === entry.rxUID;
+    const values = mapOcrToValues(entry.prescriptionData);
+    const expired = this.#config.checkExpiration && isPrescriptionExpired(entry.prescriptionDate);
+    const dated = formatDate(entry.prescriptionDate);
+    const added = formatDate(entry.createdAt);
+    const name = entry.name || (dated ? `Prescription from ${dated}` : 'Saved prescription');
+
+    const title =
+      this.#renaming === entry.rxUID
+        ? `
+          <span class="rx-prescription__saved-rename">
+            <input type="text" class="rx-prescription__input" data-rx-saved-name value="${escapeHtml(name)}" aria-label="Prescription name" maxlength="60">
+            <button type="button" class="button rx-prescription__saved-btn" data-rx-action="saved-item" data-rx-saved-action="rename-save" data-rx-uid="${uid}" ${busy ? 'disabled' : ''}>Save</button>
+            <button type="button" class="button button-unstyled rx-prescription__saved-link" data-rx-action="saved-item" data-rx-saved-action="rename-cancel" data-rx-uid="${uid}">Cancel</button>
+          </span>
+        `
+        : `<span class="rx-prescription__saved-name">${escapeHtml(name)}</span>`;
+
+    const actions =
+      this.#confirmDelete === entry.rxUID
+        ? `
+          <span class="rx-prescription__saved-confirm">Delete this prescription?</span>
+          <button type="button" class="button button-unstyled rx-prescription__saved-link" data-rx-action="saved-item" data-rx-saved-action="delete-confirm" data-rx-uid="${uid}" ${busy ? 'disabled' : ''}>Delete</button>
+          <button type="button" class="button button-unstyled rx-prescription__saved-link" data-rx-action="saved-item" data-rx-saved-action="delete-cancel" data-rx-uid="${uid}">Keep</button>
+        `
+        : `
+          <button type="button" class="button rx-prescription__saved-btn" data-rx-action="saved-item" data-rx-saved-action="use" data-rx-uid="${uid}" ${busy ? 'disabled aria-busy="true"' : ''}>
+            ${busy ? 'Loading…' : 'Use this prescription'}
+          </button>
+          <button type="button" class="button button-unstyled rx-prescription__saved-link" data-rx-action="saved-item" data-rx-saved-action="rename" data-rx-uid="${uid}">Rename</button>
+          <button type="button" class="button button-unstyled rx-prescription__saved-link" data-rx-action="saved-item" data-rx-saved-action="delete" data-rx-uid="${uid}">Delete</button>
+        `;
+
+    return `
+      <li class="rx-prescription__saved-item${expired ? ' rx-prescription__saved-item--expired' : ''}">
+        <div class="rx-prescription__saved-head">
+          ${title}
+          <span class="rx-prescription__saved-meta">
+            ${dated ? `Dated ${escapeHtml(dated)}` : ''}${dated && added ? ' · ' : ''}${added ? `Saved ${escapeHtml(added)}` : ''}
+          </span>
+          ${expired ? '<span class="rx-prescription__saved-badge">Older than 24 months</span>' : ''}
+        </div>
+        <dl class="rx-prescription__saved-eyes">
+          ${this.#eyeSummaryHtml('OD', values, 'od')}
+          ${this.#eyeSummaryHtml('OS', values, 'os')}
+        </dl>
+        <div class="rx-prescription__saved-actions">${actions}</div>
+      </li>
+    `;
+  }
+
+  // "SPH -2.00 · CYL -0.75 × 090 · ADD +1.50" for one eye.
+  /**
+   * @param {string} abbr
+   * @param {Object<string, string>} values
+   * @param {string} eye
+   */
+  #eyeSummaryHtml(abbr, values, eye) {
+    const parts = [`SPH ${values[`sph_${eye}`] ?? '0.00'}`];
+    const cyl = values[`cyl_${eye}`];
+    if (isFilled(cyl) && parseFloat(cyl) !== 0) parts.push(`CYL ${cyl} × ${values[`axis_${eye}`] ?? '000'}`);
+    const add = values[`add_${eye}`];
+    if (isFilled(add) && parseFloat(add) !== 0) parts.push(`ADD ${add}`);
+    return `<dt>${abbr}</dt><dd>${escapeHtml(parts.join(' · '))}</dd>`;
+  }
+
   #loaderHtml() {
+    const { stage, ratio } = this.#progress;
     return `
       <div class="rx-prescription__loader" role="status" aria-live="polite">
         <span class="rx-prescription__spinner" aria-hidden="true"></span>
-        <p class="rx-prescription__loader-text">Reading your prescription…</p>
+        <p class="rx-prescription__loader-text" data-rx-progress-text>${PROGRESS_TEXT[stage] ?? PROGRESS_TEXT.upload}</p>
+        <progress class="rx-prescription__progress" max="100" value="${Math.round(ratio * 100)}" data-rx-progress aria-hidden="true"></progress>
+      </div>
+    `;
+  }
+
+  #cropHtml() {
+    const prep = /** @type {PrepState} */ (this.#prep);
+    const style = Object.entries(this.#cropStyle(prep.crop))
+      .map(([key, value]) => `${key}:${value}`)
+      .join(';');
+    const handles = Object.entries(CROP_HANDLES)
+      .map(
+        ([key, label]) =>
+          `<button type="button" class="rx-prescription__crop-handle rx-prescription__crop-handle--${key}" data-rx-crop-handle="${key}" aria-label="Move ${label} corner"></button>`
+      )
+      .join('');
+    return `
+      <div class="rx-prescription__step rx-prescription__step--crop">
+        <p class="rx-prescription__subtitle">Drag the corners so just the prescription is inside the box. Arrow keys work too.</p>
+        <div class="rx-prescription__crop-stage">
+          <div class="rx-prescription__crop" data-rx-crop>
+            <img class="rx-prescription__crop-image" src="${prep.previewUrl}" alt="Your prescription photo" draggable="false">
+            <div class="rx-prescription__crop-box" data-rx-crop-box tabindex="0" role="group" aria-label="Crop area" style="${style}">
+              ${handles}
+            </div>
+          </div>
+        </div>
+        <div class="rx-prescription__crop-tools">
+          <button type="button" class="button button-unstyled rx-prescription__later-btn" data-rx-action="rotate">Rotate</button>
+          <button type="button" class="button button-unstyled rx-prescription__later-btn" data-rx-action="crop-reset">Use whole photo</button>
+        </div>
+        <button type="button" class="button rx-prescription__submit" data-rx-action="crop-done">Read prescription</button>
       </div>
     `;
   }
 
+  #pdfPageHtml() {
+    const pdf = /** @type {PdfState} */ (this.#pdf);
+    const preview = pdf.previewUrl
+      ? `<img class="rx-prescription__pdf-page" src="${pdf.previewUrl}" alt="Page ${pdf.page} of your PDF" draggable="false">`
+      : `<p class="rx-prescription__notice" role="alert">We couldn't show this page, but you can still use it.</p>`;
+    return `
+      <div class="rx-prescription__step rx-prescription__step--pdf-page">
+        <p class="rx-prescription__subtitle">This PDF has ${pdf.doc.pages} pages. Show us the one with your prescription.</p>
+        ${preview}
+        <div class="rx-prescription__pager">
+          <button type="button" class="button button-unstyled rx-prescription__later-btn" data-rx-action="page" data-rx-page="-1" ${pdf.page <= 1 ? 'disabled' : ''}>Previous</button>
+          <span aria-live="polite">Page ${pdf.page} of ${pdf.doc.pages}</span>
+          <button type="button" class="button button-unstyled rx-prescription__later-btn" data-rx-action="page" data-rx-page="1" ${pdf.page >= pdf.doc.pages ? 'disabled' : ''}>Next</button>
+        </div>
+        <button type="button" class="button rx-prescription__submit" data-rx-action="page-done">Use page ${pdf.page}</button>
+      </div>
+    `;
+  }
+
+  #pdStepHtml() {
+    const pd = /** @type {PdTool} */ (this.#pd);
+    const error = pd.error ? `<p class="rx-prescription__notice" role="alert">${escapeHtml(pd.error)}</p>` : '';
+
+    if (pd.stage === 'camera') {
+      return `
+        <div class="rx-prescription__step rx-prescription__step--pd">
+          <p class="rx-prescription__subtitle">Card flat on your forehead, glasses off, eyes on the camera.</p>
+          ${error}
+          <div class="rx-prescription__pd-stage">
+            <video class="rx-prescription__pd-video" data-rx-pd-video autoplay playsinline muted></video>
+            <div class="rx-prescription__pd-guide" aria-hidden="true">
+              <span class="rx-prescription__pd-guide-card"></span>
+              <span class="rx-prescription__pd-guide-eyes"></span>
+            </div>
+          </div>
+          <button type="button" class="button rx-prescription__submit" data-rx-action="pd-capture">Take photo</button>
+        </div>
+      `;
+    }
+
+    if (pd.stage === 'adjust' && pd.shot && pd.markers) {
+      const { markers } = pd;
+      const buttons = Object.entries(PD_MARKERS)
+        .map(([key, label]) => {
+          const kind = key === 'right' || key === 'left' ? 'pupil' : key === 'nose' ? 'nose' : 'edge';
+          return `<button type="button" class="rx-prescription__pd-marker rx-prescription__pd-marker--${kind}" data-rx-pd-marker="${key}" aria-label="${label}" style="${this.#pdMarkerStyle(key, markers[key])}"></button>`;
+        })
+        .join('');
+      return `
+        <div class="rx-prescription__step rx-prescription__step--pd">
+          <p class="rx-prescription__subtitle">
+            ${
+              pd.found
+                ? 'Check the markers are on the edges of the card, the centre of each pupil and the bridge of your nose. Drag any that are off; arrow keys work too.'
+                : "We couldn't find everything ourselves. Drag the lines onto the edges of the card, the dots onto the centre of each pupil and the dashed line onto the bridge of your nose. Arrow keys work too."
+            }
+          </p>
+          <div class="rx-prescription__crop-stage">
+            <div class="rx-prescription__pd-photo" data-rx-pd-photo>
+              <img class="rx-prescription__crop-image" src="${pd.shot.url}" alt="Your photo with the card" draggable="false">
+              ${buttons}
+            </div>
+          </div>
+          <p class="rx-prescription__pd-result" data-rx-pd-result aria-live="polite">${this.#pdResultHtml()}</p>
+          <div class="rx-prescription__crop-tools">
+            <button type="button" class="button button-unstyled rx-prescription__later-btn" data-rx-action="pd-retake">Retake photo</button>
+          </div>
+          <button type="button" class="button rx-prescription__submit" data-rx-action="pd-use">Use this PD</button>
+        </div>
+      `;
+    }
+
+    if (pd.stage === 'guide') {
+      return `
+        <div class="rx-prescription__step rx-prescription__step--pd">
+          ${error}
+          <p class="rx-prescription__subtitle">
+            Your PD is often written on your prescription, or on the receipt for your last glasses. If not, a mirror and a ruler with millimetres will do:
+          </p>
+          <ol class="rx-prescription__pd-steps">
+            <li>Stand about 20 cm from a mirror and hold the ruler flat against your brow.</li>
+            <li>Close your right eye and line up the ruler's zero with the centre of your left pupil.</li>
+            <li>Close your left eye, open your right, and read the mark at the centre of your right pupil. That's your PD.</li>
+            <li>Measure two or three times and use the average. Most adults are between 54 and 74 mm.</li>
+          </ol>
+          ${
+            this.#canMeasurePd
+              ? '<button type="button" class="button button-unstyled rx-prescription__later-btn" data-rx-action="pd-measure">Measure with your camera instead</button>'
+              : ''
+          }
+          <button type="button" class="button rx-prescription__submit" data-rx-action="pd-done">Enter my PD</button>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="rx-prescription__step rx-prescription__step--pd">
+        <p class="rx-prescription__subtitle">
+          Your PD is the distance between the centres of your pupils. Your camera can measure it in under a minute — the photo stays on this device.
+        </p>
+        <ol class="rx-prescription__pd-steps">
+          <li>Find a card the size of a bank card. A loyalty or library card works; turn any numbers away from the camera.</li>
+          <li>Take your glasses off and sit an arm's length from the camera, facing the light.</li>
+          <li>Hold the card flat against your forehead, just above your eyebrows, and look straight at the camera.</li>
+        </ol>
+        <button type="button" class="button button-unstyled rx-prescription__later-btn" data-rx-action="pd-guide">Measure another way</button>
+        <button type="button" class="button rx-prescription__submit" data-rx-action="pd-camera">Start camera</button>
+      </div>
+    `;
+  }
+
+  // The card edges run the photo's full height: only their x is placed.
+  /**
+   * @param {string} key
+   * @param {PdPoint | undefined} point
+   */
+  #pdMarkerStyle(key, point) {
+    if (!point) return '';
+    const left = `left:${(point.x * 100).toFixed(2)}%`;
+    return key === 'cardLeft' || key === 'cardRight' ? left : `${left};top:${(point.y * 100).toFixed(2)}%`;
+  }
+
+  #pdResultHtml() {
+    const result = this.#pdResult();
+    if (!result || !this.#pdModule) return '';
+    const { min, max } = this.#pdModule.PD_PLAUSIBLE;
+    const text = `PD ${result.pd.toFixed(1)} mm (right ${result.right.toFixed(1)}, left ${result.left.toFixed(1)})`;
+    if (result.pd >= min && result.pd <= max) return text;
+    return `${text}. <strong>That's outside the usual ${min}–${max} mm</strong> — check the markers, or retake the photo.`;
+  }
+
   #initialHtml() {
     const total = this.#state.totalPrice;
     return `
@@ -526,6 +2009,14 @@ class RxPrescriptionDrawer extends DialogComponent {
           <button type="button" class="button button-secondary rx-prescription__action" data-rx-manual>Enter it manually</button>
         </div>
 
+        ${this.#reuseHtml()}
+
+        ${
+          this.#config.customer
+            ? `<button type="button" class="button button-unstyled rx-prescription__later-btn" data-rx-action="saved">Use a saved prescription</button>`
+            : ''
+        }
+
         ${total ? `<div class="rx-prescription__subtotal"><span>Subtotal</span><span>${formatCents(total)}</span></div>` : ''}
 
         <div class="rx-prescription__later">
@@ -557,6 +2048,12 @@ class RxPrescriptionDrawer extends DialogComponent {
       <div class="rx-prescription__form-col">
         ${filled && !preview ? `<p class="rx-prescription__file">Uploaded: ${escapeHtml(this.#fileName)}</p>` : ''}
         ${this.#apiError ? `<p class="rx-prescription__notice" role="alert">${escapeHtml(this.#apiError)}</p>` : ''}
+        ${this.#method === 'upload' ? this.#reviewNoticeHtml() : ''}
+        ${
+          this.#transposed
+            ? '<p class="rx-prescription__notice">We converted your prescription to minus cylinder, the notation our lab uses. The lens is the same.</p>'
+            : ''
+        }
 
         <div class="rx-prescription__rxcard">
           <span></span>
@@ -572,9 +2069,10 @@ class RxPrescriptionDrawer extends DialogComponent {
 
         <div class="rx-prescription__subgrid">
           ${this.#pdHtml()}
-          <div class="rx-prescription__field-group">
+          <div class="rx-prescription__field-group${this.#reviewClass(['date'])}">
             <label class="rx-prescription__label" for="rx-date-${this.id}">Prescription date</label>
             <input type="date" id="rx-date-${this.id}" class="rx-prescription__input" data-rx-field="date" value="${escapeHtml(this.#values.date || '')}">
+            ${this.#reviewHintHtml('date')}
           </div>
         </div>
 
@@ -587,10 +2085,15 @@ class RxPrescriptionDrawer extends DialogComponent {
             <input type="checkbox" data-rx-prism-toggle ${this.#showPrism ? 'checked' : ''}>
             <span>I have prism values</span>
           </label>
+          <label class="rx-prescription__check">
+            <input type="checkbox" data-rx-plus-cyl ${this.#plusCyl ? 'checked' : ''}>
+            <span>Written in plus cylinder (+CYL)</span>
+          </label>
+          ${this.#rememberHtml()}
         </div>
 
         ${this.#showPrism ? this.#prismHtml() : ''}
-        <div data-rx-expiry>${this.#expiryWarningHtml()}</div>
+        <div data-rx-warnings>${this.#warningsHtml()}</div>
       </div>
       ${preview}
       </div>
@@ -601,13 +2104,24 @@ class RxPrescriptionDrawer extends DialogComponent {
           <span class="rx-prescription__footer-price">${formatCents(this.#state.totalPrice)}</span>
         </div>
         <button type="button" class="button rx-prescription__submit" data-rx-submit ${this.#submitting ? 'disabled aria-busy="true"' : ''}>
-          ${this.#submitting ? 'Saving…' : 'Save prescription'}
+          ${this.#submitting ? 'Saving…' : this.#submitLabel()}
         </button>
       </div>
     `;
   }
 
+  #submitLabel() {
+    if (this.#method === 'upload') return 'Confirm prescription';
+    if (this.#method === 'saved') return 'Use this prescription';
+    return 'Save prescription';
+  }
+
   // One eye across the four power columns.
+  /**
+   * @param {string} abbr
+   * @param {string} side
+   * @param {string} key
+   */
   #eyeRowHtml(abbr, side, key) {
     return `
       <span class="rx-prescription__rxeye">${abbr}<small>${side}</small></span>
@@ -619,6 +2133,13 @@ class RxPrescriptionDrawer extends DialogComponent {
   }
 
   // One OD/OS row of paired selects with per-cell error text.
+  /**
+   * @param {string} label
+   * @param {string} field
+   * @param {string} limitKey
+   * @param {boolean} signed
+   * @param {OptionOpts} [opts]
+   */
   #rowHtml(label, field, limitKey, signed, opts = {}) {
     return `
       <div class="rx-prescription__row">
@@ -629,20 +2150,58 @@ class RxPrescriptionDrawer extends DialogComponent {
     `;
   }
 
+  /**
+   * @param {string} field
+   * @param {string} limitKey
+   * @param {boolean} signed
+   * @param {OptionOpts} opts
+   */
   #cellHtml(field, limitKey, signed, opts) {
     const error = this.#errors[field];
     return `
-      <span class="rx-prescription__field${error ? ' rx-prescription__field--error' : ''}">
+      <span class="rx-prescription__field${error ? ' rx-prescription__field--error' : this.#reviewClass([field])}">
         ${this.#selectHtml(field, limitKey, signed, opts)}
-        ${error ? `<span class="rx-prescription__error">${escapeHtml(error)}</span>` : ''}
+        ${error ? `<span class="rx-prescription__error">${escapeHtml(error)}</span>` : this.#reviewHintHtml(field)}
       </span>
     `;
   }
 
+  // An error outranks a review flag: it's the more specific message.
+  /** @param {string[]} fields */
+  #reviewClass(fields) {
+    const flags = fields.map((field) => this.#review[field]);
+    if (flags.includes('missing')) return ' rx-prescription__field--missing';
+    return flags.includes('low') ? ' rx-prescription__field--review' : '';
+  }
+
+  /** @param {string} field */
+  #reviewHintHtml(field) {
+    const flag = this.#review[field];
+    if (!flag) return '';
+    return `<span class="rx-prescription__review-hint" data-rx-review-hint="${field}">${flag === 'missing' ? 'Not found' : 'Check'}</span>`;
+  }
+
+  #reviewNoticeHtml() {
+    const flags = Object.values(this.#review);
+    const missing = flags.filter((flag) => flag === 'missing').length;
+    const low = flags.length - missing;
+    if (!flags.length) return '<div data-rx-review hidden></div>';
+    const parts = [
+      low ? `${low} value${low === 1 ? '' : 's'} we couldn't read clearly` : '',
+      missing ? `${missing} we couldn't find` : '',
+    ].filter(Boolean);
+    return `
+      <p class="rx-prescription__notice rx-prescription__notice--review" data-rx-review>
+        Please compare the highlighted fields with your prescription — ${parts.join(' and ')}. Tap a field to correct it.
+      </p>
+    `;
+  }
+
   #pdHtml() {
     const error = this.#errors.pd;
+    const fields = this.#dualPd ? ['pd_right', 'pd_left'] : ['pd'];
     return `
-      <div class="rx-prescription__field-group${error ? ' rx-prescription__field--error' : ''}">
+      <div class="rx-prescription__field-group${error ? ' rx-prescription__field--error' : this.#reviewClass(fields)}">
         <span class="rx-prescription__label">Pupillary distance (PD)</span>
         <div class="rx-prescription__pd-inputs">
           ${
@@ -652,13 +2211,18 @@ class RxPrescriptionDrawer extends DialogComponent {
               : this.#selectHtml('pd', 'pd', false, {})
           }
         </div>
-        ${error ? `<span class="rx-prescription__error">${escapeHtml(error)}</span>` : ''}
+        ${error ? `<span class="rx-prescription__error">${escapeHtml(error)}</span>` : fields.map((field) => this.#reviewHintHtml(field)).join('')}
+        ${this.#pdMeasured ? '<span class="rx-prescription__pd-measured">Measured with your camera</span>' : ''}
+        <span class="rx-prescription__pd-help">
+          ${this.#canMeasurePd ? '<button type="button" class="button button-unstyled" data-rx-action="pd-measure">Measure with your camera</button>' : ''}
+          <button type="button" class="button button-unstyled" data-rx-action="pd-guide">How do I find my PD?</button>
+        </span>
       </div>
     `;
   }
 
   #prismHtml() {
-    const eye = (side, label) => `
+    const eye = (/** @type {string} */ side, /** @type {string} */ label) => `
       <fieldset class="rx-prescription__prism-eye">
         <legend>${label}</legend>
         <div class="rx-prescription__prism-row">
@@ -673,6 +2237,10 @@ class RxPrescriptionDrawer extends DialogComponent {
     return `<div class="rx-prescription__prism">${eye('od', 'Right (OD)')}${eye('os', 'Left (OS)')}</div>`;
   }
 
+  /**
+   * @param {string} field
+   * @param {'vertical' | 'horizontal'} axis
+   */
   #prismDirHtml(field, axis) {
     const options = axis === 'vertical' ? [['U', 'Up'], ['D', 'Down']] : [['I', 'In'], ['O', 'Out']];
     return `
@@ -690,7 +2258,7 @@ class RxPrescriptionDrawer extends DialogComponent {
           role="combobox"
           aria-expanded="false"
           aria-haspopup="listbox"
-          aria-label="${escapeHtml(field)}"
+          aria-label="${escapeHtml(fieldName(field))}"
           on:click="/toggle"
         >Base</button>
         <div class="rx-select__panel" role="listbox" ref="panel" hidden></div>
@@ -700,6 +2268,12 @@ class RxPrescriptionDrawer extends DialogComponent {
 
   // Two-column value picker over the configured limit range. Columns fan out
   // from the value people start at: 0 for powers, 64 (32 monocular) for PD.
+  /**
+   * @param {string} field
+   * @param {string} limitKey
+   * @param {boolean} signed
+   * @param {OptionOpts} [opts]
+   */
   #selectHtml(field, limitKey, signed, opts = {}) {
     const current = this.#values[field];
     const options = this.#options(limitKey, signed, opts);
@@ -725,7 +2299,7 @@ class RxPrescriptionDrawer extends DialogComponent {
           role="combobox"
           aria-expanded="false"
           aria-haspopup="listbox"
-          aria-label="${escapeHtml(field)}"
+          aria-label="${escapeHtml(fieldName(field))}"
           on:click="/toggle"
         >Select</button>
         <div class="rx-select__panel" role="listbox" ref="panel" hidden></div>
@@ -735,12 +2309,22 @@ class RxPrescriptionDrawer extends DialogComponent {
 
   // The value the columns fan out from, shown once above them. Zero for every
   // power field — axis and add start there too, they just never go negative.
+  /**
+   * @param {string} limitKey
+   * @param {OptionOpts} opts
+   */
   #anchorFor(limitKey, opts) {
     if (limitKey === 'pd') return opts.half ? 32 : 64;
     if (limitKey === 'prism') return null;
     return 0;
   }
 
+  /**
+   * @param {string} limitKey
+   * @param {boolean} signed
+   * @param {OptionOpts} opts
+   * @returns {string[]}
+   */
   #options(limitKey, signed, opts) {
     const limit = this.#limits[limitKey] || {};
     let min = Number(limit.min ?? 0);
@@ -760,6 +2344,11 @@ class RxPrescriptionDrawer extends DialogComponent {
     return out;
   }
 
+  /**
+   * @param {number} n
+   * @param {boolean} signed
+   * @param {number} [pad]
+   */
   #formatOption(n, signed, pad) {
     if (pad) return String(Math.round(n)).padStart(pad, '0');
     if (n === 0) return '0.00';
@@ -768,6 +2357,22 @@ class RxPrescriptionDrawer extends DialogComponent {
     return signed ? `+${fixed}` : fixed;
   }
 
+  // Opt-in: prescription values only outlive a reload when the customer asks.
+  // Hidden where the page keeps no session (my-orders, persistence off); the
+  // wording follows how long the session is kept.
+  #rememberHtml() {
+    const persist = this.#productData()?.config?.persist;
+    if (!persist || persist === 'none') return '';
+    const label =
+      persist === 'local' ? 'Remember my prescription on this device' : 'Keep my prescription until I close this tab';
+    return `
+      <label class="rx-prescription__check">
+        <input type="checkbox" data-rx-remember ${this.#remember ? 'checked' : ''}>
+        <span>${label}</span>
+      </label>
+    `;
+  }
+
   #expiryWarningHtml() {
     if (!this.#config.checkExpiration) return '';
     if (!isPrescriptionExpired(this.#values.date)) return '';
@@ -778,9 +2383,26 @@ class RxPrescriptionDrawer extends DialogComponent {
     `;
   }
 
-  #renderExpiryWarning() {
-    const host = this.#body?.querySelector('[data-rx-expiry]');
-    if (host) host.innerHTML = this.#expiryWarningHtml();
+  // Plausibility warnings never block the submit (errors show on their field);
+  // they sit with the expiry warning so the customer double-checks the paper.
+  #clinicalWarningsHtml() {
+    const { warnings } = checkClinicalRules(this.#values, { visionType: this.#state?.visionType, rules: this.#rules });
+    const messages = [...new Set(warnings.map((/** @type {RxRuleIssue} */ warning) => warning.message))];
+    if (!messages.length) return '';
+    return `
+      <div class="rx-prescription__notice rx-prescription__notice--warning" role="status">
+        ${messages.map((message) => `<p class="rx-prescription__warning">${escapeHtml(message)}</p>`).join('')}
+      </div>
+    `;
+  }
+
+  #warningsHtml() {
+    return this.#expiryWarningHtml() + this.#clinicalWarningsHtml();
+  }
+
+  #renderWarnings() {
+    const host = this.#body?.querySelector('[data-rx-warnings]');
+    if (host) host.innerHTML = this.#warningsHtml();
   }
 }
 
@@ -794,19 +2416,34 @@ if (!customElements.get('rx-prescription-drawer')) {
  * itself opens the drawer declaratively via `on:click="#<drawer-id>/start"`.
  */
 class RxPrescription extends Component {
+  /** @type {RxState} */
   #state;
   #onChange = () => this.#reflect();
+  #onRestore = () => this.#resume();
 
   connectedCallback() {
     super.connectedCallback();
     this.#state = getRxState();
     this.#state.addEventListener('rx:change', this.#onChange);
+    this.#state.addEventListener('rx:restore', this.#onRestore);
+    // The session can be restored before this module has loaded.
+    this.#resume();
     this.#reflect();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#state?.removeEventListener('rx:change', this.#onChange);
+    this.#state?.removeEventListener('rx:restore', this.#onRestore);
+  }
+
+  // A restored prescription was validated when it was captured; only its age
+  // can have changed since, and the expiry flag travels to the cart.
+  #resume() {
+    const rx = this.#state.prescription;
+    if (!rx?.values || this.dataset.checkExpiration === 'false') return;
+    const expired = isPrescriptionExpired(rx.values.date);
+    if (expired !== Boolean(rx.expired)) this.#state.set('prescription', { ...rx, expired });
   }
 
   #reflect() {
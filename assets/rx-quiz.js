@@ -0,0 +1,313 @@
+import { Component } from '@theme/component';
+import { sectionRenderer } from '@theme/section-renderer';
+
+// Resolve shared RX modules via the versioned import map (see
+// snippets/rx-import-map.liquid) — unversioned relative imports would be
+// CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
+function rxImport(name) {
+  /** @type {Record<string, string>} */
+  let map = {};
+  if (typeof document !== 'undefined') {
+    try {
+      map = JSON.parse(document.querySelector('script[data-rx-imports]')?.textContent ?? '{}');
+    } catch {
+      map = {};
+    }
+  }
+  return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
+}
+
+const { parseQuizWeights, scoreQuizMatch, quizFilterParams } = await rxImport('rx-core.js');
+
+// Rendered by file name, so it needs no place in any template.
+const RESULTS_SECTION = 'rx-quiz-results';
+
+/**
+ * @param {Element} card - a `.rx-quiz-result` from the results section
+ * @returns {{tags: string[], facts: Object<string, string>}}
+ */
+function describeCard(card) {
+  /** @type {Object<string, string>} */
+  let facts = {};
+  try {
+    facts = JSON.parse(card.getAttribute('data-rx-quiz-facts') || '{}');
+  } catch {
+    facts = {};
+  }
+  return { tags: (card.getAttribute('data-product-tags') || '').split(','), facts };
+}
+
+/**
+ * Frame-finder quiz for `sections/rx-quiz.liquid`.
+ *
+ * One question shows at a time. Answers live in the URL, one parameter per
+ * question (`?shape=round&lens=sun,clear`), so a shared link opens on the same
+ * results. Once every question is answered, the quiz's collection is fetched
+ * through the Section Rendering API (`sections/rx-quiz-results.liquid`) with
+ * the answers' filter parameters, and the cards are ranked by the answers'
+ * tag and metafield weights (scoreQuizMatch in rx-core.js).
+ *
+ * @extends {Component<{questions: HTMLElement[], progress: HTMLElement, back: HTMLButtonElement,
+ *   results: HTMLElement, status: HTMLElement, resultsList: HTMLElement, shareStatus: HTMLElement,
+ *   email: HTMLElement}>}
+ */
+class RxQuiz extends Component {
+  requiredRefs = ['questions', 'results', 'resultsList', 'status'];
+
+  /** @type {Map<string, string[]>} */
+  #answers = new Map();
+  #step = 0;
+  // Answers change faster than results load; only the latest request renders.
+  #request = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#readUrl();
+    const unanswered = this.#questions.findIndex((question) => !this.#answers.has(question.dataset.key ?? ''));
+    this.#show(unanswered < 0 ? this.#questions.length : unanswered);
+    document.addEventListener('shopify:block:select', this.#onBlockSelect);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    document.removeEventListener('shopify:block:select', this.#onBlockSelect);
+  }
+
+  get #questions() {
+    const questions = this.refs.questions;
+    return Array.isArray(questions) ? questions : [];
+  }
+
+  /**
+   * A single-choice answer moves on at once; a multiple-choice one toggles
+   * and waits for Next.
+   * @param {MouseEvent} event
+   */
+  answer(event) {
+    const button = /** @type {HTMLElement} */ (event.target);
+    const question = button.closest('.rx-quiz__question');
+    if (!(question instanceof HTMLElement)) return;
+    const key = question.dataset.key;
+    const value = button.dataset.value;
+    if (!key || !value) return;
+
+    if (question.dataset.multiple === 'true') {
+      const chosen = new Set(this.#answers.get(key) ?? []);
+      if (chosen.has(value)) chosen.delete(value);
+      else chosen.add(value);
+      if (chosen.size) this.#answers.set(key, [...chosen]);
+      else this.#answers.delete(key);
+      this.#writeUrl();
+      this.#reflect();
+      return;
+    }
+
+    this.#answers.set(key, [value]);
+    this.#writeUrl();
+    this.#show(this.#step + 1, { focus: true });
+  }
+
+  next() {
+    this.#show(this.#step + 1, { focus: true });
+  }
+
+  back() {
+    this.#show(this.#step - 1, { focus: true });
+  }
+
+  restart() {
+    this.#answers.clear();
+    this.#writeUrl();
+    this.#show(0, { focus: true });
+  }
+
+  async share() {
+    const url = location.href;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: document.title, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      this.#setShareStatus('Link copied.');
+    } catch (error) {
+      if (error?.name === 'AbortError') return;
+      console.warn('rx: could not share the quiz results', error);
+      this.#setShareStatus(`Copy this link to share your results: ${url}`);
+    }
+  }
+
+  /**
+   * @param {number} step - the number of questions means the results
+   * @param {{focus?: boolean}} [options]
+   */
+  #show(step, { focus = false } = {}) {
+    const count = this.#questions.length;
+    this.#step = Math.max(0, Math.min(step, count));
+    const onResults = this.#step === count;
+
+    this.#questions.forEach((question, index) => {
+      question.hidden = index !== this.#step;
+    });
+    this.refs.results.hidden = !onResults;
+    if (this.refs.back) this.refs.back.hidden = this.#step === 0;
+    if (this.refs.progress) {
+      this.refs.progress.textContent = onResults ? '' : `Question ${this.#step + 1} of ${count}`;
+    }
+    this.#reflect();
+
+    if (onResults) this.#showResults();
+    if (focus) (onResults ? this.refs.results : this.#questions[this.#step])?.focus();
+  }
+
+  #reflect() {
+    for (const question of this.#questions) {
+      const chosen = this.#answers.get(question.dataset.key ?? '') ?? [];
+      for (const button of question.querySelectorAll('[data-value]')) {
+        button.setAttribute('aria-pressed', String(chosen.includes(button.getAttribute('data-value') ?? '')));
+      }
+      const next = question.querySelector('[data-rx-quiz-next]');
+      if (next instanceof HTMLButtonElement) next.disabled = !chosen.length;
+    }
+  }
+
+  /** The answer buttons currently chosen, across all questions. */
+  #chosenButtons() {
+    return this.#questions.flatMap((question) => {
+      const chosen = this.#answers.get(question.dataset.key ?? '') ?? [];
+      return [...question.querySelectorAll('[data-value]')].filter((button) =>
+        chosen.includes(button.getAttribute('data-value') ?? '')
+      );
+    });
+  }
+
+  async #showResults() {
+    const request = ++this.#request;
+    const chosen = this.#chosenButtons();
+    const filters = quizFilterParams(chosen.map((button) => button.getAttribute('data-filter') ?? ''));
+    const weights = chosen.flatMap((button) => [
+      ...parseQuizWeights(button.getAttribute('data-tags')),
+      ...parseQuizWeights(button.getAttribute('data-metafields')),
+    ]);
+
+    this.#setShareStatus('');
+    this.#prepareEmail();
+    this.refs.resultsList.replaceChildren();
+    this.refs.status.textContent = 'Finding your frames…';
+
+    try {
+      let cards = await this.#fetchCards(filters);
+      // Filters can rule everything out; the weights still rank the rest.
+      const exact = cards.length > 0 || !filters.toString();
+      if (!exact) cards = await this.#fetchCards(new URLSearchParams());
+      if (request !== this.#request) return;
+
+      const ranked = cards
+        .map((card, index) => ({ card, index, score: scoreQuizMatch(describeCard(card), weights) }))
+        .sort((a, b) => (b.score ?? 0) - (a.score ?? 0) || a.index - b.index)
+        .slice(0, Number(this.dataset.resultsCount) || 8);
+
+      for (const { card, score } of ranked) {
+        const match = card.querySelector('[data-rx-quiz-match]');
+        if (match) match.textContent = score == null ? '' : `${score}% match`;
+      }
+      this.refs.resultsList.replaceChildren(...ranked.map(({ card }) => card));
+      this.refs.status.textContent = !ranked.length
+        ? 'No frames to show right now.'
+        : exact
+          ? ''
+          : 'Nothing matched every answer, so these are the closest frames.';
+    } catch (error) {
+      if (request !== this.#request) return;
+      console.warn('rx: could not load the quiz results', error);
+      this.refs.status.textContent = "We couldn't load your results. Try again in a moment.";
+    }
+  }
+
+  /** @param {URLSearchParams} filters */
+  async #fetchCards(filters) {
+    const url = new URL(this.dataset.collectionUrl || '/collections/all', location.origin);
+    for (const [key, value] of filters) url.searchParams.append(key, value);
+    const html = await sectionRenderer.getSectionHTML(RESULTS_SECTION, true, url);
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    return [...parsed.querySelectorAll('.rx-quiz-result')];
+  }
+
+  /**
+   * The email-signup block posts a customer form. Its tags carry the answers
+   * (`quiz:shape=round`), from which a marketing email can link back to the
+   * results, and the shopper returns to the same results after signing up.
+   */
+  #prepareEmail() {
+    const form = this.refs.email?.querySelector('form');
+    if (!form) return;
+    const tags = ['frame-quiz', ...[...this.#answers].map(([key, values]) => `quiz:${key}=${values.join('|')}`)];
+    setHiddenInput(form, 'contact[tags]', tags.join(','));
+    setHiddenInput(form, 'return_to', location.pathname + location.search);
+  }
+
+  #readUrl() {
+    const params = new URLSearchParams(location.search);
+    this.#answers.clear();
+    for (const question of this.#questions) {
+      const key = question.dataset.key ?? '';
+      const offered = [...question.querySelectorAll('[data-value]')].map((button) => button.getAttribute('data-value'));
+      // Answers the merchant has since removed are dropped.
+      const values = (params.get(key) ?? '').split(',').filter((value) => offered.includes(value));
+      if (values.length) this.#answers.set(key, question.dataset.multiple === 'true' ? values : values.slice(0, 1));
+    }
+  }
+
+  #writeUrl() {
+    const url = new URL(location.href);
+    for (const question of this.#questions) {
+      const key = question.dataset.key ?? '';
+      const values = this.#answers.get(key);
+      if (values?.length) url.searchParams.set(key, values.join(','));
+      else url.searchParams.delete(key);
+    }
+    history.replaceState(history.state, '', url);
+  }
+
+  /** @param {string} text */
+  #setShareStatus(text) {
+    if (this.refs.shareStatus) this.refs.shareStatus.textContent = text;
+  }
+
+  /**
+   * Picking a question or answer in the theme editor sidebar shows that
+   * question. `shopify:block:select` is only ever dispatched inside the editor.
+   *
+   * @param {Event} event
+   */
+  #onBlockSelect = (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement)) return;
+    const question = target.closest('.rx-quiz__question');
+    const index = question ? this.#questions.indexOf(/** @type {HTMLElement} */ (question)) : -1;
+    if (index >= 0) this.#show(index);
+  };
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @param {string} name
+ * @param {string} value
+ */
+function setHiddenInput(form, name, value) {
+  const existing = form.querySelector(`input[type="hidden"][name="${name}"]`);
+  if (existing instanceof HTMLInputElement) {
+    existing.value = value;
+    return;
+  }
+  const input = document.createElement('input');
+  input.type = 'hidden';
+  input.name = name;
+  input.value = value;
+  form.append(input);
+}
+
+if (!customElements.get('rx-quiz')) {
+  customElements.define('rx-quiz', RxQuiz);
+}
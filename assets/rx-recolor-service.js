@@ -0,0 +1,470 @@
+/**
+ * RX recolor service: the one place that turns product photos into lens-color
+ * renders. Owns the request queue (priorities, two lanes), de-duplication of
+ * identical requests, cancellation, and the cross-page render cache (through
+ * `cachedRecolorLensImage` in rx-api.js).
+ *
+ * Declarative use — any element can opt in with `data-rx-recolor`:
+ * - on an `<img>`: that image;
+ * - on a `<product-card>`: the card's featured photo (hover photos stay);
+ * - on anything else (a gallery, a dialog, a carousel): every
+ *   `img.product-media__image` inside, including ones added later.
+ * The value is a lens color name (`Grey Polar`); empty or `selected` follows
+ * the lens picked in the RX configurator. Images render as they near the
+ * viewport, and a queued request is dropped when its image leaves it.
+ */
+
+// Resolve shared RX modules via the versioned import map (see
+// snippets/rx-import-map.liquid) — unversioned relative imports would be
+// CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
+function rxImport(name) {
+  /** @type {Record<string, string>} */
+  let map = {};
+  if (typeof document !== 'undefined') {
+    try {
+      map = JSON.parse(document.querySelector('script[data-rx-imports]')?.textContent ?? '{}');
+    } catch {
+      map = {};
+    }
+  }
+  return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
+}
+
+const { RxStates, recolorSlug, stripImageSizeParams } = await rxImport('rx-core.js');
+const { cachedRecolorLensImage, forgetRecoloredImage } = await rxImport('rx-api.js');
+
+// --- Image URLs ------------------------------------------------------------------
+
+// The recolor service downloads image_url itself, so it must be publicly
+// reachable — rewrite preview/localhost origins to the canonical shop domain.
+/** @param {string} src */
+export function publicImageUrl(src) {
+  try {
+    const u = new URL(src, location.href);
+    const shop = window.Shopify?.shop;
+    if (shop && u.pathname.startsWith('/cdn/')) return `https://${shop}${u.pathname}${u.search}`;
+    return u.href;
+  } catch {
+    return src;
+  }
+}
+
+// Only a Shopify-hosted product image counts as an original. Anything else
+// (our R2 renders included) must never become the recolor source, or each
+// result feeds the next request and the backend cache can never hit.
+/** @param {string} src */
+export function isShopImage(src) {
+  try {
+    return new URL(src, location.href).pathname.startsWith('/cdn/');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The recolor source (and cache key part) for a photo's src, size params stripped.
+ * @param {string} src
+ * @returns {string}
+ */
+export function recolorSource(src) {
+  return stripImageSizeParams(publicImageUrl(src));
+}
+
+// Fetch the image off-screen first; resolves false on error or timeout so an
+// unreachable CDN (e.g. DNS failure) can never blank or hang the visible photo.
+/**
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+export function preloadImage(url, timeoutMs = 15000) {
+  return new Promise((resolve) => {
+    const probe = new Image();
+    const timer = setTimeout(() => {
+      probe.src = '';
+      resolve(false);
+    }, timeoutMs);
+    probe.onload = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    probe.onerror = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    probe.src = url;
+  });
+}
+
+// --- Queue -------------------------------------------------------------------------
+
+/** Lower runs first: what the shopper just asked for, then what's on screen, then warming. */
+export const RECOLOR_PRIORITY = { high: 0, visible: 1, prefetch: 2 };
+
+// Two request lanes keep the recolor service load modest on large grids.
+const LANES = 2;
+
+/**
+ * @typedef {Object} RenderJob
+ * @property {string} key       `${source}|${slug}`
+ * @property {string} source
+ * @property {string} slug
+ * @property {number} rank      RECOLOR_PRIORITY value; lower runs first
+ * @property {number} order     Ties go first come, first served.
+ * @property {number} waiters
+ * @property {boolean} started
+ * @property {Promise<string>} promise
+ * @property {(url: string) => void} resolve
+ * @property {(error: unknown) => void} reject
+ */
+
+/** @type {RenderJob[]} */
+const queue = [];
+/** @type {Map<string, RenderJob>} */
+const jobs = new Map(); // key → job, queued or running
+/** @type {Map<string, string>} */
+const renders = new Map(); // key → loaded render url (this page view)
+/** @type {Set<string>} */
+const generated = new Set(); // every render url — never a recolor input
+let active = 0;
+let sequence = 0;
+
+const abortError = () => new DOMException('Recolor cancelled', 'AbortError');
+
+/**
+ * True for a url this service produced.
+ * @param {string} url
+ */
+export function isRender(url) {
+  return generated.has(url);
+}
+
+function pump() {
+  while (active < LANES && queue.length) {
+    queue.sort((a, b) => a.rank - b.rank || a.order - b.order);
+    const next = queue.shift();
+    if (next) run(next);
+  }
+}
+
+/** @param {RenderJob} job */
+async function run(job) {
+  job.started = true;
+  active++;
+  try {
+    const { url } = await cachedRecolorLensImage(job.source, job.slug);
+    generated.add(url);
+    // Hand out only renders that actually load; forget the url otherwise so
+    // the next request regenerates it.
+    if (!(await preloadImage(url))) {
+      forgetRecoloredImage(job.source, job.slug);
+      throw new Error('Recolored image did not load');
+    }
+    renders.set(job.key, url);
+    job.resolve(url);
+  } catch (error) {
+    job.reject(error);
+  } finally {
+    jobs.delete(job.key);
+    active--;
+    pump();
+  }
+}
+
+// A caller gave up. The request goes only once nobody else waits for it and it
+// hasn't started — a running one finishes and still fills the cache.
+/** @param {RenderJob} job */
+function release(job) {
+  job.waiters--;
+  if (job.waiters > 0 || job.started) return;
+  queue.splice(queue.indexOf(job), 1);
+  jobs.delete(job.key);
+  job.reject(abortError());
+}
+
+/**
+ * The loaded render url of `source` in `color`. Identical requests share one
+ * call; a repeat request raises the queued one's priority.
+ * @param {string} source - `recolorSource()` of the photo
+ * @param {string} color - lens color name or slug
+ * @param {{priority?: 'high' | 'visible' | 'prefetch', signal?: AbortSignal}} [options]
+ * @returns {Promise<string>} rejects with an `AbortError` when cancelled
+ */
+export function requestRender(source, color, { priority = 'visible', signal } = {}) {
+  const slug = recolorSlug(color);
+  const key = `${source}|${slug}`;
+  const render = renders.get(key);
+  if (render) return Promise.resolve(render);
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  const rank = RECOLOR_PRIORITY[priority] ?? RECOLOR_PRIORITY.visible;
+  const job = jobs.get(key) ?? enqueue(key, source, slug, rank);
+  job.rank = Math.min(job.rank, rank);
+  job.waiters++;
+  pump();
+
+  if (!signal) return job.promise;
+  /** @type {Promise<string>} */
+  const cancellable = new Promise((resolve, reject) => {
+    const onAbort = () => {
+      release(job);
+      reject(abortError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    job.promise.then(
+      (url) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(url);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+  return cancellable;
+}
+
+/**
+ * @param {string} key
+ * @param {string} source
+ * @param {string} slug
+ * @param {number} rank
+ * @returns {RenderJob}
+ */
+function enqueue(key, source, slug, rank) {
+  const job = /** @type {RenderJob} */ ({ key, source, slug, rank, order: ++sequence, waiters: 0, started: false });
+  job.promise = new Promise((resolve, reject) => Object.assign(job, { resolve, reject }));
+  jobs.set(key, job);
+  queue.push(job);
+  return job;
+}
+
+// --- Images --------------------------------------------------------------------------
+
+// The color each image should end up in, so a slow render for an earlier pick
+// can't overwrite a newer one.
+/** @type {WeakMap<HTMLImageElement, string>} */
+const wanted = new WeakMap();
+
+/**
+ * Remember an image's original — the recolor source and the restore target —
+ * on the element as `data-rx-original` (+ srcset/sizes, so restore is
+ * lossless). Returns true when it changed: a morph or variant switch brought a
+ * new photo.
+ * @param {HTMLImageElement} img
+ */
+export function captureOriginal(img) {
+  const src = img.currentSrc || img.src;
+  if (!src || generated.has(src) || !isShopImage(src)) return false;
+  const source = recolorSource(src);
+  if (img.dataset.rxOriginal === source) return false;
+  img.dataset.rxOriginal = source;
+  img.dataset.rxOriginalSrcset = img.getAttribute('srcset') || '';
+  img.dataset.rxOriginalSizes = img.getAttribute('sizes') || '';
+  delete img.dataset.rxRecolored;
+  return true;
+}
+
+/**
+ * @param {HTMLImageElement} img
+ * @param {string} url
+ */
+function showRender(img, url) {
+  if (img.dataset.rxRecolored === url && img.src === url) return;
+  img.dataset.rxRecolored = url;
+  // Kill the responsive set or the browser keeps showing the original.
+  img.srcset = '';
+  img.removeAttribute('sizes');
+  img.src = url;
+}
+
+/** @param {HTMLImageElement} img */
+export function restoreImage(img) {
+  wanted.delete(img);
+  if (!img.dataset.rxOriginal || !img.dataset.rxRecolored) return;
+  img.src = img.dataset.rxOriginal;
+  if (img.dataset.rxOriginalSrcset) img.setAttribute('srcset', img.dataset.rxOriginalSrcset);
+  if (img.dataset.rxOriginalSizes) img.setAttribute('sizes', img.dataset.rxOriginalSizes);
+  delete img.dataset.rxRecolored;
+}
+
+/**
+ * Show `img` in a lens color (or its original for no color). The original
+ * photo stays up until the render has loaded, and stays for good if it fails.
+ * @param {HTMLImageElement} img
+ * @param {string | null} color
+ * @param {{priority?: 'high' | 'visible' | 'prefetch', signal?: AbortSignal}} [options]
+ * @returns {Promise<boolean>} whether the render is showing
+ */
+export async function recolorImage(img, color, options = {}) {
+  captureOriginal(img);
+  const source = img.dataset.rxOriginal;
+  if (!source || !color) {
+    restoreImage(img);
+    return false;
+  }
+
+  const want = `${source}|${recolorSlug(color)}`;
+  wanted.set(img, want);
+  img.classList.add('rx-recolor-loading');
+  try {
+    const url = await requestRender(source, color, options);
+    if (wanted.get(img) !== want) return false;
+    showRender(img, url);
+    return true;
+  } catch (error) {
+    if (error?.name === 'AbortError') return false;
+    if (wanted.get(img) === want) restoreImage(img);
+    console.warn('rx: recolor failed', error);
+    return false;
+  } finally {
+    if (wanted.get(img) === want || !wanted.has(img)) img.classList.remove('rx-recolor-loading');
+  }
+}
+
+// --- data-rx-recolor -------------------------------------------------------------------
+
+const ATTRIBUTE = 'data-rx-recolor';
+const GALLERY_IMAGE = 'img.product-media__image';
+
+/** @typedef {{visible: boolean, controller: AbortController | null}} Tracked */
+/** @type {Map<HTMLImageElement, Tracked>} */
+const tracked = new Map();
+/** @type {IntersectionObserver | null} */
+let io = null;
+
+// The color an opted-in image should show, or null for its original.
+/** @param {HTMLImageElement} img */
+function colorFor(img) {
+  const host = img.closest(`[${ATTRIBUTE}]`);
+  if (!host) return null;
+  const value = host.getAttribute(ATTRIBUTE)?.trim();
+  if (!value || value === 'selected') return window.rxState?.lensProduct?.color ?? null;
+  return value;
+}
+
+/** @param {HTMLImageElement} img */
+function follows(img) {
+  const value = img.closest(`[${ATTRIBUTE}]`)?.getAttribute(ATTRIBUTE)?.trim();
+  return value === '' || value === 'selected';
+}
+
+/**
+ * @param {Element} host
+ * @returns {HTMLImageElement[]}
+ */
+function targetsOf(host) {
+  if (host instanceof HTMLImageElement) return [host];
+  if (host.localName === 'product-card') {
+    const featured = host.querySelector(GALLERY_IMAGE);
+    return featured instanceof HTMLImageElement ? [featured] : [];
+  }
+  return [...host.querySelectorAll(GALLERY_IMAGE)].filter((img) => img instanceof HTMLImageElement);
+}
+
+/** @param {HTMLImageElement} img */
+function start(img) {
+  const entry = tracked.get(img);
+  if (!entry) return;
+  entry.controller?.abort();
+  entry.controller = new AbortController();
+  recolorImage(img, colorFor(img), { priority: 'visible', signal: entry.controller.signal });
+}
+
+function scan() {
+  const current = new Set(
+    [...document.querySelectorAll(`[${ATTRIBUTE}]`)].flatMap((host) => targetsOf(host))
+  );
+  for (const [img, entry] of tracked) {
+    if (current.has(img)) continue;
+    // Opted out or removed from the page.
+    entry.controller?.abort();
+    io?.unobserve(img);
+    tracked.delete(img);
+    if (img.isConnected) restoreImage(img);
+  }
+  for (const img of current) {
+    if (tracked.has(img)) continue;
+    captureOriginal(img);
+    tracked.set(img, { visible: false, controller: null });
+    io?.observe(img);
+  }
+}
+
+// The theme puts its own src back on hover-out, variant switches and morphs.
+// The same photo gets its render again from memory; a new photo starts over.
+function reassert() {
+  for (const [img, entry] of tracked) {
+    const src = img.currentSrc || img.src;
+    if (!src || generated.has(src)) continue;
+    if (recolorSource(src) === img.dataset.rxOriginal) {
+      const render = img.dataset.rxRecolored;
+      if (render && img.src !== render && colorFor(img)) showRender(img, render);
+      continue;
+    }
+    if (captureOriginal(img) && entry.visible) start(img);
+  }
+}
+
+/** Start handling `data-rx-recolor` on the page. Idempotent. */
+export function watchRecolor() {
+  if (io || typeof document === 'undefined') return;
+
+  io = new IntersectionObserver(
+    (entries) => {
+      for (const { target, isIntersecting } of entries) {
+        const img = /** @type {HTMLImageElement} */ (target);
+        const entry = tracked.get(img);
+        if (!entry) continue;
+        entry.visible = isIntersecting;
+        if (isIntersecting) start(img);
+        else entry.controller?.abort();
+      }
+    },
+    { rootMargin: '300px' }
+  );
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let scanTimer;
+  let reassertRaf = 0;
+  let recolored = false;
+  new MutationObserver((records) => {
+    recolored ||= records.some((record) => record.attributeName === ATTRIBUTE);
+    if (recolored || records.some((record) => record.type === 'childList')) {
+      clearTimeout(scanTimer);
+      scanTimer = setTimeout(() => {
+        scan();
+        // A changed color value restarts what's on screen.
+        if (recolored) for (const [img, entry] of tracked) if (entry.visible) start(img);
+        recolored = false;
+      }, 100);
+    }
+    cancelAnimationFrame(reassertRaf);
+    reassertRaf = requestAnimationFrame(reassert);
+  }).observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['src', 'srcset', ATTRIBUTE],
+  });
+
+  // Through the registry (see RxStates in rx-core.js): a colourway switch gives
+  // the page a new frame's state, and the gallery follows whichever is current.
+  /** @type {import('./rx-core.js').RxStates} */
+  const states = (window.rxStates ??= new RxStates());
+  states.addEventListener('rx:change', (event) => {
+    const { detail } = /** @type {CustomEvent} */ (event);
+    if (detail?.key !== 'lensProduct' || detail.state !== window.rxState) return;
+    for (const [img, entry] of tracked) {
+      if (!follows(img)) continue;
+      if (entry.visible) start(img);
+      // Off screen: it catches up when it scrolls back in.
+      else entry.controller?.abort();
+    }
+  });
+
+  scan();
+}
+
+watchRecolor();
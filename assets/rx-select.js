@@ -3,7 +3,9 @@ import { Component } from '@theme/component';
 // Resolve shared RX modules via the versioned import map (see
 // snippets/rx-import-map.liquid) — unversioned relative imports would be
 // CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
 function rxImport(name) {
+  /** @type {Record<string, string>} */
   let map = {};
   if (typeof document !== 'undefined') {
     try {
@@ -15,7 +17,29 @@ function rxImport(name) {
   return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
 }
 
-const { splitIntoColumns, lensOptionPair: pair } = await rxImport('rx-core.js');
+const {
+  splitIntoColumns,
+  lensOptionPair: pair,
+  spokenLensValue,
+  typeaheadIndex,
+} = await rxImport('rx-core.js');
+
+/** @typedef {string | [string, string]} LensOption - a value, or a [value, label] pair */
+
+// Panel geometry, in px: never narrower than this if the window allows, never
+// taller than this, and this far clear of the field and of the window edges.
+const MIN_WIDTH = 140;
+const MAX_HEIGHT = 240;
+const GAP = 2;
+const EDGE = 12;
+
+// Typed characters build one query until the shopper pauses this long.
+const TYPEAHEAD_RESET = 700;
+// Rows PageUp/PageDown move when the panel can't be measured.
+const PAGE_ROWS = 10;
+const MOVE_KEYS = new Set(['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown']);
+
+let uid = 0;
 
 /**
  * Two-column value picker for the prescription form.
@@ -31,27 +55,40 @@ const { splitIntoColumns, lensOptionPair: pair } = await rxImport('rx-core.js');
  * Exposes `value` and fires a bubbling `change`, so the form reads it exactly
  * like the <select> it replaces.
  *
+ * The panel is a WAI-ARIA listbox: arrows move within a column and across to
+ * the same row of the other one, Home/End and PageUp/PageDown jump, and typing
+ * jumps to the first value that starts with what was typed ("-2.2" → -2.25).
+ * Values are read out with their sign ("minus 2.25"). On touch screens, or
+ * with `data-mode="native"`, it renders a plain <select> instead — the
+ * platform's own wheel beats a two-column panel under a thumb.
+ *
  * @extends {Component<{trigger: HTMLButtonElement, panel: HTMLElement}>}
  */
-// Panel geometry, in px: never narrower than this if the window allows, never
-// taller than this, and this far clear of the field and of the window edges.
-const MIN_WIDTH = 140;
-const MAX_HEIGHT = 240;
-const GAP = 2;
-const EDGE = 12;
-
 class RxSelect extends Component {
   requiredRefs = ['trigger', 'panel'];
 
   #open = false;
+  /** @type {boolean | null} */
   #dropUp = null;
+  /** @type {LensOption[]} */
   #options = [];
+  /** @type {{head: LensOption[], left: LensOption[], right: LensOption[]}} */
   #layout = { head: [], left: [], right: [] };
   /** The scroller the field lives in, resolved on open. @type {Element | null} */
   #scroller = null;
+  /** What the field is, for screen readers (the trigger's label from the form). */
+  #name = '';
+  #typed = '';
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #typedTimer;
+  /** @type {HTMLSelectElement | null} */
+  #native = null;
+  /** @type {HTMLElement | null} */
+  #live = null;
 
   connectedCallback() {
     super.connectedCallback();
+    this.#name ||= this.refs.trigger.getAttribute('aria-label') || '';
 
     try {
       this.#options = JSON.parse(this.dataset.options ?? '[]');
@@ -64,6 +101,18 @@ class RxSelect extends Component {
       split: this.dataset.split === 'halves' ? 'halves' : 'anchor',
     });
 
+    if (!this.#live) {
+      this.#live = document.createElement('span');
+      this.#live.className = 'visually-hidden';
+      this.#live.setAttribute('aria-live', 'polite');
+      this.append(this.#live);
+    }
+
+    if (this.#native || this.#wantsNative()) {
+      if (!this.#native) this.#renderNative();
+      return;
+    }
+
     this.#renderPanel();
     this.#renderTrigger();
 
@@ -87,6 +136,8 @@ class RxSelect extends Component {
     super.disconnectedCallback();
     document.removeEventListener('click', this.#onDocumentClick, true);
     this.removeEventListener('keydown', this.#onKeydown);
+    this.#native?.removeEventListener('change', this.#onNativeChange);
+    clearTimeout(this.#typedTimer);
   }
 
   /** The form reads and writes this the same way it did the <select>. */
@@ -98,6 +149,10 @@ class RxSelect extends Component {
     const value = next == null ? '' : String(next);
     if (value === this.value) return;
     this.setAttribute('value', value);
+    if (this.#native) {
+      this.#native.value = value;
+      return;
+    }
     this.#renderTrigger();
     this.#markSelected();
   }
@@ -107,7 +162,7 @@ class RxSelect extends Component {
   }
 
   open() {
-    if (this.#open) return;
+    if (this.#open || this.#native) return;
     this.#open = true;
     this.#scroller = this.closest('.rx-prescription-drawer__body');
     this.#showPanel(true);
@@ -125,13 +180,22 @@ class RxSelect extends Component {
     // Scrolled by hand rather than with scrollIntoView: that walks every
     // scrollable ancestor, and the drawer body is one of them — it would drag
     // the whole form out of view instead of just moving the list.
-    const focal = this.querySelector('[aria-selected="true"]') ?? this.#anchorOption();
+    const focal = this.#focal();
     if (focal instanceof HTMLElement) {
       const panel = this.refs.panel;
       panel.scrollTop = focal.offsetTop - panel.clientHeight / 2 + focal.offsetHeight / 2;
     }
   }
 
+  /** The option a fresh keyboard visit starts on. @returns {HTMLElement | null} */
+  #focal() {
+    return /** @type {HTMLElement | null} */ (
+      this.querySelector('.rx-select__option[aria-selected="true"]') ??
+        this.#anchorOption() ??
+        this.querySelector('.rx-select__option')
+    );
+  }
+
   close() {
     if (!this.#open) return;
     this.#open = false;
@@ -145,6 +209,7 @@ class RxSelect extends Component {
   // showPopover/hidePopover throw when the panel is already in that state, and
   // the browser drops a popover from the top layer on its own when the element
   // leaves the document — which is exactly what a step re-render does.
+  /** @param {boolean} show */
   #showPanel(show) {
     const panel = this.refs.panel;
     try {
@@ -210,6 +275,53 @@ class RxSelect extends Component {
     this.dispatchEvent(new Event('change', { bubbles: true }));
   }
 
+  // Coarse pointer first: a phone or tablet gets the native picker even with a
+  // keyboard attached. `data-mode` overrides either way.
+  #wantsNative() {
+    if (this.dataset.mode === 'native') return true;
+    if (this.dataset.mode === 'picker') return false;
+    return window.matchMedia?.('(pointer: coarse)').matches ?? false;
+  }
+
+  // Same options in their plain order, with the empty choice placed just above
+  // the anchor: an empty select opens its wheel on the empty choice, so this
+  // starts it by the value most people pick rather than at +12.00. Negative
+  // values use the minus sign, which screen readers read as "minus".
+  #renderNative() {
+    const { trigger, panel } = this.refs;
+    trigger.hidden = true;
+    panel.hidden = true;
+
+    const select = document.createElement('select');
+    select.className = 'rx-select__native';
+    if (this.#name) select.setAttribute('aria-label', this.#name);
+
+    const anchor = Number(this.dataset.anchor);
+    const at = Number.isNaN(anchor)
+      ? 0
+      : Math.max(0, this.#options.findIndex((option) => parseFloat(pair(option)[0]) === anchor));
+    const options = this.#options.map((option) => {
+      const [value, label] = pair(option);
+      return new Option(label.replace(/^-(?=\d)/, '\u2212'), value);
+    });
+    options.splice(at, 0, new Option(this.dataset.placeholder || 'Select', ''));
+    select.append(...options);
+    select.value = this.value;
+
+    select.addEventListener('change', this.#onNativeChange);
+    this.#native = select;
+    this.append(select);
+  }
+
+  // The form listens for `change` on the [data-rx-field] element, which is
+  // this one, not the <select> inside it.
+  /** @param {Event} event */
+  #onNativeChange = (event) => {
+    event.stopPropagation();
+    this.setAttribute('value', this.#native?.value ?? '');
+    this.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
   #anchorOption() {
     const anchor = Number(this.dataset.anchor);
     if (Number.isNaN(anchor)) return null;
@@ -220,16 +332,24 @@ class RxSelect extends Component {
     );
   }
 
+  // The label names the field and says its value, signed: with an aria-label
+  // set, the visible text is not what a screen reader reads.
   #renderTrigger() {
     const chosen = this.#options.map(pair).find(([value]) => value === this.value);
     const label = chosen ? chosen[1] : this.dataset.placeholder || 'Select';
-    this.refs.trigger.textContent = label;
-    this.refs.trigger.classList.toggle('rx-select__trigger--empty', !this.value);
+    const { trigger } = this.refs;
+    trigger.textContent = label;
+    trigger.classList.toggle('rx-select__trigger--empty', !this.value);
+    if (this.#name) trigger.setAttribute('aria-label', `${this.#name}, ${chosen ? spokenLensValue(label) : 'not set'}`);
   }
 
   #renderPanel() {
     const { head, left, right } = this.#layout;
-    const column = (options) =>
+    const { trigger, panel } = this.refs;
+    panel.id ||= `RxSelect-${++uid}`;
+    trigger.setAttribute('aria-controls', panel.id);
+    if (this.#name) panel.setAttribute('aria-label', this.#name);
+    const column = (/** @type {LensOption[]} */ options) =>
       `<div class="rx-select__column" role="none">${options.map((option) => this.#optionHtml(option)).join('')}</div>`;
 
     this.refs.panel.innerHTML = [
@@ -241,15 +361,21 @@ class RxSelect extends Component {
     ].join('');
   }
 
+  // Options are reached with the arrow keys, not Tab: 160 tab stops would trap
+  // a keyboard user in the list.
+  /** @param {LensOption} option */
   #optionHtml(option) {
     const [value, label] = pair(option);
+    const spoken = spokenLensValue(label);
     return `
       <button
         type="button"
         class="rx-select__option"
         role="option"
+        tabindex="-1"
         aria-selected="false"
         data-value="${escapeAttr(value)}"
+        ${spoken === label ? '' : `aria-label="${escapeAttr(spoken)}"`}
         on:click="/pick"
       >${escapeAttr(label)}</button>
     `;
@@ -257,16 +383,19 @@ class RxSelect extends Component {
 
   #markSelected() {
     for (const option of this.querySelectorAll('.rx-select__option')) {
-      option.setAttribute('aria-selected', option.dataset.value === this.value ? 'true' : 'false');
+      option.setAttribute('aria-selected', option.getAttribute('data-value') === this.value ? 'true' : 'false');
     }
   }
 
+  /** @param {Event} event */
   #onDocumentClick = (event) => {
     if (this.#open && !this.contains(/** @type {Node} */ (event.target))) this.close();
   };
 
   /** @param {KeyboardEvent} event */
   #onKeydown = (event) => {
+    if (this.#native) return;
+
     if (event.key === 'Escape' && this.#open) {
       event.stopPropagation(); // the drawer closes on Escape too
       this.close();
@@ -274,36 +403,150 @@ class RxSelect extends Component {
       return;
     }
 
-    if (!this.#open && (event.key === 'ArrowDown' || event.key === 'Enter' || event.key === ' ')) {
+    // Focus leaves the list: close it and let Tab carry on from the field.
+    if (event.key === 'Tab' && this.#open) {
+      this.close();
+      this.refs.trigger.focus();
+      return;
+    }
+
+    if (this.#isTypeahead(event)) {
+      event.preventDefault();
+      this.#typeahead(event.key);
+      return;
+    }
+
+    if (!this.#open && (event.key === 'ArrowDown' || event.key === 'ArrowUp' || event.key === 'Enter' || event.key === ' ')) {
       if (event.target === this.refs.trigger) {
         event.preventDefault();
         this.open();
+        this.#focusOption(this.#focal());
       }
       return;
     }
 
-    if (!this.#open) return;
-
-    const options = [...this.querySelectorAll('.rx-select__option')];
-    const index = options.indexOf(/** @type {HTMLElement} */ (document.activeElement));
-    const perColumn = this.#layout.left.length || 1;
-    const moves = {
-      ArrowDown: index + 1,
-      ArrowUp: index - 1,
-      ArrowRight: index + perColumn,
-      ArrowLeft: index - perColumn,
-      Home: 0,
-      End: options.length - 1,
-    };
-
-    const next = moves[event.key];
-    if (next === undefined) return;
+    if (!this.#open || !MOVE_KEYS.has(event.key)) return;
     event.preventDefault();
-    options[Math.max(0, Math.min(options.length - 1, index < 0 ? 0 : next))]?.focus();
+    const current = document.activeElement;
+    // Still on the trigger (opened by a click): the first move lands on the
+    // selected value, or the anchor.
+    const onOption = current instanceof HTMLElement && current.matches('.rx-select__option') && this.contains(current);
+    this.#focusOption(onOption ? this.#target(event.key, current) : this.#focal());
   };
+
+  /**
+   * Where a navigation key goes from an option. The head (the anchor value)
+   * sits above both columns; columns pair up row by row — +2.25 next to -2.25.
+   * @param {string} key
+   * @param {HTMLElement} current
+   * @returns {HTMLElement | undefined}
+   */
+  #target(key, current) {
+    const panel = this.refs.panel;
+    const head = /** @type {HTMLElement[]} */ ([...panel.querySelectorAll('.rx-select__head .rx-select__option')]);
+    const columns = [...panel.querySelectorAll('.rx-select__column')]
+      .map((column) => /** @type {HTMLElement[]} */ ([...column.querySelectorAll('.rx-select__option')]))
+      .filter((column) => column.length);
+    const page = this.#pageRows();
+
+    const h = head.indexOf(/** @type {HTMLElement} */ (current));
+    if (h >= 0) {
+      const below = columns[Math.min(h, columns.length - 1)] ?? [];
+      return {
+        ArrowDown: below[0],
+        PageDown: below[Math.min(page - 1, below.length - 1)],
+        End: below[below.length - 1],
+        ArrowRight: head[h + 1],
+        ArrowLeft: head[h - 1],
+        ArrowUp: current,
+        Home: current,
+        PageUp: current,
+      }[key] ?? current;
+    }
+
+    const c = columns.findIndex((column) => column.includes(current));
+    const column = columns[c];
+    if (!column) return current;
+    const row = column.indexOf(current);
+    const across = (/** @type {HTMLElement[] | undefined} */ other) =>
+      other ? other[Math.min(row, other.length - 1)] : current;
+    const top = head[Math.min(c, head.length - 1)] ?? column[0];
+    return {
+      ArrowDown: column[Math.min(row + 1, column.length - 1)],
+      ArrowUp: row > 0 ? column[row - 1] : top,
+      ArrowRight: across(columns[c + 1]),
+      ArrowLeft: across(columns[c - 1]),
+      PageDown: column[Math.min(row + page, column.length - 1)],
+      PageUp: column[Math.max(row - page, 0)],
+      Home: top,
+      End: column[column.length - 1],
+    }[key];
+  }
+
+  // A page is what the panel shows at once, less one row of overlap.
+  #pageRows() {
+    const option = this.querySelector('.rx-select__option');
+    const height = option instanceof HTMLElement ? option.offsetHeight : 0;
+    return height ? Math.max(1, Math.floor(this.refs.panel.clientHeight / height) - 1) : PAGE_ROWS;
+  }
+
+  // Focus without the browser scrolling every ancestor (see open()); keep the
+  // option inside the panel by hand.
+  /** @param {Element | null | undefined} option */
+  #focusOption(option) {
+    if (!(option instanceof HTMLElement)) return;
+    const panel = this.refs.panel;
+    option.focus({ preventScroll: true });
+    if (option.offsetTop < panel.scrollTop) panel.scrollTop = option.offsetTop;
+    else if (option.offsetTop + option.offsetHeight > panel.scrollTop + panel.clientHeight) {
+      panel.scrollTop = option.offsetTop + option.offsetHeight - panel.clientHeight;
+    }
+  }
+
+  // Printable characters type-ahead, on the open list or on the closed field.
+  // A space only counts inside a query: on its own it opens or picks.
+  /** @param {KeyboardEvent} event */
+  #isTypeahead(event) {
+    if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) return false;
+    if (event.key === ' ' && !this.#typed) return false;
+    return this.#open || event.target === this.refs.trigger;
+  }
+
+  /** @param {string} char */
+  #typeahead(char) {
+    clearTimeout(this.#typedTimer);
+    this.#typed += char;
+    this.#typedTimer = setTimeout(() => (this.#typed = ''), TYPEAHEAD_RESET);
+
+    const options = /** @type {HTMLElement[]} */ ([...this.querySelectorAll('.rx-select__option')]);
+    const active = document.activeElement;
+    const prefer = active instanceof HTMLElement && options.includes(active) ? active.textContent?.trim() : this.value;
+    const index = typeaheadIndex(
+      options.map((option) => option.textContent?.trim() ?? ''),
+      this.#typed,
+      { prefer }
+    );
+    if (index < 0) {
+      this.#announce(`No value starts with ${spokenLensValue(this.#typed)}`);
+      return;
+    }
+    if (!this.#open) this.open();
+    this.#focusOption(options[index]);
+  }
+
+  /** @param {string} message */
+  #announce(message) {
+    if (!this.#live) return;
+    // Cleared first so the same message twice is still read twice.
+    this.#live.textContent = '';
+    requestAnimationFrame(() => {
+      if (this.#live) this.#live.textContent = message;
+    });
+  }
 }
 
 
+/** @param {string} value */
 function escapeAttr(value) {
   return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
 }
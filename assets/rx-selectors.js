@@ -3,7 +3,9 @@ import { Component } from '@theme/component';
 // Resolve shared RX modules via the versioned import map (see
 // snippets/rx-import-map.liquid) — unversioned relative imports would be
 // CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
 function rxImport(name) {
+  /** @type {Record<string, string>} */
   let map = {};
   if (typeof document !== 'undefined') {
     try {
@@ -15,12 +17,22 @@ function rxImport(name) {
   return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
 }
 
-const { RxState, pickTier, resolveLensProduct, formatCents } = await rxImport('rx-core.js');
+const { RxStates, prescriptionTier, resolveLensProduct, formatCents, readRxSnapshot, writeRxSnapshot } =
+  await rxImport('rx-core.js');
 
-// Shared singleton — the first RX component to initialize creates the state.
+/**
+ * @typedef {import('./rx-core.js').RxState} RxState
+ * @typedef {import('./rx-core.js').RxLensEntry} RxLensEntry
+ * @typedef {{key: string, label?: string, products: RxLensEntry[]}} RxLensCategory
+ */
+
+// One state per frame (see RxStates in rx-core.js); the first RX component to
+// initialize creates the registry. `window.rxState` is this page's frame's.
+/** @returns {RxState} */
 function getRxState() {
-  window.rxState ??= new RxState();
-  return window.rxState;
+  const states = (window.rxStates ??= new RxStates());
+  const frameId = document.querySelector('[data-rx-product-data]')?.getAttribute('data-rx-frame-id');
+  return (window.rxState = states.forFrame(frameId));
 }
 
 // Product data JSON emitted by the rx-lens-selector block. Cached per DOM node:
@@ -42,16 +54,69 @@ function getRxProductData() {
 }
 
 // Categories that actually resolved to at least one lens product.
+/** @returns {RxLensCategory[]} */
 function validCategories() {
-  return (getRxProductData()?.lensCategories ?? []).filter((category) => category.products?.length);
+  return (getRxProductData()?.lensCategories ?? []).filter(
+    (/** @type {import('./rx-core.js').RxLensCategory} */ category) => category.products?.length
+  );
 }
 
 // Power tier for the current prescription (standard until one is entered).
+/** @param {RxState} state */
 function currentTier(state) {
   const threshold = getRxProductData()?.config?.tierSphThreshold ?? 2;
-  return pickTier(state.prescription?.values, threshold);
+  return prescriptionTier(state.prescription, threshold);
+}
+
+// Where the configurator session is kept: 'session' survives reloads in this
+// tab, 'local' survives closing the browser, 'none' turns persistence off.
+/** @param {string | undefined} mode */
+function sessionStorageFor(mode) {
+  try {
+    if (mode === 'local') return window.localStorage;
+    if (mode === 'none') return null;
+    return window.sessionStorage;
+  } catch {
+    // storage blocked (third-party iframe, privacy settings)
+    return null;
+  }
 }
 
+/** @type {WeakSet<RxState>} */
+const persisting = new WeakSet();
+
+// Save the state on every change from here on. One writer per frame's state,
+// so a re-connected selector (section re-render) doesn't double up. A write
+// still waiting when the page goes away (a quick click to another colourway)
+// is flushed on `pagehide`.
+/**
+ * @param {RxState} state
+ * @param {Storage | null} storage
+ */
+function persistSession(state, storage) {
+  if (persisting.has(state) || !storage) return;
+  persisting.add(state);
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  const write = () => {
+    clearTimeout(timer);
+    timer = undefined;
+    writeRxSnapshot(storage, state.snapshot());
+  };
+  state.addEventListener('rx:change', () => {
+    clearTimeout(timer);
+    timer = setTimeout(write, 100);
+  });
+  window.addEventListener('pagehide', () => {
+    if (timer) write();
+  });
+}
+
+/**
+ * @param {RxLensEntry} product
+ * @returns {import('./rx-core.js').RxLensProduct}
+ */
 function toLensSelection(product) {
   return {
     id: product.id,
@@ -59,7 +124,7 @@ function toLensSelection(product) {
     sku: product.sku,
     price: product.price,
     title: product.title,
-    color: product.color,
+    color: product.color ?? '',
   };
 }
 
@@ -68,6 +133,7 @@ function toLensSelection(product) {
  * state with the frame and drives `rxState.lensCategory`.
  */
 class RxLensSelector extends Component {
+  /** @type {RxState} */
   #state;
   #onChange = () => this.#reflect();
 
@@ -84,10 +150,11 @@ class RxLensSelector extends Component {
     // Drop cards whose category never resolved to a product; show the
     // category's starting price (cheapest non-high-tier lens) on the rest.
     for (const card of this.querySelectorAll('[data-category-key]')) {
+      if (!(card instanceof HTMLElement)) continue;
       const category = categories.find((entry) => entry.key === card.dataset.categoryKey);
       card.hidden = !category;
       const priceEl = card.querySelector('[data-rx-cat-price]');
-      if (category && priceEl) {
+      if (category && priceEl instanceof HTMLElement) {
         const prices = category.products
           .filter((p) => (p.tier ?? 'any') !== 'high')
           .map((p) => p.price || 0);
@@ -98,10 +165,16 @@ class RxLensSelector extends Component {
       }
     }
 
+    // Pick up where the shopper left off (reload, colourway switch) before
+    // any default selection gets a chance to overwrite it.
+    const storage = sessionStorageFor(data?.config?.persist);
+    const resumed = !this.#state.lensCategory && this.#resume(storage, keys);
+    persistSession(this.#state, storage);
+
     // A single option needs no picker — auto-select it and hide the control.
     if (categories.length === 1) {
       this.hidden = true;
-      this.selectCategory({ key: categories[0].key });
+      if (!resumed) this.selectCategory({ key: categories[0]?.key ?? '' });
     } else if (!this.#state.lensCategory) {
       // Preselect the configured default (e.g. Clear) so the flow starts open.
       const preferred = this.dataset.defaultCategory;
@@ -117,6 +190,19 @@ class RxLensSelector extends Component {
     this.#state?.removeEventListener('rx:change', this.#onChange);
   }
 
+  /**
+   * Restore a saved session when its category still exists on this frame. The
+   * lens itself is reconciled with this page's catalogue by whoever owns it —
+   * the vision selector here, rx-lens-options for the colour.
+   * @param {Storage | null} storage
+   * @param {Set<string>} keys - category keys this frame offers
+   */
+  #resume(storage, keys) {
+    const snapshot = readRxSnapshot(storage, this.#state.frame);
+    if (!snapshot || !keys.has(snapshot.lensCategory)) return false;
+    return this.#state.restore(snapshot);
+  }
+
   /** @param {{key: string}} data */
   selectCategory(data) {
     const category = validCategories().find((entry) => entry.key === data?.key);
@@ -131,7 +217,7 @@ class RxLensSelector extends Component {
   #reflect() {
     const active = this.#state.lensCategory;
     for (const card of this.querySelectorAll('[data-category-key]')) {
-      const selected = card.dataset.categoryKey === active;
+      const selected = card.getAttribute('data-category-key') === active;
       card.classList.toggle('rx-lens-selector__card--selected', selected);
       card.setAttribute('aria-checked', selected ? 'true' : 'false');
     }
@@ -143,22 +229,29 @@ class RxLensSelector extends Component {
  * category is chosen; sets `rxState.visionType` and the matching lens product.
  */
 class RxVisionSelector extends Component {
+  /** @type {RxState} */
   #state;
+  /** @param {Event} event */
   #onChange = (event) => {
     this.#reflect();
-    if (event.detail?.key === 'prescription') this.#retier();
+    if (/** @type {CustomEvent} */ (event).detail?.key === 'prescription') this.#retier();
   };
+  #onRestore = () => this.#resume();
 
   connectedCallback() {
     super.connectedCallback();
     this.#state = getRxState();
     this.#state.addEventListener('rx:change', this.#onChange);
+    this.#state.addEventListener('rx:restore', this.#onRestore);
+    // The lens selector may have restored before this element upgraded.
+    this.#resume();
     this.#reflect();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#state?.removeEventListener('rx:change', this.#onChange);
+    this.#state?.removeEventListener('rx:restore', this.#onRestore);
   }
 
   /** @param {{type: string}} data */
@@ -210,13 +303,44 @@ class RxVisionSelector extends Component {
     }
   }
 
+  // A restored session was saved against another page's catalogue: a sibling
+  // colourway may take the other lens family, and prices move. Keep the vision
+  // type when this category still offers it and swap the lens for this page's
+  // entry of the same colour and tier.
+  #resume() {
+    const state = this.#state;
+    const category = this.#activeCategory();
+    if (!category || (!state.visionType && !state.lensProduct)) return;
+
+    if (!state.visionType || !this.#availableTypes(category).includes(state.visionType)) {
+      // #reflect picks the type again when only one is on offer.
+      state.set('visionType', null);
+      state.set('lensProduct', null);
+      return;
+    }
+
+    const saved = state.lensProduct;
+    const known = saved && category.products.find((product) => product.variantId === saved.variantId);
+    if (known) {
+      if (known.price !== saved.price) state.set('lensProduct', toLensSelection(known));
+      return;
+    }
+
+    const tier = currentTier(state);
+    const product =
+      resolveLensProduct(category.products, { visionType: state.visionType, color: saved?.color ?? null, tier }) ??
+      resolveLensProduct(category.products, { visionType: state.visionType, tier, anyColor: true });
+    state.set('lensProduct', product ? toLensSelection(product) : null);
+  }
+
   #activeCategory() {
     return validCategories().find((category) => category.key === this.#state.lensCategory) ?? null;
   }
 
   // Vision types offered for a category: those with products, plus Non-RX when enabled.
+  /** @param {RxLensCategory} category */
   #availableTypes(category) {
-    const types = new Set(category.products.map((entry) => entry.visionType));
+    const types = new Set(category.products.flatMap((entry) => entry.visionType ?? []));
     if (this.dataset.showNonRx !== 'false') types.add('non_rx');
     return [...types];
   }
@@ -237,9 +361,9 @@ class RxVisionSelector extends Component {
       queueMicrotask(() => {
         const current = this.#activeCategory();
         if (!current) return;
-        const types = this.#availableTypes(current);
-        if (types.length === 1 && this.#state.visionType !== types[0]) {
-          this.selectVision({ type: types[0] });
+        const [only, ...others] = this.#availableTypes(current);
+        if (only && !others.length && this.#state.visionType !== only) {
+          this.selectVision({ type: only });
         }
       });
       return;
@@ -247,8 +371,9 @@ class RxVisionSelector extends Component {
 
     const active = this.#state.visionType;
     for (const option of this.querySelectorAll('[data-vision-type]')) {
+      if (!(option instanceof HTMLElement)) continue;
       const type = option.dataset.visionType;
-      option.hidden = !available.includes(type);
+      option.hidden = !available.includes(type ?? '');
       const selected = type === active;
       option.classList.toggle('rx-vision-selector__option--selected', selected);
       option.setAttribute('aria-checked', selected ? 'true' : 'false');
@@ -282,7 +407,7 @@ document.addEventListener(
     // Product cards / quick-add handle their own navigation — leave them alone.
     if (input.closest('product-card, quick-add-dialog')) return;
 
-    const path = input.dataset.connectedProductUrl.split('?')[0];
+    const path = input.dataset.connectedProductUrl.split('?')[0] ?? '';
     if (!path.includes('/products/')) return;
 
     event.stopImmediatePropagation();
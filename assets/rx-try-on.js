@@ -0,0 +1,414 @@
+import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
+
+// Resolve shared RX modules via the versioned import map (see
+// snippets/rx-import-map.liquid) — unversioned relative imports would be
+// CDN-cached for a year. The relative fallback covers node tests.
+/** @param {string} name */
+function rxImport(name) {
+  /** @type {Record<string, string>} */
+  let map = {};
+  if (typeof document !== 'undefined') {
+    try {
+      map = JSON.parse(document.querySelector('script[data-rx-imports]')?.textContent ?? '{}');
+    } catch {
+      map = {};
+    }
+  }
+  return import(map[name] ?? new URL(`./${name}`, import.meta.url).href);
+}
+
+const { RxStates, lensSwatchFill } = await rxImport('rx-core.js');
+
+// One state per frame (see RxStates in rx-core.js); the first RX component to
+// initialize creates the registry. `window.rxState` is this page's frame's.
+/** @returns {import('./rx-core.js').RxState} */
+function getRxState() {
+  const states = (window.rxStates ??= new RxStates());
+  const frameId = document.querySelector('[data-rx-product-data]')?.getAttribute('data-rx-frame-id');
+  return (window.rxState = states.forFrame(frameId));
+}
+
+// Scale when the shopper hasn't given a PD: close to the adult average, and
+// the frame only looks a few percent off either way.
+const AVERAGE_PD_MM = 63;
+// The live preview is searched this often: enough to follow a head turn,
+// light enough for a phone.
+const TRACK_INTERVAL_MS = 120;
+// Each reading moves the frame this far towards it, which hides detector
+// jitter without lagging far behind.
+const SMOOTHING = 0.35;
+// After this many readings without a face the frame comes off.
+const MAX_MISSES = 8;
+// Detection runs on a copy this wide.
+const DETECT_WIDTH = 480;
+
+// Shape Detection API where the browser has it (Chrome on Android and macOS):
+// its eye landmarks come from a proper face model. Set to false once it turns
+// out not to work here, so rx-pd.js's pupil finder takes over for good.
+/** @type {any} */
+let faceDetector = null;
+
+/**
+ * The two eyes in a picture, as fractions of it: `left` is the one on the left
+ * of the image. Everything runs on the device.
+ * @param {CanvasImageSource} source
+ * @param {number} width
+ * @param {number} height
+ * @param {{mirror?: boolean, pd: typeof import('./rx-pd.js')}} options - mirror
+ *   a live camera picture the way the preview shows it
+ * @returns {Promise<{left: {x: number, y: number}, right: {x: number, y: number}} | null>}
+ */
+async function findEyes(source, width, height, { mirror = false, pd }) {
+  const scale = Math.min(1, DETECT_WIDTH / width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d', { willReadFrequently: true }));
+  if (mirror) {
+    context.translate(canvas.width, 0);
+    context.scale(-1, 1);
+  }
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  if (faceDetector !== false && 'FaceDetector' in window) {
+    try {
+      faceDetector ??= new /** @type {any} */ (window).FaceDetector({ maxDetectedFaces: 1, fastMode: true });
+      const [face] = await faceDetector.detect(canvas);
+      /** @type {{type: string, locations?: {x: number, y: number}[]}[]} */
+      const landmarks = face?.landmarks ?? [];
+      const eyes = landmarks
+        .filter((landmark) => landmark.type === 'eye' && landmark.locations?.length)
+        .map(({ locations = [] }) => ({
+          x: locations.reduce((sum, point) => sum + point.x, 0) / locations.length / canvas.width,
+          y: locations.reduce((sum, point) => sum + point.y, 0) / locations.length / canvas.height,
+        }))
+        .sort((a, b) => a.x - b.x);
+      const [left, right] = eyes;
+      if (eyes.length === 2 && left && right) return { left, right };
+      // No face is no face; a face without eye landmarks goes to the pupil finder.
+      if (!face) return null;
+    } catch (error) {
+      console.warn('rx: face detector unavailable, using the pupil finder', error);
+      faceDetector = false;
+    }
+  }
+
+  const gray = pd.toGrayscale(context.getImageData(0, 0, canvas.width, canvas.height).data);
+  return pd.detectPupils(gray, canvas.width, canvas.height);
+}
+
+/**
+ * Where the frame goes over the eyes: centred between them, level with them,
+ * and as wide as the frame really is at the scale the PD gives the picture.
+ * `x`, `y` are fractions of the picture, `width` a fraction of its width,
+ * `angle` in degrees.
+ * @param {{left: {x: number, y: number}, right: {x: number, y: number}}} eyes
+ * @param {{imageWidth: number, imageHeight: number, frameWidthMm: number, pdMm: number}} size
+ */
+function framePose(eyes, { imageWidth, imageHeight, frameWidthMm, pdMm }) {
+  const dx = (eyes.right.x - eyes.left.x) * imageWidth;
+  const dy = (eyes.right.y - eyes.left.y) * imageHeight;
+  return {
+    x: (eyes.left.x + eyes.right.x) / 2,
+    y: (eyes.left.y + eyes.right.y) / 2,
+    width: (Math.hypot(dx, dy) * frameWidthMm) / pdMm / imageWidth,
+    angle: (Math.atan2(dy, dx) * 180) / Math.PI,
+  };
+}
+
+/**
+ * @typedef {{dialog: HTMLDialogElement, video: HTMLVideoElement, photo: HTMLImageElement, overlay?: HTMLElement,
+ *   status?: HTMLElement, lensLabel?: HTMLElement, cameraButton?: HTMLButtonElement, unavailable?: HTMLElement,
+ *   file?: HTMLInputElement}} TryOnRefs
+ */
+
+/**
+ * Virtual try-on: the frame's transparent front photo (product metafield
+ * `custom.try_on_image`) laid over the shopper's face from the webcam or an
+ * uploaded selfie, sized by the frame width metafield (`custom.frame_width`,
+ * mm) and tinted with the lens chosen in the configurator. Without a camera
+ * the panel says try-on is unavailable and offers the upload instead.
+ */
+class RxTryOn extends DialogComponent {
+  /** @type {import('./rx-core.js').RxState | null} */
+  #state = null;
+  /** @type {'intro' | 'camera' | 'photo' | 'unavailable'} */
+  #mode = 'intro';
+  // Set once the camera can't be used (no support, refused, missing) until the
+  // panel is opened again; the upload stays on offer.
+  #noCamera = false;
+  /** @type {MediaStream | null} */
+  #stream = null;
+  /** @type {string | null} */
+  #photoUrl = null;
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #timer;
+  #tracking = false;
+  #misses = 0;
+  /** @type {{x: number, y: number, width: number, angle: number} | null} */
+  #pose = null;
+  /** @type {typeof import('./rx-pd.js') | null} */
+  #pd = null;
+  #onState = () => this.#applyTint();
+  #onDialogClose = () => this.#stop();
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#state = getRxState();
+    this.#state.addEventListener('rx:change', this.#onState);
+    this.addEventListener(DialogCloseEvent.eventName, this.#onDialogClose);
+    this.#applyTint();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#state?.removeEventListener('rx:change', this.#onState);
+    this.removeEventListener(DialogCloseEvent.eventName, this.#onDialogClose);
+    this.#stop();
+  }
+
+  // DialogComponent only declares `dialog`; these are the panel's own.
+  get #refs() {
+    return /** @type {TryOnRefs} */ (this.refs);
+  }
+
+  get #frameWidthMm() {
+    return Number(this.dataset.frameWidth) || 140;
+  }
+
+  // A PD from the prescription places the frame at the shopper's own scale.
+  get #pdMm() {
+    const values = this.#state?.prescription?.values ?? {};
+    const split = parseFloat(values.pd_left ?? '') + parseFloat(values.pd_right ?? '');
+    const pd = parseFloat(values.pd ?? '') || split || Number(this.dataset.defaultPd) || AVERAGE_PD_MM;
+    return pd >= 40 && pd <= 80 ? pd : AVERAGE_PD_MM;
+  }
+
+  /** @returns {Promise<typeof import('./rx-pd.js')>} */
+  async #loadPd() {
+    return (this.#pd ??= await rxImport('rx-pd.js'));
+  }
+
+  // --- Public entry points (on:click / on:change) ----------------------------
+
+  async open() {
+    this.#noCamera = false;
+    this.#setMode('intro');
+    this.#setStatus('');
+    this.showDialog();
+    const pd = await this.#loadPd();
+    if (!pd.cameraSupported()) {
+      this.#unavailable("This browser can't use a camera here. You can still try them on with a photo.");
+    }
+  }
+
+  async startCamera() {
+    const pd = await this.#loadPd();
+    this.#stop();
+    this.#setStatus('Starting your camera…');
+    try {
+      const stream = await pd.openCamera();
+      // Closed while the permission prompt was up.
+      if (!this.#refs.dialog.open) {
+        pd.closeCamera(stream);
+        return;
+      }
+      this.#stream = stream;
+      const { video } = this.#refs;
+      video.srcObject = stream;
+      await video.play();
+      this.#setMode('camera');
+      this.#setStatus('Look straight at the camera.');
+      this.#tracking = true;
+      this.#track();
+    } catch (error) {
+      console.warn('rx: could not open the camera for try-on', error);
+      this.#stop();
+      this.#unavailable(
+        error?.name === 'NotAllowedError'
+          ? "We weren't allowed to use your camera. You can allow it in your browser's settings, or upload a selfie."
+          : error?.name === 'NotFoundError'
+            ? "We couldn't find a camera on this device. You can upload a selfie instead."
+            : "Your camera didn't start. You can upload a selfie instead."
+      );
+    }
+  }
+
+  pickPhoto() {
+    this.#refs.file?.click();
+  }
+
+  /** @param {Event} event */
+  async onFile(event) {
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+
+    this.#stop();
+    this.#setStatus('Finding your eyes…');
+    try {
+      const [{ decodeImage, previewImageUrl }, pd] = await Promise.all([rxImport('rx-image.js'), this.#loadPd()]);
+      const decoded = await decodeImage(file);
+      if (!decoded) throw new Error('Unsupported image');
+      const url = await previewImageUrl(decoded);
+      this.#photoUrl = url;
+
+      const { photo } = this.#refs;
+      photo.src = url;
+      await photo.decode();
+      this.#setMode('photo');
+
+      const eyes = await findEyes(photo, photo.naturalWidth, photo.naturalHeight, { pd });
+      if (!eyes) {
+        this.#place(null);
+        this.#setStatus("We couldn't find your eyes in this photo. Try one facing the camera in good light.");
+        return;
+      }
+      this.#place(
+        framePose(eyes, {
+          imageWidth: photo.naturalWidth,
+          imageHeight: photo.naturalHeight,
+          frameWidthMm: this.#frameWidthMm,
+          pdMm: this.#pdMm,
+        })
+      );
+      this.#setStatus('');
+    } catch (error) {
+      console.warn('rx: could not use the try-on photo', error);
+      this.#setStatus("We couldn't open that photo. Try a JPEG or PNG.");
+    }
+  }
+
+  // --- Live tracking ---------------------------------------------------------
+
+  async #track() {
+    const { video } = this.#refs;
+    if (!this.#tracking || !this.#pd) return;
+
+    if (video.videoWidth) {
+      try {
+        const eyes = await findEyes(video, video.videoWidth, video.videoHeight, { mirror: true, pd: this.#pd });
+        if (!this.#tracking) return;
+        if (eyes) {
+          this.#misses = 0;
+          const pose = framePose(eyes, {
+            imageWidth: video.videoWidth,
+            imageHeight: video.videoHeight,
+            frameWidthMm: this.#frameWidthMm,
+            pdMm: this.#pdMm,
+          });
+          this.#place(this.#pose ? this.#smooth(this.#pose, pose) : pose);
+          this.#setStatus('');
+        } else if (++this.#misses > MAX_MISSES) {
+          this.#place(null);
+          this.#setStatus('Look straight at the camera, with your face in good light.');
+        }
+      } catch (error) {
+        console.warn('rx: try-on tracking failed', error);
+      }
+    }
+    if (this.#tracking) this.#timer = setTimeout(() => this.#track(), TRACK_INTERVAL_MS);
+  }
+
+  /**
+   * @param {{x: number, y: number, width: number, angle: number}} from
+   * @param {{x: number, y: number, width: number, angle: number}} to
+   */
+  #smooth(from, to) {
+    /** @type {(a: number, b: number) => number} */
+    const mix = (a, b) => a + (b - a) * SMOOTHING;
+    return { x: mix(from.x, to.x), y: mix(from.y, to.y), width: mix(from.width, to.width), angle: mix(from.angle, to.angle) };
+  }
+
+  // --- Rendering ---------------------------------------------------------------
+
+  /** @param {{x: number, y: number, width: number, angle: number} | null} pose */
+  #place(pose) {
+    this.#pose = pose;
+    const { overlay } = this.#refs;
+    if (!overlay) return;
+    overlay.hidden = !pose;
+    if (!pose) return;
+    overlay.style.setProperty('--rx-x', `${(pose.x * 100).toFixed(2)}%`);
+    overlay.style.setProperty('--rx-y', `${(pose.y * 100).toFixed(2)}%`);
+    overlay.style.setProperty('--rx-width', `${(pose.width * 100).toFixed(2)}%`);
+    overlay.style.setProperty('--rx-angle', `${pose.angle.toFixed(1)}deg`);
+    overlay.style.setProperty('--rx-eye-gap', String(Math.min(0.9, this.#pdMm / this.#frameWidthMm)));
+  }
+
+  // The lens on the overlay follows the configurator; merchant colours from
+  // rx-color blocks win over the built-in tints, as on the swatches.
+  #applyTint() {
+    const color = this.#state?.lensProduct?.color ?? null;
+    const { overlay, lensLabel } = this.#refs;
+    const lower = String(color || '').toLowerCase();
+    let fill = null;
+    for (const node of document.querySelectorAll('[data-rx-color-def]')) {
+      try {
+        const def = JSON.parse(node.textContent ?? '');
+        if (def?.color && def.name?.toLowerCase() === lower) {
+          fill = def.color2 ? `linear-gradient(135deg, ${def.color} 45%, ${def.color2} 55%)` : def.color;
+        }
+      } catch {
+        // ignore malformed block data
+      }
+    }
+    fill ??= lensSwatchFill(color);
+    // Clear lenses barely show; tints are see-through, as they are when worn.
+    const clear = !color || lower.includes('clear');
+    overlay?.style.setProperty('--rx-tint', fill);
+    overlay?.style.setProperty('--rx-tint-opacity', clear ? '0.12' : '0.6');
+    if (lensLabel) lensLabel.textContent = color ? `Lenses: ${color}` : 'Clear lenses';
+  }
+
+  /** @param {'intro' | 'camera' | 'photo' | 'unavailable'} mode */
+  #setMode(mode) {
+    this.#mode = mode;
+    this.setAttribute('data-mode', mode);
+    const { video, photo, cameraButton, unavailable } = this.#refs;
+    if (video) video.hidden = mode !== 'camera';
+    if (photo) photo.hidden = mode !== 'photo';
+    if (cameraButton) cameraButton.hidden = this.#noCamera;
+    if (unavailable) unavailable.hidden = mode !== 'unavailable';
+    if (mode !== 'camera' && mode !== 'photo') this.#place(null);
+  }
+
+  /** @param {string} message */
+  #unavailable(message) {
+    this.#noCamera = true;
+    this.#setMode('unavailable');
+    this.#setStatus(message);
+  }
+
+  /** @param {string} text */
+  #setStatus(text) {
+    const { status } = this.#refs;
+    if (status) status.textContent = text;
+  }
+
+  // Camera light off, timer stopped, photo released — on close and before
+  // switching between camera and photo.
+  #stop() {
+    this.#tracking = false;
+    clearTimeout(this.#timer);
+    this.#timer = undefined;
+    this.#misses = 0;
+    this.#pose = null;
+    if (this.#stream) {
+      this.#pd?.closeCamera(this.#stream);
+      this.#stream = null;
+    }
+    const { video } = this.#refs;
+    if (video) video.srcObject = null;
+    if (this.#photoUrl) {
+      URL.revokeObjectURL(this.#photoUrl);
+      this.#photoUrl = null;
+    }
+    if (this.#mode !== 'unavailable') this.#setMode('intro');
+  }
+}
+
+if (!customElements.get('rx-try-on')) {
+  customElements.define('rx-try-on', RxTryOn);
+}
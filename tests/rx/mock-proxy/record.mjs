@@ -0,0 +1,96 @@
+/**
+ * Fixture recorder: a pass-through proxy in front of a live store's App Proxy
+ * that saves each JSON answer as `fixtures/recorded/<action>.json`, which the
+ * mock server then prefers over the checked-in fixture.
+ *
+ *   node tests/rx/mock-proxy/record.mjs --target https://store.example.com \
+ *        [--cookie "<storefront Cookie header>"] [--port 8788]
+ *
+ * Then browse with `?rx_proxy=http://localhost:8788`. The App Proxy only
+ * signs a customer in from the storefront session cookie, so pass it (copied
+ * from devtools) to record the customer-scoped endpoints.
+ *
+ * Recordings hold real order and prescription data: `fixtures/recorded/` is
+ * git-ignored — review and scrub anything before promoting it to a fixture.
+ */
+import { createServer } from 'node:http';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { RECORDED_DIR, readBody, setCors } from './server.mjs';
+
+const PROXY_PATH = '/apps/proxy';
+
+function parseArgs(argv) {
+  const options = { port: 8788, host: '127.0.0.1', target: '', cookie: '' };
+  for (let i = 0; i < argv.length; i++) {
+    const eq = argv[i].indexOf('=');
+    const flag = eq === -1 ? argv[i] : argv[i].slice(0, eq);
+    const value = eq === -1 ? argv[++i] ?? '' : argv[i].slice(eq + 1);
+    if (flag === '--port') options.port = Number(value);
+    else if (flag === '--host') options.host = value;
+    else if (flag === '--target') options.target = value.replace(/\/$/, '');
+    else if (flag === '--cookie') options.cookie = value;
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!/^https:\/\//.test(options.target)) {
+  console.error('record.mjs: --target https://<storefront domain> is required');
+  process.exit(1);
+}
+mkdirSync(RECORDED_DIR, { recursive: true });
+
+const server = createServer(async (req, res) => {
+  setCors(req, res);
+  if (req.method === 'OPTIONS') return void res.writeHead(204).end();
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (!url.pathname.startsWith(PROXY_PATH)) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return void res.end(JSON.stringify({ error: 'Not an App Proxy path' }));
+  }
+
+  try {
+    const body = req.method === 'GET' ? undefined : await readBody(req);
+    const headers = {};
+    for (const name of ['content-type', 'idempotency-key', 'accept']) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    }
+    if (options.cookie) headers.cookie = options.cookie;
+
+    const upstream = await fetch(`${options.target}${url.pathname}${url.search}`, { method: req.method, headers, body });
+    const text = await upstream.text();
+
+    // Recolor POSTs to the base path and names itself in the body.
+    let action = url.pathname.slice(PROXY_PATH.length + 1);
+    if (!action && body?.length) {
+      try {
+        action = JSON.parse(body.toString('utf8')).action || '';
+      } catch {
+        action = '';
+      }
+    }
+    if (action && upstream.ok) {
+      try {
+        writeFileSync(join(RECORDED_DIR, `${action}.json`), `${JSON.stringify(JSON.parse(text), null, 2)}\n`);
+        console.log(`recorded ${action} (${upstream.status})`);
+      } catch {
+        console.warn(`skipped ${action}: response is not JSON`);
+      }
+    }
+
+    res.writeHead(upstream.status, { 'Content-Type': upstream.headers.get('content-type') || 'application/json' });
+    res.end(text);
+  } catch (error) {
+    console.error('record.mjs:', error);
+    res.writeHead(502, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: 'Upstream request failed' }));
+  }
+});
+
+server.listen(options.port, options.host, () => {
+  console.log(`Recording ${options.target}${PROXY_PATH} via http://localhost:${options.port}${PROXY_PATH}`);
+  console.log(`Storefront: add ?rx_proxy=http://localhost:${options.port} to any page.`);
+});
+process.on('SIGINT', () => server.close(() => process.exit(0)));
@@ -0,0 +1,293 @@
+/**
+ * Mock RX App Proxy: a local stand-in for the `/apps/proxy/*` endpoints that
+ * only exist on the live store, answering from the JSON fixtures next to this
+ * file with the same envelopes and status codes as LenSync.
+ *
+ *   node tests/rx/mock-proxy/server.mjs [--port 8787] [--latency 300]
+ *        [--fail save-prescription=500] [--fail analyze-prescription=timeout]
+ *
+ * Point a development or unpublished theme at it with
+ * `?rx_proxy=http://localhost:8787` (the browser remembers it for the tab), or
+ * `RX_PROXY_BASE=http://localhost:8787` under node. Tests can also import `startMockProxy()` and drive it in-process.
+ *
+ * Failure modes, per action (or `*`): an HTTP status (`500`, `404`, `429`…),
+ * `timeout` (never answers), `network` (drops the connection) or `flaky`
+ * (every other call answers 503). Set them with `--fail`, per request with an
+ * `X-Mock-Fail` header, or at runtime via `POST /__mock/config`.
+ */
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+// Written by record.mjs; wins over the checked-in fixture of the same name.
+export const RECORDED_DIR = join(FIXTURES_DIR, 'recorded');
+
+const PROXY_PATH = '/apps/proxy';
+
+/** Fixture JSON for an action, preferring a recorded one. */
+export function loadFixture(action) {
+  for (const dir of [RECORDED_DIR, FIXTURES_DIR]) {
+    const file = join(dir, `${action}.json`);
+    if (existsSync(file)) return JSON.parse(readFileSync(file, 'utf8'));
+  }
+  return null;
+}
+
+// The storefront (or `shopify theme dev` on 127.0.0.1:9292) calls us
+// cross-origin. Chrome also asks before a public page may reach localhost
+// (Private Network Access), hence the last header.
+export function setCors(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key, X-Mock-Fail');
+  res.setHeader('Access-Control-Allow-Private-Network', 'true');
+  res.setHeader('Vary', 'Origin');
+}
+
+export function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function parseJson(buffer) {
+  try {
+    return buffer.length ? JSON.parse(buffer.toString('utf8')) : {};
+  } catch {
+    return {};
+  }
+}
+
+// Multipart is only read for its `action` text field; the file part is
+// ignored — the mock OCR always "reads" the fixture.
+function multipartField(buffer, name) {
+  const match = buffer.toString('latin1').match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`));
+  return match ? match[1] : null;
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * @param {{port?: number, host?: string, latency?: number, fail?: Object<string, string>}} [options]
+ * @returns {Promise<{url: string, state: Object, configure: (config: Object) => void, reset: () => void, close: () => Promise<void>}>}
+ */
+export async function startMockProxy(options = {}) {
+  const { port = 8787, host = '127.0.0.1' } = options;
+  const config = { latency: 0, fail: {} };
+  const state = {};
+  const calls = new Map();
+
+  function configure(next = {}) {
+    if (next.latency != null) config.latency = Number(next.latency) || 0;
+    if (next.fail) config.fail = { ...config.fail, ...next.fail };
+  }
+
+  // Orders and saved prescriptions are mutable, so keep copies per run.
+  function reset() {
+    config.latency = Number(options.latency) || 0;
+    config.fail = { ...options.fail };
+    calls.clear();
+    state.orders = new Map();
+    state.saved = clone(loadFixture('list-prescriptions')?.data?.prescriptions ?? []);
+    state.prescriptions = new Map();
+    state.idempotent = new Map();
+    state.requests = [];
+  }
+  reset();
+
+  function orderFor(orderId) {
+    const id = String(orderId ?? '');
+    if (!state.orders.has(id)) {
+      const fixture = clone(loadFixture('get-order'));
+      if (id) fixture.data.order.id = id;
+      state.orders.set(id, fixture);
+    }
+    return state.orders.get(id);
+  }
+
+  const handlers = {
+    'analyze-prescription': () => {
+      const fixture = clone(loadFixture('analyze-prescription'));
+      fixture.data.uniqueId = `mock-file-${randomUUID().slice(0, 8)}`;
+      fixture.data.rxUID = `mock-rx-${randomUUID().slice(0, 8)}`;
+      return fixture;
+    },
+    'save-prescription': ({ body }) => {
+      const fixture = clone(loadFixture('save-prescription'));
+      fixture.data.rxUID = `mock-rx-${randomUUID().slice(0, 8)}`;
+      state.prescriptions.set(fixture.data.rxUID, body);
+      return fixture;
+    },
+    'get-order': ({ query }) => orderFor(query.get('orderId')),
+    'get-prescription-file': ({ origin }) => {
+      const fixture = clone(loadFixture('get-prescription-file'));
+      if (fixture.data.fileUrl?.startsWith('/')) fixture.data.fileUrl = `${origin}${fixture.data.fileUrl}`;
+      return fixture;
+    },
+    'update-line-item-properties': ({ body }) => {
+      const { data } = orderFor(body.orderId);
+      const lines = data.order.line_items;
+      const item = lines.find((line) => String(line.id) === String(body.lineItemId)) ?? lines[0];
+      for (const [name, value] of Object.entries(body.properties ?? {})) {
+        item.properties = item.properties.filter((prop) => prop.name !== name).concat({ name, value });
+      }
+      // What the lab integration does once a prescription is on the order.
+      if (data.labStatus === 'rx_needed') {
+        data.labStatus = data.order.labStatus = 'rx_received';
+        data.history = [...(data.history ?? []), { status: 'rx_received', at: new Date().toISOString() }];
+      }
+      return loadFixture('update-line-item-properties');
+    },
+    recolor: ({ body }) => {
+      const fixture = clone(loadFixture('recolor'));
+      // No image generation here: hand the original back, as a cache miss would.
+      fixture.data.url = body.image_url;
+      return fixture;
+    },
+    'list-prescriptions': () => ({ success: true, data: { prescriptions: state.saved } }),
+    'get-prescription': ({ query }) => {
+      const entry = state.saved.find((item) => item.rxUID === query.get('rxUID'));
+      return entry ? { success: true, data: { prescription: entry } } : [404, { success: false, error: 'Prescription not found' }];
+    },
+    'rename-prescription': ({ body }) => {
+      const entry = state.saved.find((item) => item.rxUID === body.rxUID);
+      if (!entry) return [404, { success: false, error: 'Prescription not found' }];
+      entry.name = body.name;
+      return { success: true, data: entry };
+    },
+    'delete-prescription': ({ body }) => {
+      state.saved = state.saved.filter((item) => item.rxUID !== body.rxUID);
+      return { success: true, data: { deleted: true } };
+    },
+  };
+
+  // Returns true when the failure mode has answered (or swallowed) the request.
+  function fail(mode, action, req, res) {
+    if (!mode) return false;
+    if (mode === 'timeout') return true;
+    if (mode === 'network') {
+      req.socket.destroy();
+      return true;
+    }
+    if (mode === 'flaky') {
+      const count = (calls.get(action) ?? 0) + 1;
+      calls.set(action, count);
+      if (count % 2 === 0) return false;
+      mode = '503';
+    }
+    const status = Number(mode) || 500;
+    sendJson(res, status, { success: false, error: `Mock ${status} for ${action}` });
+    return true;
+  }
+
+  async function handle(req, res) {
+    setCors(req, res);
+    if (req.method === 'OPTIONS') return void res.writeHead(204).end();
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const origin = `http://${req.headers.host}`;
+
+    if (url.pathname === '/__mock/config' && req.method === 'POST') {
+      configure(parseJson(await readBody(req)));
+      return sendJson(res, 200, config);
+    }
+    if (url.pathname === '/__mock/reset' && req.method === 'POST') {
+      reset();
+      return sendJson(res, 200, config);
+    }
+    if (url.pathname === '/__mock/requests') return sendJson(res, 200, state.requests);
+    if (url.pathname.startsWith('/__mock/files/')) {
+      const file = join(FIXTURES_DIR, url.pathname.slice('/__mock/files/'.length).replace(/[^\w.-]/g, ''));
+      if (!existsSync(file)) return sendJson(res, 404, { error: 'No such fixture file' });
+      res.writeHead(200, { 'Content-Type': file.endsWith('.svg') ? 'image/svg+xml' : 'application/octet-stream' });
+      return void res.end(readFileSync(file));
+    }
+    if (!url.pathname.startsWith(PROXY_PATH)) return sendJson(res, 404, { error: 'Not an App Proxy path' });
+
+    const raw = await readBody(req);
+    const multipart = String(req.headers['content-type'] ?? '').startsWith('multipart/form-data');
+    const body = multipart ? { action: multipartField(raw, 'action') } : parseJson(raw);
+    // Path actions carry the name in the path; recolor POSTs to the base.
+    const action = url.pathname.slice(PROXY_PATH.length + 1) || body.action || url.searchParams.get('action');
+    const key = req.headers['idempotency-key'];
+    state.requests.push({ action, method: req.method, idempotencyKey: key ?? null, body, at: Date.now() });
+
+    if (config.latency) await new Promise((resolve) => setTimeout(resolve, config.latency));
+    const mode = req.headers['x-mock-fail'] || config.fail[action] || config.fail['*'];
+    if (fail(mode, action, req, res)) return;
+
+    // Same key, same answer — what the real backend promises for retries.
+    if (key && state.idempotent.has(key)) {
+      const [status, payload] = state.idempotent.get(key);
+      res.setHeader('Idempotent-Replayed', 'true');
+      return sendJson(res, status, payload);
+    }
+
+    const handler = handlers[action];
+    if (!handler) return sendJson(res, 404, { success: false, error: `Unknown action: ${action}` });
+    const result = handler({ body, query: url.searchParams, origin });
+    const [status, payload] = Array.isArray(result) ? result : [200, result];
+    if (key && req.method === 'POST') state.idempotent.set(key, [status, payload]);
+    sendJson(res, status, payload);
+  }
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      console.error('mock-proxy:', error);
+      if (!res.headersSent) sendJson(res, 500, { success: false, error: 'Mock server error' });
+    });
+  });
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const address = server.address();
+
+  return {
+    url: `http://${host === '127.0.0.1' ? 'localhost' : host}:${address.port}`,
+    state,
+    configure,
+    reset,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+// `--flag value` or `--flag=value`. `--fail action=mode` is repeatable; a
+// bare `--fail mode` applies to every action.
+function parseArgs(argv) {
+  const options = { fail: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const eq = argv[i].indexOf('=');
+    const flag = eq === -1 ? argv[i] : argv[i].slice(0, eq);
+    const value = eq === -1 ? argv[++i] ?? '' : argv[i].slice(eq + 1);
+    if (flag === '--port') options.port = Number(value);
+    else if (flag === '--host') options.host = value;
+    else if (flag === '--latency') options.latency = Number(value);
+    else if (flag === '--fail') {
+      const [action, mode] = value.includes('=') ? value.split('=') : ['*', value];
+      options.fail[action] = mode;
+    }
+  }
+  return options;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = await startMockProxy(parseArgs(process.argv.slice(2)));
+  console.log(`RX mock App Proxy on ${mock.url}${PROXY_PATH}`);
+  console.log(`Storefront: add ?rx_proxy=${mock.url} to any page (?rx_proxy=off to stop).`);
+  const stop = () => mock.close().then(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
@@ -0,0 +1,153 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startMockProxy } from './mock-proxy/server.mjs';
+
+// rx-api.js picks its base URL up at import, so the mock has to be listening
+// (on a free port) first.
+const mock = await startMockProxy({ port: 0 });
+process.env.RX_PROXY_BASE = mock.url;
+const { configureRxApi, savePrescription, updateLineItemProperties, rxOutbox } = await import('../../assets/rx-api.js');
+
+const PAYLOAD = { orderId: null, lineItemId: null, prescriptionData: { sph_od: '-1.00', sph_os: '-1.25', pd: '63' } };
+
+/** @param {string} type */
+function collect(type) {
+  const seen = [];
+  const listener = (event) => seen.push(event.detail);
+  rxOutbox.addEventListener(type, listener);
+  return { seen, stop: () => rxOutbox.removeEventListener(type, listener) };
+}
+
+function requestsFor(action) {
+  return mock.state.requests.filter((request) => request.action === action);
+}
+
+before(() => configureRxApi({ timeout: 300, retries: 2, backoff: 10, deadline: 1000 }));
+
+beforeEach(async () => {
+  mock.reset();
+  await rxOutbox.flush();
+  assert.equal((await rxOutbox.entries()).length, 0);
+});
+
+after(async () => {
+  // Also clears the outbox's retry timer, so the run can exit.
+  await rxOutbox.flush();
+  await mock.close();
+});
+
+test('savePrescription: a save that gets through returns the rxUID', async () => {
+  const result = await savePrescription(PAYLOAD);
+  assert.match(result.rxUID, /^mock-rx-/);
+  const [request] = requestsFor('save-prescription');
+  assert.ok(request.idempotencyKey);
+  assert.deepEqual(request.body.prescriptionData, PAYLOAD.prescriptionData);
+});
+
+test('savePrescription: retries reuse the idempotency key, then the save is queued', async () => {
+  mock.configure({ fail: { 'save-prescription': '503' } });
+  const queued = collect('rx:outbox-queued');
+  const result = await savePrescription(PAYLOAD);
+  queued.stop();
+
+  assert.equal(result.queued, true);
+  const keys = requestsFor('save-prescription').map((request) => request.idempotencyKey);
+  assert.equal(keys.length, 3);
+  assert.deepEqual(new Set(keys), new Set([result.idempotencyKey]));
+  assert.equal(queued.seen[0].entry.id, result.idempotencyKey);
+  assert.deepEqual(
+    (await rxOutbox.entries()).map((entry) => entry.action),
+    ['save-prescription']
+  );
+});
+
+test('savePrescription: a backend that never answers is queued within the deadline', async () => {
+  configureRxApi({ timeout: 5000 });
+  mock.configure({ fail: { 'save-prescription': 'timeout' } });
+  const started = Date.now();
+  const result = await savePrescription(PAYLOAD);
+  configureRxApi({ timeout: 300 });
+
+  assert.equal(result.queued, true);
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+});
+
+test('savePrescription: a rejected save is not queued', async () => {
+  mock.configure({ fail: { 'save-prescription': '400' } });
+  await assert.rejects(savePrescription(PAYLOAD), { name: 'RxApiError', status: 400 });
+  assert.equal((await rxOutbox.entries()).length, 0);
+});
+
+test('rxOutbox.flush: replays a queued save with its first key and empties the outbox', async () => {
+  mock.configure({ fail: { 'save-prescription': '503' } });
+  const { idempotencyKey } = await savePrescription(PAYLOAD);
+  await rxOutbox.link(idempotencyKey, { bundleHash: 'bundle-1' });
+
+  mock.configure({ fail: { 'save-prescription': '' } });
+  const sent = collect('rx:outbox-sent');
+  await rxOutbox.flush();
+  sent.stop();
+
+  assert.equal(sent.seen.length, 1);
+  assert.equal(sent.seen[0].entry.id, idempotencyKey);
+  assert.deepEqual(sent.seen[0].entry.link, { bundleHash: 'bundle-1' });
+  assert.match(sent.seen[0].result.rxUID, /^mock-rx-/);
+  assert.equal(requestsFor('save-prescription').at(-1).idempotencyKey, idempotencyKey);
+  assert.equal((await rxOutbox.entries()).length, 0);
+});
+
+test('rxOutbox.flush: an attach queued behind its save is sent with the save’s rxUID', async () => {
+  mock.configure({ fail: { 'save-prescription': '503' } });
+  const save = await savePrescription(PAYLOAD);
+  const attach = await updateLineItemProperties(
+    { subdomain: 'otis', orderId: '1001', lineItemId: '1', version: 1, properties: { rx_method: 'manual' } },
+    { afterSave: save.idempotencyKey }
+  );
+  assert.equal(attach.queued, true);
+  // It waited for the save rather than going out without a prescription.
+  assert.equal(requestsFor('update-line-item-properties').length, 0);
+
+  mock.configure({ fail: { 'save-prescription': '' } });
+  const sent = collect('rx:outbox-sent');
+  await rxOutbox.flush();
+  sent.stop();
+
+  const [savedEvent, attachEvent] = sent.seen;
+  assert.equal(attachEvent.entry.id, attach.idempotencyKey);
+  assert.equal(
+    requestsFor('update-line-item-properties')[0].body.properties['Prescription RX UID'],
+    savedEvent.result.rxUID
+  );
+  assert.equal((await rxOutbox.entries()).length, 0);
+});
+
+test('rxOutbox.flush: a replay the proxy rejects is dropped', async (t) => {
+  mock.configure({ fail: { 'save-prescription': '503' } });
+  await savePrescription(PAYLOAD);
+
+  mock.configure({ fail: { 'save-prescription': '422' } });
+  t.mock.method(console, 'error', () => {});
+  const failed = collect('rx:outbox-failed');
+  await rxOutbox.flush();
+  failed.stop();
+
+  assert.equal(failed.seen.length, 1);
+  assert.equal(failed.seen[0].error.status, 422);
+  assert.equal((await rxOutbox.entries()).length, 0);
+});
+
+test('rxOutbox.entries: a save still unsent after 14 days expires', async (t) => {
+  mock.configure({ fail: { 'save-prescription': '503' } });
+  await savePrescription(PAYLOAD);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 15 * 24 * 60 * 60 * 1000);
+  t.mock.method(console, 'warn', () => {});
+  const expired = collect('rx:outbox-expired');
+  assert.deepEqual(await rxOutbox.entries(), []);
+  expired.stop();
+
+  assert.equal(expired.seen.length, 1);
+  assert.equal(requestsFor('save-prescription').length, 3);
+});
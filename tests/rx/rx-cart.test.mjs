@@ -0,0 +1,88 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { replaceRxBundle } from '../../assets/rx-cart.js';
+
+// The Ajax Cart API stands in as a stub that records each request and answers
+// with an empty cart.
+/** @type {{url: string, body: any}[]} */
+let requests = [];
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: JSON.parse(String(init?.body ?? '{}')) });
+    return new Response(JSON.stringify({ item_count: 2, items: [], sections: {} }), { status: 200 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const state = (overrides = {}) => ({
+  frame: { productId: 1, variantId: 11, sku: 'FRAME', price: 10000, title: 'Otis' },
+  lensProduct: { id: 2, variantId: 22, sku: 'S46CRCLAR', price: 6000, title: 'Clear', color: 'Clear + AR' },
+  lensCategory: 'clear',
+  visionType: 'single_vision',
+  addons: [{ key: 'thin', variantId: 33, sku: 'THIN', price: 2000, title: 'Thinning', group: null }],
+  prescription: {
+    method: 'manual',
+    values: { sph_od: '-1.00', pd: '64' },
+    uniqueId: null,
+    rxUID: null,
+    expired: false,
+  },
+  ...overrides,
+});
+
+const edited = {
+  lensKey: 'lens-key',
+  frameKey: 'frame-key',
+  addonKeys: ['addon-key'],
+  quantity: 2,
+  bundleHash: 'bundle-hash-1',
+  lensVariantId: 22,
+  frameVariantId: 11,
+  addonVariantIds: [33],
+};
+
+test('replaceRxBundle: a prescription edit rewrites the lens line in place', async () => {
+  await replaceRxBundle(state(), edited, {}, ['cart-drawer']);
+  assert.equal(requests.length, 1);
+  const [{ url, body }] = requests;
+  assert.equal(url, '/cart/change.js');
+  assert.equal(body.id, 'lens-key');
+  assert.equal(body.quantity, 2);
+  assert.equal(body.sections, 'cart-drawer');
+  assert.equal(body.properties._bundleHash, 'bundle-hash-1');
+  assert.equal(body.properties['Pupillary Distance'], '64mm');
+});
+
+test('replaceRxBundle: a new lens variant adds the new pair, then removes the old one', async () => {
+  const upgraded = state({
+    lensProduct: { id: 3, variantId: 44, sku: 'EH46CRCLAR', price: 9000, title: 'Clear', color: 'Clear + AR' },
+  });
+  await replaceRxBundle(upgraded, edited);
+  assert.deepEqual(
+    requests.map((request) => request.url),
+    ['/cart/add.js', '/cart/update.js']
+  );
+  const [add, update] = requests;
+  assert.deepEqual(
+    add.body.items.map((/** @type {{id: number}} */ item) => item.id),
+    [44, 11, 33]
+  );
+  assert.notEqual(add.body.items[0].properties._bundleHash, 'bundle-hash-1');
+  assert.deepEqual(update.body.updates, { 'lens-key': 0, 'frame-key': 0, 'addon-key': 0 });
+});
+
+test('replaceRxBundle: a changed add-on or an edit without its bundle hash also replaces the lines', async () => {
+  await replaceRxBundle(state({ addons: [] }), edited);
+  assert.equal(requests[0].url, '/cart/add.js');
+
+  requests = [];
+  await replaceRxBundle(state(), { ...edited, bundleHash: undefined });
+  assert.equal(requests[0].url, '/cart/add.js');
+});
@@ -0,0 +1,986 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  checkClinicalRules,
+  prescriptionFromCartLine,
+  transposeEye,
+  detectCylinderConvention,
+  transposePrescription,
+  toMinusCylinder,
+  typeaheadIndex,
+  recolorSlug,
+  evaluatePricing,
+  countRxPairs,
+  parseFrameSize,
+  scoreFrameFit,
+  buildOrderTimeline,
+  isLabStatus,
+  labStageIndex,
+  trackingUrl,
+  parseQuizWeights,
+  scoreQuizMatch,
+  quizFilterParams,
+  splitIntoColumns,
+  stripImageSizeParams,
+  parseBaseCurveLimits,
+  frameFitsPrescription,
+  fitFilterTags,
+  readOcrConfidence,
+  reviewOcrFields,
+  RxState,
+  RX_SNAPSHOT_VERSION,
+  RX_SNAPSHOT_MAX_AGE,
+  readRxSnapshot,
+  writeRxSnapshot,
+  rxSnapshotKey,
+} from '../../assets/rx-core.js';
+
+// --- Cylinder notation -------------------------------------------------------
+
+test('transposeEye: plus cylinder becomes minus cylinder', () => {
+  assert.deepEqual(transposeEye({ sph: '-2.00', cyl: '+1.50', axis: '045' }), {
+    sph: '-0.50',
+    cyl: '-1.50',
+    axis: '135',
+  });
+});
+
+test('transposeEye: minus cylinder becomes plus cylinder', () => {
+  assert.deepEqual(transposeEye({ sph: '-0.50', cyl: '-1.50', axis: '135' }), {
+    sph: '-2.00',
+    cyl: '+1.50',
+    axis: '045',
+  });
+});
+
+test('transposeEye: the axis wraps at 90 and 180', () => {
+  assert.equal(transposeEye({ sph: '0', cyl: '+1.00', axis: '90' }).axis, '180');
+  assert.equal(transposeEye({ sph: '0', cyl: '+1.00', axis: '180' }).axis, '090');
+  assert.equal(transposeEye({ sph: '0', cyl: '+1.00', axis: '91' }).axis, '001');
+  assert.equal(transposeEye({ sph: '0', cyl: '+1.00', axis: '1' }).axis, '091');
+});
+
+test('transposeEye: a sphere crossing zero reads 0.00', () => {
+  assert.equal(transposeEye({ sph: '-1.00', cyl: '+1.00', axis: '010' }).sph, '0.00');
+});
+
+test('transposeEye: no cylinder leaves the eye as entered', () => {
+  const blank = { sph: '+1.25', cyl: '', axis: '' };
+  assert.deepEqual(transposeEye(blank), blank);
+  assert.notEqual(transposeEye(blank), blank);
+  assert.deepEqual(transposeEye({ sph: '+1.25', cyl: '0.00', axis: '090' }), {
+    sph: '+1.25',
+    cyl: '0.00',
+    axis: '090',
+  });
+});
+
+test('transposeEye: a blank sphere counts as plano and a blank axis stays blank', () => {
+  assert.deepEqual(transposeEye({ sph: '', cyl: '+0.75', axis: '' }), { sph: '+0.75', cyl: '-0.75', axis: '' });
+});
+
+test('detectCylinderConvention: reads the sign of the eyes with cylinder', () => {
+  assert.equal(detectCylinderConvention({ cyl_od: '+1.00', cyl_os: '+0.50' }), 'plus');
+  assert.equal(detectCylinderConvention({ cyl_od: '-1.00', cyl_os: '' }), 'minus');
+  assert.equal(detectCylinderConvention({ cyl_od: '+1.00', cyl_os: '-0.50' }), 'mixed');
+});
+
+test('detectCylinderConvention: null without cylinder', () => {
+  assert.equal(detectCylinderConvention({}), null);
+  assert.equal(detectCylinderConvention({ cyl_od: '', cyl_os: '0.00' }), null);
+});
+
+test('transposePrescription: transposes both eyes and returns a copy', () => {
+  const values = {
+    sph_od: '+1.00',
+    cyl_od: '+0.50',
+    axis_od: '100',
+    sph_os: '-3.00',
+    cyl_os: '-1.00',
+    axis_os: '020',
+    pd: '63',
+  };
+  const out = transposePrescription(values);
+  assert.deepEqual(out, {
+    sph_od: '+1.50',
+    cyl_od: '-0.50',
+    axis_od: '010',
+    sph_os: '-4.00',
+    cyl_os: '+1.00',
+    axis_os: '110',
+    pd: '63',
+  });
+  assert.equal(values.cyl_od, '+0.50');
+});
+
+test('transposePrescription: `only` limits it to one sign', () => {
+  const values = { sph_od: '+1.00', cyl_od: '+0.50', axis_od: '100', sph_os: '-3.00', cyl_os: '-1.00', axis_os: '020' };
+  const out = transposePrescription(values, { only: 'plus' });
+  assert.equal(out.cyl_od, '-0.50');
+  assert.equal(out.cyl_os, '-1.00');
+  assert.equal(out.axis_os, '020');
+});
+
+test('toMinusCylinder: plus and mixed prescriptions are normalized', () => {
+  const plus = toMinusCylinder({
+    sph_od: '-2.00',
+    cyl_od: '+1.50',
+    axis_od: '045',
+    sph_os: '-2.00',
+    cyl_os: '+1.00',
+    axis_os: '180',
+  });
+  assert.equal(plus.transposed, true);
+  assert.deepEqual(
+    [
+      plus.values.sph_od,
+      plus.values.cyl_od,
+      plus.values.axis_od,
+      plus.values.sph_os,
+      plus.values.cyl_os,
+      plus.values.axis_os,
+    ],
+    ['-0.50', '-1.50', '135', '-1.00', '-1.00', '090']
+  );
+
+  const mixed = toMinusCylinder({
+    sph_od: '-2.00',
+    cyl_od: '+1.50',
+    axis_od: '045',
+    sph_os: '-1.00',
+    cyl_os: '-0.50',
+    axis_os: '010',
+  });
+  assert.equal(mixed.transposed, true);
+  assert.equal(mixed.values.cyl_od, '-1.50');
+  assert.equal(mixed.values.cyl_os, '-0.50');
+  assert.equal(mixed.values.axis_os, '010');
+});
+
+test('toMinusCylinder: minus cylinder and blank cylinder are left alone', () => {
+  const minus = { sph_od: '-0.50', cyl_od: '-1.50', axis_od: '135' };
+  assert.deepEqual(toMinusCylinder(minus), { values: minus, transposed: false });
+
+  const blank = { sph_od: '-0.50', cyl_od: '', axis_od: '', sph_os: '-0.75' };
+  assert.deepEqual(toMinusCylinder(blank), { values: blank, transposed: false });
+});
+
+// --- Clinical rules ----------------------------------------------------------
+
+test('checkClinicalRules: single-eye PD bounds come from the rule config', () => {
+  const values = { pd_right: '24', pd_left: '31' };
+  assert.deepEqual(
+    checkClinicalRules(values).warnings.map((warning) => warning.rule),
+    ['pd_range']
+  );
+  assert.deepEqual(checkClinicalRules(values, { rules: { pd_range: { monoMin: 22 } } }).warnings, []);
+  assert.deepEqual(
+    checkClinicalRules({ pd_right: '33', pd_left: '33' }, { rules: { pd_range: { monoMax: 32 } } }).warnings.map(
+      (warning) => warning.message
+    ),
+    ['A single-eye PD is usually between 25 and 32 mm']
+  );
+});
+
+/**
+ * `rule:field` for each issue, errors and warnings apart.
+ * @param {ReturnType<typeof checkClinicalRules>} result
+ */
+const issues = ({ errors, warnings }) => ({
+  errors: errors.map((issue) => `${issue.rule}:${issue.field}`),
+  warnings: warnings.map((issue) => `${issue.rule}:${issue.field}`),
+});
+const clean = { errors: [], warnings: [] };
+
+test('checkClinicalRules: anisometropia compares spherical equivalents', () => {
+  // SPH alone differs by 2.50 D, but the left cylinder adds another 0.75.
+  const result = checkClinicalRules({ sph_od: '-1.00', sph_os: '-3.50', cyl_os: '-1.50' });
+  assert.deepEqual(issues(result), { errors: [], warnings: ['anisometropia:sph_os'] });
+  assert.match(result.warnings[0]?.message ?? '', /3\.25 D/);
+  // SPH differs by 3.50 D, but the right eye's cylinder brings them to 2.50.
+  assert.deepEqual(checkClinicalRules({ sph_od: '+1.00', cyl_od: '-2.00', sph_os: '-2.50' }), clean);
+  assert.deepEqual(checkClinicalRules({ sph_od: '+1.00', sph_os: '-2.00' }), clean);
+  assert.deepEqual(checkClinicalRules({ sph_od: '+6.00', cyl_od: '-1.00' }), clean);
+  const strict = checkClinicalRules({ sph_od: '+1.00', sph_os: '-1.50' }, { rules: { anisometropia: { max: 2 } } });
+  assert.deepEqual(issues(strict).warnings, ['anisometropia:sph_os']);
+});
+
+test('checkClinicalRules: an ADD on single vision is an error', () => {
+  const values = { sph_od: '-1.00', sph_os: '-1.00', add_od: '+2.00', add_os: '0.00' };
+  assert.deepEqual(issues(checkClinicalRules(values, { visionType: 'single_vision' })), {
+    errors: ['add_single_vision:add_od'],
+    warnings: [],
+  });
+  assert.deepEqual(checkClinicalRules({ ...values, add_od: '' }, { visionType: 'single_vision' }), clean);
+});
+
+test('checkClinicalRules: progressives need an ADD for each eye', () => {
+  const values = { sph_od: '-1.00', sph_os: '-1.00', add_od: '', add_os: '0.00' };
+  assert.deepEqual(issues(checkClinicalRules(values, { visionType: 'progressive' })), {
+    errors: ['add_required:add_od', 'add_required:add_os'],
+    warnings: [],
+  });
+  assert.deepEqual(
+    checkClinicalRules({ ...values, add_od: '+2.00', add_os: '+2.00' }, { visionType: 'progressive' }),
+    clean
+  );
+});
+
+test('checkClinicalRules: ADDs may differ by the tolerance and no more', () => {
+  const values = { sph_od: '-1.00', sph_os: '-1.00', add_od: '+2.00', add_os: '+2.25' };
+  const opts = { visionType: 'progressive' };
+  assert.deepEqual(checkClinicalRules(values, opts), clean);
+  assert.deepEqual(issues(checkClinicalRules({ ...values, add_os: '+2.50' }, opts)), {
+    errors: [],
+    warnings: ['add_mismatch:add_os'],
+  });
+  assert.deepEqual(
+    checkClinicalRules({ ...values, add_os: '+2.50' }, { ...opts, rules: { add_mismatch: { tolerance: 0.5 } } }),
+    clean
+  );
+});
+
+test('checkClinicalRules: powers go in quarter steps, axes and PD are exempt', () => {
+  const values = { sph_od: '-1.10', sph_os: '+0.75', cyl_os: '-0.30', axis_os: '37', add_od: '+2.10', add_os: '2' };
+  assert.deepEqual(issues(checkClinicalRules({ ...values, pd: '63.5' }, { visionType: 'progressive' })).errors, [
+    'quarter_steps:sph_od',
+    'quarter_steps:cyl_os',
+    'quarter_steps:add_od',
+  ]);
+  assert.deepEqual(checkClinicalRules({ sph_od: '-1.25', cyl_od: '-0.50', axis_od: '7', sph_os: '0' }), clean);
+});
+
+test('checkClinicalRules: the axis is checked only where there is cylinder', () => {
+  const withCyl = (/** @type {string} */ axis) =>
+    issues(checkClinicalRules({ sph_od: '-1.00', cyl_od: '-0.75', axis_od: axis, sph_os: '-1.00' })).errors;
+  assert.deepEqual(withCyl('0'), ['axis_range:axis_od']);
+  assert.deepEqual(withCyl('181'), ['axis_range:axis_od']);
+  assert.deepEqual(withCyl('90.5'), ['axis_range:axis_od']);
+  assert.deepEqual(withCyl('180'), []);
+  assert.deepEqual(withCyl('1'), []);
+  // No cylinder, or no axis yet: nothing to judge.
+  assert.deepEqual(withCyl(''), []);
+  assert.deepEqual(checkClinicalRules({ sph_od: '-1.00', cyl_od: '0.00', axis_od: '0', sph_os: '-1.00' }), clean);
+  assert.deepEqual(checkClinicalRules({ sph_od: '-1.00', axis_od: '200', sph_os: '-1.00' }), clean);
+});
+
+test('checkClinicalRules: blank settings keep the defaults, set ones override them', () => {
+  const values = { sph_od: '+1.00', sph_os: '-2.50', cyl_os: '-0.30' };
+  const blank = { anisometropia: { severity: '', max: null }, quarter_steps: { severity: null } };
+  assert.deepEqual(issues(checkClinicalRules(values, { rules: blank })), {
+    errors: ['quarter_steps:cyl_os'],
+    warnings: ['anisometropia:sph_os'],
+  });
+  const set = { anisometropia: { severity: 'error', max: 4 }, quarter_steps: { severity: 'warning' } };
+  assert.deepEqual(issues(checkClinicalRules(values, { rules: set })), {
+    errors: [],
+    warnings: ['quarter_steps:cyl_os'],
+  });
+  const off = { anisometropia: { severity: 'off' }, quarter_steps: { severity: 'off' } };
+  assert.deepEqual(checkClinicalRules(values, { rules: off }), clean);
+});
+
+test('checkClinicalRules: ADD rules wait for a vision type, non-RX checks nothing', () => {
+  const values = { sph_od: '-1.10', sph_os: '-1.00', add_od: '+2.00', add_os: '+3.00', pd: '90' };
+  // Attaching a prescription to an order: the vision type isn't known here.
+  assert.deepEqual(issues(checkClinicalRules(values)), {
+    errors: ['quarter_steps:sph_od'],
+    warnings: ['pd_range:pd'],
+  });
+  assert.deepEqual(issues(checkClinicalRules(values, { visionType: 'progressive' })), {
+    errors: ['quarter_steps:sph_od'],
+    warnings: ['add_mismatch:add_os', 'pd_range:pd'],
+  });
+  assert.deepEqual(checkClinicalRules(values, { visionType: 'non_rx' }), clean);
+});
+
+// --- Cart lines --------------------------------------------------------------
+
+test('prescriptionFromCartLine: a referenced prescription comes back without its powers', () => {
+  const rx = prescriptionFromCartLine({
+    properties: { rxOrder: 'true', 'Prescription RX UID': 'rx-1', 'Pupillary Distance': '63mm', _rx_tier: 'high' },
+  });
+  assert.deepEqual(rx, {
+    method: 'saved',
+    values: { pd: '63' },
+    uniqueId: null,
+    rxUID: 'rx-1',
+    referenceOnly: true,
+    expired: false,
+    tier: 'high',
+  });
+  const unreferenced = prescriptionFromCartLine({ properties: { rxOrder: 'true', 'Pupillary Distance': '63mm' } });
+  assert.equal(unreferenced.referenceOnly, false);
+});
+
+// --- Recolor cache keys ------------------------------------------------------
+
+test('recolorSlug: spelling, case and spacing of a colour share one slug', () => {
+  assert.equal(recolorSlug('Grey Polar'), 'grey-polar');
+  assert.equal(recolorSlug('grey-polar'), 'grey-polar');
+  assert.equal(recolorSlug('  GREY   polar '), 'grey-polar');
+  assert.equal(recolorSlug('Grey Polar Mirror Blue'), 'grey-polar-mirror-blue');
+});
+
+test('recolorSlug: every clear coating shares the clear render', () => {
+  assert.equal(recolorSlug('Clear + AR'), 'clear');
+  assert.equal(recolorSlug('Clear + Blue Light Blocking'), 'clear');
+  assert.equal(recolorSlug('clear'), 'clear');
+});
+
+test('stripImageSizeParams: size params never split the cache', () => {
+  const url = '//cdn.shopify.com/s/files/frame.jpg?v=12&width=800&height=600';
+  assert.equal(stripImageSizeParams(url), '//cdn.shopify.com/s/files/frame.jpg?v=12');
+  assert.equal(
+    stripImageSizeParams('//cdn.shopify.com/s/files/frame.jpg?width=400'),
+    '//cdn.shopify.com/s/files/frame.jpg'
+  );
+  assert.equal(stripImageSizeParams(''), '');
+});
+
+// --- Value pickers -----------------------------------------------------------
+
+const POWERS = ['+2.50', '+2.25', '+2.00', '+0.25', '0.00', '-0.25', '-2.00', '-2.25', '-2.50'];
+
+test('typeaheadIndex: a signed prefix reaches the first value it starts', () => {
+  assert.equal(typeaheadIndex(POWERS, '-2.2'), 7);
+  assert.equal(typeaheadIndex(POWERS, '+2'), 0);
+  assert.equal(typeaheadIndex(POWERS, '-3'), -1);
+  assert.equal(typeaheadIndex(POWERS, '  '), -1);
+});
+
+test('typeaheadIndex: unsigned input matches either side, preferring the current one', () => {
+  assert.equal(typeaheadIndex(POWERS, '2.2', { prefer: '-0.25' }), 7);
+  assert.equal(typeaheadIndex(POWERS, '2.2', { prefer: '+0.25' }), 1);
+  // No preference: the first match in picker order.
+  assert.equal(typeaheadIndex(POWERS, '2.2'), 1);
+  assert.equal(typeaheadIndex(['0.00', '-0.25'], '0.2', { prefer: '+1.00' }), 1);
+});
+
+test('typeaheadIndex: leading zeros are skipped', () => {
+  const axes = ['001', '045', '090', '180'];
+  assert.equal(typeaheadIndex(axes, '90'), 2);
+  assert.equal(typeaheadIndex(axes, '1'), 0);
+  assert.equal(typeaheadIndex(axes, '18'), 3);
+});
+
+test('splitIntoColumns: the anchor heads the panel and the sides walk away from it', () => {
+  assert.deepEqual(splitIntoColumns(['+0.50', '+0.25', '0.00', '-0.25', '-0.50'], { anchor: 0 }), {
+    head: ['0.00'],
+    left: ['+0.25', '+0.50'],
+    right: ['-0.25', '-0.50'],
+  });
+  assert.deepEqual(splitIntoColumns(['60', '60.5', '61', '61.5'], { split: 'halves' }), {
+    head: [],
+    left: ['60', '61'],
+    right: ['60.5', '61.5'],
+  });
+});
+
+// --- Frame finder quiz -------------------------------------------------------
+
+test('parseQuizWeights: tags and metafields, weighted 1 unless given', () => {
+  assert.deepEqual(parseQuizWeights('round:3, custom.frame_shape=Round:2.5\nacetate'), [
+    { key: null, value: 'round', weight: 3 },
+    { key: 'custom.frame_shape', value: 'Round', weight: 2.5 },
+    { key: null, value: 'acetate', weight: 1 },
+  ]);
+});
+
+test('parseQuizWeights: malformed entries are skipped, not scored', () => {
+  assert.deepEqual(parseQuizWeights(''), []);
+  assert.deepEqual(parseQuizWeights(null), []);
+  assert.deepEqual(parseQuizWeights(' , ,\n\n :2, =Round:2, custom.frame_shape=, custom.frame_shape = :3'), []);
+  // A colon that isn't followed by a number belongs to the tag.
+  assert.deepEqual(parseQuizWeights('shape:round, wide: 0'), [
+    { key: null, value: 'shape:round', weight: 1 },
+    { key: null, value: 'wide', weight: 0 },
+  ]);
+});
+
+test('scoreQuizMatch: the share of the answers weight a product carries', () => {
+  const weights = parseQuizWeights('round:3, custom.frame_material=Acetate:1');
+  assert.equal(scoreQuizMatch({ tags: ['Round'], facts: { 'custom.frame_material': 'Metal, acetate' } }, weights), 100);
+  assert.equal(scoreQuizMatch({ tags: ['round'] }, weights), 75);
+  assert.equal(scoreQuizMatch({ tags: ['square'] }, weights), 0);
+});
+
+test('scoreQuizMatch: answers that weigh nothing leave products unscored', () => {
+  assert.equal(scoreQuizMatch({ tags: ['round'] }, []), null);
+  assert.equal(scoreQuizMatch({ tags: ['round'] }, parseQuizWeights('round:0')), null);
+  assert.equal(scoreQuizMatch({ tags: ['round'] }, [{ key: null, value: 'round', weight: NaN }]), null);
+  assert.equal(scoreQuizMatch(undefined, [{ key: null, value: 'round', weight: -2 }]), null);
+});
+
+test('quizFilterParams: filter parameters merge, anything else is dropped', () => {
+  const params = quizFilterParams([
+    '?filter.p.m.custom.frame_shape=Round',
+    'filter.p.m.custom.frame_shape=Square&sort_by=price',
+    'filter.p.m.custom.frame_shape=Round',
+    '',
+    'not a query',
+  ]);
+  assert.equal(params.toString(), 'filter.p.m.custom.frame_shape=Round&filter.p.m.custom.frame_shape=Square');
+  assert.equal(quizFilterParams().toString(), '');
+});
+
+// --- Order timeline ----------------------------------------------------------
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5);
+
+/** @param {ReturnType<typeof buildOrderTimeline>} timeline */
+const byKey = (timeline) => Object.fromEntries(timeline.map((stage) => [stage.key, stage]));
+
+test('buildOrderTimeline: reached stages are done, estimates chain from the last one', () => {
+  const timeline = byKey(
+    buildOrderTimeline({
+      status: 'rx_received',
+      placedAt: T0,
+      history: [
+        { status: 'rx_received', at: T0 + 2 * DAY },
+        { status: 'rx_received', at: T0 + DAY },
+      ],
+      now: T0 + 1.5 * DAY,
+    })
+  );
+  assert.deepEqual(
+    [timeline.placed.state, timeline.placed.at, timeline.rx_received.state, timeline.rx_received.at],
+    ['done', T0, 'done', T0 + DAY]
+  );
+  assert.equal(timeline.sent_to_lab.state, 'current');
+  assert.equal(timeline.sent_to_lab.expected, T0 + 2 * DAY);
+  assert.equal(timeline.in_production.state, 'upcoming');
+  assert.equal(timeline.in_production.expected, T0 + 3 * DAY);
+  assert.equal(timeline.shipped.expected, T0 + 8 * DAY);
+  assert.equal(timeline.delivered.expected, T0 + 12 * DAY);
+});
+
+test('buildOrderTimeline: a late stage is expected from today, never in the past', () => {
+  const now = T0 + 10 * DAY;
+  const timeline = byKey(
+    buildOrderTimeline({ status: 'sent', history: [{ status: 'sent', at: T0 + DAY }], placedAt: T0, now })
+  );
+  assert.equal(timeline.in_production.expected, now);
+  assert.equal(timeline.shipped.expected, now + 5 * DAY);
+  assert.equal(timeline.delivered.expected, now + 9 * DAY);
+});
+
+test('buildOrderTimeline: the prescription wait has no estimate and unknown statuses count as placed', () => {
+  const now = T0 + 3 * DAY;
+  const timeline = byKey(buildOrderTimeline({ status: 'mystery', placedAt: T0, now }));
+  assert.equal(timeline.placed.state, 'done');
+  assert.equal(timeline.rx_received.state, 'current');
+  assert.equal(timeline.rx_received.expected, null);
+  assert.equal(timeline.sent_to_lab.expected, now + DAY);
+});
+
+test('buildOrderTimeline: stage days can be overridden', () => {
+  const timeline = byKey(buildOrderTimeline({ status: 'shipped', placedAt: T0, now: T0, stageDays: { delivered: 2 } }));
+  assert.equal(timeline.shipped.at, null);
+  assert.equal(timeline.delivered.expected, T0 + 2 * DAY);
+});
+
+test('isLabStatus: only the statuses with a stage qualify', () => {
+  assert.equal(isLabStatus('rx_received'), true);
+  assert.equal(isLabStatus('manufacturing'), true);
+  for (const status of ['cancelled', 'on_hold', 'qa', 'toString', '', null, undefined]) {
+    assert.equal(isLabStatus(status), false, String(status));
+  }
+  // labStageIndex alone would read these as just placed.
+  assert.equal(labStageIndex('on_hold'), labStageIndex('rx_needed'));
+});
+
+test('trackingUrl: a backend URL wins, then the named carrier', () => {
+  assert.equal(trackingUrl('123', { url: 'https://track.example/123' }), 'https://track.example/123');
+  assert.equal(trackingUrl('abc 123', { carrier: 'UPS Ground' }), 'https://www.ups.com/track?tracknum=ABC123');
+  assert.equal(trackingUrl('1234567890', { carrier: 'FedEx' }), 'https://www.fedex.com/fedextrack/?trknbr=1234567890');
+});
+
+test('trackingUrl: the carrier is guessed from the number format', () => {
+  assert.equal(trackingUrl('1Z 999 AA1 01 2345 6784'), 'https://www.ups.com/track?tracknum=1Z999AA10123456784');
+  assert.equal(
+    trackingUrl('9400111899223456789012'),
+    'https://tools.usps.com/go/TrackConfirmAction?tLabels=9400111899223456789012'
+  );
+  assert.equal(trackingUrl('123456789012'), 'https://www.fedex.com/fedextrack/?trknbr=123456789012');
+  assert.equal(
+    trackingUrl('1234567890'),
+    'https://www.dhl.com/us-en/home/tracking/tracking-express.html?tracking-id=1234567890'
+  );
+});
+
+test('trackingUrl: null without a number or a recognisable carrier', () => {
+  assert.equal(trackingUrl(''), null);
+  assert.equal(trackingUrl('   '), null);
+  assert.equal(trackingUrl('ABC-123'), null);
+});
+
+// --- Frame size --------------------------------------------------------------
+
+test('parseFrameSize: reads the temple arm print whatever the separators', () => {
+  const full = { lensWidth: 52, bridge: 18, temple: 140 };
+  assert.deepEqual(parseFrameSize('52-18-140'), full);
+  assert.deepEqual(parseFrameSize('52□18 140'), full);
+  assert.deepEqual(parseFrameSize(' 52 18 140 '), full);
+  assert.deepEqual(parseFrameSize('52.5-17-145'), { lensWidth: 52.5, bridge: 17, temple: 145 });
+});
+
+test('parseFrameSize: missing or unreadable parts are null', () => {
+  assert.deepEqual(parseFrameSize('52--140'), { lensWidth: 52, bridge: null, temple: 140 });
+  assert.deepEqual(parseFrameSize('52-18'), { lensWidth: 52, bridge: 18, temple: null });
+  assert.deepEqual(parseFrameSize(''), { lensWidth: null, bridge: null, temple: null });
+  assert.deepEqual(parseFrameSize(null), { lensWidth: null, bridge: null, temple: null });
+  assert.deepEqual(parseFrameSize('0-18-140'), { lensWidth: null, bridge: 18, temple: 140 });
+});
+
+test('scoreFrameFit: the same size as the glasses that fit is a perfect fit', () => {
+  const size = { lensWidth: 52, bridge: 18, temple: 140 };
+  assert.deepEqual(scoreFrameFit(size, { ...size, pd: 70 }), {
+    score: 100,
+    label: 'good',
+    criteria: { width: 1, bridge: 1, pd: 1, temple: 1 },
+  });
+});
+
+test('scoreFrameFit: only criteria present on both sides are weighed', () => {
+  assert.equal(scoreFrameFit({ frameWidth: 140 }, { pd: 62 }), null);
+  assert.equal(scoreFrameFit({}, {}), null);
+  // Width counts alone: 6.5 mm off is half way between full marks (3) and none (10).
+  assert.deepEqual(scoreFrameFit({ frameWidth: 146.5, bridge: 20 }, { faceWidth: 140 }), {
+    score: 50,
+    label: 'ok',
+    criteria: { width: 0.5 },
+  });
+});
+
+test('scoreFrameFit: the PD counts half the spacing difference per lens', () => {
+  // Optical centres 70 mm apart against a 62 mm PD: each lens 4 mm off.
+  const fit = scoreFrameFit({ lensWidth: 52, bridge: 18 }, { pd: 62 });
+  assert.equal(fit?.criteria.pd, 0.8);
+  assert.equal(fit?.score, 80);
+});
+
+test('scoreFrameFit: a closer frame ranks higher and a far one is poor', () => {
+  const reference = { lensWidth: 50, bridge: 19, temple: 145, pd: 64 };
+  const scores = [
+    { lensWidth: 50, bridge: 19, temple: 145 },
+    { lensWidth: 53, bridge: 17, temple: 138 },
+    { lensWidth: 58, bridge: 22, temple: 125 },
+  ].map((frame) => scoreFrameFit(frame, reference));
+  assert.deepEqual(
+    scores.map((fit) => fit?.label),
+    ['good', 'good', 'poor']
+  );
+  assert.ok(scores[0].score > scores[1].score && scores[1].score > scores[2].score);
+});
+
+// --- Pricing rules -----------------------------------------------------------
+
+const pricedState = (overrides = {}) => ({
+  frame: { title: 'Otis frame', price: 10000 },
+  lensProduct: { title: 'Clear', price: 6000 },
+  addons: [{ key: 'thin', title: 'Thinning', price: 2000 }],
+  lensCategory: 'clear',
+  visionType: 'single_vision',
+  prescription: { method: 'manual', values: { sph_od: '-1.00', sph_os: '-1.25' } },
+  ...overrides,
+});
+
+/**
+ * @param {string} id
+ * @param {object} discount
+ * @param {object} [extra]
+ */
+const rule = (id, discount, extra = {}) => ({ id, label: id, discount, ...extra });
+
+test('evaluatePricing: per target the best rule wins', () => {
+  const pricing = evaluatePricing(pricedState(), [
+    rule('lens-20', { target: 'lens', type: 'fixed', value: 2000 }),
+    rule('lens-half', { target: 'lens', type: 'percent', value: 50 }),
+    rule('lens-45', { target: 'lens', type: 'price', value: 4500 }),
+  ]);
+  assert.deepEqual(pricing.savings, [{ ruleId: 'lens-half', label: 'lens-half', target: 'lens', amount: 3000 }]);
+  assert.equal(pricing.subtotal, 18000);
+  assert.equal(pricing.totalSavings, 3000);
+  assert.equal(pricing.total, 15000);
+  assert.deepEqual(
+    pricing.items.map((item) => item.key),
+    ['frame', 'lens', 'addon:thin']
+  );
+});
+
+test('evaluatePricing: stacking rules apply on top of the winner, never below zero', () => {
+  const pricing = evaluatePricing(pricedState(), [
+    rule('lens-half', { target: 'lens', type: 'percent', value: 50 }),
+    rule('lens-extra', { target: 'lens', type: 'fixed', value: 1000 }, { stack: true }),
+    rule('lens-all', { target: 'lens', type: 'fixed', value: 99999 }, { stack: true }),
+  ]);
+  assert.deepEqual(
+    pricing.savings.map((entry) => [entry.ruleId, entry.amount]),
+    [
+      ['lens-half', 3000],
+      ['lens-extra', 1000],
+      ['lens-all', 2000],
+    ]
+  );
+  assert.equal(pricing.total, 12000);
+});
+
+test('evaluatePricing: rules count only inside their date window', () => {
+  const now = Date.parse('2026-03-15T12:00:00Z');
+  const window = (startsAt, endsAt) =>
+    rule(`${startsAt}-${endsAt}`, { target: 'frame', type: 'fixed', value: 500 }, { startsAt, endsAt });
+  const applied = (rules) => evaluatePricing(pricedState(), rules, { now }).savings.map((entry) => entry.ruleId);
+
+  assert.deepEqual(applied([window('2026-03-01', '2026-04-01')]), ['2026-03-01-2026-04-01']);
+  assert.deepEqual(applied([window('2026-03-16', undefined)]), []);
+  assert.deepEqual(applied([window(undefined, '2026-03-15T12:00:00Z')]), []);
+  assert.deepEqual(applied([window('not a date', undefined)]), ['not a date-undefined']);
+});
+
+test('evaluatePricing: second-pair rules wait for a pair in the cart', () => {
+  const rules = [
+    rule('second-pair', { target: 'bundle', type: 'percent', value: 10 }, { when: { minPairsInCart: 1 } }),
+  ];
+  assert.deepEqual(evaluatePricing(pricedState(), rules).savings, []);
+  assert.equal(evaluatePricing(pricedState(), rules, { pairsInCart: 1 }).totalSavings, 1800);
+});
+
+test('evaluatePricing: conditions must all hold', () => {
+  const rules = [
+    rule(
+      'acetate-high',
+      { target: 'lens', type: 'fixed', value: 1000 },
+      { when: { frameTags: ['acetate'], tiers: ['high'], visionTypes: ['single_vision', 'progressive'] } }
+    ),
+  ];
+  assert.deepEqual(evaluatePricing(pricedState(), rules, { frameTags: ['acetate'] }).savings, []);
+  const high = pricedState({ prescription: { method: 'manual', values: { sph_od: '-4.00' } } });
+  assert.equal(evaluatePricing(high, rules, { frameTags: ['metal'] }).totalSavings, 0);
+  assert.equal(evaluatePricing(high, rules, { frameTags: ['metal', 'acetate'] }).totalSavings, 1000);
+});
+
+test('evaluatePricing: a bundle rule only discounts what the part rules left', () => {
+  const pricing = evaluatePricing(pricedState(), [
+    rule('bundle-10', { target: 'bundle', type: 'percent', value: 10 }),
+    rule('free-thinning', { target: 'addons', type: 'price', value: 0 }),
+    rule('lens-20', { target: 'lens', type: 'fixed', value: 2000 }),
+  ]);
+  assert.deepEqual(
+    pricing.savings.map((entry) => [entry.ruleId, entry.amount]),
+    [
+      ['lens-20', 2000],
+      ['free-thinning', 2000],
+      ['bundle-10', 1400],
+    ]
+  );
+  assert.equal(pricing.total, 12600);
+});
+
+test('evaluatePricing: nothing is discounted before a lens is chosen, and malformed rules are ignored', () => {
+  const lensless = pricedState({ lensProduct: null });
+  assert.deepEqual(
+    evaluatePricing(lensless, [rule('frame-5', { target: 'frame', type: 'fixed', value: 500 })]).savings,
+    []
+  );
+  const pricing = evaluatePricing(pricedState(), [
+    null,
+    { label: 'no id', discount: { target: 'frame', type: 'fixed', value: 500 } },
+    rule('no-target', { target: 'shipping', type: 'fixed', value: 500 }),
+  ]);
+  assert.equal(pricing.totalSavings, 0);
+});
+
+test('countRxPairs: counts RX lens lines by quantity, leaving out the one being edited', () => {
+  const cart = {
+    items: [
+      { key: 'lens-1', quantity: 2, properties: { rxOrder: 'true' } },
+      { key: 'frame-1', quantity: 2, properties: { _bundleHash: 'b1' } },
+      { key: 'lens-2', quantity: 1, properties: { rxOrder: 'true' } },
+      { key: 'plain', quantity: 3 },
+    ],
+  };
+  assert.equal(countRxPairs(cart), 3);
+  assert.equal(countRxPairs(cart, 'lens-2'), 2);
+  assert.equal(countRxPairs({}), 0);
+});
+
+// --- Fits my prescription ----------------------------------------------------
+
+const fitRules = {
+  lenses: [
+    { sku: 'S46CRCL', available: true },
+    { sku: 'S46CRP1' },
+    { sku: 'S46CRTN1', available: false },
+    { sku: 'S6PCTN1' },
+    { sku: 'EH6PCCL' },
+  ],
+  baseCurves: parseBaseCurveLimits('basecurve_8: -4 to +4, cyl 2\nbasecurve_6: -8 to +6\nDEFAULT: -2 to +2'),
+  tierSphThreshold: 4,
+};
+
+test('frameFitsPrescription: both meridians must sit in the base curve range', () => {
+  assert.deepEqual(frameFitsPrescription(['basecurve_8'], { sph_od: '-3.00', cyl_od: '-0.50' }, fitRules), {
+    fits: true,
+    reason: null,
+    tier: 'standard',
+    baseCurve: 'basecurve_8',
+    lensTypes: ['clear', 'sunglasses'],
+  });
+  // -3.00 -1.50 reaches -4.50 on the cylinder meridian.
+  assert.equal(frameFitsPrescription(['basecurve_8'], { sph_od: '-3.00', cyl_od: '-1.50' }, fitRules).reason, 'power');
+  assert.equal(frameFitsPrescription(['basecurve_8'], { sph_os: '+1.00', cyl_os: '-2.50' }, fitRules).reason, 'power');
+  assert.equal(frameFitsPrescription(['basecurve_8'], {}, fitRules).fits, true);
+});
+
+test('frameFitsPrescription: the last base curve tag wins, untagged frames take DEFAULT', () => {
+  const values = { sph_od: '-3.00' };
+  assert.equal(frameFitsPrescription(['basecurve_8', 'basecurve_6'], values, fitRules).baseCurve, 'basecurve_6');
+  const untagged = frameFitsPrescription(['acetate'], values, fitRules);
+  assert.equal(untagged.baseCurve, 'DEFAULT');
+  assert.equal(untagged.reason, 'power');
+  const unlisted = frameFitsPrescription(['acetate'], values, { ...fitRules, baseCurves: {} });
+  assert.equal(unlisted.fits, true);
+});
+
+test('frameFitsPrescription: high powers need a high tier lens in the frame family', () => {
+  const values = { sph_od: '-5.00', sph_os: '-4.50' };
+  assert.deepEqual(frameFitsPrescription(['basecurve_6'], values, fitRules), {
+    fits: false,
+    reason: 'tier',
+    tier: 'high',
+    baseCurve: 'basecurve_6',
+    lensTypes: [],
+  });
+  assert.deepEqual(frameFitsPrescription(['basecurve_6', 'base_6'], values, fitRules).lensTypes, ['clear']);
+  // Standard powers in the 6PC family take its standard and high lenses alike.
+  assert.deepEqual(frameFitsPrescription(['base_6'], { sph_od: '-1.00' }, fitRules).lensTypes, [
+    'photochromic',
+    'clear',
+  ]);
+  const unchecked = frameFitsPrescription(['basecurve_6'], values, { ...fitRules, lenses: [] });
+  assert.equal(unchecked.fits, true);
+  assert.equal(unchecked.lensTypes, null);
+});
+
+test('fitFilterTags: lists the base curves that can take the powers in either family', () => {
+  assert.deepEqual(fitFilterTags({ sph_od: '-3.00' }, fitRules), ['basecurve_8', 'basecurve_6']);
+  assert.deepEqual(fitFilterTags({ sph_od: '-5.00' }, fitRules), ['basecurve_6']);
+  assert.deepEqual(fitFilterTags({ sph_od: '-10.00' }, fitRules), []);
+  assert.deepEqual(fitFilterTags({ sph_od: '-5.00' }, { ...fitRules, altFrameTags: [' ', 'wide'] }), ['basecurve_6']);
+});
+
+test('fitFilterTags: null when untagged frames could fit or no base curves are set', () => {
+  assert.equal(fitFilterTags({ sph_od: '-1.00' }, fitRules), null);
+  const { DEFAULT, ...tagged } = fitRules.baseCurves;
+  assert.ok(DEFAULT);
+  assert.equal(fitFilterTags({ sph_od: '-3.00' }, { ...fitRules, baseCurves: tagged }), null);
+  assert.equal(fitFilterTags({ sph_od: '-3.00' }, { ...fitRules, baseCurves: {} }), null);
+});
+
+// --- OCR review --------------------------------------------------------------
+
+test('readOcrConfidence: maps per-key scores onto form fields, on either scale', () => {
+  const analysis = {
+    consensus: { fieldConfidence: { sphRight: 95, cylRight: 0.6, pupillaryDistance: '70', axis_od: 0.5 } },
+  };
+  assert.deepEqual(readOcrConfidence(analysis), { sph_od: 0.95, cyl_od: 0.6, axis_od: 0.5, pd: 0.7 });
+  assert.deepEqual(readOcrConfidence({ confidence: { sphLeft: 150, addLeft: -0.2, date: 'high' } }), {
+    sph_os: 1,
+    add_os: 0,
+  });
+});
+
+test('readOcrConfidence: per-field scores beat an overall one, which covers the rest', () => {
+  const analysis = {
+    confidence: 90,
+    consensus: { prescriptionData: { sphRight: { value: '-1.00', confidence: 0.5 }, sphLeft: '-1.25' } },
+  };
+  const result = readOcrConfidence(analysis);
+  assert.equal(result.sph_od, 0.5);
+  assert.equal(result.sph_os, 0.9);
+  assert.equal(result.date, 0.9);
+  assert.equal(Object.keys(result).length, 12);
+});
+
+test('readOcrConfidence: nothing when the analysis carries no scores', () => {
+  assert.deepEqual(readOcrConfidence(undefined), {});
+  assert.deepEqual(readOcrConfidence({ consensus: { prescriptionData: { sphRight: '-1.00' } } }), {});
+});
+
+const ocrValues = { sph_od: '-1.00', sph_os: '-1.25', pd: '63', date: '2026-01-05' };
+
+test('reviewOcrFields: a complete, confident single vision scan needs no review', () => {
+  assert.deepEqual(reviewOcrFields(ocrValues, { sph_od: 0.9, sph_os: 0.8, pd: 1, date: 0.95 }), {});
+});
+
+test('reviewOcrFields: needed values the scan missed are flagged missing', () => {
+  const { sph_os, date, ...partial } = ocrValues;
+  assert.ok(sph_os && date);
+  assert.deepEqual(reviewOcrFields(partial), { sph_os: 'missing', date: 'missing' });
+});
+
+test('reviewOcrFields: an axis only with a cylinder, ADD only for progressives', () => {
+  const values = { ...ocrValues, cyl_od: '-0.50', cyl_os: '0.00' };
+  assert.deepEqual(reviewOcrFields(values), { axis_od: 'missing' });
+  assert.deepEqual(reviewOcrFields({ ...values, axis_od: '90', add_os: '+2.00' }, {}, { visionType: 'progressive' }), {
+    add_od: 'missing',
+  });
+});
+
+test('reviewOcrFields: dual PD replaces the single one, and needs both eyes', () => {
+  const { pd, ...noPd } = ocrValues;
+  assert.ok(pd);
+  assert.deepEqual(reviewOcrFields(noPd), { pd: 'missing' });
+  assert.deepEqual(reviewOcrFields({ ...noPd, pd_right: '31.5' }), { pd_left: 'missing' });
+  assert.deepEqual(reviewOcrFields({ ...noPd, pd_right: '31.5', pd_left: '32' }), {});
+});
+
+test('reviewOcrFields: values read below the threshold are flagged low, missing wins', () => {
+  const confidence = { sph_od: 0.79, sph_os: 0.8, pd: 0.2, date: 0.1, add_od: 0.1 };
+  const { date, ...noDate } = ocrValues;
+  assert.ok(date);
+  // A blank ADD on single vision isn't needed, however unsure the scan was.
+  assert.deepEqual(reviewOcrFields(noDate, confidence), { sph_od: 'low', pd: 'low', date: 'missing' });
+  assert.deepEqual(reviewOcrFields(ocrValues, confidence, { threshold: 0.15 }), { date: 'low' });
+});
+
+// --- Session snapshots -------------------------------------------------------
+
+const SAVED_AT = Date.UTC(2026, 2, 2);
+
+/** @param {Partial<import('../../assets/rx-core.js').RxPrescription>} [prescription] */
+function configuredState(prescription = {}) {
+  const state = new RxState();
+  state.frame = { productId: 7, variantId: 71, sku: 'OTIS', price: 10000, title: 'Otis', frameTag: 'frame_otis' };
+  state.lensCategory = 'clear';
+  state.visionType = 'single_vision';
+  state.lensProduct = { id: 2, variantId: 22, sku: 'S46CRCL', price: 6000, title: 'Clear', color: 'Clear' };
+  state.addons = [{ key: 'thin', variantId: 33, sku: 'THIN', price: 2000, title: 'Thinning', group: null }];
+  state.prescription = {
+    method: 'manual',
+    values: { sph_od: '-1.00', pd: '63' },
+    uniqueId: null,
+    rxUID: null,
+    expired: false,
+    ...prescription,
+  };
+  return state;
+}
+
+/** A Storage stand-in over a Map. */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (/** @type {string} */ key) => items.get(key) ?? null,
+    setItem: (/** @type {string} */ key, /** @type {string} */ value) => void items.set(key, value),
+  };
+}
+
+test('RxState.snapshot: prescription values stay out unless the customer opted in', () => {
+  const snapshot = configuredState().snapshot({ now: SAVED_AT });
+  assert.equal(snapshot.version, RX_SNAPSHOT_VERSION);
+  assert.equal(snapshot.savedAt, SAVED_AT);
+  assert.equal(snapshot.frameProductId, 7);
+  assert.equal(snapshot.frameTag, 'frame_otis');
+  assert.equal(snapshot.prescription, null);
+  assert.equal(configuredState({ remember: false }).snapshot().prescription, null);
+
+  const later = configuredState({ method: 'later', values: null }).snapshot();
+  assert.equal(later.prescription?.method, 'later');
+});
+
+test('RxState.snapshot: a remembered prescription is copied, not shared', () => {
+  const state = configuredState({ remember: true });
+  const snapshot = state.snapshot();
+  assert.deepEqual(snapshot.prescription?.values, { sph_od: '-1.00', pd: '63' });
+  if (state.prescription.values) state.prescription.values.sph_od = '-2.00';
+  state.addons[0].price = 0;
+  assert.equal(snapshot.prescription?.values?.sph_od, '-1.00');
+  assert.equal(snapshot.addons?.[0]?.price, 2000);
+});
+
+test('RxState.restore: puts the choices back and announces them', () => {
+  const snapshot = configuredState({ remember: true }).snapshot({ now: SAVED_AT });
+  const state = new RxState();
+  /** @type {string[]} */
+  const events = [];
+  state.addEventListener('rx:change', (event) => events.push(/** @type {CustomEvent} */ (event).detail.key));
+  state.addEventListener('rx:restore', () => events.push('restore'));
+
+  assert.equal(state.restore(snapshot, { now: SAVED_AT + 1000 }), true);
+  assert.equal(state.lensCategory, 'clear');
+  assert.equal(state.lensProduct?.sku, 'S46CRCL');
+  assert.equal(state.addons.length, 1);
+  assert.equal(state.prescription.values?.pd, '63');
+  assert.deepEqual(events, ['lensCategory', 'visionType', 'lensProduct', 'addons', 'prescription', 'restore']);
+});
+
+test('RxState.restore: without a stored prescription the current one is kept', () => {
+  const snapshot = configuredState().snapshot({ now: SAVED_AT });
+  const state = configuredState({ values: { sph_od: '+0.50' } });
+  assert.equal(state.restore(snapshot, { now: SAVED_AT }), true);
+  assert.equal(state.prescription.values?.sph_od, '+0.50');
+});
+
+test('RxState.restore: another schema version is dropped, not half-restored', () => {
+  const snapshot = configuredState().snapshot({ now: SAVED_AT });
+  const state = new RxState();
+  let changes = 0;
+  state.addEventListener('rx:change', () => changes++);
+  assert.equal(state.restore({ ...snapshot, version: RX_SNAPSHOT_VERSION + 1 }, { now: SAVED_AT }), false);
+  assert.equal(state.restore({ ...snapshot, lensCategory: null }, { now: SAVED_AT }), false);
+  assert.equal(state.restore(null), false);
+  assert.equal(changes, 0);
+  assert.equal(state.lensCategory, null);
+});
+
+test('RxState.restore: snapshots expire 14 days after they were taken', () => {
+  const snapshot = configuredState().snapshot({ now: SAVED_AT });
+  assert.equal(RX_SNAPSHOT_MAX_AGE, 14 * DAY);
+  assert.equal(new RxState().restore(snapshot, { now: SAVED_AT + 14 * DAY }), true);
+  assert.equal(new RxState().restore(snapshot, { now: SAVED_AT + 14 * DAY + 1 }), false);
+  assert.equal(new RxState().restore(snapshot, { now: SAVED_AT + 2 * DAY, maxAge: DAY }), false);
+});
+
+test("readRxSnapshot: the frame's own snapshot, else the last one from a colourway", () => {
+  const storage = memoryStorage();
+  const otis = configuredState().snapshot({ now: SAVED_AT });
+  writeRxSnapshot(storage, otis);
+  assert.deepEqual([...storage.items.keys()], [rxSnapshotKey(7), rxSnapshotKey('last')]);
+
+  const opts = { now: SAVED_AT + DAY };
+  assert.deepEqual(readRxSnapshot(storage, { productId: 7 }, opts), otis);
+  // Another colourway of the same frame picks up where the shopper left off…
+  assert.deepEqual(readRxSnapshot(storage, { productId: 8, frameTag: 'frame_otis' }, opts), otis);
+  // …another frame doesn't.
+  assert.equal(readRxSnapshot(storage, { productId: 9, frameTag: 'frame_ada' }, opts), null);
+  assert.equal(readRxSnapshot(storage, { productId: 9 }, opts), null);
+  assert.equal(readRxSnapshot(storage, { productId: 7 }, { now: SAVED_AT + 15 * DAY }), null);
+});
+
+test('readRxSnapshot: unreadable, stale-schema or missing storage reads as nothing', () => {
+  const storage = memoryStorage();
+  storage.setItem(rxSnapshotKey(7), '{not json');
+  assert.equal(readRxSnapshot(storage, { productId: 7 }), null);
+  storage.setItem(rxSnapshotKey(7), JSON.stringify({ ...configuredState().snapshot(), version: 0 }));
+  assert.equal(readRxSnapshot(storage, { productId: 7 }), null);
+  assert.equal(readRxSnapshot(null, { productId: 7 }), null);
+  assert.equal(readRxSnapshot(storage, { productId: null }), null);
+});
+
+test('writeRxSnapshot: a full or disabled storage is ignored', () => {
+  const snapshot = configuredState().snapshot();
+  const full = {
+    setItem() {
+      throw new Error('QuotaExceededError');
+    },
+  };
+  assert.doesNotThrow(() => writeRxSnapshot(full, snapshot));
+  const storage = memoryStorage();
+  writeRxSnapshot(storage, { ...snapshot, frameProductId: null });
+  assert.equal(storage.items.size, 0);
+});
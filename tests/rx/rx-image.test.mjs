@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readExifOrientation, countPdfPages, clampCrop, resizeCrop, contrastLevels } from '../../assets/rx-image.js';
+
+// --- Fixtures ----------------------------------------------------------------
+
+/** @param {number[]} bytes */
+const buffer = (bytes) => new Uint8Array(bytes).buffer;
+
+/** @param {string} text */
+const pdf = (text) => new TextEncoder().encode(text).buffer;
+
+const SOI = [0xff, 0xd8];
+// Start of scan and a byte of image data.
+const SOS = [0xff, 0xda, 0x00, 0x02, 0x00];
+// A JFIF APP0 segment, so the parser has to step over one to reach APP1.
+const APP0 = [0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0];
+
+/**
+ * An APP1 Exif segment whose IFD0 holds one entry, the orientation tag.
+ * @param {number} orientation
+ * @param {boolean} [little] - Intel byte order instead of Motorola
+ */
+function exifSegment(orientation, little = false) {
+  const tiff = new DataView(new ArrayBuffer(26));
+  tiff.setUint16(0, little ? 0x4949 : 0x4d4d);
+  tiff.setUint16(2, 42, little);
+  tiff.setUint32(4, 8, little);
+  tiff.setUint16(8, 1, little);
+  tiff.setUint16(10, 0x0112, little);
+  tiff.setUint16(12, 3, little);
+  tiff.setUint32(14, 1, little);
+  tiff.setUint16(18, orientation, little);
+  const payload = [0x45, 0x78, 0x69, 0x66, 0, 0, ...new Uint8Array(tiff.buffer)];
+  const size = payload.length + 2;
+  return [0xff, 0xe1, size >> 8, size & 0xff, ...payload];
+}
+
+// --- EXIF orientation --------------------------------------------------------
+
+test('readExifOrientation: reads the orientation tag from APP1 in either byte order', () => {
+  assert.equal(readExifOrientation(buffer([...SOI, ...APP0, ...exifSegment(6), ...SOS])), 6);
+  assert.equal(readExifOrientation(buffer([...SOI, ...exifSegment(8, true), ...SOS])), 8);
+});
+
+test('readExifOrientation: 1 when there is no usable tag', () => {
+  assert.equal(readExifOrientation(buffer([...SOI, ...APP0, ...SOS])), 1);
+  assert.equal(readExifOrientation(buffer([...SOI, ...exifSegment(9), ...SOS])), 1);
+  // Not a JPEG: the PNG signature.
+  assert.equal(readExifOrientation(buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), 1);
+  // Cut off inside the IFD entry.
+  assert.equal(readExifOrientation(buffer([...SOI, ...exifSegment(6).slice(0, 24)])), 1);
+  // Metadata after the start of scan is image data, not a segment.
+  assert.equal(readExifOrientation(buffer([...SOI, ...SOS, ...exifSegment(6)])), 1);
+  assert.equal(readExifOrientation(buffer([])), 1);
+});
+
+// --- PDF page count ----------------------------------------------------------
+
+test('countPdfPages: reads /Count off the root /Pages node', () => {
+  const pages = [3, 4, 5].map((n) => `${n} 0 obj << /Type /Page /Parent 2 0 R >> endobj`).join('\n');
+  assert.equal(
+    countPdfPages(
+      pdf(`%PDF-1.4
+1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj
+2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 >> endobj
+${pages}
+%%EOF`)
+    ),
+    3
+  );
+  // Keys in any order; a nested /Pages node counts only its own branch.
+  assert.equal(
+    countPdfPages(
+      pdf(`%PDF-1.7
+2 0 obj << /Count 5 /Kids [6 0 R 3 0 R] /Type /Pages >> endobj
+6 0 obj << /Type /Pages /Parent 2 0 R /Kids [7 0 R 8 0 R] /Count 2 >> endobj
+%%EOF`)
+    ),
+    5
+  );
+});
+
+test('countPdfPages: counts /Page objects when no /Pages node carries a count', () => {
+  assert.equal(
+    countPdfPages(
+      pdf(`%PDF-1.4
+3 0 obj << /Type /Page /MediaBox [0 0 595 842] >> endobj
+4 0 obj << /Type /Page /MediaBox [0 0 595 842] >> endobj
+%%EOF`)
+    ),
+    2
+  );
+});
+
+test('countPdfPages: null when the page tree is in an object stream or nothing matches', () => {
+  assert.equal(
+    countPdfPages(
+      pdf(`%PDF-1.5
+5 0 obj << /Type /ObjStm /N 4 /First 24 /Length 120 /Filter /FlateDecode >> stream
+xœ compressed page tree
+endstream endobj
+9 0 obj << /Type /XRef /Size 10 /W [1 2 1] >> endobj
+%%EOF`)
+    ),
+    null
+  );
+  assert.equal(countPdfPages(pdf('not a pdf')), null);
+  assert.equal(countPdfPages(new ArrayBuffer(0)), null);
+});
+
+// --- Crop geometry -----------------------------------------------------------
+
+test('clampCrop: keeps the box inside the image and at least `min` a side', () => {
+  assert.deepEqual(clampCrop({ x: -0.5, y: 0.75, w: 0.5, h: 0.5 }), { x: 0, y: 0.5, w: 0.5, h: 0.5 });
+  assert.deepEqual(clampCrop({ x: 0.5, y: 0, w: 2, h: 0 }, 0.25), { x: 0, y: 0, w: 1, h: 0.25 });
+});
+
+test('resizeCrop: moving shifts the whole box and stops at the edges', () => {
+  const crop = { x: 0.25, y: 0.25, w: 0.5, h: 0.5 };
+  assert.deepEqual(resizeCrop(crop, 'move', 0.5, -0.125), { x: 0.5, y: 0.125, w: 0.5, h: 0.5 });
+});
+
+test('resizeCrop: a corner moves its two edges, clamped to the image and `min`', () => {
+  const crop = { x: 0.25, y: 0.25, w: 0.5, h: 0.5 };
+  assert.deepEqual(resizeCrop(crop, 'se', 0.5, 0.125), { x: 0.25, y: 0.25, w: 0.75, h: 0.625 });
+  assert.deepEqual(resizeCrop(crop, 'nw', 0.75, -0.5, 0.125), { x: 0.625, y: 0, w: 0.125, h: 0.75 });
+  assert.deepEqual(resizeCrop(crop, 'ne', -0.125, 0), { x: 0.25, y: 0.25, w: 0.375, h: 0.5 });
+});
+
+// --- Contrast ----------------------------------------------------------------
+
+/** @param {Object<number, number>} buckets */
+function histogram(buckets) {
+  const counts = new Uint32Array(256);
+  for (const [value, count] of Object.entries(buckets)) counts[Number(value)] = count;
+  return counts;
+}
+
+test('contrastLevels: clips `clip` of the pixels off each end', () => {
+  /** @type {Object<number, number>} */
+  const even = {};
+  for (let v = 50; v < 150; v++) even[v] = 100;
+  assert.deepEqual(contrastLevels(histogram(even), 0), { low: 50, high: 149 });
+  assert.deepEqual(contrastLevels(histogram(even)), { low: 51, high: 148 });
+});
+
+test('contrastLevels: a small glare spot does not pin the white point', () => {
+  /** @type {Object<number, number>} */
+  const glare = { 255: 100 };
+  for (let v = 60; v < 160; v++) glare[v] = 99;
+  assert.deepEqual(contrastLevels(histogram(glare)), { low: 61, high: 159 });
+});
+
+test('contrastLevels: the full range when there is nothing to stretch', () => {
+  assert.deepEqual(contrastLevels(histogram({})), { low: 0, high: 255 });
+  assert.deepEqual(contrastLevels(histogram({ 128: 500 })), { low: 0, high: 255 });
+});
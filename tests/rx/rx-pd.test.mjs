@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computePd, CARD_WIDTH_MM } from '../../assets/rx-pd.js';
+
+/**
+ * @param {number} actual
+ * @param {number} expected
+ */
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+// A photo as wide as a 65° camera's focal length makes 1000 px: a card 214 px
+// wide is then 85.6 × 1000 / 214 = 400 mm away, and one pixel at the card is
+// 0.4 mm. The eyes sit 12 mm behind it (412 / 400) and turn in by 13 mm of
+// rotation radius (425 / 412), so a pixel between the pupils is 0.425 mm.
+const imageWidth = 2 * Math.tan((32.5 * Math.PI) / 180) * 1000;
+const card = { cardLeft: 500, cardRight: 714, imageWidth };
+
+test('computePd: scales by the card and corrects for eye depth and convergence', () => {
+  const result = computePd({ ...card, right: { x: 530, y: 300 }, left: { x: 680, y: 300 }, nose: 605 });
+  assert.ok(result);
+  near(result.distance, 400);
+  near(result.pd, 150 * 0.425);
+  // Without the corrections the card's scale alone would read 60 mm.
+  near(150 * (CARD_WIDTH_MM / 214), 60);
+  near(result.right, result.pd / 2);
+  near(result.left, result.pd / 2);
+});
+
+test('computePd: the same pupils read the same PD whichever way the card was marked', () => {
+  const markers = { right: { x: 530, y: 300 }, left: { x: 680, y: 300 }, nose: 605 };
+  const forward = computePd({ ...card, ...markers });
+  const flipped = computePd({ ...card, ...markers, cardLeft: card.cardRight, cardRight: card.cardLeft });
+  assert.deepEqual(flipped, forward);
+});
+
+test('computePd: a tilted head is measured pupil to pupil', () => {
+  const result = computePd({ ...card, right: { x: 530, y: 300 }, left: { x: 650, y: 390 }, nose: 590 });
+  assert.ok(result);
+  near(result.pd, 150 * 0.425);
+});
+
+test('computePd: the monocular pair splits the PD at the nose', () => {
+  const result = computePd({ ...card, right: { x: 530, y: 300 }, left: { x: 680, y: 300 }, nose: 590 });
+  assert.ok(result);
+  near(result.right, result.pd * 0.4);
+  near(result.left, result.pd * 0.6);
+  near(result.right + result.left, result.pd);
+});
+
+test('computePd: the depth and convergence corrections grow as the card comes closer', () => {
+  // 428 px wide: 200 mm away, 0.2 mm a pixel at the card, 225 / 200 at the eyes.
+  const result = computePd({
+    cardLeft: 400,
+    cardRight: 828,
+    imageWidth,
+    right: { x: 530, y: 300 },
+    left: { x: 830, y: 300 },
+    nose: 680,
+  });
+  assert.ok(result);
+  near(result.distance, 200);
+  near(result.pd, 300 * 0.2 * (225 / 200));
+});
+
+test('computePd: null without a card width or photo width', () => {
+  const pupils = { right: { x: 530, y: 300 }, left: { x: 680, y: 300 }, nose: 605 };
+  assert.equal(computePd({ ...card, ...pupils, cardRight: card.cardLeft }), null);
+  assert.equal(computePd({ ...card, ...pupils, imageWidth: 0 }), null);
+});